@@ -7,7 +7,8 @@ module.exports = {
   },
   globals: {
     WebSocket: true,
-    indexedDB: true
+    indexedDB: true,
+    Blob: true
   },
   'extends': 'eslint:recommended',
   rules: {
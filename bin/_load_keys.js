@@ -0,0 +1,44 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var loadSecrets = require('../lib/load_secrets');
+var encryptionKeys = require('../lib/encryption_keys');
+
+/**
+ * Load the encryption keys of a database, if any, and set the keys and keyId
+ * options for MergeTree on the database config.
+ *
+ * @param {Object} dbCfg  database configuration
+ * @param {String} configBase  path to prepend to a relative secrets file
+ */
+function loadKeys(dbCfg, configBase) {
+  if (!dbCfg.encryption || !dbCfg.encryption.secrets) { return; }
+
+  var file = dbCfg.encryption.secrets;
+  if (file[0] !== '/') {
+    file = configBase + file;
+  }
+
+  var enc = encryptionKeys(loadSecrets(file), dbCfg.encryption.key);
+  dbCfg.keys = enc.keys;
+  dbCfg.keyId = enc.keyId;
+}
+
+module.exports = loadKeys;
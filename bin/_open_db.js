@@ -18,10 +18,10 @@
 
 'use strict';
 
-var level = require('level-packager')(require('leveldown'));
+var levelBackend = require('../lib/level_backend');
 
-function byPath(path) {
-  return level(path, { keyEncoding: 'binary', valueEncoding: 'binary' });
+function byPath(path, storage) {
+  return levelBackend(storage)(path, { keyEncoding: 'binary', valueEncoding: 'binary' });
 }
 
 function openDb(config) {
@@ -34,7 +34,7 @@ function openDb(config) {
   }
 
   // open database
-  return byPath(dbroot + '/' + data);
+  return byPath(dbroot + '/' + data, config.storage);
 }
 
 openDb.byPath = byPath;
@@ -61,7 +61,8 @@ var Writable = stream.Writable;
  * @property {?Object} new - new version, undefined on delete
  * @property {?Object} prev - previous version, undefined on insert
  * @property {String} remote - remote the new version originated from
- * @property {String[]} conflict - array with conflicting key names
+ * @property {String[]} conflict - array with conflicting key names, dotted paths
+ *   of nested keys if the deepMerge option of the MergeTree is set
  * @property {String} [error] - error message if something else occurred
  */
 
@@ -538,8 +539,8 @@ PerspectiveDB.prototype.getConflicts = function getConflicts(opts, next, done) {
  *   hook has the following signature: db, object, options, callback and should
  *   callback with an error object, the new item and possibly extra data.
  * @param {Object} opts.hooksOpts - options to pass to a hook
- * @param {Boolean} opts.tail=false - if true, keeps the stream open
- * @param {Number} opts.tailRetry=1000 - reopen readers every tailRetry ms
+ * @param {Boolean} opts.tail=false - if true, keeps the stream open and reads
+ *   new items as soon as they are written
  * @return {stream.Readable}
  * @see {@link https://nodejs.org/api/stream.html#stream_class_stream_readable}
  */
@@ -547,6 +548,30 @@ PerspectiveDB.prototype.createReadStream = function createReadStream(opts) {
   return this._mt.createReadStream(opts);
 };
 
+/**
+ * @callback PerspectiveDB~getAttachmentCb
+ * @param {Error} [err]
+ * @param {?Blob} blob - the attachment or null if it's not received yet
+ */
+/**
+ * Get an attachment that is referenced in an object. Attachments are received
+ * together with the versions that reference them.
+ *
+ * @param {Object} ref - attachment reference, i.e. { _attachment: digest,
+ *   length: Number, [type]: String }
+ * @param {PerspectiveDB~getAttachmentCb} cb
+ */
+PerspectiveDB.prototype.getAttachment = function getAttachment(ref, cb) {
+  if (ref == null || typeof ref !== 'object') { throw new TypeError('ref must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  this._mt.getAttachment(ref, function(err, data) {
+    if (err) { cb(err); return; }
+    if (!data) { cb(null, null); return; }
+    cb(null, new Blob([data], { type: ref.type || '' }));
+  });
+};
+
 /**
  * Create an authenticated secure WebSocket connection to a remote peer and start
  * transfering BSON.
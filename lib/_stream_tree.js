@@ -45,6 +45,9 @@ var Tree;
  * opts:
  *   id {String|Object}  limit stream to one specific DAG (maintain insertion
  *                       order)
+ *   index {Object}  limit stream to items with a value of an indexed field, i.e.
+ *                   { field: 'customerId', value: 5 } (maintain insertion order).
+ *                   mutually exclusive with id
  *   first {base64 String}  first version, offset
  *   last {base64 String}  last version
  *   excludeFirst {Boolean, default false}  whether or not first should be
@@ -77,6 +80,10 @@ function StreamTree(tree, opts) {
     if (typeof opts.last !== 'number' && typeof opts.last !== 'string') { throw new TypeError('opts.last must be a base64 string or a number'); }
     if (typeof opts.last === 'string' && Buffer.byteLength(opts.last, 'base64') !== tree._vSize) { throw new Error('opts.last must be the same size as the configured vSize'); }
   }
+  if (opts.index != null) {
+    if (typeof opts.index !== 'object') { throw new TypeError('opts.index must be an object'); }
+    if (this._id != null) { throw new Error('opts.index is mutually exclusive with opts.id'); }
+  }
   if (opts.reverse != null && typeof opts.reverse !== 'boolean') { throw new TypeError('opts.reverse must be a boolean'); }
   if (opts.limit != null && typeof opts.limit !== 'number') { throw new TypeError('opts.limit must be a number'); }
   if (opts.bson != null && typeof opts.bson !== 'boolean') { throw new TypeError('opts.bson must be a boolean'); }
@@ -134,6 +141,9 @@ function determineRange(tree, opts, cb) {
     if (opts.id) {
       // start reading the dskey index
       r = tree.getDsKeyRange({ id: opts.id, minI: first, maxI: last});
+    } else if (opts.index) {
+      // start reading the secondary index
+      r = tree.getXKeyRange(opts.index.field, { value: opts.index.value, minI: first, maxI: last });
     } else {
       // start reading the ikey index
       r = tree.getIKeyRange({ minI: first, maxI: last });
@@ -186,32 +196,46 @@ StreamTree.prototype._transform = function(obj, enc, cb) {
 
   if (this._id) {
     // dskey is used
-    if (this._opts.bson) {
-      if (process.browser) {
-        value = BSON.serialize(obj.value);
-      } else {
-        value = obj.value;
+    this.tree._decodeValue(obj.key, obj.value, function(err, item) {
+      if (err) {
+        that.tree._log.err('st item err %j %s', obj.key, err);
+        cb(err);
+        return;
       }
-    } else {
-      if (process.browser) {
-        value = obj.value;
+
+      if (that._opts.bson) {
+        if (process.browser) {
+          value = BSON.serialize(item);
+        } else {
+          value = item;
+        }
       } else {
-        value = BSON.deserialize(obj.value);
+        if (process.browser) {
+          value = item;
+        } else {
+          value = BSON.deserialize(item);
+        }
       }
-    }
-    cb(null, value);
+      cb(null, value);
+    });
   } else {
-    // ikey is used
-    var key = Tree.parseKey(obj.key);
-    var val = Tree.parseKey(obj.value, { decodeId: 'utf8' });
-    var dsKey = this.tree._composeDsKey(val.id, key.i);
+    var dsKey;
+    if (this._opts.index) {
+      // xkey is used
+      dsKey = obj.value;
+    } else {
+      // ikey is used
+      var key = Tree.parseKey(obj.key);
+      var val = Tree.parseKey(obj.value, { decodeId: 'utf8' });
+      dsKey = this.tree._composeDsKey(val.id, key.i);
+    }
 
     if (!this.tree._db.isOpen()) {
       this.end();
       return;
     }
 
-    this.tree._db.get(dsKey, function(err, item) {
+    this.tree._getValue(dsKey, function(err, item) {
       if (err) {
         that.tree._log.err('st item err %j %s', obj.key, err);
         cb(err);
@@ -0,0 +1,110 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// name of the key that identifies an attachment reference in a body
+var KEY = '_attachment';
+
+/**
+ * Find all attachments that are referenced in a body. An attachment reference is
+ * an object with the hex encoded sha256 digest of the attachment at
+ * "_attachment", the length in bytes and optionally a content type, i.e.
+ * { _attachment: 'e3b0...', length: 0, type: 'image/png' }. References can be
+ * nested in objects and arrays.
+ *
+ * @param {mixed} body  body of a version
+ * @return {Array} unique digests in order of appearance
+ */
+function attachmentRefs(body) {
+  var digests = [];
+
+  findRefs(body).forEach(function(ref) {
+    if (!~digests.indexOf(ref[KEY])) {
+      digests.push(ref[KEY]);
+    }
+  });
+
+  return digests;
+}
+
+/**
+ * Find all attachment references in a body, see attachmentRefs.
+ *
+ * @param {mixed} body  body of a version
+ * @return {Array} the reference objects in order of appearance
+ */
+function findRefs(body) {
+  var refs = [];
+
+  function walk(obj) {
+    if (obj == null || typeof obj !== 'object' || Buffer.isBuffer(obj) || obj instanceof Date || obj._bsontype) {
+      return;
+    }
+
+    if (isRef(obj)) {
+      refs.push(obj);
+      return;
+    }
+
+    Object.keys(obj).forEach(function(key) {
+      walk(obj[key]);
+    });
+  }
+
+  walk(body);
+  return refs;
+}
+
+/**
+ * Whether obj is an attachment reference.
+ *
+ * @param {mixed} obj
+ * @return {Boolean}
+ */
+function isRef(obj) {
+  return obj != null && typeof obj === 'object' && typeof obj[KEY] === 'string' && /^[0-9a-f]{64}$/.test(obj[KEY]);
+}
+
+/**
+ * Create a reference to an attachment that can be stored in a body.
+ *
+ * @param {String} digest  hex encoded sha256 digest of the attachment
+ * @param {Number} length  length of the attachment in bytes
+ * @param {String} [type]  content type of the attachment
+ * @return {Object} the reference
+ */
+function createRef(digest, length, type) {
+  if (typeof digest !== 'string') { throw new TypeError('digest must be a string'); }
+  if (typeof length !== 'number') { throw new TypeError('length must be a number'); }
+  if (type != null && typeof type !== 'string') { throw new TypeError('type must be a string'); }
+
+  var ref = {};
+  ref[KEY] = digest;
+  ref.length = length;
+  if (type != null) {
+    ref.type = type;
+  }
+  return ref;
+}
+
+module.exports = attachmentRefs;
+module.exports.KEY = KEY;
+module.exports.findRefs = findRefs;
+module.exports.isRef = isRef;
+module.exports.createRef = createRef;
@@ -0,0 +1,314 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var stream = require('stream');
+
+var bson = require('bson');
+var BSONStream = require('bson-stream');
+
+var BSON = new bson.BSONPure.BSON();
+var Transform = stream.Transform;
+
+var VERSION = 1;
+var BATCH_SIZE = 1000;
+
+/**
+ * Create a backup of all trees in a database. Returns a readable stream with the
+ * archive.
+ *
+ * The archive is a sequence of BSON objects: a header, one record per key and a
+ * trailer with the number of records, the number of keys per tree and a sha256
+ * checksum of all preceding bytes.
+ *
+ *   header:  { pdb: 'backup', version: 1, created: Date }
+ *   record:  { k: Buffer, v: Buffer }
+ *   trailer: { count: Number, trees: [{ name: String, count: Number }], sha256: String }
+ *
+ * All keys are read with one iterator, so the archive reflects a consistent
+ * snapshot of the database, even when it's written to while the backup is made.
+ *
+ * @param {Object} db  level db instance
+ * @return {stream.Readable} the archive
+ */
+function backup(db) {
+  if (db == null || typeof db !== 'object') { throw new TypeError('db must be an object'); }
+
+  var hash = crypto.createHash('sha256');
+  var count = 0;
+  var trees = [];
+
+  var archive = new Transform({ objectMode: true });
+  archive._readableState.objectMode = false;
+
+  function push(obj) {
+    var buf = BSON.serialize(obj);
+    hash.update(buf);
+    archive.push(buf);
+  }
+
+  archive._transform = function(obj, enc, cb) {
+    // keep count per tree, keys are prefixed with the name of the tree
+    var name = obj.key.slice(1, 1 + obj.key[0]).toString();
+    if (!trees.length || trees[trees.length - 1].name !== name) {
+      trees.push({ name: name, count: 0 });
+    }
+    trees[trees.length - 1].count++;
+    count++;
+
+    push({ k: obj.key, v: obj.value });
+    cb();
+  };
+
+  archive._flush = function(cb) {
+    archive.push(BSON.serialize({
+      count: count,
+      trees: trees,
+      sha256: hash.digest('hex')
+    }));
+    cb();
+  };
+
+  push({ pdb: 'backup', version: VERSION, created: new Date() });
+
+  // the iterator takes an implicit snapshot
+  var rs = db.createReadStream({ keys: true, values: true });
+  rs.on('error', function(err) { archive.emit('error', err); });
+  return rs.pipe(archive);
+}
+
+/**
+ * Verify an archive created by backup. Checks the header, the number of records
+ * and the checksum.
+ *
+ * @param {String} file  path to the archive
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the trailer of the archive.
+ */
+function verify(file, cb) {
+  if (typeof file !== 'string') { throw new TypeError('file must be a string'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  readArchive(file, null, cb);
+}
+
+/**
+ * Restore an archive created by backup into an empty database. The complete
+ * archive is verified before anything is written.
+ *
+ * @param {Object} db  level db instance, must be empty
+ * @param {String} file  path to the archive
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the trailer of the archive.
+ */
+function restore(db, file, cb) {
+  if (db == null || typeof db !== 'object') { throw new TypeError('db must be an object'); }
+  if (typeof file !== 'string') { throw new TypeError('file must be a string'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  verify(file, function(err) {
+    if (err) { cb(err); return; }
+
+    // ensure the database is empty
+    var empty = true;
+    db.createKeyStream({ limit: 1 }).on('data', function() {
+      empty = false;
+    }).on('error', cb).on('end', function() {
+      if (!empty) { cb(new Error('database is not empty')); return; }
+
+      var batch = [];
+      readArchive(file, function(rec, next) {
+        batch.push({ type: 'put', key: rec.k.buffer, value: rec.v.buffer });
+        if (batch.length < BATCH_SIZE) { process.nextTick(next); return; }
+        db.batch(batch, next);
+        batch = [];
+      }, function(err, trailer) {
+        if (err) { cb(err); return; }
+        if (!batch.length) { cb(null, trailer); return; }
+        db.batch(batch, function(err) {
+          if (err) { cb(err); return; }
+          cb(null, trailer);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Save an archive to a file. The archive is written to a temporary file that is
+ * verified and then renamed, so that only complete archives are visible. The
+ * temporary file is removed if the archive can not be written.
+ *
+ * @param {stream.Readable} archive  archive created by backup
+ * @param {String} file  path to the archive, must not exist
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the trailer of the archive.
+ */
+function save(archive, file, cb) {
+  if (archive == null || typeof archive.pipe !== 'function') { throw new TypeError('archive must be a readable stream'); }
+  if (typeof file !== 'string') { throw new TypeError('file must be a string'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var tmpFile = file + '.tmp';
+  var opened, archiveError, error;
+
+  function done(err) {
+    if (error) { return; }
+    error = err;
+    // don't remove a file that is not created here
+    if (!opened) { cb(err); return; }
+    fs.unlink(tmpFile, function() {
+      cb(err);
+    });
+  }
+
+  var ws = fs.createWriteStream(tmpFile, { flags: 'wx', mode: 0o600 });
+  ws.on('open', function() { opened = true; });
+  ws.on('error', done);
+  ws.on('finish', function() {
+    if (error) { return; }
+    if (archiveError) { done(archiveError); return; }
+    verify(tmpFile, function(err, trailer) {
+      if (err) { done(err); return; }
+      fs.rename(tmpFile, file, function(err) {
+        if (err) { done(err); return; }
+        cb(null, trailer);
+      });
+    });
+  });
+
+  // close the temporary file before it's removed
+  archive.on('error', function(err) {
+    archiveError = err;
+    archive.unpipe(ws);
+    ws.end();
+  });
+  archive.pipe(ws);
+}
+
+/**
+ * Remove all but the newest archives in a directory. Archives are recognized by
+ * the .pdbb extension and ordered by name.
+ *
+ * @param {String} dir  directory with archives
+ * @param {Number} keep  number of archives to keep
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the names of the removed archives.
+ */
+function clean(dir, keep, cb) {
+  if (typeof dir !== 'string') { throw new TypeError('dir must be a string'); }
+  if (typeof keep !== 'number') { throw new TypeError('keep must be a number'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  fs.readdir(dir, function(err, files) {
+    if (err) { cb(err); return; }
+
+    var archives = files.filter(function(name) {
+      return /\.pdbb$/.test(name);
+    }).sort();
+
+    var remove = archives.slice(0, Math.max(archives.length - keep, 0));
+
+    var i = 0;
+    (function next(err) {
+      if (err) { cb(err); return; }
+      if (i >= remove.length) { cb(null, remove); return; }
+      fs.unlink(dir + '/' + remove[i++], next);
+    })();
+  });
+}
+
+module.exports = backup;
+module.exports.verify = verify;
+module.exports.restore = restore;
+module.exports.save = save;
+module.exports.clean = clean;
+
+/**
+ * Read and check an archive. Call iterator with each record and cb with the
+ * trailer when done.
+ *
+ * @param {String} file  path to the archive
+ * @param {Function} [iterator]  called with each record and a next function
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the trailer of the archive.
+ */
+function readArchive(file, iterator, cb) {
+  var hash = crypto.createHash('sha256');
+  var header, trailer;
+  var count = 0;
+  var error;
+
+  var bs = new BSONStream({ raw: true });
+
+  function done(err) {
+    if (error) { return; }
+    error = err;
+    cb(err);
+  }
+
+  bs.on('data', function(buf) {
+    if (trailer) { bs.destroy(); done(new Error('data after trailer')); return; }
+
+    var obj = BSON.deserialize(buf);
+
+    if (!header) {
+      if (obj.pdb !== 'backup') { bs.destroy(); done(new Error('not a backup')); return; }
+      if (obj.version !== VERSION) { bs.destroy(); done(new Error('unsupported backup version')); return; }
+      header = obj;
+      hash.update(buf);
+      return;
+    }
+
+    if (obj.sha256) {
+      trailer = obj;
+      return;
+    }
+
+    if (!obj.k || !obj.v) { bs.destroy(); done(new Error('invalid record')); return; }
+
+    hash.update(buf);
+    count++;
+
+    if (iterator) {
+      bs.pause();
+      iterator(obj, function(err) {
+        if (err) { bs.destroy(); done(err); return; }
+        bs.resume();
+      });
+    }
+  });
+
+  bs.on('error', done);
+
+  bs.on('end', function() {
+    if (error) { return; }
+    if (!header) { done(new Error('not a backup')); return; }
+    if (!trailer) { done(new Error('archive is truncated')); return; }
+    if (trailer.count !== count) { done(new Error('record count mismatch')); return; }
+    if (trailer.sha256 !== hash.digest('hex')) { done(new Error('checksum mismatch')); return; }
+    cb(null, trailer);
+  });
+
+  var rs = fs.createReadStream(file);
+  rs.on('error', done);
+  rs.pipe(bs);
+}
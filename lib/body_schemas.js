@@ -0,0 +1,309 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var isEqual = require('./is_equal');
+
+/**
+ * Validation of bodies with a subset of JSON Schema. A schema is an object with
+ * any of the following keywords:
+ *
+ *   type                  "object", "array", "string", "number", "integer",
+ *                         "boolean" or "null", or an array of these
+ *   enum                  array of allowed values
+ *   properties            schema of each key of an object, by key
+ *   required              array of keys an object must contain
+ *   additionalProperties  false, or a schema of the keys that are not in
+ *                         properties
+ *   items                 schema of each element of an array
+ *   minItems, maxItems    number of elements of an array
+ *   minLength, maxLength  length of a string
+ *   pattern               regular expression a string must match
+ *   minimum, maximum      bounds of a number
+ *
+ * The annotations $schema, title, description and default are ignored. Other
+ * keywords are rejected so that typos don't go unnoticed.
+ */
+var TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+var ANNOTATIONS = ['$schema', 'title', 'description', 'default'];
+
+var KEYWORDS = [
+  'type', 'enum', 'properties', 'required', 'additionalProperties', 'items', 'minItems', 'maxItems', 'minLength',
+  'maxLength', 'pattern', 'minimum', 'maximum'
+];
+
+/**
+ * Check if schema is a valid schema.
+ *
+ * @param {Object} schema  schema to check
+ * @return {String} empty string if nothing is wrong or a problem description
+ */
+function invalidSchema(schema) {
+  if (schema == null || typeof schema !== 'object' || Array.isArray(schema)) {
+    return 'schema must be an object';
+  }
+
+  var error = '';
+
+  Object.keys(schema).some(function(keyword) {
+    if (~ANNOTATIONS.indexOf(keyword)) {
+      return false;
+    }
+
+    var val = schema[keyword];
+
+    switch (keyword) {
+    case 'type':
+      if (!(Array.isArray(val) ? val : [val]).every(function(type) { return ~TYPES.indexOf(type); })) {
+        error = 'type must be one of ' + TYPES.join(', ');
+      }
+      break;
+    case 'enum':
+      if (!Array.isArray(val)) {
+        error = 'enum must be an array';
+      }
+      break;
+    case 'required':
+      if (!Array.isArray(val) || !val.every(function(key) { return typeof key === 'string'; })) {
+        error = 'required must be an array of strings';
+      }
+      break;
+    case 'properties':
+      if (val == null || typeof val !== 'object' || Array.isArray(val)) {
+        error = 'properties must be an object';
+        break;
+      }
+      Object.keys(val).some(function(key) {
+        error = invalidSchema(val[key]);
+        if (error) { error = 'properties.' + key + ': ' + error; }
+        return error;
+      });
+      break;
+    case 'additionalProperties':
+      if (val !== false && val !== true) {
+        error = invalidSchema(val);
+        if (error) { error = 'additionalProperties: ' + error; }
+      }
+      break;
+    case 'items':
+      error = invalidSchema(val);
+      if (error) { error = 'items: ' + error; }
+      break;
+    case 'minItems':
+    case 'maxItems':
+    case 'minLength':
+    case 'maxLength':
+    case 'minimum':
+    case 'maximum':
+      if (typeof val !== 'number') {
+        error = keyword + ' must be a number';
+      }
+      break;
+    case 'pattern':
+      if (typeof val !== 'string') {
+        error = 'pattern must be a string';
+        break;
+      }
+      try {
+        new RegExp(val);
+      } catch (err) {
+        error = 'pattern must be a valid regular expression';
+      }
+      break;
+    default:
+      error = 'unknown keyword ' + keyword + ', expected one of ' + KEYWORDS.join(', ');
+    }
+
+    return error;
+  });
+
+  return error;
+}
+
+/**
+ * Check if val is valid according to schema.
+ *
+ * @param {Object} schema  valid schema
+ * @param {mixed} val  value to check
+ * @param {String} [path]  name of val used in the problem description, defaults to
+ *                         "b"
+ * @return {String} empty string if nothing is wrong or a problem description
+ */
+function invalidValue(schema, val, path) {
+  path = path || 'b';
+
+  if (schema.type != null) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(function(type) { return isType(type, val); })) {
+      return path + ' must be of type ' + types.join(' or ');
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(function(allowed) { return isEqual(allowed, val); })) {
+    return path + ' must be one of ' + schema.enum.map(function(allowed) { return JSON.stringify(allowed); }).join(', ');
+  }
+
+  var error = '';
+
+  if (isType('object', val)) {
+    (schema.required || []).some(function(key) {
+      if (!val.hasOwnProperty(key)) {
+        error = path + '.' + key + ' is required';
+      }
+      return error;
+    });
+    if (error) { return error; }
+
+    var properties = schema.properties || {};
+    Object.keys(val).some(function(key) {
+      if (properties.hasOwnProperty(key)) {
+        error = invalidValue(properties[key], val[key], path + '.' + key);
+      } else if (schema.additionalProperties === false) {
+        error = path + '.' + key + ' is not allowed';
+      } else if (schema.additionalProperties != null && schema.additionalProperties !== true) {
+        error = invalidValue(schema.additionalProperties, val[key], path + '.' + key);
+      }
+      return error;
+    });
+    if (error) { return error; }
+  }
+
+  if (Array.isArray(val)) {
+    if (schema.minItems != null && val.length < schema.minItems) {
+      return path + ' must contain at least ' + schema.minItems + ' items';
+    }
+    if (schema.maxItems != null && val.length > schema.maxItems) {
+      return path + ' must contain at most ' + schema.maxItems + ' items';
+    }
+    if (schema.items) {
+      val.some(function(item, i) {
+        error = invalidValue(schema.items, item, path + '.' + i);
+        return error;
+      });
+      if (error) { return error; }
+    }
+  }
+
+  if (typeof val === 'string') {
+    if (schema.minLength != null && val.length < schema.minLength) {
+      return path + ' must be at least ' + schema.minLength + ' characters';
+    }
+    if (schema.maxLength != null && val.length > schema.maxLength) {
+      return path + ' must be at most ' + schema.maxLength + ' characters';
+    }
+    if (schema.pattern != null && !new RegExp(schema.pattern).test(val)) {
+      return path + ' must match ' + schema.pattern;
+    }
+  }
+
+  if (typeof val === 'number') {
+    if (schema.minimum != null && val < schema.minimum) {
+      return path + ' must be >= ' + schema.minimum;
+    }
+    if (schema.maximum != null && val > schema.maximum) {
+      return path + ' must be <= ' + schema.maximum;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Check if rules is a valid list of schemas by id prefix, i.e.
+ * [{ prefix: 'customers\x01', schema: { type: 'object', required: ['name'] } }].
+ * A rule without a prefix matches every id.
+ *
+ * @param {Array} rules  rules to check
+ * @return {String} empty string if nothing is wrong or a problem description
+ */
+function invalidRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'schemas must be an array';
+  }
+
+  var error = '';
+  rules.some(function(rule, i) {
+    if (rule == null || typeof rule !== 'object') {
+      error = 'schemas must contain objects';
+    } else if (rule.prefix != null && typeof rule.prefix !== 'string') {
+      error = 'schemas.' + i + '.prefix must be a string';
+    } else {
+      error = invalidSchema(rule.schema);
+      if (error) { error = 'schemas.' + i + '.' + error; }
+    }
+    return error;
+  });
+
+  return error;
+}
+
+/**
+ * Check if the body of an item is valid according to the schema of the first rule
+ * that matches the id of the item. Deletes and ids without a matching rule are
+ * always valid. An item without a body is checked as an empty object.
+ *
+ * @param {Array} rules  valid schemas by id prefix, see invalidRules
+ * @param {Object} item  item to check
+ * @return {String} empty string if nothing is wrong or a problem description
+ */
+function invalidBody(rules, item) {
+  if (item.h.d) {
+    return '';
+  }
+
+  var id = String(item.h.id);
+
+  var rule;
+  rules.some(function(r) {
+    if (!r.prefix || id.indexOf(r.prefix) === 0) {
+      rule = r;
+      return true;
+    }
+    return false;
+  });
+
+  if (!rule) {
+    return '';
+  }
+
+  return invalidValue(rule.schema, item.b == null ? {} : item.b);
+}
+
+module.exports.TYPES = TYPES;
+module.exports.invalidSchema = invalidSchema;
+module.exports.invalidValue = invalidValue;
+module.exports.invalidRules = invalidRules;
+module.exports.invalidBody = invalidBody;
+
+// whether val is of the given JSON Schema type
+function isType(type, val) {
+  switch (type) {
+  case 'object':
+    return val !== null && typeof val === 'object' && !Array.isArray(val) && !Buffer.isBuffer(val) && !(val instanceof Date);
+  case 'array':
+    return Array.isArray(val);
+  case 'integer':
+    return typeof val === 'number' && val % 1 === 0;
+  case 'null':
+    return val === null;
+  default:
+    return typeof val === type;
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Policies to automatically resolve a merge conflict between a remote head and the
+ * local head. A policy is either a string or an object:
+ *
+ *   "remote"                       the values of the remote head win
+ *   "local"                        the values of the local head win
+ *   { lastWriter: field }          the values of the head with the highest value
+ *                                  of field in its body win, i.e. a timestamp
+ *   { prefer: name, fields: [] }   the values of perspective name win for the
+ *                                  given fields (dotted paths), name is either the
+ *                                  name of a remote or the local tree
+ *   { resolver: fn }               custom resolver, fn is called with the conflict
+ *                                  item and a callback that expects an error and
+ *                                  the resolved body, or null if not resolved
+ *
+ * Each policy can have a name that is recorded in h.r of the merge, defaults to
+ * the kind of the policy, i.e. "lastWriter".
+ */
+
+/**
+ * Check if policy is a valid conflict resolution policy.
+ *
+ * @param {String|Object} policy  policy to check
+ * @return {String} empty string if nothing is wrong or a problem description
+ */
+function invalidPolicy(policy) {
+  if (policy === 'remote' || policy === 'local') {
+    return '';
+  }
+
+  if (policy == null || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'policy must be "remote", "local" or an object';
+  }
+
+  if (policy.name != null && typeof policy.name !== 'string') {
+    return 'policy.name must be a string';
+  }
+
+  if (policy.hasOwnProperty('lastWriter')) {
+    if (typeof policy.lastWriter !== 'string') {
+      return 'policy.lastWriter must be a string';
+    }
+    return '';
+  }
+
+  if (policy.hasOwnProperty('prefer')) {
+    if (typeof policy.prefer !== 'string') {
+      return 'policy.prefer must be a string';
+    }
+    if (!Array.isArray(policy.fields)) {
+      return 'policy.fields must be an array';
+    }
+    return '';
+  }
+
+  if (policy.hasOwnProperty('resolver')) {
+    if (typeof policy.resolver !== 'function') {
+      return 'policy.resolver must be a function';
+    }
+    return '';
+  }
+
+  return 'policy must contain "lastWriter", "prefer" or "resolver"';
+}
+
+/**
+ * Get the name of a policy.
+ *
+ * @param {String|Object} policy  valid policy
+ * @return {String} name of the policy
+ */
+function policyName(policy) {
+  if (typeof policy === 'string') {
+    return policy;
+  }
+  if (policy.name) {
+    return policy.name;
+  }
+  if (policy.hasOwnProperty('lastWriter')) {
+    return 'lastWriter';
+  }
+  if (policy.hasOwnProperty('prefer')) {
+    return 'prefer';
+  }
+  return 'resolver';
+}
+
+/**
+ * Determine which side wins each conflicting path according to a declarative
+ * policy.
+ *
+ * @param {String|Object} policy  valid policy, except a resolver
+ * @param {Object} conflict  conflict item with the remote head in n, the local head
+ *                           in l, the name of the remote in pe and the conflicting
+ *                           paths in c
+ * @param {String} local  name of the local tree
+ * @return {Function|null} function that returns "remote", "local" or undefined for
+ *                         a path, or null if this policy does not resolve the
+ *                         conflict
+ */
+function chooseSides(policy, conflict, local) {
+  if (policy === 'remote' || policy === 'local') {
+    return function() {
+      return policy;
+    };
+  }
+
+  var winner;
+
+  if (policy.hasOwnProperty('lastWriter')) {
+    var r = conflict.n.b && conflict.n.b[policy.lastWriter];
+    var l = conflict.l.b && conflict.l.b[policy.lastWriter];
+    if (r == null || l == null || !(r > l || r < l)) {
+      return null;
+    }
+    winner = r > l ? 'remote' : 'local';
+    return function() {
+      return winner;
+    };
+  }
+
+  if (policy.hasOwnProperty('prefer')) {
+    if (policy.prefer === conflict.pe) {
+      winner = 'remote';
+    } else if (policy.prefer === local) {
+      winner = 'local';
+    } else {
+      return null;
+    }
+
+    var covered = conflict.c.every(function(path) {
+      return policy.fields.some(function(field) {
+        return path === field || path.indexOf(field + '.') === 0;
+      });
+    });
+    if (!covered) {
+      return null;
+    }
+
+    return function() {
+      return winner;
+    };
+  }
+
+  return null;
+}
+
+module.exports.invalidPolicy = invalidPolicy;
+module.exports.policyName = policyName;
+module.exports.chooseSides = chooseSides;
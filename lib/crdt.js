@@ -0,0 +1,134 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var isEqual = require('./is_equal');
+var mergeArrays = require('./merge_arrays');
+
+/**
+ * Field types that merge without conflicts. The values are stored as plain JSON
+ * values, the merge is derived from the values of the lca and both versions.
+ *
+ *   counter  PN-counter, a number, the increments and decrements of both versions
+ *            since the lca are added up
+ *   orset    OR-set, an array, elements that are added in either version are kept
+ *            and elements that are removed in either version are removed
+ *   lww      LWW-register, any value, the value of the version with the highest
+ *            value of clock wins, or of the highest version number if no clock is
+ *            declared or the clocks are equal
+ *   max      max-register, a number, string or date, the highest value wins
+ *
+ * A type is declared as a string or an object with a type and for "lww" an
+ * optional clock: the name of a key next to the field, i.e. "updatedAt".
+ */
+var TYPES = ['counter', 'orset', 'lww', 'max'];
+
+/**
+ * Check if decl is a valid type declaration.
+ *
+ * @param {String|Object} decl  type declaration
+ * @return {String} empty string if nothing is wrong or a problem description
+ */
+function invalidType(decl) {
+  if (typeof decl === 'object' && decl !== null && !Array.isArray(decl)) {
+    if (decl.clock != null) {
+      if (typeof decl.clock !== 'string') {
+        return 'clock must be a string';
+      }
+      if (decl.type !== 'lww') {
+        return 'clock is only supported by lww';
+      }
+    }
+    decl = decl.type;
+  }
+
+  if (!~TYPES.indexOf(decl)) {
+    return 'type must be one of ' + TYPES.join(', ');
+  }
+
+  return '';
+}
+
+/**
+ * Merge two values of a field with a declared type.
+ *
+ * @param {String|Object} decl  valid type declaration
+ * @param {Object} objA  object of version a that contains the field
+ * @param {Object} objB  object of version b that contains the field
+ * @param {Object} lcaA  object of the lca of version a, might not contain the field
+ * @param {Object} lcaB  object of the lca of version b, might not contain the field
+ * @param {String} key  name of the field
+ * @param {Boolean} [aFirst]  whether version a has the lowest version number,
+ *                            defaults to true
+ * @return {mixed} merged value or undefined if the values do not match the type
+ */
+function mergeField(decl, objA, objB, lcaA, lcaB, key, aFirst) {
+  var type = typeof decl === 'string' ? decl : decl.type;
+
+  var a = objA[key];
+  var b = objB[key];
+
+  switch (type) {
+  case 'counter':
+    var baseB = lcaB.hasOwnProperty(key) ? lcaB[key] : 0;
+    if (typeof a !== 'number' || typeof b !== 'number' || typeof baseB !== 'number') {
+      return;
+    }
+    return a + b - baseB;
+  case 'orset':
+    var setA = lcaA.hasOwnProperty(key) ? lcaA[key] : [];
+    var setB = lcaB.hasOwnProperty(key) ? lcaB[key] : [];
+    if (!Array.isArray(a) || !Array.isArray(b) || !Array.isArray(setA) || !Array.isArray(setB)) {
+      return;
+    }
+    return mergeArrays('union', a, b, setA, setB, aFirst);
+  case 'lww':
+    if (decl.clock) {
+      var clockA = objA[decl.clock];
+      var clockB = objB[decl.clock];
+      if (clockA != null && clockB != null && (clockA > clockB || clockA < clockB)) {
+        return clockA > clockB ? a : b;
+      }
+    }
+    return aFirst === false ? a : b;
+  case 'max':
+    if (!comparable(a, b)) {
+      return;
+    }
+    if (isEqual(a, b)) {
+      return a;
+    }
+    return a > b ? a : b;
+  }
+}
+
+module.exports.TYPES = TYPES;
+module.exports.invalidType = invalidType;
+module.exports.mergeField = mergeField;
+
+// whether a and b are both numbers, strings or dates
+function comparable(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return true;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return true;
+  }
+  return a instanceof Date && b instanceof Date;
+}
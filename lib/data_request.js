@@ -19,7 +19,14 @@
 'use strict';
 
 /**
- * Check if req is a valid data request.
+ * Check if req is a valid data request. A data request has a start offset and
+ * optionally the features the sender supports:
+ *
+ * {
+ *   start:         {String|Boolean}  // version to start after, true for all or
+ *                                    // false if no data is requested
+ *   [attachments]: {Boolean}         // whether attachments can be exchanged
+ * }
  *
  * @param {mixed} req  the request to inspect
  * @return {Boolean} true if the req is a valid data request, false otherwise
@@ -29,8 +36,10 @@ function valid(req) {
 
   if (typeof req.start !== 'string' && typeof req.start !== 'boolean') { return false; }
 
+  if (req.attachments != null && typeof req.attachments !== 'boolean') { return false; }
+
   // check for additional keys
-  if (Object.keys(req).length > 1) { return false; }
+  if (Object.keys(req).some(function(key) { return key !== 'start' && key !== 'attachments'; })) { return false; }
 
   if (typeof req.start === 'string') {
     // check min string lengths
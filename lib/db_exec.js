@@ -27,15 +27,19 @@ var async = require('async');
 var bson = require('bson');
 var BSONStream = require('bson-stream');
 var chroot = require('chroot');
-var keyFilter = require('object-key-filter');
 var LDJSONStream = require('ld-jsonstream');
-var level = require('level-packager')(require('leveldown'));
 var mkdirp = require('mkdirp');
 var posix = require('posix');
+var xtend = require('xtend');
 
 var MergeTree = require('./merge_tree');
+var backup = require('./backup');
+var encryptionKeys = require('./encryption_keys');
+var filterSecrets = require('./filter_secrets');
 var getConnectionId = require('./get_connection_id');
+var levelBackend = require('./level_backend');
 var logger = require('./logger');
+var mergeStrategies = require('./merge_strategies');
 var noop = require('./noop');
 var parsePdbConfigs = require('./parse_pdb_configs');
 var remoteConnHandler = require('./remote_conn_handler');
@@ -43,6 +47,9 @@ var remoteConnHandler = require('./remote_conn_handler');
 var BSON = new bson.BSONPure.BSON();
 var Transform = stream.Transform;
 
+// directory in the chroot to write backups to
+var BACKUP_DIR = '/backup';
+
 /**
  * Instantiates a merge tree and handles incoming and outgoing requests.
  *
@@ -69,17 +76,56 @@ var Transform = stream.Transform;
  *   [debug]:        {Boolean}     // defaults to false
  *   [perspectives]: {Array}       // array of other perspectives
  *   [mergeTree]:    {Object}      // any MergeTree options
+ *   [prune]:        {Object}      // MergeTree.prune options and interval
+ *   [expire]:       {Object}      // MergeTree.expire options and interval
+ *   [backup]:       {Object}      // backup interval and number to keep
+ *   [storage]:      {String}      // storage backend, defaults to "leveldown"
+ *   [indexes]:      {Array}       // secondary indexes, i.e. [{ field: 'customerId' }]
+ *   [compression]:  {String}      // compress stored versions, only "deflate"
+ *   [deltaChain]:   {Number}      // store versions as deltas, see Tree
+ *   [encryption]:   {Object}      // { keys: { id: base64 key }, [key]: id }
+ *   [mergeStrategies]: {Object}   // merge strategy by field path, see MergeTree
+ *   [schemas]:      {Array}       // schemas of bodies by id prefix, see MergeTree
  * }
  *
+ * The storage backend is either "leveldown", "memdown" or "rocksdb". Note that
+ * memdown keeps all data in memory and loses it when this process exits.
+ *
+ * If prune is set, old versions are removed every prune.interval ms (defaults to
+ * one hour). See MergeTree.prune for the other options.
+ *
+ * If expire is set, ids are expired every expire.interval ms (defaults to one
+ * hour). See MergeTree.expire for the other options.
+ *
+ * If encryption is set, new values are encrypted with encryption.key and values
+ * that are encrypted with another key are reencrypted in the background. If
+ * encryption.key is not set, all values are decrypted. Prune and expire are
+ * skipped while reencrypting.
+ *
+ * If backup is set, an archive of the database is written to /backup in the chroot
+ * every backup.interval ms (defaults to one day). Only the last backup.keep
+ * archives are kept (defaults to 7). See lib/backup for the format.
+ *
  * After the database is opened and hooks are loaded, this process emits a message
  * named "listen", signalling that it's ready to receive local and remote data
  * requests, a head lookup channel request, an autoMerge signal or a kill signal.
  *
  * Either a local data channel must be setup with manual merge confirmations and
- * conflict resolution, or use autoMerge to automatically write new versions. This
- * will fail if there is a merge conflict.
+ * conflict resolution, or use autoMerge to automatically write new versions. Merge
+ * conflicts are resolved by the conflict resolution policies in resolve of
+ * mergeTree or of the perspective, others are stored, see the local data channel
+ * below. A policy can refer to a resolver by hook name: { resolver: "name" }.
+ *
+ * Fields that are changed on both sides are merged with the strategy of their path
+ * in mergeStrategies, if any, before they're declared a conflict. A strategy is
+ * either a built-in strategy or the name of a hook that merges the values, see
+ * merge_strategies.
+ *
+ * If schemas are set, new local versions and conflict resolutions with a body
+ * that is not valid are rejected and remote versions with an invalid body are
+ * saved in the quarantine tree instead of being merged, see MergeTree.
  *
- * Data channel and head lookup requests should be accompanied with a file
+ * Data channel, head lookup and backup requests should be accompanied with a file
  * descriptor.
  *
  * {
@@ -97,6 +143,15 @@ var Transform = stream.Transform;
  * }
  *
  * {
+ *   type: 'backup'                     write an archive of the database to the
+ * }                                    connection and close it, see lib/backup
+ *
+ * {
+ *   type: 'conflicts'                  answer a conflict request of the local data
+ *   request: {Object}                  channel with one line of JSON on the
+ * }                                    connection and close it
+ *
+ * {
  *   type: 'kill'
  * }
  *
@@ -115,6 +170,26 @@ var Transform = stream.Transform;
  * confirmations of merged versions. If a new version is created by a remote the
  * merge is sent back with the previous head on the connection.
  *
+ * Merge conflicts that are not resolved by a policy are sent back with an id and
+ * are stored until they're resolved, also when autoMerge is used. Merging of other
+ * ids continues. Stored conflicts can be queried and resolved over the local data
+ * channel with the following requests:
+ * {
+ *   conflicts: true                    list all stored conflicts
+ * }
+ * {
+ *   conflict: {Number}                 get one conflict by id
+ * }
+ * {
+ *   resolve: {Number}                  id of the conflict to resolve
+ *   b: {Object}                        body of the merge, or:
+ *   d: {Boolean}                       whether the merge is a delete, or:
+ *   head: {String}                     "local" or "remote", use the body of that
+ * }                                    head
+ *
+ * These are answered with { conflicts: [conflict] }, { conflict: conflict|null } or
+ * { resolved: id, n: merge }, or with { error: message } if the request failed.
+ *
  * A head lookup can be done by sending an id. The last version of that id in the
  * local tree is sent back. If no id is given, the last saved version in the tree
  * is returned.
@@ -168,9 +243,9 @@ function requireJsFromDirsSync(hooks) {
   return result;
 }
 
-// filter password out request
+// filter passwords and encryption keys out request
 function debugReq(req) {
-  return keyFilter(req, ['password'], true);
+  return filterSecrets(req);
 }
 
 function connErrorHandler(conn, connId, err) {
@@ -342,17 +417,88 @@ function localDataConnHandler(conn, mt) {
     conn.end();
   });
 
-  // pipe data to local write stream
-  conn.pipe(bs).pipe(mt.createLocalWriteStream());
-
-  // pipe merges back
-  mt.startMerge().pipe(new Transform({
+  // merges and answers to conflict requests are sent back
+  var out = new Transform({
     writableObjectMode: true,
     readableObjectMode: false,
     transform: function(obj, enc, cb) {
       cb(null, BSON.serialize(obj));
     }
-  })).pipe(conn);
+  });
+  out.pipe(conn);
+
+  // pipe data to local write stream, answer conflict requests
+  conn.pipe(bs).pipe(new Transform({
+    objectMode: true,
+    transform: function(obj, enc, cb) {
+      if (obj.conflicts == null && obj.conflict == null && obj.resolve == null) {
+        cb(null, obj);
+        return;
+      }
+      handleConflictRequest(obj, mt, function(reply) {
+        out.write(reply);
+        cb();
+      });
+    }
+  })).pipe(mt.createLocalWriteStream());
+
+  // pipe merges back
+  mt.startMerge().pipe(out);
+}
+
+/**
+ * Answer a request to list, get or resolve stored merge conflicts, see the
+ * local data channel.
+ *
+ * @param {Object} req  conflict request
+ * @param {MergeTree} mt  merge tree
+ * @param {Function} cb  called with the reply
+ */
+function handleConflictRequest(req, mt, cb) {
+  function resolve(resolution) {
+    try {
+      mt.resolveConflict(req.resolve, resolution, function(err, merge) {
+        if (err) { reply()(err); return; }
+        log.notice('conflict %d resolved %j', req.resolve, merge.h);
+        cb({ resolved: req.resolve, n: merge });
+      });
+    } catch (err) {
+      reply()(err);
+    }
+  }
+
+  function reply(key) {
+    return function(err, result) {
+      if (err) {
+        log.err('conflict request %s %j', err, req);
+        cb({ error: err.message });
+        return;
+      }
+      var obj = {};
+      obj[key] = result;
+      cb(obj);
+    };
+  }
+
+  try {
+    if (req.conflicts != null) {
+      mt.getConflicts(reply('conflicts'));
+    } else if (req.conflict != null) {
+      mt.getConflict(req.conflict, reply('conflict'));
+    } else if (req.head != null) {
+      if (req.head !== 'local' && req.head !== 'remote') { throw new TypeError('head must be "local" or "remote"'); }
+      mt.getConflict(req.resolve, function(err, conflict) {
+        if (err) { reply()(err); return; }
+        if (!conflict) { reply()(new Error('conflict not found')); return; }
+        var head = req.head === 'local' ? conflict.l : conflict.n;
+        resolve(head.h.d ? { d: true } : { b: head.b || {} });
+      });
+    } else {
+      resolve({ b: req.b, d: req.d });
+    }
+  } catch (err) {
+    reply()(err);
+  }
 }
 
 /**
@@ -438,6 +584,44 @@ function postChroot(cfg) {
     }
   }
 
+  // load resolvers of conflict resolution policies in place of hook names, name
+  // the policy after the hook
+  function replaceResolverNames(policies) {
+    var error;
+    if (policies && policies.length) {
+      policies.forEach(function(policy) {
+        if (policy && typeof policy.resolver === 'string') {
+          if (!cfg.loadedHooks[policy.resolver]) {
+            error = new Error('resolver requested that is not loaded');
+            log.err('loadHooks %s %s', error, policy.resolver);
+            throw error;
+          }
+          policy.name = policy.name || policy.resolver;
+          policy.resolver = cfg.loadedHooks[policy.resolver];
+        }
+      });
+    }
+  }
+
+  // load merge strategies in place of hook names, built-in strategies are kept
+  function replaceStrategyNames(strategies) {
+    var error;
+    var result = {};
+    Object.keys(strategies).forEach(function(path) {
+      var strategy = strategies[path];
+      if (typeof strategy === 'string' && !~mergeStrategies.STRATEGIES.indexOf(strategy)) {
+        if (!cfg.loadedHooks[strategy]) {
+          error = new Error('merge strategy requested that is not loaded');
+          log.err('loadHooks %s %s', error, strategy);
+          throw error;
+        }
+        strategy = cfg.loadedHooks[strategy];
+      }
+      result[path] = strategy;
+    });
+    return result;
+  }
+
   // replace hooks and hide keys with actual hook implementations
   Object.keys(persCfg.pers).forEach(function(name) {
     var pers = persCfg.pers[name];
@@ -464,6 +648,38 @@ function postChroot(cfg) {
   var mtOpts = cfg.mergeTree || {};
   mtOpts.perspectives = Object.keys(persCfg.pers);
   mtOpts.log = log;
+  mtOpts.perspectiveArrays = {};
+  mtOpts.perspectiveResolve = {};
+  mtOpts.perspectives.forEach(function(name) {
+    if (persCfg.pers[name].arrays) {
+      mtOpts.perspectiveArrays[name] = persCfg.pers[name].arrays;
+    }
+    if (persCfg.pers[name].resolve) {
+      replaceResolverNames(persCfg.pers[name].resolve);
+      mtOpts.perspectiveResolve[name] = persCfg.pers[name].resolve;
+    }
+  });
+  replaceResolverNames(mtOpts.resolve);
+  if (cfg.mergeStrategies) {
+    mtOpts.strategies = xtend(mtOpts.strategies, replaceStrategyNames(cfg.mergeStrategies));
+  }
+  if (cfg.schemas) {
+    mtOpts.schemas = cfg.schemas;
+  }
+  if (cfg.indexes) {
+    mtOpts.indexes = cfg.indexes;
+  }
+  if (cfg.compression) {
+    mtOpts.compression = cfg.compression;
+  }
+  if (cfg.deltaChain) {
+    mtOpts.deltaChain = cfg.deltaChain;
+  }
+  if (cfg.encryption) {
+    var enc = encryptionKeys(cfg.encryption.keys || {}, cfg.encryption.key);
+    mtOpts.keys = enc.keys;
+    mtOpts.keyId = enc.keyId;
+  }
 
   // set global, used in remoteDataConnHandler
   var mt = new MergeTree(db, mtOpts);
@@ -551,6 +767,37 @@ function postChroot(cfg) {
       }
       remoteDataConnHandler(conn, mt, pers, msg.receiveBeforeSend);
       break;
+    case 'backup':
+      if (!conn) {
+        log.err('handleIncomingMsg connection missing %j', msg);
+        return;
+      }
+
+      // stream an archive of the database, requested by "pdb backup"
+      log.info('backup requested');
+      backup(db).on('error', function(err) {
+        log.err('backup error: %s', err);
+        conn.destroy();
+      }).pipe(conn);
+      break;
+    case 'conflicts':
+      if (!conn) {
+        log.err('handleIncomingMsg connection missing %j', msg);
+        return;
+      }
+
+      if (msg.request == null || typeof msg.request !== 'object') {
+        error = new Error('invalid conflict request');
+        log.err('%s %j', error, msg);
+        conn.end(JSON.stringify({ error: error.message }) + '\n');
+        return;
+      }
+
+      // list, get or resolve stored conflicts, requested by "pdb conflicts"
+      handleConflictRequest(msg.request, mt, function(reply) {
+        conn.end(JSON.stringify(reply) + '\n');
+      });
+      break;
     case 'kill':
       // stop this process
       shutdown();
@@ -567,6 +814,94 @@ function postChroot(cfg) {
 
   // handle shutdown
   var shuttingDown = false;
+
+  // prune and expire must not run while values are reencrypted
+  var reencrypting = false;
+
+  // periodically remove old versions, default to once an hour
+  var pruneTimeout;
+  function schedulePrune() {
+    if (shuttingDown) { return; }
+
+    pruneTimeout = setTimeout(function() {
+      if (reencrypting) {
+        log.info('prune skipped, reencrypting');
+        schedulePrune();
+        return;
+      }
+      mt.prune(cfg.prune, function(err, pruned) {
+        if (err) {
+          log.err('prune error: %s', err);
+        } else {
+          log.info('pruned %d versions', pruned);
+        }
+        schedulePrune();
+      });
+    }, cfg.prune.interval || 60 * 60 * 1000);
+  }
+
+  if (cfg.prune) {
+    schedulePrune();
+  }
+
+  // periodically expire ids, default to once an hour
+  var expireTimeout;
+  function scheduleExpire() {
+    if (shuttingDown) { return; }
+
+    expireTimeout = setTimeout(function() {
+      if (reencrypting) {
+        log.info('expire skipped, reencrypting');
+        scheduleExpire();
+        return;
+      }
+      mt.expire(cfg.expire, function(err, expired) {
+        if (err) {
+          log.err('expire error: %s', err);
+        } else {
+          log.info('expired %d ids', expired);
+        }
+        scheduleExpire();
+      });
+    }, cfg.expire.interval || 60 * 60 * 1000);
+  }
+
+  if (cfg.expire) {
+    scheduleExpire();
+  }
+
+  // periodically write a backup, default to once a day, and keep the last ones
+  var backupTimeout;
+  function scheduleBackup() {
+    if (shuttingDown) { return; }
+
+    backupTimeout = setTimeout(function() {
+      var file = BACKUP_DIR + '/' + new Date().toISOString() + '.pdbb';
+
+      backup.save(backup(db), file, function(err) {
+        if (err) {
+          log.err('backup error: %s', err);
+          scheduleBackup();
+          return;
+        }
+        log.info('backup written to %s', file);
+
+        backup.clean(BACKUP_DIR, cfg.backup.keep || 7, function(err, removed) {
+          if (err) {
+            log.err('backup clean error: %s', err);
+          } else if (removed.length) {
+            log.info('removed %d old backups', removed.length);
+          }
+          scheduleBackup();
+        });
+      });
+    }, cfg.backup.interval || 24 * 60 * 60 * 1000);
+  }
+
+  if (cfg.backup) {
+    scheduleBackup();
+  }
+
   function shutdown() {
     if (shuttingDown) {
       log.info('shutdown already in progress');
@@ -578,6 +913,10 @@ function postChroot(cfg) {
     // stop handling incoming messages
     process.removeListener('message', handleIncomingMsg);
 
+    clearTimeout(pruneTimeout);
+    clearTimeout(expireTimeout);
+    clearTimeout(backupTimeout);
+
     async.each(Object.keys(connections), function(connId, cb) {
       log.info('closing %s', connId);
       var conn = connections[connId];
@@ -621,8 +960,55 @@ function postChroot(cfg) {
     });
   });
 
-  // send a "listen" signal
-  process.send('listen');
+  // upgrade, check the sizes, build or remove secondary indexes before accepting requests
+  async.series([
+    function(cb) {
+      mt.upgrade(function(err, run) {
+        if (err) {
+          log.err('upgrade error: %s', err);
+          process.exit(14);
+        }
+        if (run) {
+          log.notice('upgraded, %d migrations run', run);
+        }
+        cb();
+      });
+    },
+    function(cb) {
+      mt.ensureSizes(function(err) {
+        if (err) {
+          log.err('ensureSizes error: %s, see "pdb migrate"', err);
+          process.exit(13);
+        }
+        cb();
+      });
+    },
+    function(cb) {
+      mt.ensureIndexes(function(err) {
+        if (err) {
+          log.err('ensureIndexes error: %s', err);
+          process.exit(12);
+        }
+        cb();
+      });
+    }
+  ], function() {
+    // send a "listen" signal
+    process.send('listen');
+
+    // make sure all values are encrypted with the current key
+    if (cfg.encryption) {
+      reencrypting = true;
+      mt.reencrypt(function(err, written) {
+        reencrypting = false;
+        if (err) {
+          log.err('reencrypt error: %s', err);
+        } else {
+          log.info('reencrypted %d values', written);
+        }
+      });
+    }
+  });
 }
 
 if (typeof process.send !== 'function') {
@@ -644,6 +1030,16 @@ process.send('init');
  *   [debug]:        {Boolean}     // defaults to false
  *   [perspectives]: {Array}       // array of other perspectives
  *   [mergeTree]:    {Object}      // any MergeTree options
+ *   [prune]:        {Object}      // MergeTree.prune options and interval
+ *   [expire]:       {Object}      // MergeTree.expire options and interval
+ *   [backup]:       {Object}      // backup interval and number to keep
+ *   [storage]:      {String}      // storage backend, defaults to "leveldown"
+ *   [indexes]:      {Array}       // secondary indexes, i.e. [{ field: 'customerId' }]
+ *   [compression]:  {String}      // compress stored versions, only "deflate"
+ *   [deltaChain]:   {Number}      // store versions as deltas, see Tree
+ *   [encryption]:   {Object}      // { keys: { id: base64 key }, [key]: id }
+ *   [mergeStrategies]: {Object}   // merge strategy by field path, see MergeTree
+ *   [schemas]:      {Array}       // schemas of bodies by id prefix, see MergeTree
  * }
  */
 process.once('message', function(msg) {
@@ -658,6 +1054,16 @@ process.once('message', function(msg) {
   if (msg.debug != null && typeof msg.debug !== 'boolean') { throw new TypeError('msg.debug must be a string'); }
   if (msg.perspectives != null && !Array.isArray(msg.perspectives)) { throw new TypeError('msg.perspectives must be an array'); }
   if (msg.mergeTree != null && typeof msg.mergeTree !== 'object') { throw new TypeError('msg.mergeTree must be an object'); }
+  if (msg.prune != null && typeof msg.prune !== 'object') { throw new TypeError('msg.prune must be an object'); }
+  if (msg.expire != null && typeof msg.expire !== 'object') { throw new TypeError('msg.expire must be an object'); }
+  if (msg.backup != null && typeof msg.backup !== 'object') { throw new TypeError('msg.backup must be an object'); }
+  if (msg.storage != null && typeof msg.storage !== 'string') { throw new TypeError('msg.storage must be a string'); }
+  if (msg.indexes != null && !Array.isArray(msg.indexes)) { throw new TypeError('msg.indexes must be an array'); }
+  if (msg.compression != null && typeof msg.compression !== 'string') { throw new TypeError('msg.compression must be a string'); }
+  if (msg.deltaChain != null && typeof msg.deltaChain !== 'number') { throw new TypeError('msg.deltaChain must be a number'); }
+  if (msg.encryption != null && typeof msg.encryption !== 'object') { throw new TypeError('msg.encryption must be an object'); }
+  if (msg.mergeStrategies != null && typeof msg.mergeStrategies !== 'object') { throw new TypeError('msg.mergeStrategies must be an object'); }
+  if (msg.schemas != null && !Array.isArray(msg.schemas)) { throw new TypeError('msg.schemas must be an array'); }
 
   programName = 'dbe ' + msg.name;
 
@@ -670,6 +1076,9 @@ process.once('message', function(msg) {
 
   var dbroot = msg.chroot || ('/var/pdb/' + msg.name);
 
+  // load the storage backend before chrooting
+  var level = levelBackend(msg.storage);
+
   msg.log.ident = programName;
 
   // open log
@@ -728,6 +1137,25 @@ process.once('message', function(msg) {
       });
     }
 
+    // ensure backup directory exists if backups are enabled
+    function ensureBackupDir(cb) {
+      if (!msg.backup) { cb(); return; }
+
+      mkdirp(dbroot + BACKUP_DIR, '700', function(err) {
+        if (err) {
+          log.err('cannot make backup dir %s', err);
+          process.exit(10);
+        }
+        fs.chown(dbroot + BACKUP_DIR, uid, gid, function(err) {
+          if (err) {
+            log.err('setting backup dir ownership failed %s', err);
+            process.exit(11);
+          }
+          cb();
+        });
+      });
+    }
+
     // ensure chroot exists
     mkdirp(dbroot, '755', function(err) {
       if (err) {
@@ -755,8 +1183,10 @@ process.once('message', function(msg) {
                 process.exit(6);
               }
 
-              doChroot();
-              openDbAndProceed();
+              ensureBackupDir(function() {
+                doChroot();
+                openDbAndProceed();
+              });
             });
           });
         } else {
@@ -764,8 +1194,10 @@ process.once('message', function(msg) {
             log.err('path exists but is not a directory %j %j', stats, debugReq(msg));
             process.exit(7);
           }
-          doChroot();
-          openDbAndProceed();
+          ensureBackupDir(function() {
+            doChroot();
+            openDbAndProceed();
+          });
         }
       });
     });
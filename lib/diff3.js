@@ -0,0 +1,211 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var isEqual = require('./is_equal');
+
+// maximum size of the table of a longest common subsequence, o.length * a.length
+var MAX_CELLS = 1000000;
+
+/**
+ * Do a three-way merge of two sequences that share a common ancestor, like diff3.
+ *
+ * Elements of o are matched with elements of a and b by determining the longest
+ * common subsequence. Regions between elements that are matched in all three
+ * sequences are merged as a whole. If a region is changed in only one of a or b,
+ * or in both in the same way, the change is taken. If a region is changed in both
+ * a and b in a different way, the sequences conflict.
+ *
+ * Note: the longest common subsequence is determined in O(n * m) time and space.
+ * If o and a or o and b are too long for that (more than a million elements
+ * multiplied), the sequences are merged as one region, so they conflict unless
+ * only one of a or b is changed or both are changed in the same way.
+ *
+ * @param {Array} o  common ancestor
+ * @param {Array} a  sequence a, derived from o
+ * @param {Array} b  sequence b, derived from o
+ * @param {Function} [eq]  compare two elements, defaults to a deep equal
+ * @return {Array|null} merged sequence or null if a and b conflict
+ */
+function diff3(o, a, b, eq) {
+  var result = [];
+  var conflict = hunks(o, a, b, eq).some(function(hunk) {
+    if (hunk.conflict) {
+      return true;
+    }
+    Array.prototype.push.apply(result, hunk.ok);
+    return false;
+  });
+
+  if (conflict) {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Split a three-way merge of two sequences into hunks, see diff3. A hunk is either
+ * merged, { ok: [elements] }, or a region that is changed in both a and b in a
+ * different way, { conflict: { o: [elements], a: [elements], b: [elements] } }.
+ *
+ * @param {Array} o  common ancestor
+ * @param {Array} a  sequence a, derived from o
+ * @param {Array} b  sequence b, derived from o
+ * @param {Function} [eq]  compare two elements, defaults to a deep equal
+ * @return {Array} hunks in order, consecutive merged hunks are joined
+ */
+function hunks(o, a, b, eq) {
+  if (!Array.isArray(o)) { throw new TypeError('o must be an array'); }
+  if (!Array.isArray(a)) { throw new TypeError('a must be an array'); }
+  if (!Array.isArray(b)) { throw new TypeError('b must be an array'); }
+  if (eq != null && typeof eq !== 'function') { throw new TypeError('eq must be a function'); }
+
+  eq = eq || isEqual;
+
+  var result = [];
+  var io = 0, ia = 0, ib = 0;
+
+  function pushOk(elements) {
+    if (!elements.length) {
+      return;
+    }
+    var last = result[result.length - 1];
+    if (last && last.ok) {
+      Array.prototype.push.apply(last.ok, elements);
+    } else {
+      result.push({ ok: elements.slice() });
+    }
+  }
+
+  // merge a region between stable elements
+  function mergeRegion(oc, ac, bc) {
+    if (sameSequence(ac, oc, eq)) {
+      pushOk(bc);
+    } else if (sameSequence(bc, oc, eq) || sameSequence(ac, bc, eq)) {
+      pushOk(ac);
+    } else {
+      result.push({ conflict: { o: oc, a: ac, b: bc } });
+    }
+  }
+
+  if (o.length * a.length > MAX_CELLS || o.length * b.length > MAX_CELLS) {
+    mergeRegion(o, a, b);
+    return result;
+  }
+
+  var matchA = lcsMatches(o, a, eq);
+  var matchB = lcsMatches(o, b, eq);
+
+  while (io < o.length) {
+    // find the next element of o that is matched in both a and b
+    var j = io;
+    while (j < o.length && (matchA[j] === -1 || matchB[j] === -1)) {
+      j++;
+    }
+
+    if (j === o.length) {
+      break;
+    }
+
+    if (j === io && matchA[j] === ia && matchB[j] === ib) {
+      // stable
+      pushOk([a[ia]]);
+      io++;
+      ia++;
+      ib++;
+      continue;
+    }
+
+    mergeRegion(o.slice(io, j), a.slice(ia, matchA[j]), b.slice(ib, matchB[j]));
+    io = j;
+    ia = matchA[j];
+    ib = matchB[j];
+  }
+
+  // merge the remaining region
+  mergeRegion(o.slice(io), a.slice(ia), b.slice(ib));
+
+  return result;
+}
+
+module.exports = diff3;
+module.exports.hunks = hunks;
+
+/**
+ * Determine a longest common subsequence of x and y.
+ *
+ * @param {Array} x
+ * @param {Array} y
+ * @param {Function} eq  compare two elements
+ * @return {Array} for each element of x the index of the matched element in y or
+ *                 -1 if not matched
+ */
+function lcsMatches(x, y, eq) {
+  var i, j;
+
+  // lengths of the longest common subsequence of x[i..] and y[j..]
+  var lengths = [];
+  for (i = x.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (j = y.length; j >= 0; j--) {
+      if (i === x.length || j === y.length) {
+        lengths[i][j] = 0;
+      } else if (eq(x[i], y[j])) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  var matches = [];
+  i = 0;
+  j = 0;
+  while (i < x.length) {
+    if (j < y.length && eq(x[i], y[j])) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (j < y.length && lengths[i][j + 1] > lengths[i + 1][j]) {
+      j++;
+    } else {
+      matches[i] = -1;
+      i++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Whether two sequences have equal elements.
+ *
+ * @param {Array} x
+ * @param {Array} y
+ * @param {Function} eq  compare two elements
+ * @return {Boolean}
+ */
+function sameSequence(x, y, eq) {
+  if (x.length !== y.length) {
+    return false;
+  }
+  return x.every(function(el, i) {
+    return eq(el, y[i]);
+  });
+}
@@ -0,0 +1,55 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Convert the loaded encryption secrets of a db to the keys and keyId options of
+ * a Tree. The secrets file maps key ids to base64 encoded keys of 32 bytes, i.e.:
+ *
+ * {
+ *   1: 'HQmT2h0fR3x6qv8k2m9n3o0p1q2r3s4t5u6v7w8x9y0='
+ *   2: 'Zm9vYmFyYmF6cXV4Zm9vYmFyYmF6cXV4Zm9vYmFyYmE='
+ * }
+ *
+ * Keep old keys in the file until all values are reencrypted with the new key.
+ *
+ * @param {Object} secrets  base64 encoded keys by id
+ * @param {Number} [keyId]  id of the key to encrypt new values with, if not set
+ *                          values are stored unencrypted
+ * @return {Object} { keys: Object, keyId: Number }
+ */
+function encryptionKeys(secrets, keyId) {
+  if (secrets == null || typeof secrets !== 'object') { throw new TypeError('secrets must be an object'); }
+  if (keyId != null && typeof keyId !== 'number') { throw new TypeError('keyId must be a number'); }
+
+  var keys = {};
+  Object.keys(secrets).forEach(function(id) {
+    if (!/^[0-9]+$/.test(id)) { throw new Error('invalid key id: ' + id); }
+    if (typeof secrets[id] !== 'string') { throw new TypeError('key ' + id + ' must be a base64 string'); }
+
+    keys[id] = new Buffer(secrets[id], 'base64');
+    if (keys[id].length !== 32) { throw new Error('key ' + id + ' must be 32 bytes'); }
+  });
+
+  if (keyId != null && !keys[keyId]) { throw new Error('key ' + keyId + ' not found'); }
+
+  return { keys: keys, keyId: keyId };
+}
+
+module.exports = encryptionKeys;
@@ -21,13 +21,13 @@
 var keyFilter = require('object-key-filter');
 
 /**
- * Filter secrets like passwords out of an object, recursively.
+ * Filter secrets like passwords and encryption keys out of an object, recursively.
  *
  * @param {Object} obj  object containing secrets
  * @return {Object} return a new filtered object
  */
 function filterSecrets(obj) {
-  return keyFilter(obj, ['passdb', 'password', 'secrets', 'wssKey', 'wssDhparam'], true);
+  return keyFilter(obj, ['keys', 'passdb', 'password', 'secrets', 'wssKey', 'wssDhparam'], true);
 }
 
 module.exports = filterSecrets;
@@ -34,6 +34,8 @@ var invalidId = require('./invalid_id');
  *     [i]:  {Number}  local monotonically increasing increment
  *     [d]:  {Boolean}  true if this id is deleted
  *     [c]:  {Boolean}  true if this item could not be merged with another item
+ *     [tx]: {String}  id of the transaction this version is saved in
+ *     [r]:  {String}  name of the policy that resolved the conflict of this merge
  *
  * @param {Object} h  header to check
  * @return {String} empty string if nothing is wrong or a problem description
@@ -86,8 +88,22 @@ function invalidHeader(h) {
     expectedKeys++;
   }
 
+  if (h.tx != null) {
+    if (typeof h.tx !== 'string') {
+      return 'h.tx must be a string';
+    }
+    expectedKeys++;
+  }
+
+  if (h.r != null) {
+    if (typeof h.r !== 'string') {
+      return 'h.r must be a string';
+    }
+    expectedKeys++;
+  }
+
   if (Object.keys(h).length !== expectedKeys) {
-    return 'h should only optionally contain "pe", "i", "d" and "c" keys';
+    return 'h should only optionally contain "pe", "i", "d", "c", "tx" and "r" keys';
   }
 
   return '';
@@ -0,0 +1,56 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var levelPackager = require('level-packager');
+
+// supported storage backends, each an abstract-leveldown implementation
+var backends = {
+  leveldown: 'leveldown',  // LevelDB on disk
+  memdown: 'memdown',      // in-memory, data is lost when the process exits
+  rocksdb: 'rocksdb'       // RocksDB on disk, optional dependency
+};
+
+// cache level constructors per backend
+var levels = {};
+
+/**
+ * Get a level constructor that uses the given storage backend. The constructor has
+ * the same signature as the one returned by level-packager.
+ *
+ * Backends are only loaded when requested, so optional backends that are not
+ * installed don't have to be available.
+ *
+ * @param {String} [name]  name of the backend, defaults to "leveldown"
+ * @return {Function} level constructor
+ */
+function levelBackend(name) {
+  if (name == null) { name = 'leveldown'; }
+  if (typeof name !== 'string') { throw new TypeError('name must be a string'); }
+  if (!backends.hasOwnProperty(name)) { throw new Error('unknown storage backend: ' + name); }
+
+  if (!levels[name]) {
+    levels[name] = levelPackager(require(backends[name]));
+  }
+
+  return levels[name];
+}
+
+module.exports = levelBackend;
+module.exports.backends = Object.keys(backends);
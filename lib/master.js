@@ -23,6 +23,7 @@
 // node
 var EE = require('events').EventEmitter;
 var fs = require('fs');
+var net = require('net');
 var url = require('url');
 var util = require('util');
 var spawn = require('child_process').spawn;
@@ -31,6 +32,7 @@ var spawn = require('child_process').spawn;
 var async = require('async');
 var chroot = require('chroot');
 var User = require('array-bcrypt-user');
+var LDJSONStream = require('ld-jsonstream');
 var posix = require('posix');
 var xtend = require('xtend');
 
@@ -65,6 +67,8 @@ var noop = require('./noop');
  *     [host]:     {String}        websocket: host, defaults to 127.0.0.1
  *     [port]:     {Number}        websocket: port, defaults to 3344
  *   port:         {Number}        tcp port for local tcp server, defaults to 2344
+ *   control:      {String}        path of the control socket, defaults to
+ *                                 dbroot + "/pdb.sock"
  *   configBase:   {String}        base path of the main config file
  *   chroot:       {String}        defaults to /var/empty
  *   user:         {String}        defaults to "_pdbnull"
@@ -92,6 +96,7 @@ function Master(dbs, opts) {
   if (opts.wss.port != null && typeof opts.wss.port !== 'number') { throw new TypeError('opts.wss.port must be a number'); }
 
   if (opts.port != null && typeof opts.port !== 'number') { throw new TypeError('opts.port must be a number'); }
+  if (opts.control != null && typeof opts.control !== 'string') { throw new TypeError('opts.control must be a string'); }
   if (opts.configBase != null && typeof opts.configBase !== 'string') { throw new TypeError('opts.configBase must be a string'); }
   if (opts.chroot != null && typeof opts.chroot !== 'string') { throw new TypeError('opts.chroot must be a string'); }
   if (opts.user != null && typeof opts.user !== 'string') { throw new TypeError('opts.user must be a string'); }
@@ -145,6 +150,9 @@ function Master(dbs, opts) {
   // db exec instances
   this._dbe = {};
 
+  // control socket server
+  this._control = null;
+
   // index configs by db name
   this._dbsCfg = {};
 
@@ -196,9 +204,12 @@ Master.prototype.start = function start(cb) {
           if (err) { cb(err); return; }
           that.initClients(function(err) {
             if (err) { cb(err); return; }
-            that.listen(function(err) {
+            that.listenControl(function(err) {
               if (err) { cb(err); return; }
-              // TODO: init auth requests after listen, see sendPR
+              that.listen(function(err) {
+                if (err) { cb(err); return; }
+                // TODO: init auth requests after listen, see sendPR
+              });
             });
           });
         });
@@ -354,6 +365,23 @@ Master.prototype.initDbs = function initDbs(cb) {
       return;
     }
 
+    // load the encryption keys, only the child needs them
+    if (dbCfgSecret.encryption && dbCfgSecret.encryption.secrets) {
+      // prepend the config base to a relative path specification
+      let file = dbCfgSecret.encryption.secrets;
+      if (file[0] !== '/') {
+        file = that._opts.configBase + file;
+      }
+      try {
+        dbCfg.encryption.keys = loadSecrets(file);
+        that._log.debug('master initDbs %s loaded %s', name, file);
+      } catch(err) {
+        that._log.err('master initDbs %s loading %s %s', name, file, err);
+        cb2(err);
+        return;
+      }
+    }
+
     var localDataChannelSent = false;
     that._startDb(dbCfg, function(err, db) {
       if (err) { cb2(err); return; }
@@ -839,6 +867,99 @@ Master.prototype.listen = function listen(cb) {
   });
 };
 
+/**
+ * Listen on a unix socket for requests of local tools. Must be called before
+ * listen, since listen chroots this process. Only root can connect.
+ *
+ * A request is one line of JSON. Supported requests:
+ * {
+ *   backup:         {String}      // name of the db, the connection is passed to
+ *                                 // the db which writes an archive to it
+ * }
+ * {
+ *   conflicts:      {String}      // name of the db, the connection is passed to
+ *   request:        {Object}      // the db which answers the conflict request
+ * }                               // with one line of JSON, see lib/db_exec
+ *
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Master.prototype.listenControl = function listenControl(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+
+  var path = this._opts.control || this._opts.dbroot + '/pdb.sock';
+
+  function handleConn(conn) {
+    // a conflict resolution contains a body
+    var ls = new LDJSONStream({ flush: false, maxDocs: 1, maxBytes: 1024 * 1024 });
+
+    ls.on('error', function(err) {
+      that._log.err('master listenControl %s', err);
+      conn.destroy();
+    });
+
+    conn.on('error', function(err) {
+      that._log.err('master listenControl connection error %s', err);
+    });
+
+    conn.pipe(ls).once('readable', function() {
+      var req = ls.read();
+      if (req == null) { return; }
+
+      conn.unpipe(ls);
+
+      if (req.conflicts != null) {
+        that._log.info('master listenControl conflict request %j', req.conflicts);
+
+        if (typeof req.conflicts !== 'string' || !that._dbe[req.conflicts]) {
+          that._log.err('master listenControl unknown db %j', req.conflicts);
+          conn.destroy();
+          return;
+        }
+        if (req.request == null || typeof req.request !== 'object') {
+          that._log.err('master listenControl invalid conflict request');
+          conn.destroy();
+          return;
+        }
+
+        that._dbe[req.conflicts].send({ type: 'conflicts', request: req.request }, conn);
+        return;
+      }
+
+      that._log.info('master listenControl request %j', req);
+
+      if (typeof req.backup !== 'string' || !that._dbe[req.backup]) {
+        that._log.err('master listenControl unknown db %j', req);
+        conn.destroy();
+        return;
+      }
+
+      that._dbe[req.backup].send({ type: 'backup' }, conn);
+    });
+  }
+
+  // remove a socket of a previous run
+  fs.unlink(path, function(err) {
+    if (err && err.code !== 'ENOENT') { cb(err); return; }
+
+    var server = net.createServer(handleConn);
+    server.once('error', cb);
+    server.listen(path, function() {
+      server.removeListener('error', cb);
+      server.on('error', function(err) {
+        that._log.err('master listenControl %s', err);
+      });
+      fs.chmod(path, 0o600, function(err) {
+        if (err) { cb(err); return; }
+        that._log.info('master listenControl %s', path);
+        that._control = server;
+        cb();
+      });
+    });
+  });
+};
+
 /**
  * Stop pre-auth server, db instances (not catching SIGTERM) and running adapters.
  *
@@ -860,6 +981,12 @@ Master.prototype.stopTerm = function stopTerm(cb) {
 
   var tasks = [];
 
+  // stop accepting requests of local tools
+  if (this._control) {
+    this._control.close();
+    this._control = null;
+  }
+
   this._log.info('master stopTerm clients %d', this._clients.length);
 
   this._clients.forEach(function(client, i) {
@@ -1357,6 +1484,16 @@ Master.prototype._startClient = function _startClient(cfg, cb) {
  *   [group]:        {String}      // defaults to "pdblevel"
  *   [perspectives]: {Array}       // array of other perspectives
  *   [mergeTree]:    {Object}      // any MergeTree options
+ *   [prune]:        {Object}      // MergeTree.prune options and interval
+ *   [expire]:       {Object}      // MergeTree.expire options and interval
+ *   [backup]:       {Object}      // backup interval
+ *   [storage]:      {String}      // storage backend, defaults to "leveldown"
+ *   [indexes]:      {Array}       // secondary indexes, i.e. [{ field: 'customerId' }]
+ *   [compression]:  {String}      // compress stored versions, only "deflate"
+ *   [deltaChain]:   {Number}      // store versions as deltas, see Tree
+ *   [encryption]:   {Object}      // encryption keys by id and id of current key
+ *   [mergeStrategies]: {Object}   // merge strategy by field path, see MergeTree
+ *   [schemas]:      {Array}       // schemas of bodies by id prefix, see MergeTree
  * }
  */
 Master.prototype._startDb = function _startDb(cfg, cb) {
@@ -1374,6 +1511,16 @@ Master.prototype._startDb = function _startDb(cfg, cb) {
   if (cfg.group != null && typeof cfg.group !== 'string') { throw new TypeError('cfg.group must be a string'); }
   if (cfg.perspectives != null && !Array.isArray(cfg.perspectives)) { throw new TypeError('cfg.perspectives must be an array'); }
   if (cfg.mergeTree != null && typeof cfg.mergeTree !== 'object') { throw new TypeError('cfg.mergeTree must be an object'); }
+  if (cfg.prune != null && typeof cfg.prune !== 'object') { throw new TypeError('cfg.prune must be an object'); }
+  if (cfg.expire != null && typeof cfg.expire !== 'object') { throw new TypeError('cfg.expire must be an object'); }
+  if (cfg.backup != null && typeof cfg.backup !== 'object') { throw new TypeError('cfg.backup must be an object'); }
+  if (cfg.storage != null && typeof cfg.storage !== 'string') { throw new TypeError('cfg.storage must be a string'); }
+  if (cfg.indexes != null && !Array.isArray(cfg.indexes)) { throw new TypeError('cfg.indexes must be an array'); }
+  if (cfg.compression != null && typeof cfg.compression !== 'string') { throw new TypeError('cfg.compression must be a string'); }
+  if (cfg.deltaChain != null && typeof cfg.deltaChain !== 'number') { throw new TypeError('cfg.deltaChain must be a number'); }
+  if (cfg.encryption != null && typeof cfg.encryption !== 'object') { throw new TypeError('cfg.encryption must be an object'); }
+  if (cfg.mergeStrategies != null && typeof cfg.mergeStrategies !== 'object') { throw new TypeError('cfg.mergeStrategies must be an object'); }
+  if (cfg.schemas != null && !Array.isArray(cfg.schemas)) { throw new TypeError('cfg.schemas must be an array'); }
 
   cfg = xtend({
     chroot: this._opts.dbroot + '/' + cfg.name,
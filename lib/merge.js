@@ -21,25 +21,33 @@
 'use strict';
 
 var async = require('async');
+var xtend = require('xtend');
 
 var findLCAs = require('./find_lcas');
 var threeWayMerge = require('./three_way_merge');
 
 var noop = require('./noop');
 
+// maximum number of times the conflicts of two lca's are reset, see _mergeBase
+var MAX_BASE_RETRIES = 10;
+
 /**
  * MergeConflict, prototypally inherits from the Error constructor
  *
- * Optionally set a "conflict" property that lists all conflicting attributes.
+ * Optionally set a "conflict" property that lists all conflicting attributes and a
+ * "hunks" property with the hunks of conflicting text fields by path.
  *
  * @param {Array} [conflict]  list of conflicting attributes
+ * @param {Object} [hunks]  hunks of conflicting text fields, see threeWayMerge
  */
-function MergeConflict(conflict) {
+function MergeConflict(conflict, hunks) {
   if (conflict != null && !Array.isArray(conflict)) { throw new TypeError('conflict must be an array if specifed'); }
+  if (hunks != null && typeof hunks !== 'object') { throw new TypeError('hunks must be an object if specifed'); }
 
   this.name = 'MergeConflict';
   this.message = 'merge conflict';
   this.conflict = conflict || [];
+  this.hunks = hunks || {};
   this.stack = (new Error()).stack;
 }
 MergeConflict.prototype = Object.create(Error.prototype);
@@ -56,12 +64,13 @@ MergeConflict.prototype.constructor = MergeConflict;
  * @param {Object} itemY  item to merge with itemX
  * @param {Object} lcaX  lca from the tree of itemX
  * @param {Object} lcaY  lca from the tree of itemY (possibly the same as the tree of itemX)
+ * @param {Object} [opts]  options for threeWayMerge, except that resolve returns "x" or "y"
  * @return {Array} array with two items. item 1 is merge based on lcaX, item 2 is merge based on lcaY
  * @throws lca version mismatch
  * @throws Error if lca versions mismatch
  * @throws MergeConflict if there is a conflict
  */
-function _doMerge(itemX, itemY, lcaX, lcaY) {
+function _doMerge(itemX, itemY, lcaX, lcaY, opts) {
   if (itemX == null || typeof itemX !== 'object' || Array.isArray(itemX)) { throw new TypeError('itemX must be an object'); }
   if (itemY == null || typeof itemY !== 'object' || Array.isArray(itemY)) { throw new TypeError('itemY must be an object'); }
   if (lcaX == null || typeof lcaX !== 'object' || Array.isArray(lcaX)) { throw new TypeError('lcaX must be an object'); }
@@ -74,6 +83,21 @@ function _doMerge(itemX, itemY, lcaX, lcaY) {
 
   var lcaVersion = lcaX.h.v;
 
+  // order merged arrays by the version with the lowest version number, so that both merges are equal
+  var xFirst = (itemX.h.v || '') <= (itemY.h.v || '');
+  var optsX = xtend(opts, { aFirst: xFirst });
+  var optsY = xtend(opts, { aFirst: !xFirst });
+
+  // resolve returns "x" or "y", map it to itemA or itemB of threeWayMerge
+  if (opts && opts.resolve) {
+    optsX.resolve = function(path) {
+      return { x: 'a', y: 'b' }[opts.resolve(path)];
+    };
+    optsY.resolve = function(path) {
+      return { x: 'b', y: 'a' }[opts.resolve(path)];
+    };
+  }
+
   // if versions are equal, return original items
   if (itemX.h.v === itemY.h.v) {
     return [itemX, itemY];
@@ -101,10 +125,11 @@ function _doMerge(itemX, itemY, lcaX, lcaY) {
   // if lca version is set and equals one item, fast-forward to the other item and create a merged fast-forward for the missing perspective
   if (lcaVersion != null && lcaVersion === itemX.h.v) {
     // ff to itemY and recreate itemY from the other perspective
-    mergeX = threeWayMerge(itemX.b || {}, itemY.b || {}, lcaX.b || {}, lcaY.b || {});
+    mergeX = threeWayMerge(itemX.b || {}, itemY.b || {}, lcaX.b || {}, lcaY.b || {}, optsX);
 
+    // copy the conflicting attributes without the hunks of text fields
     if (Array.isArray(mergeX)) {
-      throw new MergeConflict(mergeX);
+      throw new MergeConflict(mergeX.slice(), mergeX.hunks);
     }
 
     // copy version
@@ -123,10 +148,10 @@ function _doMerge(itemX, itemY, lcaX, lcaY) {
 
   if (lcaVersion != null && lcaVersion === itemY.h.v) {
     // ff to itemX and recreate itemX from the other perspective
-    mergeY = threeWayMerge(itemY.b || {}, itemX.b || {}, lcaY.b || {}, lcaX.b || {});
+    mergeY = threeWayMerge(itemY.b || {}, itemX.b || {}, lcaY.b || {}, lcaX.b || {}, optsY);
 
     if (Array.isArray(mergeY)) {
-      throw new MergeConflict(mergeY);
+      throw new MergeConflict(mergeY.slice(), mergeY.hunks);
     }
 
     // copy version
@@ -162,24 +187,86 @@ function _doMerge(itemX, itemY, lcaX, lcaY) {
     Array.prototype.push.apply(headerY.pa, itemY.h.pa);
   }
 
-  mergeX = threeWayMerge(itemX.b || {}, itemY.b || {}, lcaX.b, lcaY.b);
+  mergeX = threeWayMerge(itemX.b || {}, itemY.b || {}, lcaX.b, lcaY.b, optsX);
   if (Array.isArray(mergeX)) {
-    throw new MergeConflict(mergeX);
+    throw new MergeConflict(mergeX.slice(), mergeX.hunks);
   }
 
-  mergeY = threeWayMerge(itemY.b || {}, itemX.b || {}, lcaY.b, lcaX.b);
+  mergeY = threeWayMerge(itemY.b || {}, itemX.b || {}, lcaY.b, lcaX.b, optsY);
   if (Array.isArray(mergeY)) {
-    throw new MergeConflict(mergeY);
+    throw new MergeConflict(mergeY.slice(), mergeY.hunks);
   }
 
   return [{ h: headerX, b: mergeX }, { h: headerY, b: mergeY }];
 }
 
+/**
+ * Merge two lca's into a virtual merge base. Attributes that conflict are reset
+ * to their value in the lca of both lca's, so that both versions that are merged
+ * against the virtual merge base are compared with the last value they share.
+ *
+ * @param {Object} itemX  lca to merge with itemY
+ * @param {Object} itemY  lca to merge with itemX
+ * @param {Object} lcaX  lca of itemX and itemY from the tree of itemX
+ * @param {Object} lcaY  lca of itemX and itemY from the tree of itemY
+ * @param {Object} [opts]  options for threeWayMerge
+ * @return {Array} array with two items, see _doMerge
+ * @throws Error if lca versions mismatch
+ */
+function _mergeBase(itemX, itemY, lcaX, lcaY, opts) {
+  opts = opts || {};
+
+  // reset the conflicting attributes of an item to the value of the lca
+  function reset(item, lca, conflict) {
+    var body = xtend(item.b);
+    conflict.forEach(function(path) {
+      // conflicts in nested objects are reported as dotted paths
+      var keys = opts.deep ? threeWayMerge.splitPath(path) : [path];
+      var last = keys.pop();
+
+      var obj = body;
+      var src = lca.b;
+      keys.forEach(function(key) {
+        obj = obj[key] = xtend(obj[key]);
+        src = src && src[key];
+      });
+
+      if (src && typeof src === 'object' && src.hasOwnProperty(last)) {
+        obj[last] = src[last];
+      } else {
+        delete obj[last];
+      }
+    });
+    return { h: item.h, b: body };
+  }
+
+  // conflicts of mergeX and mergeY might differ if perspectives differ, retry until all are reset
+  var resetPaths = {};
+  for (var i = 0; ; i++) {
+    try {
+      return _doMerge(itemX, itemY, lcaX, lcaY, opts);
+    } catch(err) {
+      if (err.name !== 'MergeConflict') { throw err; }
+
+      // report the conflict if a path that is reset before conflicts again, resetting it makes no progress
+      var again = err.conflict.some(function(path) { return resetPaths.hasOwnProperty(path); });
+      if (again || i >= MAX_BASE_RETRIES) { throw err; }
+
+      err.conflict.forEach(function(path) { resetPaths[path] = true; });
+      itemX = reset(itemX, lcaX, err.conflict);
+      itemY = reset(itemY, lcaY, err.conflict);
+    }
+  }
+}
+
 /**
  * Merge two versions using a recursive three-way merge strategy.
  * 1. find the lowest common ancestor(s) for x and y
- * 2. if there is more than one lca, until there is one left
- * 3. do a three-way-merge of the two versions with the one lca
+ * 2. if there is more than one lca, merge them recursively into one virtual
+ *    merge base, see _mergeBase
+ * 3. do a three-way-merge of the two versions with the one (virtual) lca
+ *
+ * Conflicts are reported against the virtual merge base.
  *
  * If a merged item has a h.v and h.i property, it's a fast-forward to an item
  * that is already in the tree. If the item has only a h.v but no h.i, it's a
@@ -190,13 +277,25 @@ function _doMerge(itemX, itemY, lcaX, lcaY) {
  * @param {stream.Readable} sY  readable stream that emits vertices from leaf to root
  * @param {Object} [opts]  object containing configurable parameters
  * @param {Function} cb  first parameter will be an error object or null, second
- *                       parameter will be mergeX, third item will be mergeY.
+ *                       parameter will be mergeX, third item will be mergeY, fourth
+ *                       the versions of the lcas and fifth the (virtual) lca from
+ *                       the perspective of sX. The lcas and the lca are also passed
+ *                       on a merge conflict.
  *
  * opts:
  *   fnv {Function}  function that extracts a vertice identifier and it's
  *                   parents from a vertex in the format: { v: ..., pa: [...] }
  *   rootX {Object}  root object for sX, instead of the first emitted object of sX
  *   rootY {Object}  root object for sY, instead of the first emitted object of sY
+ *   base {Boolean, default false}  whether x and y are lca's that are merged into
+ *       a virtual merge base, see _mergeBase
+ *   deep {Boolean, default false}  merge nested objects, see threeWayMerge
+ *   arrays {Object}  merge strategies of arrays by path, see threeWayMerge
+ *   types {Object}  CRDT types of fields by path, see threeWayMerge
+ *   strategies {Object}  merge strategies of fields by path, see threeWayMerge
+ *   resolve {Function}  called with the (dotted) path of each conflict, return
+ *       "x" or "y" to take the value of the item of sX or sY, or nothing to keep
+ *       the conflict. Not used for the virtual merge base.
  *   log {Object, default console}  log object that contains debug2, debug, info,
  *       notice, warning, err, crit and emerg functions. Uses console.log and
  *       console.error by default.
@@ -214,6 +313,11 @@ function merge(sX, sY, opts, cb) {
   if (opts == null) { opts = {}; }
   if (typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
   if (opts.log != null && typeof opts.log !== 'object') { throw new TypeError('opts.log must be an object'); }
+  if (opts.deep != null && typeof opts.deep !== 'boolean') { throw new TypeError('opts.deep must be a boolean'); }
+  if (opts.arrays != null && typeof opts.arrays !== 'object') { throw new TypeError('opts.arrays must be an object'); }
+  if (opts.types != null && typeof opts.types !== 'object') { throw new TypeError('opts.types must be an object'); }
+  if (opts.strategies != null && typeof opts.strategies !== 'object') { throw new TypeError('opts.strategies must be an object'); }
+  if (opts.resolve != null && typeof opts.resolve !== 'function') { throw new TypeError('opts.resolve must be a function'); }
 
   var log = opts.log || { emerg: noop, alert: noop, crit: noop, err: noop, warning: noop, notice: noop, info: noop, debug: noop, debug2: noop, getFileStream: noop, getErrorStream: noop, close: noop };
 
@@ -271,7 +375,12 @@ function merge(sX, sY, opts, cb) {
               pa: lcaY.h.pa
             },
             b: lcaY.b
-          }
+          },
+          base: true,
+          deep: opts.deep,
+          arrays: opts.arrays,
+          types: opts.types,
+          strategies: opts.strategies
         };
         merge(sX.reopen(), sY.reopen(), findLcaOpts2, function(err, mergeX, mergeY) {
           if (err) { cb2(err); return; }
@@ -290,18 +399,23 @@ function merge(sX, sY, opts, cb) {
       var merged;
       try {
         log.debug('_doMerge itemX: %j, itemY: %j, lcaX: %j, lcaY: %j', itemX, itemY, prevLcaX, prevLcaY);
-        merged = _doMerge(itemX, itemY, prevLcaX, prevLcaY);
+        if (opts.base) {
+          merged = _mergeBase(itemX, itemY, prevLcaX, prevLcaY, { deep: opts.deep, arrays: opts.arrays, types: opts.types, strategies: opts.strategies });
+        } else {
+          merged = _doMerge(itemX, itemY, prevLcaX, prevLcaY, { deep: opts.deep, arrays: opts.arrays, types: opts.types, strategies: opts.strategies, resolve: opts.resolve });
+        }
         log.debug('merge result x: %j, y: %j', merged[0], merged[1]);
       } catch(err) {
         log.err('merge error: %s', err);
-        cb(err, null, null, lcas);
+        cb(err, null, null, lcas, prevLcaX);
         return;
       }
-      cb(null, merged[0], merged[1], lcas);
+      cb(null, merged[0], merged[1], lcas, prevLcaX);
     });
   });
 }
 
 merge._doMerge = _doMerge;
+merge._mergeBase = _mergeBase;
 
 module.exports = merge;
@@ -0,0 +1,111 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var diff3 = require('./diff3');
+var isEqual = require('./is_equal');
+
+/**
+ * Strategies to merge an array that is changed in two versions.
+ *
+ *   union     set-union: elements of the lca that are kept in both versions and
+ *             the elements that are added in either version, each only once,
+ *             in the order of the version with the lowest version number
+ *   append    both versions only appended to the array of the lca, the
+ *             appended elements of the version with the lowest version number
+ *             are appended first
+ *   sequence  three-way merge of the elements, see diff3
+ */
+var STRATEGIES = ['union', 'append', 'sequence'];
+
+/**
+ * Merge two arrays that share a common ancestor.
+ *
+ * @param {String} strategy  one of "union", "append" or "sequence"
+ * @param {Array} a  array of version a
+ * @param {Array} b  array of version b
+ * @param {Array} lcaA  array of the lca of version a
+ * @param {Array} lcaB  array of the lca of version b
+ * @param {Boolean} [aFirst]  whether the elements of a come before those of b,
+ *                            defaults to true
+ * @return {Array|null} merged array or null if the arrays conflict
+ */
+function mergeArrays(strategy, a, b, lcaA, lcaB, aFirst) {
+  if (!~STRATEGIES.indexOf(strategy)) { throw new TypeError('strategy must be one of ' + STRATEGIES.join(', ')); }
+  if (!Array.isArray(a)) { throw new TypeError('a must be an array'); }
+  if (!Array.isArray(b)) { throw new TypeError('b must be an array'); }
+  if (!Array.isArray(lcaA)) { throw new TypeError('lcaA must be an array'); }
+  if (!Array.isArray(lcaB)) { throw new TypeError('lcaB must be an array'); }
+
+  switch (strategy) {
+  case 'union':
+    if (aFirst === false) {
+      return union(b, a, lcaB, lcaA);
+    }
+    return union(a, b, lcaA, lcaB);
+  case 'append':
+    return append(a, b, lcaA, lcaB, aFirst !== false);
+  case 'sequence':
+    // lcaA is leading, like in threeWayMerge
+    return diff3(lcaA, a, b);
+  }
+}
+
+module.exports = mergeArrays;
+module.exports.STRATEGIES = STRATEGIES;
+
+function contains(arr, el) {
+  return arr.some(function(item) {
+    return isEqual(item, el);
+  });
+}
+
+function union(a, b, lcaA, lcaB) {
+  // keep the order of a, remove elements that are removed by b
+  var result = a.filter(function(el) {
+    return !contains(lcaB, el) || contains(b, el);
+  });
+
+  // add the new elements of b
+  b.forEach(function(el) {
+    if (!contains(lcaB, el) && !contains(result, el)) {
+      result.push(el);
+    }
+  });
+
+  return result;
+}
+
+function append(a, b, lcaA, lcaB, aFirst) {
+  var prefixA = a.slice(0, lcaA.length);
+  var prefixB = b.slice(0, lcaB.length);
+
+  // the existing elements must be unchanged
+  if (!isEqual(prefixA, lcaA) || !isEqual(prefixB, lcaB)) {
+    return null;
+  }
+
+  var appendedA = a.slice(lcaA.length);
+  var appendedB = b.slice(lcaB.length);
+
+  if (aFirst) {
+    return prefixA.concat(appendedA, appendedB);
+  }
+  return prefixA.concat(appendedB, appendedA);
+}
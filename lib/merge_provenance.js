@@ -0,0 +1,154 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var attachmentRefs = require('./attachment_refs');
+var isEqual = require('./is_equal');
+var threeWayMerge = require('./three_way_merge');
+
+/**
+ * Determine where each key of the body of a merge came from, by comparing it with
+ * the bodies of the remote head, the local head and the (virtual) lca. The source
+ * of a key is one of:
+ *
+ *   lca       unchanged on both sides
+ *   remote    changed by the remote, i.e. a change or a delete
+ *   local     changed locally
+ *   both      changed on both sides in the same way
+ *   strategy  changed on both sides and merged by a CRDT type, an array or field
+ *             merge strategy, or composed by a conflict resolver
+ *
+ * Keys that are not in the merge are only included if they're removed by either
+ * side.
+ *
+ * @param {Object} merged  body of the merge
+ * @param {Object} remote  body of the remote head
+ * @param {Object} local  body of the local head
+ * @param {Object} lca  body of the lca
+ * @param {Object} [opts]  object containing configurable parameters
+ * @return {Object} { keys: { key: source }, strategies: { key: name } }
+ *
+ * opts:
+ *   deep {Boolean, default false}  report the keys of nested objects that are
+ *       merged per key as dotted paths, keys are escaped, see threeWayMerge
+ *   strategy {Function}  called with the (dotted) path of each key with source
+ *       "strategy", should return the name of the strategy that merged it, if any
+ */
+function provenance(merged, remote, local, lca, opts) {
+  opts = opts || {};
+
+  var result = { keys: {}, strategies: {} };
+
+  function walk(m, r, l, o, prefix) {
+    var keys = {};
+    [m, r, l, o].forEach(function(obj) {
+      Object.keys(obj).forEach(function(key) {
+        keys[key] = true;
+      });
+    });
+
+    Object.keys(keys).sort().forEach(function(key) {
+      var path = prefix + (opts.deep ? threeWayMerge.escapeKey(key) : key);
+      var vm = m[key], vr = r[key], vl = l[key], vo = o[key];
+
+      if (isEqual(vm, vo)) {
+        if (!isEqual(vr, vo) || !isEqual(vl, vo)) {
+          // a change of one side is undone, i.e. by a resolver
+          result.keys[path] = 'strategy';
+        } else if (m.hasOwnProperty(key)) {
+          result.keys[path] = 'lca';
+        }
+      } else if (isEqual(vm, vr) && isEqual(vm, vl)) {
+        result.keys[path] = 'both';
+      } else if (isEqual(vm, vr)) {
+        result.keys[path] = 'remote';
+      } else if (isEqual(vm, vl)) {
+        result.keys[path] = 'local';
+      } else if (opts.deep && isPlainObject(vm) && isPlainObject(vr) && isPlainObject(vl)) {
+        walk(vm, vr, vl, isPlainObject(vo) ? vo : {}, path + '.');
+        return;
+      } else {
+        result.keys[path] = 'strategy';
+      }
+
+      if (result.keys[path] === 'strategy' && opts.strategy) {
+        var name = opts.strategy(path);
+        if (name) {
+          result.strategies[path] = name;
+        }
+      }
+    });
+  }
+
+  walk(merged || {}, remote || {}, local || {}, lca || {}, '');
+  return result;
+}
+
+/**
+ * Render the explanation of a merge as lines of text.
+ *
+ * @param {Object} explanation  explanation, see MergeTree.explain
+ * @return {Array} lines of text
+ */
+function render(explanation) {
+  var lines = [];
+  var h = explanation.h;
+
+  lines.push('version ' + h.v + ' of ' + JSON.stringify(h.id) + (h.d ? ' (deleted)' : ''));
+  lines.push('parents: ' + (h.pa.length ? h.pa.join(', ') : 'none'));
+
+  if (!explanation.keys) {
+    lines.push('not an automatic merge');
+    return lines;
+  }
+
+  if (explanation.pe) {
+    lines.push('remote: ' + explanation.pe);
+  }
+  lines.push('lcas: ' + (explanation.lcas.length ? explanation.lcas.join(', ') : 'none'));
+  if (h.r) {
+    lines.push('conflict resolved by: ' + h.r);
+  }
+
+  var paths = Object.keys(explanation.keys);
+  var width = paths.reduce(function(max, path) {
+    return Math.max(max, path.length);
+  }, 0);
+
+  paths.forEach(function(path) {
+    var line = '  ' + path + new Array(width - path.length + 3).join(' ') + explanation.keys[path];
+    if (explanation.strategies[path]) {
+      line += ' (' + explanation.strategies[path] + ')';
+    }
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+module.exports = provenance;
+module.exports.render = render;
+
+// whether obj is an object that is merged per key if deep, see threeWayMerge
+function isPlainObject(obj) {
+  if (obj == null || typeof obj !== 'object') {
+    return false;
+  }
+  return !Array.isArray(obj) && !Buffer.isBuffer(obj) && !(obj instanceof Date) && !obj._bsontype && !attachmentRefs.isRef(obj);
+}
@@ -0,0 +1,212 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var diff3 = require('./diff3');
+var isEqual = require('./is_equal');
+
+/**
+ * Strategies to merge a field that is changed in both versions, consulted before
+ * the field is declared a conflict.
+ *
+ *   max       a number, string or date, the highest value wins
+ *   min       a number, string or date, the lowest value wins
+ *   priority  the value that comes first in order wins, values that are not in
+ *             order are a conflict, i.e. { strategy: "priority", order: ["closed",
+ *             "open", "new"] }
+ *   manual    never merged automatically, always a conflict that is not resolved
+ *             by conflict resolution policies
+ *   lines     a string, three-way merge of the lines of both versions against the
+ *             lca, a conflict if both versions changed the same lines, see diff3
+ *   words     a string, like lines but per word
+ *
+ * A strategy is declared as a string, an object with a strategy and an order, or a
+ * function. A function is called with the value of the version with the lowest
+ * version number, the value of the other version and the value in the lca
+ * (undefined if not in the lca) and should return the merged value or undefined
+ * if the values conflict.
+ */
+var STRATEGIES = ['max', 'min', 'priority', 'manual', 'lines', 'words'];
+
+// split a string in lines, including the line ending, or in words and whitespace
+var TOKENS = {
+  lines: /[^\n]*\n|[^\n]+/g,
+  words: /\s+|\S+/g
+};
+
+/**
+ * Check if decl is a valid merge strategy declaration.
+ *
+ * @param {String|Object|Function} decl  strategy declaration
+ * @return {String} empty string if nothing is wrong or a problem description
+ */
+function invalidStrategy(decl) {
+  if (typeof decl === 'function') {
+    return '';
+  }
+
+  if (typeof decl === 'object' && decl !== null && !Array.isArray(decl)) {
+    if (decl.order != null) {
+      if (!Array.isArray(decl.order)) {
+        return 'order must be an array';
+      }
+      if (decl.strategy !== 'priority') {
+        return 'order is only supported by priority';
+      }
+    } else if (decl.strategy === 'priority') {
+      return 'priority requires an order';
+    }
+    decl = decl.strategy;
+  } else if (decl === 'priority') {
+    return 'priority requires an order';
+  }
+
+  if (!~STRATEGIES.indexOf(decl)) {
+    return 'strategy must be a function or one of ' + STRATEGIES.join(', ');
+  }
+
+  return '';
+}
+
+/**
+ * Whether decl is the manual strategy.
+ *
+ * @param {String|Object|Function} decl  valid strategy declaration
+ * @return {Boolean}
+ */
+function isManual(decl) {
+  return decl === 'manual' || (typeof decl === 'object' && decl.strategy === 'manual');
+}
+
+/**
+ * Merge two values of a field with a declared strategy.
+ *
+ * @param {String|Object|Function} decl  valid strategy declaration
+ * @param {mixed} a  value of version a
+ * @param {mixed} b  value of version b
+ * @param {mixed} lca  value in the lca, undefined if not in the lca
+ * @param {Boolean} [aFirst]  whether version a has the lowest version number,
+ *                            defaults to true
+ * @return {mixed} merged value or undefined if the values conflict
+ */
+function mergeField(decl, a, b, lca, aFirst) {
+  if (typeof decl === 'function') {
+    return aFirst === false ? decl(b, a, lca) : decl(a, b, lca);
+  }
+
+  var strategy = typeof decl === 'string' ? decl : decl.strategy;
+
+  switch (strategy) {
+  case 'max':
+  case 'min':
+    if (!comparable(a, b)) {
+      return;
+    }
+    if (isEqual(a, b)) {
+      return a;
+    }
+    return (a > b) === (strategy === 'max') ? a : b;
+  case 'priority':
+    var posA = indexOf(decl.order, a);
+    var posB = indexOf(decl.order, b);
+    if (posA === -1 || posB === -1) {
+      return;
+    }
+    return posA <= posB ? a : b;
+  case 'lines':
+  case 'words':
+    var hunks = textHunks(strategy, a, b, lca);
+    if (!hunks || hunks.some(function(hunk) { return hunk.conflict; })) {
+      return;
+    }
+    return hunks.map(function(hunk) { return hunk.ok; }).join('');
+  }
+}
+
+/**
+ * Determine the hunks of a text merge of two values of a field, see diff3.hunks.
+ * The elements of each hunk are joined into strings, i.e. { ok: 'line\n' } and
+ * { conflict: { o: 'lca\n', a: 'a\n', b: 'b\n' } }.
+ *
+ * @param {String|Object|Function} decl  valid strategy declaration
+ * @param {mixed} a  value of version a
+ * @param {mixed} b  value of version b
+ * @param {mixed} lca  value in the lca, undefined if not in the lca
+ * @return {Array|null} hunks or null if decl is not "lines" or "words" or the
+ *                      values are not strings
+ */
+function conflictHunks(decl, a, b, lca) {
+  var strategy = typeof decl === 'object' ? decl.strategy : decl;
+  if (strategy !== 'lines' && strategy !== 'words') {
+    return null;
+  }
+  return textHunks(strategy, a, b, lca);
+}
+
+module.exports.STRATEGIES = STRATEGIES;
+module.exports.invalidStrategy = invalidStrategy;
+module.exports.isManual = isManual;
+module.exports.mergeField = mergeField;
+module.exports.conflictHunks = conflictHunks;
+
+// three-way merge of strings per line or word, a missing lca is an empty string
+function textHunks(strategy, a, b, lca) {
+  if (lca === undefined) {
+    lca = '';
+  }
+  if (typeof a !== 'string' || typeof b !== 'string' || typeof lca !== 'string') {
+    return null;
+  }
+
+  function split(str) {
+    return str.match(TOKENS[strategy]) || [];
+  }
+
+  function eq(x, y) {
+    return x === y;
+  }
+
+  return diff3.hunks(split(lca), split(a), split(b), eq).map(function(hunk) {
+    if (hunk.ok) {
+      return { ok: hunk.ok.join('') };
+    }
+    return { conflict: { o: hunk.conflict.o.join(''), a: hunk.conflict.a.join(''), b: hunk.conflict.b.join('') } };
+  });
+}
+
+// whether a and b are both numbers, strings or dates
+function comparable(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return true;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return true;
+  }
+  return a instanceof Date && b instanceof Date;
+}
+
+// position of val in arr, compared by value
+function indexOf(arr, val) {
+  for (var i = 0; i < arr.length; i++) {
+    if (isEqual(arr[i], val)) {
+      return i;
+    }
+  }
+  return -1;
+}
@@ -29,12 +29,22 @@ var match = require('match-object');
 var xtend = require('xtend');
 
 var ConcatReadStream = require('./concat_read_stream');
+var attachmentRefs = require('./attachment_refs');
+var bodySchemas = require('./body_schemas');
+var conflictPolicies = require('./conflict_policies');
+var crdt = require('./crdt');
 var merge = require('./merge');
+var mergeArrays = require('./merge_arrays');
+var mergeProvenance = require('./merge_provenance');
+var mergeStrategies = require('./merge_strategies');
 var noop = require('./noop');
+var invalidItem = require('./invalid_item');
 var invalidLocalHeader = require('./invalid_local_header');
+var isEqual = require('./is_equal');
 var runHooks = require('./run_hooks');
 var streamify = require('./streamify');
 var Tree = require('./tree');
+var upgradeTree = require('./upgrade');
 
 var Transform = stream.Transform;
 var Writable = stream.Writable;
@@ -63,6 +73,9 @@ if (process.browser) {
  *                                     254 bytes
  *   stage {String, default "_stage"}  name of the staging tree, should not
  *                                     exceed 254 bytes
+ *   quarantine {String, default "_quarantine"}  name of the tree with remote
+ *                                     versions that failed validation, should
+ *                                     not exceed 254 bytes
  *   perspectives {Array}  Names of different sources that should be merged to
  *                         the local tree. A name should not exceed 254 bytes.
  *   vSize {Number, default 6}  number of bytes used for the version. Should be:
@@ -72,6 +85,40 @@ if (process.browser) {
  *   transform {Function}  transformation function to run on each item
  *                         signature: function(item, cb) cb should be called
  *                         with an error or a (possibly transformed) item
+ *   indexes {Array}  secondary indexes on fields of the body of the local and
+ *                    perspective trees, i.e. [{ field: 'customerId' }]. See
+ *                    Tree.
+ *   compression {String}  compress values of the local and perspective trees,
+ *                         see Tree.
+ *   deltaChain {Number, default 0}  store bodies in the local and perspective
+ *                                   trees as deltas, see Tree.
+ *   keys {Object}  encryption keys by id, used by all trees, see Tree.
+ *   keyId {Number}  id of the key in keys to encrypt new values with, see Tree.
+ *   deepMerge {Boolean, default false}  merge nested objects in bodies instead of
+ *       treating them as one value. Conflicts in nested objects are reported as
+ *       dotted paths, i.e. "address.zip".
+ *   arrays {Object}  merge strategy of arrays that are changed both locally and
+ *       by a remote, by dotted path, i.e. { tags: 'union', lines: 'sequence' }.
+ *       Strategies are "union", "append" and "sequence", see merge_arrays.
+ *   perspectiveArrays {Object}  array merge strategies by perspective name, used
+ *       instead of the strategies in arrays for the same paths.
+ *   types {Object}  CRDT types of fields in bodies by dotted path, i.e.
+ *       { stock: 'counter', tags: 'orset' }. Changes of both sides are merged
+ *       without conflicts, see crdt.
+ *   strategies {Object}  merge strategies of fields in bodies by dotted path, i.e.
+ *       { updatedAt: 'max', notes: 'manual' }, used before a field that is changed
+ *       on both sides is declared a conflict, see merge_strategies.
+ *   resolve {Array}  policies to automatically resolve merge conflicts with, the
+ *       first policy that resolves a conflict is used and its name is recorded in
+ *       h.r of the merge, see conflict_policies. Unresolved conflicts are emitted
+ *       by startMerge.
+ *   perspectiveResolve {Object}  conflict resolution policies by perspective name,
+ *       tried before the policies in resolve.
+ *   schemas {Array}  schemas of bodies by id prefix, the first rule of which the
+ *       prefix matches the id is used, i.e. [{ prefix: 'customers\x01', schema:
+ *       { type: 'object', required: ['name'] } }]. A rule without a prefix matches
+ *       every id. New local versions with an invalid body are rejected, remote
+ *       versions are quarantined, see body_schemas and createRemoteWriteStream.
  *   log {Object, default console}  log object that contains debug2, debug, info,
  *       notice, warning, err, crit and emerg functions. Uses console.log and
  *       console.error by default.
@@ -89,23 +136,97 @@ function MergeTree(db, opts) {
   if (opts.vSize != null && typeof opts.vSize !== 'number') { throw new TypeError('opts.vSize must be a number'); }
   if (opts.iSize != null && typeof opts.iSize !== 'number') { throw new TypeError('opts.iSize must be a number'); }
   if (opts.transform != null && typeof opts.transform !== 'function') { throw new TypeError('opts.transform must be a function'); }
+  if (opts.indexes != null && !Array.isArray(opts.indexes)) { throw new TypeError('opts.indexes must be an array'); }
+  if (opts.compression != null && typeof opts.compression !== 'string') { throw new TypeError('opts.compression must be a string'); }
+  if (opts.deltaChain != null && typeof opts.deltaChain !== 'number') { throw new TypeError('opts.deltaChain must be a number'); }
+  if (opts.keys != null && typeof opts.keys !== 'object') { throw new TypeError('opts.keys must be an object'); }
+  if (opts.keyId != null && typeof opts.keyId !== 'number') { throw new TypeError('opts.keyId must be a number'); }
+  if (opts.deepMerge != null && typeof opts.deepMerge !== 'boolean') { throw new TypeError('opts.deepMerge must be a boolean'); }
+  if (opts.arrays != null && typeof opts.arrays !== 'object') { throw new TypeError('opts.arrays must be an object'); }
+  if (opts.perspectiveArrays != null && typeof opts.perspectiveArrays !== 'object') { throw new TypeError('opts.perspectiveArrays must be an object'); }
+  if (opts.types != null && typeof opts.types !== 'object') { throw new TypeError('opts.types must be an object'); }
+  if (opts.strategies != null && typeof opts.strategies !== 'object') { throw new TypeError('opts.strategies must be an object'); }
+  if (opts.resolve != null && !Array.isArray(opts.resolve)) { throw new TypeError('opts.resolve must be an array'); }
+  if (opts.perspectiveResolve != null && typeof opts.perspectiveResolve !== 'object') { throw new TypeError('opts.perspectiveResolve must be an object'); }
+  if (opts.quarantine != null && typeof opts.quarantine !== 'string') { throw new TypeError('opts.quarantine must be a string'); }
+  if (opts.schemas != null && !Array.isArray(opts.schemas)) { throw new TypeError('opts.schemas must be an array'); }
 
   opts.objectMode = true;
 
   this.localName = opts.local || '_local';
   this._stageName = opts.stage || '_stage';
+  this._quarantineName = opts.quarantine || '_quarantine';
   this._perspectives = opts.perspectives || [];
   this._transform = opts.transform || function(item, cb) { cb(null, item); };
 
   if (Buffer.byteLength(this.localName) > 254) { throw new Error('opts.local must not exceed 254 bytes'); }
   if (Buffer.byteLength(this._stageName) > 254) { throw new Error('opts.stage must not exceed 254 bytes'); }
+  if (Buffer.byteLength(this._quarantineName) > 254) { throw new Error('opts.quarantine must not exceed 254 bytes'); }
 
   if (this.localName === this._stageName) { throw new Error('local and stage names can not be the same'); }
+  if (this._quarantineName === this.localName || this._quarantineName === this._stageName) {
+    throw new Error('quarantine name must differ from the local and stage names');
+  }
 
   var that = this;
 
   this._vSize = opts.vSize || 6;
   this._iSize = opts.iSize || 6;
+  this._deepMerge = !!opts.deepMerge;
+
+  // array merge strategies per perspective
+  this._arrays = {};
+  var perspectiveArrays = opts.perspectiveArrays || {};
+
+  [opts.arrays || {}].concat(Object.keys(perspectiveArrays).map(function(perspective) {
+    return perspectiveArrays[perspective];
+  })).forEach(function(arrays) {
+    Object.keys(arrays).forEach(function(path) {
+      if (!~mergeArrays.STRATEGIES.indexOf(arrays[path])) {
+        throw new Error('unknown array merge strategy for ' + path + ': ' + arrays[path]);
+      }
+    });
+  });
+
+  Object.keys(opts.types || {}).forEach(function(path) {
+    var error = crdt.invalidType(opts.types[path]);
+    if (error) {
+      throw new Error('invalid type of ' + path + ': ' + error);
+    }
+  });
+  this._types = opts.types || {};
+
+  Object.keys(opts.strategies || {}).forEach(function(path) {
+    var error = mergeStrategies.invalidStrategy(opts.strategies[path]);
+    if (error) {
+      throw new Error('invalid merge strategy of ' + path + ': ' + error);
+    }
+  });
+  this._strategies = opts.strategies || {};
+
+  if (opts.schemas) {
+    var schemaError = bodySchemas.invalidRules(opts.schemas);
+    if (schemaError) {
+      throw new Error('invalid schema: ' + schemaError);
+    }
+  }
+  this._schemas = opts.schemas || [];
+
+  // conflict resolution policies per perspective
+  this._resolve = {};
+  var perspectiveResolve = opts.perspectiveResolve || {};
+
+  [opts.resolve || []].concat(Object.keys(perspectiveResolve).map(function(perspective) {
+    return perspectiveResolve[perspective];
+  })).forEach(function(policies) {
+    if (!Array.isArray(policies)) { throw new TypeError('conflict resolution policies must be an array'); }
+    policies.forEach(function(policy) {
+      var error = conflictPolicies.invalidPolicy(policy);
+      if (error) {
+        throw new Error('invalid conflict resolution policy: ' + error);
+      }
+    });
+  });
 
   if (this._vSize < 0 || this._vSize > 6) { throw new Error('opts.vSize must be between 0 and 6'); }
   if (this._iSize < 0 || this._iSize > 6) { throw new Error('opts.iSize must be between 0 and 6'); }
@@ -129,23 +250,42 @@ function MergeTree(db, opts) {
 
   // create trees
   this._pe = {};
-  this._tmpPe = {}; // used for temporarily saving merges (while async confirm is awaited)
+  this._tmpPe = {}; // used for temporarily saving merges (while async confirm is awaited), journaled in the stage
+  this._localWrites = async.queue(function(fn, cb) { fn(cb); }, 1); // see _localWrite
+  this._replaying = null; // callbacks waiting for the journal to be replayed, see startMerge
 
   this._treeOpts = {
     vSize: this._vSize,
     iSize: this._iSize,
+    indexes: opts.indexes,
+    compression: opts.compression,
+    deltaChain: opts.deltaChain,
+    keys: opts.keys,
+    keyId: opts.keyId,
     log: this._log
   };
 
   this._perspectives.forEach(function(perspective) {
     that._pe[perspective] = new Tree(that._db, perspective, that._treeOpts);
     that._tmpPe[perspective] = [];
+    that._arrays[perspective] = xtend(opts.arrays, perspectiveArrays[perspective]);
+    that._resolve[perspective] = (perspectiveResolve[perspective] || []).concat(opts.resolve || []);
   });
 
   this._local = new Tree(db, this.localName, this._treeOpts);
   this._stage = new Tree(db, this._stageName, {
     vSize: this._vSize,
     iSize: this._iSize,
+    keys: opts.keys,
+    keyId: opts.keyId,
+    log: this._log,
+    skipValidation: true
+  });
+  this._quarantine = new Tree(db, this._quarantineName, {
+    vSize: this._vSize,
+    iSize: this._iSize,
+    keys: opts.keys,
+    keyId: opts.keyId,
     log: this._log,
     skipValidation: true
   });
@@ -164,10 +304,13 @@ MergeTree.prototype.addPerspective = function addPerspective(perspective) {
   if (Buffer.byteLength(perspective) > 254) { throw new Error('each perspective name must not exceed 254 bytes'); }
   if (perspective === this.localName) { throw new Error('every perspective should have a name that differs from the local name'); }
   if (perspective === this._stageName) { throw new Error('every perspective should have a name that differs from the stage name'); }
+  if (perspective === this._quarantineName) { throw new Error('every perspective should have a name that differs from the quarantine name'); }
   if (this._pe[perspective]) { throw new Error('perspective already exists'); }
 
   this._pe[perspective] = new Tree(this._db, perspective, this._treeOpts);
   this._tmpPe[perspective] = [];
+  this._arrays[perspective] = xtend(this._opts.arrays, (this._opts.perspectiveArrays || {})[perspective]);
+  this._resolve[perspective] = ((this._opts.perspectiveResolve || {})[perspective] || []).concat(this._opts.resolve || []);
 
   // start merging
   var that = this;
@@ -206,6 +349,263 @@ MergeTree.prototype.getByVersion = function getByVersion(version, opts, cb) {
   return this._local.getByVersion(version, opts, cb);
 };
 
+/**
+ * Store an attachment. Attachments of all perspectives are stored next to the
+ * local tree. Store the returned reference in the body of a version to attach it,
+ * see attachment_refs.
+ *
+ * @param {Buffer} data  data of the attachment
+ * @param {String} [type]  content type of the attachment
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the attachment reference.
+ */
+MergeTree.prototype.putAttachment = function putAttachment(data, type, cb) {
+  if (typeof type === 'function') {
+    cb = type;
+    type = null;
+  }
+  if (!Buffer.isBuffer(data)) { throw new TypeError('data must be a buffer'); }
+  if (type != null && typeof type !== 'string') { throw new TypeError('type must be a string'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  this._local.putAttachment(data, function(err, digest) {
+    if (err) { cb(err); return; }
+    cb(null, attachmentRefs.createRef(digest, data.length, type));
+  });
+};
+
+/**
+ * Get an attachment.
+ *
+ * @param {Object|String} ref  attachment reference or hex encoded sha256 digest
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the data or null if not found.
+ */
+MergeTree.prototype.getAttachment = function getAttachment(ref, cb) {
+  if (attachmentRefs.isRef(ref)) {
+    ref = ref[attachmentRefs.KEY];
+  }
+  this._local.getAttachment(ref, cb);
+};
+
+/**
+ * Determine which attachments are not stored.
+ *
+ * Proxy Tree.missingAttachments
+ *
+ * @param {Array} digests  hex encoded sha256 digests
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an array with the digests that are not
+ *                       stored.
+ */
+MergeTree.prototype.missingAttachments = function missingAttachments(digests, cb) {
+  this._local.missingAttachments(digests, cb);
+};
+
+/**
+ * Explain how a version in the local tree is composed. Automatic merges record
+ * the source of each key of the body in their meta info, see merge_provenance.
+ * Since the sources are relative to this side, they're not exported to remotes.
+ *
+ * @param {Number|base64 String} version  valid lbeint or base64 int
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the explanation or null if the version
+ *                       is not found:
+ * {
+ *   h: {}          // header of the version, h.r is the conflict resolution
+ *                  // policy that resolved a conflict, if any
+ *   pe: ''         // name of the perspective that was merged, the "remote"
+ *   lcas: []       // versions of the lcas of the merge
+ *   keys: {}       // source of each key by (dotted) path: "lca", "remote",
+ *                  // "local", "both" or "strategy"
+ *   strategies: {} // name of the strategy of keys with source "strategy"
+ * }
+ *
+ * pe, lcas, keys and strategies are null if the version is not an automatic
+ * merge.
+ */
+MergeTree.prototype.explain = function explain(version, cb) {
+  if (typeof version !== 'number' && typeof version !== 'string') { throw new TypeError('version must be a number or a base64 string'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  this._local.getByVersion(version, function(err, item) {
+    if (err) { cb(err); return; }
+    if (!item) { cb(null, null); return; }
+
+    var origin = item.m && item.m.provenance;
+    cb(null, {
+      h: item.h,
+      pe: origin ? origin.pe || null : null,
+      lcas: origin ? origin.lcas : null,
+      keys: origin ? origin.keys : null,
+      strategies: origin ? origin.strategies : null
+    });
+  });
+};
+
+/**
+ * Get all merge conflicts that are not resolved yet, in order of id.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an array with conflicts, see startMerge.
+ */
+MergeTree.prototype.getConflicts = function getConflicts(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var conflicts = [];
+  this._local.createConflictReadStream().on('data', function(conflict) {
+    conflicts.push(conflict);
+  }).on('error', cb).on('end', function() {
+    cb(null, conflicts);
+  });
+};
+
+/**
+ * Get a merge conflict that is not resolved yet.
+ *
+ * Proxy Tree.getConflict
+ *
+ * @param {Number} id  id of the conflict
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the conflict or null if not found.
+ */
+MergeTree.prototype.getConflict = function getConflict(id, cb) {
+  this._local.getConflict(id, cb);
+};
+
+/**
+ * Resolve a stored merge conflict. Save a merge of the local head and the remote
+ * head of the conflict with the given body, or a delete. The remote versions up
+ * to the remote head are copied to the local tree along with the merge, in one
+ * atomic operation. The local head must not have changed since the conflict.
+ * The resolution is written in turn with the local write stream.
+ *
+ * @param {Number} id  id of the conflict
+ * @param {Object} resolution  either { b: body } or { d: true }
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the new merge.
+ */
+MergeTree.prototype.resolveConflict = function resolveConflict(id, resolution, cb) {
+  if (typeof id !== 'number') { throw new TypeError('id must be a number'); }
+  if (resolution == null || typeof resolution !== 'object') { throw new TypeError('resolution must be an object'); }
+  if (resolution.b != null && typeof resolution.b !== 'object') { throw new TypeError('resolution.b must be an object'); }
+  if (resolution.d != null && typeof resolution.d !== 'boolean') { throw new TypeError('resolution.d must be a boolean'); }
+  if (!resolution.b === !resolution.d) { throw new TypeError('resolution must contain either b or d'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+  var local = this._local;
+  var error;
+
+  local.getConflict(id, function(err, conflict) {
+    if (err) { cb(err); return; }
+    if (!conflict) {
+      error = new Error('conflict not found');
+      that._log.err('mt resolveConflict %s %d', error, id);
+      cb(error);
+      return;
+    }
+
+    var rtree = that._pe[conflict.pe];
+    if (!rtree) {
+      error = new Error('remote tree could not be determined');
+      that._log.err('mt resolveConflict %s %d %s', error, id, conflict.pe);
+      cb(error);
+      return;
+    }
+
+    var rmerge = {
+      h: {
+        id: conflict.n.h.id,
+        pa: [conflict.n.h.v, conflict.l.h.v].sort()
+      }
+    };
+    if (resolution.d) {
+      rmerge.h.d = true;
+    } else {
+      rmerge.b = resolution.b;
+    }
+    rmerge.h.v = MergeTree._versionContent(rmerge);
+
+    error = bodySchemas.invalidBody(that._schemas, rmerge);
+    if (error) {
+      error = new TypeError('resolution.' + error);
+      that._log.err('mt resolveConflict %s %d', error, id);
+      cb(error);
+      return;
+    }
+
+    var items = [];
+
+    // check the local head and write the merge without any other local write in between
+    that._localWrite(function(cb2) {
+      async.series([
+        function(cb3) {
+          that._findLatestHead(conflict.n.h.id, null, function(err, lhead) {
+            if (err) { cb3(err); return; }
+            if (!lhead || lhead.h.v !== conflict.l.h.v) {
+              cb3(new Error('local head changed since the conflict'));
+              return;
+            }
+            cb3();
+          });
+        },
+        function(cb3) {
+          local.missingAttachments(attachmentRefs(rmerge.b), function(err, missing) {
+            if (err) { cb3(err); return; }
+            if (missing.length) { cb3(new Error('attachment not found: ' + missing[0])); return; }
+            cb3();
+          });
+        },
+        function(cb3) {
+          // copy all remote versions up to the remote head that are not in local yet
+          rtree.createReadStream({ id: conflict.n.h.id, last: conflict.n.h.v }).pipe(new Writable({
+            objectMode: true,
+            write: function(ritem, enc, cb4) {
+              local.getByVersion(ritem.h.v, function(err, litem) {
+                if (err) { cb4(err); return; }
+                if (!litem) {
+                  delete ritem.h.i;
+                  items.push(ritem);
+                }
+                cb4();
+              });
+            }
+          })).on('error', cb3).on('finish', cb3);
+        },
+        function(cb3) {
+          that._log.notice('mt resolveConflict %d %j, copy %d items', id, rmerge.h, items.length);
+          local.write(items.concat(rmerge), function(err) {
+            if (err) { local.once('error', noop); cb3(err); return; }
+
+            // the copied versions are not awaiting confirmation anymore
+            var tmpTree = that._tmpPe[conflict.pe];
+            var copied = items.map(function(item) { return item.h.v; });
+            var entries = [];
+            for (var i = tmpTree.length; i-- > 0;) {
+              if (~copied.indexOf(tmpTree[i].n.h.v)) {
+                entries.push(tmpTree.splice(i, 1)[0]);
+              }
+            }
+
+            that._unjournal(entries, function(err) {
+              if (err) { cb3(err); return; }
+              local.delConflict(id, cb3);
+            });
+          });
+        }
+      ], cb2);
+    }, function(err) {
+      if (err) {
+        that._log.err('mt resolveConflict %d %s', id, err);
+        cb(err);
+        return;
+      }
+      cb(null, rmerge);
+    });
+  });
+};
+
 /**
  * Get local tree.
  *
@@ -224,6 +624,16 @@ MergeTree.prototype.getStageTree = function getStageTree() {
   return this._stage;
 };
 
+/**
+ * Get quarantine tree. Contains the remote versions that are not valid according
+ * to the schemas, see createRemoteWriteStream.
+ *
+ * @return {Object} the quarantine tree
+ */
+MergeTree.prototype.getQuarantineTree = function getQuarantineTree() {
+  return this._quarantine;
+};
+
 /**
  * Get all remote trees.
  *
@@ -310,7 +720,8 @@ MergeTree.prototype.getLocalHead = function getLocalHead(id, cb) {
  * opts:
  *   bson {Boolean, default false}  whether to return a BSON serialized or
  *                                  deserialized object (false).
- *   filter {Object}  conditions a document should hold
+ *   filter {Object}  conditions a document should hold, if one of the
+ *                    conditions is on an indexed field, the index is used
  *   first {base64 String}  first version, offset
  *   last {base64 String}  last version
  *   excludeFirst {Boolean, default false}  whether or not first should be
@@ -321,8 +732,9 @@ MergeTree.prototype.getLocalHead = function getLocalHead(id, cb) {
  *   hooks {Array}  array of asynchronous functions to execute, each hook has the following signature: db, object, options,
  *                  callback and should callback with an error object, the new item and possibly extra data.
  *   hooksOpts {Object}  options to pass to a hook
- *   tail {Boolean, default false}  if true, keeps the stream open
- *   tailRetry {Number, default 1000}  reopen readers every tailRetry ms
+ *   tail {Boolean, default false}  if true, keeps the stream open and reads new
+ *                                  items as soon as they are written
+ *   tailRetry {Number}  deprecated, new items are read as soon as they are written
  *   log {Object, default console}  log object that contains debug2, debug, info,
  *       notice, warning, err, crit and emerg functions. Uses console.log and
  *       console.error by default.
@@ -342,7 +754,6 @@ MergeTree.prototype.createReadStream = function createReadStream(opts) {
     hooks: [],
     hooksOpts: {},
     tail: false,
-    tailRetry: 1000,
     log: this._log
   }, opts);
 
@@ -458,6 +869,18 @@ MergeTree.prototype.createReadStream = function createReadStream(opts) {
           delete afterItem.h.pe;
           delete afterItem.h.i;
 
+          // remotes save and merge the versions of a transaction one at a time
+          delete afterItem.h.tx;
+
+          // the provenance of a merge is relative to this side, see explain
+          if (afterItem.m && afterItem.m.provenance) {
+            afterItem.m = xtend(afterItem.m);
+            delete afterItem.m.provenance;
+            if (!Object.keys(afterItem.m).length) {
+              delete afterItem.m;
+            }
+          }
+
           // push the bson or native object out to the reader, and resume if not flooded
           that._log.debug('mt createReadStream push %j', afterItem.h);
           cb(null, opts.bson ? BSON.serialize(afterItem) : afterItem);
@@ -466,8 +889,21 @@ MergeTree.prototype.createReadStream = function createReadStream(opts) {
     }
   });
 
+  // use a secondary index if the filter selects one value of an indexed field
+  var index;
+  (opts.id == null && this._opts.indexes || []).some(function(idx) {
+    var value = Tree._getField(filter, idx.field);
+    if (~['string', 'number', 'boolean'].indexOf(typeof value)) {
+      index = { field: idx.field, value: value };
+      return true;
+    }
+  });
+  if (index) {
+    this._log.debug('mt createReadStream use index %j', index);
+  }
+
   // always read objects instead of bson
-  var rw = this._local.createReadStream(xtend(opts, { bson: false }));
+  var rw = this._local.createReadStream(xtend(opts, { bson: false, index: index }));
   rw.pipe(transformer);
 
   // proxy finish
@@ -491,6 +927,11 @@ MergeTree.prototype.createReadStream = function createReadStream(opts) {
  *   [b]: {mixed}  document to save
  * }
  *
+ * If schemas are configured, versions of which the body is not valid after the
+ * hooks ran are not saved in the remote tree but in the quarantine tree, with the
+ * problem in m.reason and the original meta info, if any, in m.m. So are versions
+ * of which a parent is quarantined. Quarantined versions are never merged.
+ *
  * @param {String} remote  name of the remote, used to set h.pe
  * @param {Object} [opts]  object containing configurable parameters
  * @return {Object} stream.Writable
@@ -524,6 +965,12 @@ MergeTree.prototype.createRemoteWriteStream = function createRemoteWriteStream(r
     throw new Error(error);
   }
 
+  if (remote === this._quarantineName) {
+    error = 'perspective should differ from quarantine name';
+    this._log.err('mt createRemoteWriteStream %s %s', error, remote);
+    throw new Error(error);
+  }
+
   var tree = this._pe[remote];
 
   if (!tree) {
@@ -561,18 +1008,28 @@ MergeTree.prototype.createRemoteWriteStream = function createRemoteWriteStream(r
       runHooks(hooks, db, item, hooksOpts, function(err, afterItem) {
         if (err) { cb(err); return; }
 
-        if (afterItem) {
+        if (!afterItem) {
+          // if hooks filter out the item don't push
+          that._log.debug('mt createRemoteWriteStream filter %s %j', remote, item.h);
+          cb();
+          return;
+        }
+
+        that._quarantineReason(afterItem, function(err, reason) {
+          if (err) { cb(err); return; }
+
+          if (reason) {
+            that._quarantineItem(afterItem, reason, cb);
+            return;
+          }
+
           // push the item out to the reader
           that._log.debug2('mt createRemoteWriteStream write %s %j', remote, afterItem.h);
           tree.write(afterItem, function(err) {
             if (err) { tree.once('error', noop); cb(err); return; }
             cb();
           });
-        } else {
-          // if hooks filter out the item don't push
-          that._log.debug('mt createRemoteWriteStream filter %s %j', remote, item.h);
-          cb();
-        }
+        });
       });
     }
   });
@@ -596,6 +1053,18 @@ MergeTree.prototype.createRemoteWriteStream = function createRemoteWriteStream(r
  * }
  * all other properties are ignored.
  *
+ * Transactions should have the following structure:
+ * {
+ *   tx: [new version]
+ * }
+ * All new versions in a transaction are saved in the local tree in one atomic
+ * operation and get the same transaction id in h.tx. Each id can only occur once
+ * in a transaction. The transaction id is not exported, remotes save and merge
+ * these versions one at a time.
+ *
+ * Merge conflicts (with c set) are skipped, so that the merge stream can be piped
+ * into this stream directly. Use resolveConflict to resolve them.
+ *
  * @return {stream.Writable}
  */
 MergeTree.prototype.createLocalWriteStream = function createLocalWriteStream() {
@@ -609,12 +1078,14 @@ MergeTree.prototype.createLocalWriteStream = function createLocalWriteStream() {
   var local = this._local;
 
   /**
-   * 1. New local version
-   * Save as a local fast-forward.
+   * Create a new local version with the current local head as parent.
+   *
+   * @param {String} lhead  version number of the local head
+   * @param {Object} item  new local item
+   * @param {Function} cb  First parameter will be an error object or null. Second
+   *                       parameter will be the new version.
    */
-  function handleNewLocalItem(lhead, item, cb) {
-    that._log.debug('mt createLocalWriteStream NEW %j, local: %j', item.h, lhead);
-
+  function composeNewLocalItem(lhead, item, cb) {
     error = invalidLocalHeader(item.h);
     if (error) {
       process.nextTick(function() {
@@ -659,9 +1130,65 @@ MergeTree.prototype.createLocalWriteStream = function createLocalWriteStream() {
       newItem.h.d = true;
     }
 
-    local.write(newItem, function(err) {
-      if (err) { local.once('error', noop); cb(err); return; }
-      cb();
+    error = bodySchemas.invalidBody(that._schemas, newItem);
+    if (error) {
+      var invalidBodyErr = new TypeError('item.' + error);
+      that._log.err('mt createLocalWriteStream %s %j', invalidBodyErr, newItem.h);
+      process.nextTick(function() {
+        cb(invalidBodyErr);
+      });
+      return;
+    }
+
+    // attachments must be stored before they can be referenced
+    local.missingAttachments(attachmentRefs(newItem.b), function(err, missing) {
+      if (err) { cb(err); return; }
+      if (missing.length) {
+        error = new Error('attachment not found: ' + missing[0]);
+        that._log.err('mt createLocalWriteStream %s %j', error, newItem.h);
+        cb(error);
+        return;
+      }
+      cb(null, newItem);
+    });
+  }
+
+  /**
+   * Determine the local head of an id.
+   *
+   * @param {mixed} id  id of the item
+   * @param {Function} cb  First parameter will be an error object or null. Second
+   *                       parameter will be the version of the head or undefined.
+   */
+  function localHead(id, cb) {
+    var heads = [];
+    local.createHeadReadStream({ id: id }).on('data', function(head) {
+      heads.push(head.h.v);
+    }).on('end', function() {
+      if (heads.length > 1) {
+        error = 'more than one local head';
+        that._log.err('mt createLocalWriteStream %s %s %j', error, id, heads);
+        cb(new Error(error));
+        return;
+      }
+      cb(null, heads[0]);
+    }).on('error', cb);
+  }
+
+  /**
+   * 1. New local version
+   * Save as a local fast-forward.
+   */
+  function handleNewLocalItem(lhead, item, cb) {
+    that._log.debug('mt createLocalWriteStream NEW %j, local: %j', item.h, lhead);
+
+    composeNewLocalItem(lhead, item, function(err, newItem) {
+      if (err) { cb(err); return; }
+
+      local.write(newItem, function(err) {
+        if (err) { local.once('error', noop); cb(err); return; }
+        cb();
+      });
     });
   }
 
@@ -705,12 +1232,6 @@ MergeTree.prototype.createLocalWriteStream = function createLocalWriteStream() {
       }
     }
 
-    // for now, only support one lca
-    if (obj.lcas.length > 1) {
-      cb(new Error('can not merge with more than one lca'));
-      return;
-    }
-
     // copy all items from the remote tree to the local tree in one atomic operation to ensure one head
     // expect all items to be in the tmp tree
     var items = [];
@@ -726,59 +1247,135 @@ MergeTree.prototype.createLocalWriteStream = function createLocalWriteStream() {
         }
 
     if (typeof found !== 'number') {
+      // the merge might be in the journal that is replayed, try again once done
+      if (that._replaying) {
+        that._log.debug('mt createLocalWriteStream wait for replay %j', obj.n.h);
+        that._replaying.push(function() {
+          localHead(obj.n.h.id, function(err, lhead) {
+            if (err) { cb(err); return; }
+            handleMerge(lhead, obj, cb);
+          });
+        });
+        return;
+      }
       cb(new Error('merge item not found in local tmp tree'));
       return;
     }
 
     // add everything of this id to the items that need to be saved
-    // simultaneously remove from the tmp tree
-    i = 0;
-    while (i <= found) {
+    var entries = [];
+    for (i = 0; i <= found; i++) {
       if (tmpTree[i].n.h.id === obj.n.h.id) {
-        items.push(tmpTree.splice(i, 1)[0].n);
+        entries.push(tmpTree[i]);
+        items.push(tmpTree[i].n);
       }
-      i++;
     }
 
     that._log.debug('mt createLocalWriteStream copy %s items', items.length);
-    // ensure meta info of the acknowledged head is on the new head
+    // ensure meta info of the acknowledged head is on the new head, record the provenance of a merge locally
+    var head = items[items.length - 1];
     if (obj.n.m) {
-      items[items.length - 1].m = obj.n.m;
+      head.m = obj.n.m;
+    }
+    var provenance = entries[entries.length - 1].provenance;
+    if (provenance) {
+      head.m = xtend(head.m, { provenance: provenance });
+    }
+    local.write(items, function(err) { // atomic write of the new head and items leading to it
+      if (err) { cb(err); return; }
+
+      // remove from the tmp tree once saved
+      entries.forEach(function(entry) {
+        tmpTree.splice(tmpTree.indexOf(entry), 1);
+      });
+
+      that._unjournal(entries, function(err) {
+        if (err) { cb(err); return; }
+        that._clearConflicts(obj.pe, obj.n.h.id, cb);
+      });
+    });
+  }
+
+  /**
+   * 3. Transaction
+   * Save new local versions of different ids in one atomic operation, either all
+   * versions are saved or none. Each version gets the same transaction id in h.tx,
+   * which is not exported to remotes.
+   *
+   * @param {Array} items  new local items
+   * @param {Function} cb  First parameter will be an error object or null.
+   */
+  function handleTransaction(items, cb) {
+    if (!items.length) {
+      process.nextTick(function() {
+        cb(new TypeError('tx must contain at least one item'));
+      });
+      return;
     }
-    local.write(items, cb); // atomic write of the new head and items leading to it
+
+    var tx = MergeTree.generateRandomVersion();
+    that._log.debug('mt createLocalWriteStream TX %s %d items', tx, items.length);
+
+    var ids = {};
+    async.mapSeries(items, function(item, cb2) {
+      if (item == null || typeof item !== 'object') { cb2(new TypeError('tx must only contain objects')); return; }
+
+      error = invalidLocalHeader(item.h);
+      if (error) { cb2(new TypeError('item.' + error)); return; }
+
+      // more than one version of an id would fork the DAG
+      var key = Tree._toBuffer(item.h.id).toString('hex');
+      if (ids[key]) { cb2(new Error('tx must not contain an id more than once')); return; }
+      ids[key] = true;
+
+      localHead(item.h.id, function(err, lhead) {
+        if (err) { cb2(err); return; }
+        composeNewLocalItem(lhead, item, function(err, newItem) {
+          if (err) { cb2(err); return; }
+          newItem.h.tx = tx;
+          cb2(null, newItem);
+        });
+      });
+    }, function(err, newItems) {
+      if (err) {
+        that._log.err('mt createLocalWriteStream %s %s', tx, err);
+        cb(err);
+        return;
+      }
+
+      local.write(newItems, function(err) {
+        if (err) { local.once('error', noop); cb(err); return; }
+        cb();
+      });
+    });
   }
 
   this._localWriteStream = new Writable({
     objectMode: true,
     write: function(obj, encoding, cb) {
-      // determine local head for this id
-      var id = obj.n.h.id;
-      var heads = [];
-      local.createHeadReadStream({ id: id }).on('readable', function() {
-        var head = this.read();
-
-        if (head) {
-          heads.push(head.h.v);
+      that._localWrite(function(cb2) {
+        if (Array.isArray(obj.tx)) {
+          handleTransaction(obj.tx, cb2);
           return;
         }
 
-        // end of stream
-
-        if (heads.length > 1) {
-          error = 'more than one local head';
-          that._log.err('mt createLocalWriteStream %s %s %j', error, id, heads);
-          cb(new Error(error));
-          return;
-        }
+        // determine local head for this id
+        localHead(obj.n.h.id, function(err, lhead) {
+          if (err) { cb2(err); return; }
 
-        // deletegate to merge or local version handler
-        if (obj.lcas) {
-          handleMerge(heads[0], obj, cb);
-        } else {
-          handleNewLocalItem(heads[0], obj.n, cb);
-        }
-      }).on('error', cb);
-    }
+          // deletegate to merge or local version handler
+          if (obj.c) {
+            // conflicts are stored and resolved by resolveConflict
+            that._log.debug('mt createLocalWriteStream skip conflict %d %j', obj.id, obj.n.h);
+            cb2();
+          } else if (obj.lcas) {
+            handleMerge(lhead, obj, cb2);
+          } else {
+            handleNewLocalItem(lhead, obj.n, cb2);
+          }
+        });
+      }, cb);
+    }
   });
   return this._localWriteStream;
 };
@@ -842,8 +1439,15 @@ MergeTree.generateRandomVersion = function generateRandomVersion(size) {
 };
 
 /**
- * Start merging, first clear the stage, than determine offsets for each perspective
- * finally start merge procedure (which utilizes the stage).
+ * Start merging, first replay the journal in the stage, than determine offsets for
+ * each perspective finally start merge procedure (which utilizes the stage).
+ *
+ * Merges and fast-forwards that are not confirmed yet are journaled in the stage
+ * until they are written to the local write stream. The remote versions of merges
+ * that were not confirmed before a restart are merged again first. Since merges
+ * are content addressed, a merge with an unchanged local head gets the same
+ * version and can still be confirmed. Confirmations that are written to the local
+ * write stream before these are merged again are held until then.
  *
  * @param {Object} [opts]  object containing configurable parameters for _mergeAll
  * @return {stream.Readable} a readable stream with newly merged items, of the
@@ -853,9 +1457,18 @@ MergeTree.generateRandomVersion = function generateRandomVersion(size) {
  *   l: {}   // previous head
  *   lcas: [] // array with version numbers of each lca for n and l
  *   pe: pe  // name of the remote tree
- *   c: []   // name of keys with conflicts in case of a merge conflict
+ *   c: []   // name of keys with conflicts in case of a merge conflict, dotted
+ *           // paths of nested keys if deepMerge is set
+ *   hunks: {} // hunks of conflicting text fields by path, a is the remote and
+ *             // b the local head, only set if text fields conflict
+ *   id: 1   // id of the stored conflict in case of a merge conflict
+ *   provenance: {} // how a merge is composed, saved in the meta info of the
+ *                  // merge in the local tree once confirmed, see explain
  * }
  *
+ * Merge conflicts are stored until they're resolved with resolveConflict, see
+ * getConflicts. Conflicts that are written to the local write stream are skipped.
+ *
  * opts:
  *   all tree.createReadStream options
  *   tail {Boolean, default true}  keep tailing trees to merge
@@ -875,30 +1488,43 @@ MergeTree.prototype.startMerge = function startMerge(opts) {
 
   var that = this;
 
-  // first clear the stage
-  this._stage.createReadStream().pipe(new Writable({
-    objectMode: true,
-    write: function(item, enc, cb2) {
-      that._stage.del(item, cb2);
-    }
-  })).on('finish', function() {
-    // for each perspective determine last version in the local tree and start a tailing readstream
-    async.eachSeries(that._perspectives, function(pe, cb2) {
-      that._local.lastByPerspective(pe, 'base64', function(err, v) {
-        if (err) { cb2(err); return; }
-        var opts2 = xtend(opts);
-        if (v) {
-          opts2 = xtend({
-            first: v,
-            excludeFirst: true
-          }, opts2);
-        }
-        that._setupMerge(pe, opts2, function(err) {
-          if (err) { that._log.info('%s error: %s', pe, err); }
+  // hold confirmations that are not found until the journal is replayed
+  this._replaying = [];
+  function replayed() {
+    var waiting = that._replaying;
+    that._replaying = null;
+    waiting.forEach(function(fn) { fn(); });
+  }
+
+  // first clear the stage and merge the remote versions of unconfirmed merges again
+  this._replayJournal(function(err, ritems) {
+    if (err) { replayed(); that._mergeStream.emit('error', err); return; }
+
+    // readers start after the last version by perspective, so merge these first
+    async.eachSeries(ritems, function(ritem, cb2) {
+      that._mergeStream.write(ritem, cb2);
+    }, function(err) {
+      replayed();
+      if (err) { return; } // emitted by the merge stream
+
+      // for each perspective determine last version in the local tree and start a tailing readstream
+      async.eachSeries(that._perspectives, function(pe, cb2) {
+        that._local.lastByPerspective(pe, 'base64', function(err, v) {
+          if (err) { cb2(err); return; }
+          var opts2 = xtend(opts);
+          if (v) {
+            opts2 = xtend({
+              first: v,
+              excludeFirst: true
+            }, opts2);
+          }
+          that._setupMerge(pe, opts2, function(err) {
+            if (err) { that._log.info('%s error: %s', pe, err); }
+          });
+          cb2();
         });
-        cb2();
-      });
-    }, opts.ready || noop);
+      }, opts.ready || noop);
+    });
   });
 
   return this._mergeStream;
@@ -943,6 +1569,10 @@ MergeTree.prototype.close = function close(cb) {
     that._log.debug('mt closing stage tree');
     that._stage.end(cb2);
   });
+  tasks.push(function(cb2) {
+    that._log.debug('mt closing quarantine tree');
+    that._quarantine.end(cb2);
+  });
   tasks.push(function(cb2) {
     that._log.debug('mt closing local tree');
     that._local.end(cb2);
@@ -982,6 +1612,401 @@ MergeTree.prototype.stats = function stats(cb) {
   });
 };
 
+/**
+ * Remove old versions from the local tree and from all perspective trees. See
+ * Tree.prune.
+ *
+ * If perspectives is true, only local versions are removed that are older than
+ * the last version received from every perspective. Versions of a perspective
+ * tree are only removed if they are older than the last version of this
+ * perspective that is merged with the local tree. Regardless of perspectives, the
+ * last local version of each id that is received from a perspective is kept with
+ * all newer versions of that id, since it is the merge base of the next version
+ * of that perspective.
+ *
+ * @param {Object} opts  object containing configurable parameters
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of removed versions.
+ *
+ * opts:
+ *   maxAge {Number}  remove versions that are inserted more than maxAge ms ago
+ *   maxCount {Number}  keep at most maxCount versions per id, heads included
+ *   perspectives {Boolean, default true}  whether to keep versions that are not
+ *     acknowledged by each perspective
+ *   id {Buffer|String|Object}  limit to one specific DAG
+ */
+MergeTree.prototype.prune = function prune(opts, cb) {
+  if (opts == null || typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+  if (opts.maxAge != null && typeof opts.maxAge !== 'number') { throw new TypeError('opts.maxAge must be a number'); }
+  if (opts.maxCount != null && typeof opts.maxCount !== 'number') { throw new TypeError('opts.maxCount must be a number'); }
+  if (opts.perspectives != null && typeof opts.perspectives !== 'boolean') { throw new TypeError('opts.perspectives must be a boolean'); }
+
+  var usePerspectives = opts.perspectives !== false;
+
+  var treeOpts = {};
+  if (opts.maxAge != null) { treeOpts.maxAge = opts.maxAge; }
+  if (opts.maxCount != null) { treeOpts.maxCount = opts.maxCount; }
+
+  // applies to every tree, but is not a limit by itself
+  var dagOpts = opts.id != null ? { id: opts.id } : {};
+
+  var that = this;
+  var pruned = 0;
+
+  // last received version by perspective
+  var lastVersions = {};
+
+  async.eachSeries(this._perspectives, function(pe, cb2) {
+    that._local.lastByPerspective(pe, 'base64', function(err, v) {
+      if (err) { cb2(err); return; }
+      lastVersions[pe] = v;
+      cb2();
+    });
+  }, function(err) {
+    if (err) { cb(err); return; }
+
+    var tasks = [];
+
+    // local tree
+    var localOpts = xtend(treeOpts);
+    if (usePerspectives) {
+      var ok = that._perspectives.every(function(pe) {
+        return lastVersions[pe];
+      });
+      if (!ok) {
+        that._log.info('mt prune not every perspective has sent a version, skip local tree');
+        localOpts = null;
+      } else if (that._perspectives.length) {
+        localOpts.horizon = that._perspectives.map(function(pe) {
+          return lastVersions[pe];
+        });
+      }
+    }
+    if (localOpts && Object.keys(localOpts).length) {
+      // keep the merge base of the next version of each perspective
+      localOpts.keepLast = that._perspectives;
+      tasks.push(function(cb2) {
+        that._local.prune(xtend(localOpts, dagOpts), function(err, n) {
+          if (err) { cb2(err); return; }
+          pruned += n;
+          cb2();
+        });
+      });
+    }
+
+    // perspective trees
+    that._perspectives.forEach(function(pe) {
+      var peOpts = xtend(treeOpts);
+      if (usePerspectives) {
+        if (!lastVersions[pe]) {
+          return;
+        }
+        peOpts.horizon = [lastVersions[pe]];
+      }
+      if (!Object.keys(peOpts).length) {
+        return;
+      }
+      tasks.push(function(cb2) {
+        that._pe[pe].prune(xtend(peOpts, dagOpts), function(err, n) {
+          if (err) { cb2(err); return; }
+          pruned += n;
+          cb2();
+        });
+      });
+    });
+
+    async.series(tasks, function(err) {
+      if (err) { cb(err); return; }
+      that._log.info('mt prune removed %d versions', pruned);
+      cb(null, pruned);
+    });
+  });
+};
+
+/**
+ * Expire ids of the local tree. A delete version is written for each id of which
+ * the last version is inserted more than maxAge ms ago, using the maxAge of the
+ * first rule that matches the id. The delete versions are replicated like any
+ * other version.
+ *
+ * Ids that are already deleted, that are in conflict or that have more than one
+ * head are skipped, as are ids of which the insertion time of the last version is
+ * not recorded.
+ *
+ * If prune is true, the older versions of each deleted id that matches a rule are
+ * removed afterwards, see prune. With perspectives, this only removes versions
+ * that are acknowledged by each perspective, remaining versions are removed by a
+ * next call.
+ *
+ * @param {Object} opts  object containing configurable parameters
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of expired ids.
+ *
+ * opts:
+ *   rules {Array}  each rule is an object with a maxAge in ms and an optional id
+ *     prefix, i.e. [{ prefix: 'session\x01', maxAge: 2592000000 }]. A rule
+ *     without a prefix matches every id.
+ *   prune {Boolean, default false}  whether to remove older versions of deleted
+ *     ids
+ *   perspectives {Boolean, default true}  whether to keep versions that are not
+ *     acknowledged by each perspective when pruning
+ */
+MergeTree.prototype.expire = function expire(opts, cb) {
+  if (opts == null || typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+  if (!Array.isArray(opts.rules)) { throw new TypeError('opts.rules must be an array'); }
+  if (opts.prune != null && typeof opts.prune !== 'boolean') { throw new TypeError('opts.prune must be a boolean'); }
+  if (opts.perspectives != null && typeof opts.perspectives !== 'boolean') { throw new TypeError('opts.perspectives must be a boolean'); }
+
+  opts.rules.forEach(function(rule) {
+    if (rule == null || typeof rule !== 'object') { throw new TypeError('opts.rules must contain objects'); }
+    if (typeof rule.maxAge !== 'number') { throw new TypeError('rule.maxAge must be a number'); }
+    if (rule.prefix != null && typeof rule.prefix !== 'string') { throw new TypeError('rule.prefix must be a string'); }
+  });
+
+  var that = this;
+  var local = this._local;
+  var now = Date.now();
+
+  // heads to delete and deleted ids to prune
+  var expired = [];
+  var deleted = [];
+
+  local.getHeads({ skipConflicts: true }, function(head, next) {
+    var id = Tree._ensureString(head.h.id);
+
+    var rule;
+    opts.rules.some(function(r) {
+      if (!r.prefix || id.indexOf(r.prefix) === 0) {
+        rule = r;
+        return true;
+      }
+      return false;
+    });
+
+    if (!rule) { next(); return; }
+
+    if (head.h.d) {
+      if (opts.prune) { deleted.push(head.h.id); }
+      next();
+      return;
+    }
+
+    local._getTime(head.h.i, function(err, time) {
+      if (err) { next(err); return; }
+      if (time != null && time < now - rule.maxAge) {
+        expired.push(head);
+      }
+      next();
+    });
+  }, function(err) {
+    if (err) { cb(err); return; }
+
+    var count = 0;
+
+    async.eachSeries(expired, function(head, cb2) {
+      // check the head and write the delete without any other local write in between
+      that._localWrite(function(cb3) {
+        // skip the id if it's changed in the meantime
+        local.getHeadVersions(new Buffer(Tree._ensureString(head.h.id)), function(err, versions) {
+          if (err) { cb3(err); return; }
+          if (versions.length !== 1 || versions[0] !== head.h.v) {
+            that._log.info('mt expire head changed %j', head.h);
+            cb3();
+            return;
+          }
+
+          var item = {
+            h: {
+              id: head.h.id,
+              v: MergeTree.generateRandomVersion(that._vSize),
+              pa: [head.h.v],
+              d: true
+            }
+          };
+
+          that._log.debug('mt expire %j', item.h);
+
+          local.write(item, function(err) {
+            if (err) { local.once('error', noop); cb3(err); return; }
+            count++;
+            if (opts.prune) { deleted.push(head.h.id); }
+            cb3();
+          });
+        });
+      }, cb2);
+    }, function(err) {
+      if (err) { cb(err); return; }
+
+      that._log.info('mt expire expired %d ids', count);
+
+      var pruneOpts = { maxCount: 0 };
+      if (opts.perspectives != null) { pruneOpts.perspectives = opts.perspectives; }
+
+      async.eachSeries(deleted, function(id, cb2) {
+        that.prune(xtend(pruneOpts, { id: id }), cb2);
+      }, function(err) {
+        if (err) { cb(err); return; }
+        cb(null, count);
+      });
+    });
+  });
+};
+
+/**
+ * Build or remove secondary indexes of the local tree and all perspective trees
+ * if the configured indexes changed. See Tree.ensureIndexes.
+ *
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+MergeTree.prototype.ensureIndexes = function ensureIndexes(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+
+  var trees = [this._local].concat(this._perspectives.map(function(pe) {
+    return that._pe[pe];
+  }));
+
+  async.eachSeries(trees, function(tree, cb2) {
+    tree.ensureIndexes(cb2);
+  }, cb);
+};
+
+/**
+ * Upgrade the local tree, all perspective trees and the stage if they are written
+ * by an older release. See lib/upgrade.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of migrations run.
+ */
+MergeTree.prototype.upgrade = function upgrade(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var run = 0;
+
+  async.eachSeries(this._allTrees(), function(tree, cb2) {
+    upgradeTree(tree, function(err, n) {
+      if (err) { cb2(err); return; }
+      run += n;
+      cb2();
+    });
+  }, function(err) {
+    if (err) { cb(err); return; }
+    cb(null, run);
+  });
+};
+
+/**
+ * Check that the configured vSize and iSize match the sizes of the local tree, all
+ * perspective trees and the stage. See Tree.ensureSizes.
+ *
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+MergeTree.prototype.ensureSizes = function ensureSizes(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  async.eachSeries(this._allTrees(), function(tree, cb2) {
+    tree.ensureSizes(cb2);
+  }, cb);
+};
+
+/**
+ * Rewrite the local tree, all perspective trees and the stage to the configured
+ * vSize and iSize. See Tree.migrateSizes.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of keys written.
+ */
+MergeTree.prototype.migrateSizes = function migrateSizes(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var written = 0;
+
+  async.eachSeries(this._allTrees(), function(tree, cb2) {
+    tree.migrateSizes(function(err, n) {
+      if (err) { cb2(err); return; }
+      written += n;
+      cb2();
+    });
+  }, function(err) {
+    if (err) { cb(err); return; }
+    cb(null, written);
+  });
+};
+
+/**
+ * Reencrypt the local tree and all perspective trees with the current key. See
+ * Tree.reencrypt. The stage is skipped since items are removed from it while
+ * merging. It only contains items that are not merged yet, which are readable as
+ * long as the key they are encrypted with is configured.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of values written.
+ */
+MergeTree.prototype.reencrypt = function reencrypt(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+  var written = 0;
+
+  var trees = [this._local].concat(this._perspectives.map(function(pe) {
+    return that._pe[pe];
+  }));
+
+  async.eachSeries(trees, function(tree, cb2) {
+    tree.reencrypt(function(err, n) {
+      if (err) { cb2(err); return; }
+      written += n;
+      cb2();
+    });
+  }, function(err) {
+    if (err) { cb(err); return; }
+    cb(null, written);
+  });
+};
+
+/**
+ * Check the consistency of the local tree and all perspective trees. See
+ * Tree.verify. The stage is not verified since it contains merges with parents in
+ * other trees.
+ *
+ * @param {Object} [opts]  object containing configurable parameters
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an object with an array of problems per
+ *                       tree name.
+ *
+ * opts:
+ *   repair {Boolean, default false}  rebuild the indexes of each tree
+ */
+MergeTree.prototype.verify = function verify(opts, cb) {
+  if (typeof opts === 'function') {
+    cb = opts;
+    opts = null;
+  }
+  if (opts == null) { opts = {}; }
+  if (typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+  var res = {};
+
+  var trees = [this._local].concat(this._perspectives.map(function(pe) {
+    return that._pe[pe];
+  }));
+
+  async.eachSeries(trees, function(tree, cb2) {
+    tree.verify(opts, function(err, problems) {
+      if (err) { cb2(err); return; }
+      res[tree.name] = problems;
+      cb2();
+    });
+  }, function(err) {
+    cb(err, res);
+  });
+};
+
 /**
  * Stop merging.
  *
@@ -1005,6 +2030,18 @@ MergeTree.prototype.stopMerge = function stopMerge(cb) {
 
 
 
+/**
+ * Get the local tree, all perspective trees, the stage and the quarantine.
+ *
+ * @return {Array} trees
+ */
+MergeTree.prototype._allTrees = function _allTrees() {
+  var that = this;
+  return [this._local].concat(this._perspectives.map(function(pe) {
+    return that._pe[pe];
+  }), this._stage, this._quarantine);
+};
+
 /**
  * Start merging a perspective.
  *
@@ -1033,7 +2070,8 @@ MergeTree.prototype._setupMerge = function _setupMerge(pe, opts, cb) {
 };
 
 /**
- * Assume temp trees only contain one head per id.
+ * Assume temp trees only contain one head per id. Conflicts are skipped, the
+ * remote head of a conflict is not merged with the local head.
  *
  * @param {String} id  id to search for
  * @param {String} remote  name of the temporary remote tree to include
@@ -1044,7 +2082,7 @@ MergeTree.prototype._findTmpHead = function _findTmpHead(id, remote) {
 
   var head;
   for (var i = tmpTree.length; i-- > 0;) {
-    if (tmpTree[i].n.h.id === id) {
+    if (tmpTree[i].n.h.id === id && !tmpTree[i].c) {
       head = tmpTree[i];
       break;
     }
@@ -1095,8 +2133,9 @@ MergeTree.prototype._findLatestHead = function _findLatestHead(id, remote, cb) {
  * Merge items between a remote and the local tree.
  *
  * Merge every remote item with the head in local, if any. Call back with the
- * merged result and the head from local. If there is a merge conflict call back
- * with the remote item and the local head and an array of conflicting key names.
+ * merged result and the head from local. If there is a merge conflict that is not
+ * resolved by a conflict resolution policy, call back with the remote item and the
+ * local head and an array of conflicting key names.
  *
  * If the item is already in local, don't call back, just update the last version
  * by perspective in local.
@@ -1124,6 +2163,13 @@ MergeTree.prototype._createMergeStream = function _createMergeStream() {
 
       that._log.debug2('mt _createMergeStream %s', ritem.h.v);
 
+      // skip items that are merged already but not confirmed, i.e. replayed from the journal
+      if (rtmpTree.some(function(el) { return el.n.h.v === ritem.h.v; })) {
+        that._log.debug('mt _createMergeStream already pending %j', ritem.h);
+        cb();
+        return;
+      }
+
       // merge with the latest local head, including any unconfirmed previous merges with this remote
       that._findLatestHead(ritem.h.id, ritem.h.pe, function(err, lhead) {
         if (err) { cb(error); return; }
@@ -1140,8 +2186,10 @@ MergeTree.prototype._createMergeStream = function _createMergeStream() {
             pe: rtree.name,
             c: null
           };
-          rtmpTree.push(item);
-          cb(null, item);
+          that._pushTmp([item], function(err) {
+            if (err) { cb(err); return; }
+            cb(null, item);
+          });
           return;
         }
 
@@ -1159,10 +2207,50 @@ MergeTree.prototype._createMergeStream = function _createMergeStream() {
         }
 
         // merge remote item with latest local head
-        var sX = rtree.createReadStream({ id: ritem.h.id, last: ritem.h.v, reverse: true });
-        var sY = new ConcatReadStream([streamify(rtmpTree, streamifyOpts), local.createReadStream({ id: lhead.h.id, reverse: true })]);
+        function mergeWithLocal(opts, cb2) {
+          var sX = rtree.createReadStream({ id: ritem.h.id, last: ritem.h.v, reverse: true });
+          var sY = new ConcatReadStream([streamify(rtmpTree, streamifyOpts), local.createReadStream({ id: lhead.h.id, reverse: true })]);
+
+          var mergeOpts = {
+            deep: that._deepMerge,
+            arrays: that._arrays[rtree.name],
+            types: that._types,
+            strategies: that._strategies
+          };
+          merge(sX, sY, xtend(mergeOpts, opts), cb2);
+        }
+
+        // create a version based on content and save the merge in the remote tmp array
+        function pushMerge(rmerge, lcas, base) {
+          rmerge.h.pa.sort();
+          rmerge.h.v = MergeTree._versionContent(rmerge); // merkle-tree
+
+          // record how the merge is composed, not part of the version since it depends on the side that merges
+          var origin = mergeProvenance(rmerge.b, ritem.b, lhead.b, base && base.b, {
+            deep: that._deepMerge,
+            strategy: function(path) {
+              return that._strategyName(rtree.name, path) || rmerge.h.r;
+            }
+          });
+
+          that._log.info('mt _createMergeStream merge %j', rmerge.h);
 
-        merge(sX, sY, function(err, rmerge, lmerge, lcas) {
+          item = {
+            n: rmerge,
+            l: lhead,
+            lcas: lcas,
+            pe: rtree.name,
+            c: null,
+            provenance: { pe: rtree.name, lcas: lcas, keys: origin.keys, strategies: origin.strategies }
+          };
+          // make sure ritem is in the array as well
+          that._pushTmp([{ n: ritem, pe: rtree.name }, item], function(err) {
+            if (err) { cb(err); return; }
+            cb(null, item);
+          });
+        }
+
+        mergeWithLocal({}, function(err, rmerge, lmerge, lcas, base) {
           if (err) {
             if (err.name !== 'MergeConflict') {
               that._log.err('mt _createMergeStream merge error %s %j %j', err, ritem, lhead, err.stack);
@@ -1179,8 +2267,37 @@ MergeTree.prototype._createMergeStream = function _createMergeStream() {
               pe: rtree.name,
               c: err.conflict
             };
-            rtmpTree.push(item);
-            cb(null, item);
+            if (Object.keys(err.hunks).length) {
+              item.hunks = err.hunks;
+            }
+
+            that._resolveConflict(item, mergeWithLocal, function(err, resolved, policy) {
+              if (err) {
+                that._log.err('mt _createMergeStream resolve error %s %j %j', err, ritem, lhead);
+                cb(err);
+                return;
+              }
+
+              if (resolved) {
+                that._log.notice('mt _createMergeStream merge conflict resolved by %s', policy);
+                resolved.h.r = policy;
+                pushMerge(resolved, lcas, base);
+                return;
+              }
+
+              // keep the conflict until it's resolved, see resolveConflict
+              that._storeConflict(item, function(err, id) {
+                if (err) {
+                  that._log.err('mt _createMergeStream store conflict error %s %j %j', err, ritem, lhead);
+                  cb(err);
+                  return;
+                }
+
+                item.id = id;
+                rtmpTree.push(item);
+                cb(null, item);
+              });
+            });
             return;
           }
 
@@ -1188,23 +2305,7 @@ MergeTree.prototype._createMergeStream = function _createMergeStream() {
           // if a fast-forward for rtree, update last by perspective in local
           if (!lmerge.h.v) {
             // merge
-
-            // create a version based on content
-            rmerge.h.pa.sort();
-            rmerge.h.v = MergeTree._versionContent(rmerge); // merkle-tree
-
-            that._log.info('mt _createMergeStream merge %j', rmerge.h);
-
-            item = {
-              n: rmerge,
-              l: lhead,
-              lcas: lcas,
-              pe: rtree.name,
-              c: null
-            };
-            rtmpTree.push({ n: ritem }); // make sure ritem is in the array as well
-            rtmpTree.push(item);
-            cb(null, item);
+            pushMerge(rmerge, lcas, base);
           } else if (!lmerge.h.i) {
             // merge by fast-forward
             that._log.info('mt _createMergeStream fast-forward %j', rmerge.h);
@@ -1215,8 +2316,10 @@ MergeTree.prototype._createMergeStream = function _createMergeStream() {
               pe: rtree.name,
               c: null
             };
-            rtmpTree.push(item);
-            cb(null, item);
+            that._pushTmp([item], function(err) {
+              if (err) { cb(err); return; }
+              cb(null, item);
+            });
           } else {
             // version already in local tree (has both h.v and h.i)
             that._log.debug('mt _createMergeStream set last by %s = %s', ritem.h.pe, ritem.h.v);
@@ -1229,6 +2332,326 @@ MergeTree.prototype._createMergeStream = function _createMergeStream() {
   return transformer;
 };
 
+/**
+ * Try to resolve a merge conflict with the conflict resolution policies of the
+ * perspective, in order. Call back with the merge of the first policy that
+ * resolves the conflict.
+ *
+ * @param {Object} conflict  merge conflict item as emitted by _createMergeStream
+ * @param {Function} mergeFn  merge the remote head with the local head, called
+ *                            with merge options and a callback
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the merge (from the perspective of the
+ *                       remote) or null if not resolved, third parameter the name
+ *                       of the policy that resolved the conflict.
+ */
+MergeTree.prototype._resolveConflict = function _resolveConflict(conflict, mergeFn, cb) {
+  var that = this;
+  var policies = this._resolve[conflict.pe] || [];
+  var i = 0;
+
+  function next() {
+    if (i >= policies.length) {
+      cb(null, null);
+      return;
+    }
+
+    var policy = policies[i++];
+    var name = conflictPolicies.policyName(policy);
+
+    // custom resolvers determine the body of the merge
+    if (typeof policy.resolver === 'function') {
+      policy.resolver(conflict, function(err, body) {
+        if (err) { cb(err); return; }
+        if (body == null) { next(); return; }
+
+        cb(null, { h: { id: conflict.n.h.id, pa: [conflict.n.h.v, conflict.l.h.v] }, b: body }, name);
+      });
+      return;
+    }
+
+    var sides = conflictPolicies.chooseSides(policy, conflict, that.localName);
+    if (!sides) {
+      next();
+      return;
+    }
+
+    var mergeOpts = {
+      resolve: function(path) {
+        return { remote: 'x', local: 'y' }[sides(path)];
+      }
+    };
+    mergeFn(mergeOpts, function(err, rmerge) {
+      if (err) {
+        if (err.name === 'MergeConflict') { next(); return; }
+        cb(err);
+        return;
+      }
+      cb(null, rmerge, name);
+    });
+  }
+
+  next();
+};
+
+/**
+ * Run fn as soon as all previous local writes are done, and hold back new local
+ * writes until it calls back. Determining the local head of an id and writing a
+ * new version on top of it must not be interleaved with another local write, or
+ * the id gets more than one local head.
+ *
+ * @param {Function} fn  function that writes to the local tree, with a callback as
+ *                       only parameter
+ * @param {Function} cb  called with the parameters fn calls back with
+ */
+MergeTree.prototype._localWrite = function _localWrite(fn, cb) {
+  this._localWrites.push(fn, cb);
+};
+
+/**
+ * Add merges or fast-forwards to the temporary tree of their remote and journal
+ * them in the stage, in one atomic operation, until they are confirmed.
+ *
+ * @param {Array} entries  items as emitted by _createMergeStream
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+MergeTree.prototype._pushTmp = function _pushTmp(entries, cb) {
+  var that = this;
+
+  var items = entries.map(function(entry) {
+    return {
+      h: { id: entry.n.h.id, v: that._journalVersion(entry), pa: [] },
+      b: entry
+    };
+  });
+
+  this._stage.write(items, function(err) {
+    if (err) {
+      that._log.err('mt _pushTmp %s', err);
+      cb(err);
+      return;
+    }
+    entries.forEach(function(entry) {
+      that._tmpPe[entry.pe].push(entry);
+    });
+    cb();
+  });
+};
+
+/**
+ * Remove confirmed merges or fast-forwards from the journal in the stage.
+ * Conflicts are not journaled, see _storeConflict.
+ *
+ * @param {Array} entries  items as emitted by _createMergeStream
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+MergeTree.prototype._unjournal = function _unjournal(entries, cb) {
+  var that = this;
+  async.eachSeries(entries, function(entry, cb2) {
+    if (entry.c) { cb2(); return; }
+    that._stage.del({ h: { id: entry.n.h.id, v: that._journalVersion(entry) } }, cb2);
+  }, cb);
+};
+
+/**
+ * Clear the journal in the stage and return the remote versions of the merges and
+ * fast-forwards in it, in the order they were merged. Versions of unknown remotes
+ * are skipped.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an array with remote versions.
+ */
+MergeTree.prototype._replayJournal = function _replayJournal(cb) {
+  var that = this;
+  var ritems = [];
+
+  this._stage.createReadStream().pipe(new Writable({
+    objectMode: true,
+    write: function(item, enc, cb2) {
+      var ritem = item.b.n;
+      if (ritem.h.pe && that._pe[ritem.h.pe]) {
+        ritems.push(ritem);
+      }
+      that._stage.del(item, cb2);
+    }
+  })).on('error', cb).on('finish', function() {
+    if (ritems.length) {
+      that._log.notice('mt _replayJournal merge %d unconfirmed versions again', ritems.length);
+    }
+    cb(null, ritems);
+  });
+};
+
+/**
+ * Determine the version of an entry in the journal. Unique for each version of a
+ * remote, since the same version might be merged with different remotes.
+ *
+ * @param {Object} entry  item as emitted by _createMergeStream
+ * @return {String} base64 encoded version of vSize bytes
+ */
+MergeTree.prototype._journalVersion = function _journalVersion(entry) {
+  return MergeTree._versionContent({ pe: entry.pe, v: entry.n.h.v }, this._vSize);
+};
+
+/**
+ * Determine the name of the CRDT type, merge strategy or array merge strategy
+ * that is declared for a path, in that order.
+ *
+ * @param {String} pe  name of the remote
+ * @param {String} path  (dotted) path of a key
+ * @return {String|null} name of the strategy, "function" for anonymous merge
+ *                       functions, or null if nothing is declared
+ */
+MergeTree.prototype._strategyName = function _strategyName(pe, path) {
+  var decl = this._types[path];
+  if (decl) {
+    return typeof decl === 'string' ? decl : decl.type;
+  }
+
+  decl = this._strategies[path];
+  if (typeof decl === 'function') {
+    return decl.name || 'function';
+  }
+  if (decl) {
+    return typeof decl === 'string' ? decl : decl.strategy;
+  }
+
+  return (this._arrays[pe] || {})[path] || null;
+};
+
+/**
+ * Save a merge conflict in the conflict store of the local tree. If a conflict of
+ * the same remote head and local head is already stored, it's not stored again.
+ * Stored conflicts of older remote or local heads of the same id and remote are
+ * superseded by this one and removed.
+ *
+ * @param {Object} conflict  merge conflict item as emitted by _createMergeStream
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the id of the conflict.
+ */
+MergeTree.prototype._storeConflict = function _storeConflict(conflict, cb) {
+  var that = this;
+  var existing;
+  var superseded = [];
+
+  this._local.createConflictReadStream().on('data', function(stored) {
+    if (stored.pe !== conflict.pe || !isEqual(stored.n.h.id, conflict.n.h.id)) { return; }
+    if (stored.n.h.v === conflict.n.h.v && stored.l.h.v === conflict.l.h.v) {
+      existing = stored.id;
+    } else {
+      superseded.push(stored.id);
+    }
+  }).on('error', cb).on('end', function() {
+    async.eachSeries(superseded, function(id, cb2) {
+      that._log.info('mt _storeConflict conflict %d superseded', id);
+      that._local.delConflict(id, cb2);
+    }, function(err) {
+      if (err) { cb(err); return; }
+      if (existing) { cb(null, existing); return; }
+      that._local.putConflict(conflict, cb);
+    });
+  });
+};
+
+/**
+ * Remove the stored conflicts of an id with a remote. Called after a merge with
+ * the remote is saved, since that merge includes the remote heads of these
+ * conflicts.
+ *
+ * @param {String} pe  name of the remote
+ * @param {mixed} id  id of the item
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+MergeTree.prototype._clearConflicts = function _clearConflicts(pe, id, cb) {
+  var that = this;
+  var ids = [];
+
+  this._local.createConflictReadStream().on('data', function(stored) {
+    if (stored.pe === pe && isEqual(stored.n.h.id, id)) {
+      ids.push(stored.id);
+    }
+  }).on('error', cb).on('end', function() {
+    async.eachSeries(ids, function(cid, cb2) {
+      that._log.info('mt _clearConflicts conflict %d merged', cid);
+      that._local.delConflict(cid, cb2);
+    }, cb);
+  });
+};
+
+/**
+ * Determine if a remote version must be quarantined, either because a parent is
+ * quarantined or because the body is not valid according to the schemas. Only
+ * checked if schemas are configured.
+ *
+ * @param {Object} item  remote version
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the reason or an empty string.
+ */
+MergeTree.prototype._quarantineReason = function _quarantineReason(item, cb) {
+  var that = this;
+
+  // items with an invalid header are rejected by the remote tree
+  if (!this._schemas.length || invalidItem(item)) {
+    process.nextTick(function() {
+      cb(null, '');
+    });
+    return;
+  }
+
+  var reason = '';
+  async.eachSeries(item.h.pa, function(pa, cb2) {
+    if (reason) { cb2(); return; }
+    that._quarantine.getByVersion(pa, function(err, parent) {
+      if (err) { cb2(err); return; }
+      if (parent) {
+        reason = 'parent ' + pa + ' is quarantined';
+      }
+      cb2();
+    });
+  }, function(err) {
+    if (err) { cb(err); return; }
+    cb(null, reason || bodySchemas.invalidBody(that._schemas, item));
+  });
+};
+
+/**
+ * Save a remote version in the quarantine tree, with the reason in m.reason and
+ * the original meta info, if any, in m.m. Versions that are already quarantined
+ * are skipped.
+ *
+ * @param {Object} item  remote version
+ * @param {String} reason  why the version is quarantined
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+MergeTree.prototype._quarantineItem = function _quarantineItem(item, reason, cb) {
+  var that = this;
+  var quarantine = this._quarantine;
+
+  // a remote sends versions again if the last versions it sent are quarantined
+  quarantine.getByVersion(item.h.v, function(err, existing) {
+    if (err) { cb(err); return; }
+    if (existing) {
+      that._log.debug('mt _quarantineItem already quarantined %j', item.h);
+      cb();
+      return;
+    }
+
+    var qitem = { h: item.h, m: { reason: reason } };
+    if (item.b != null) {
+      qitem.b = item.b;
+    }
+    if (item.m != null) {
+      qitem.m.m = item.m;
+    }
+
+    that._log.warning('mt _quarantineItem %j %s', item.h, reason);
+    quarantine.write(qitem, function(err) {
+      if (err) { quarantine.once('error', noop); cb(err); return; }
+      cb();
+    });
+  });
+};
+
 /**
  * Create a content based version number. Based on the first vSize bytes of the
  * sha256 hash of the item encoded in BSON.
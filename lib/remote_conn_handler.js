@@ -18,29 +18,56 @@
 
 'use strict';
 
+var crypto = require('crypto');
+var stream = require('stream');
+
+var async = require('async');
+var bson = require('bson');
 var BSONStream = require('bson-stream');
 var LDJSONStream = require('ld-jsonstream');
 var once = require('once');
 
+var attachmentRefs = require('./attachment_refs');
 var dataRequest = require('./data_request');
 
+var BSON;
+if (process.browser) {
+  BSON = new bson();
+} else {
+  BSON = new bson.BSONPure.BSON();
+}
+
+var Transform = stream.Transform;
+
+// send attachments in chunks of at most 1 MiB, well within the maximum BSON document size
+var CHUNKSIZE = 1024 * 1024;
+
+// default maximum size of a received attachment, 64 MiB
+var MAXATTACHMENTSIZE = 64 * 1024 * 1024;
+
+// default time to wait for the reply to an attachment offer, one minute
+var OFFERTIMEOUT = 60 * 1000;
+
 function remoteConnHandler(conn, mt, remote, receiveBeforeSend, db, cb) {
-  doHandshake(conn, mt, remote, receiveBeforeSend, function(err, sendOffset) {
+  doHandshake(conn, mt, remote, receiveBeforeSend, function(err, sendOffset, attachments) {
     if (err) { cb(err); return; }
-    setupReaderWriter(conn, mt, remote, sendOffset, db);
+    setupReaderWriter(conn, mt, remote, sendOffset, db, attachments);
     cb();
   });
 }
 
 /**
- * Receive and send a data request.
+ * Receive and send a data request. Both data requests signal whether the sender
+ * supports the exchange of attachments, unless remote.attachments is false.
  *
  * @param {Object} conn  tcp connection
  * @param {MergeTree} mt  MergeTree instance
  * @param {Object} remote  configuration of the remote, including hooks
  * @param {Boolean} receiveBeforeSend  whether to initiate sending a data request
  *                                     or wait for the other party to initiate
- * @param {Function} cb  first parameter will be an error object or null
+ * @param {Function} cb  first parameter will be an error object or null, second
+ *                       parameter the requested offset and third parameter
+ *                       whether attachments are exchanged
  */
 function doHandshake(conn, mt, remote, receiveBeforeSend, cb) {
   cb = once(cb);
@@ -56,6 +83,9 @@ function doHandshake(conn, mt, remote, receiveBeforeSend, cb) {
   var sendOffset; // remember requested offset
   var dataReq; // must be accessible in finalize if receiveBeforeSend
 
+  // only use attachments if both sides support them
+  var attachments = remote.attachments !== false;
+
   var i = 0;
   function finalize() {
     i++;
@@ -65,7 +95,7 @@ function doHandshake(conn, mt, remote, receiveBeforeSend, cb) {
       dataReqSent = true;
     }
     if (dataReqReceived && dataReqSent) {
-      cb(null, sendOffset);
+      cb(null, sendOffset, attachments);
       return;
     } else if (i >= 2) {
       throw new Error('unexpected state in handshake');
@@ -97,6 +127,10 @@ function doHandshake(conn, mt, remote, receiveBeforeSend, cb) {
 
     sendOffset = req.start;
 
+    if (!req.attachments) {
+      attachments = false;
+    }
+
     dataReqReceived = true;
 
     finalize();
@@ -110,6 +144,9 @@ function doHandshake(conn, mt, remote, receiveBeforeSend, cb) {
 
       // send data request with last known version
       dataReq = { start: last || true };
+      if (remote.attachments !== false) {
+        dataReq.attachments = true;
+      }
 
       if (!receiveBeforeSend || dataReqReceived) {
         conn.write(JSON.stringify(dataReq) + '\n');
@@ -119,7 +156,11 @@ function doHandshake(conn, mt, remote, receiveBeforeSend, cb) {
     });
   } else {
     // signal that no data is expected
-    conn.write(JSON.stringify({ start: false }) + '\n');
+    dataReq = { start: false };
+    if (remote.attachments !== false) {
+      dataReq.attachments = true;
+    }
+    conn.write(JSON.stringify(dataReq) + '\n');
     dataReqSent = true;
     finalize();
   }
@@ -130,15 +171,148 @@ function doHandshake(conn, mt, remote, receiveBeforeSend, cb) {
  *
  * - maybe export data
  * - maybe import data
+ *
+ * If both sides support attachments, the attachments that are referenced by an
+ * exported version are offered before the version is sent. The other side replies
+ * with the attachments it is missing, which are then sent in chunks, followed by
+ * the version. These messages are BSON documents without a header:
+ *
+ *   offer:      { offer: [digest] }
+ *   reply:      { want: [digest] }
+ *   attachment: { attachment: digest, data: Buffer, more: Boolean }
+ *
+ * The connection is closed if no reply is received within
+ * remote.attachmentTimeout ms (defaults to one minute), or if an attachment is
+ * larger than remote.maxAttachmentSize bytes (defaults to 64 MiB).
+ *
+ * If the other side does not support attachments, the data of each attachment is
+ * sent inline in its reference, at "data". Received references with inline data
+ * are stored as attachments and the data is removed from the reference.
  */
-function setupReaderWriter(conn, mt, remote, sendOffset, db) {
+function setupReaderWriter(conn, mt, remote, sendOffset, db, attachments) {
   var mtr, mtw;
 
+  var exporting = remote.export && sendOffset;
+
+  if (!exporting && !remote.import) {
+    return;
+  }
+
+  var maxSize = remote.maxAttachmentSize || MAXATTACHMENTSIZE;
+
+  // called with the digests the other side wants after an offer is sent
+  var wanted;
+  var offerTimeout;
+
+  // attachments that are requested and the chunks of the one being received
+  var expected = [];
+  var chunks = [];
+  var received = 0;
+
+  // store attachments that are sent inline and remove the data from the references
+  function storeInline(item, cb) {
+    var refs = attachmentRefs.findRefs(item.b).filter(function(ref) {
+      return ref.data != null;
+    });
+
+    async.eachSeries(refs, function(ref, cb2) {
+      if (ref.data._bsontype !== 'Binary') { cb2(new Error('invalid inline attachment')); return; }
+
+      var data = ref.data.buffer;
+      if (data.length > maxSize) { cb2(new Error('attachment too large')); return; }
+      if (crypto.createHash('sha256').update(data).digest('hex') !== ref[attachmentRefs.KEY]) {
+        cb2(new Error('attachment does not match digest'));
+        return;
+      }
+
+      mt.putAttachment(data, function(err) {
+        if (err) { cb2(err); return; }
+        delete ref.data;
+        cb2();
+      });
+    }, cb);
+  }
+
+  // expect bson from remote, versions and messages of the attachment exchange
+  var bs = new BSONStream();
+
+  bs.on('error', function() {
+    conn.end();
+  });
+
+  var incoming = conn.pipe(bs).pipe(new Transform({
+    objectMode: true,
+    transform: function(obj, enc, cb) {
+      if (obj.h) {
+        storeInline(obj, function(err) {
+          if (err) { cb(err); return; }
+          cb(null, obj);
+        });
+        return;
+      }
+
+      if (!attachments) {
+        cb(new Error('unexpected message'));
+        return;
+      }
+
+      if (Array.isArray(obj.offer)) {
+        if (!obj.offer.every(isDigest)) { cb(new Error('invalid attachment offer')); return; }
+        mt.missingAttachments(obj.offer, function(err, missing) {
+          if (err) { cb(err); return; }
+          expected = missing;
+          conn.write(BSON.serialize({ want: missing }));
+          cb();
+        });
+        return;
+      }
+
+      if (Array.isArray(obj.want)) {
+        if (!wanted) { cb(new Error('unexpected attachment request')); return; }
+        wanted(obj.want);
+        cb();
+        return;
+      }
+
+      if (isDigest(obj.attachment) && obj.data) {
+        if (obj.attachment !== expected[0]) { cb(new Error('unexpected attachment')); return; }
+
+        var chunk = obj.data.buffer;
+        if (received + chunk.length > maxSize) { cb(new Error('attachment too large')); return; }
+
+        received += chunk.length;
+        chunks.push(chunk);
+        if (obj.more) {
+          cb();
+          return;
+        }
+
+        var data = Buffer.concat(chunks);
+        chunks = [];
+        received = 0;
+        expected.shift();
+        if (crypto.createHash('sha256').update(data).digest('hex') !== obj.attachment) {
+          cb(new Error('attachment does not match digest'));
+          return;
+        }
+        mt.putAttachment(data, function(err) {
+          cb(err);
+        });
+        return;
+      }
+
+      cb(new Error('unexpected message'));
+    }
+  }));
+
+  incoming.on('error', function() {
+    conn.end();
+  });
+
   // send data to remote if requested and allowed
-  if (remote.export && sendOffset) {
+  if (exporting) {
     var readerOpts = {
       tail: true,
-      tailRetry: remote.tailRetry || 5000,
       bson: true
     };
     if (typeof sendOffset === 'string') {
@@ -157,10 +331,77 @@ function setupReaderWriter(conn, mt, remote, sendOffset, db) {
       mtr.end();
     });
     conn.on('close', function() {
+      clearTimeout(offerTimeout);
       mtr.end();
     });
 
-    mtr.pipe(conn);
+    mtr.pipe(new Transform({
+      objectMode: true,
+      transform: function(buf, enc, cb) {
+        var self = this;
+
+        // only deserialize versions that might reference an attachment
+        var item;
+        var digests = [];
+        if (~buf.indexOf(attachmentRefs.KEY)) {
+          item = BSON.deserialize(buf);
+          digests = attachmentRefs(item.b);
+        }
+
+        if (!digests.length) {
+          cb(null, buf);
+          return;
+        }
+
+        // send the data inline if the other side doesn't support attachments
+        if (!attachments) {
+          async.eachSeries(attachmentRefs.findRefs(item.b), function(ref, cb2) {
+            mt.getAttachment(ref, function(err, data) {
+              if (err) { cb2(err); return; }
+              if (!data) { cb2(new Error('attachment not found: ' + ref[attachmentRefs.KEY])); return; }
+              ref.data = data;
+              cb2();
+            });
+          }, function(err) {
+            if (err) { cb(err); return; }
+            cb(null, BSON.serialize(item));
+          });
+          return;
+        }
+
+        offerTimeout = setTimeout(function() {
+          wanted = null;
+          cb(new Error('no reply to attachment offer'));
+        }, remote.attachmentTimeout || OFFERTIMEOUT);
+
+        // offer the attachments and send the ones the other side is missing
+        wanted = function(want) {
+          wanted = null;
+          clearTimeout(offerTimeout);
+          async.eachSeries(want, function(digest, cb2) {
+            if (!~digests.indexOf(digest)) { cb2(new Error('unexpected attachment request')); return; }
+
+            mt.getAttachment(digest, function(err, data) {
+              if (err) { cb2(err); return; }
+              if (!data) { cb2(new Error('attachment not found: ' + digest)); return; }
+
+              var offset = 0;
+              do {
+                var chunk = data.slice(offset, offset += CHUNKSIZE);
+                self.push(BSON.serialize({ attachment: digest, data: chunk, more: offset < data.length }));
+              } while (offset < data.length);
+              cb2();
+            });
+          }, function(err) {
+            if (err) { cb(err); return; }
+            cb(null, buf);
+          });
+        };
+        self.push(BSON.serialize({ offer: digests }));
+      }
+    })).on('error', function() {
+      conn.end();
+    }).pipe(conn);
   }
 
   if (remote.import) {
@@ -187,15 +428,21 @@ function setupReaderWriter(conn, mt, remote, sendOffset, db) {
       conn.end();
     });
 
-    // expect bson from remote
-    var bs = new BSONStream();
-
-    bs.on('error', function() {
-      conn.end();
-    });
-
-    conn.pipe(bs).pipe(mtw);
+    incoming.pipe(mtw);
+  } else {
+    // only messages of the attachment exchange are expected
+    incoming.resume();
   }
 }
 
+/**
+ * Whether obj is a hex encoded sha256 digest.
+ *
+ * @param {mixed} obj
+ * @return {Boolean}
+ */
+function isDigest(obj) {
+  return typeof obj === 'string' && /^[0-9a-f]{64}$/.test(obj);
+}
+
 module.exports = remoteConnHandler;
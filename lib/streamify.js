@@ -24,6 +24,7 @@ var stream = require('stream');
 // opts.reverse {Boolean, default false}
 // opts.filter {Function}
 // opts.map {Function}
+// the returned stream can be reopened, see StreamTree.reopen
 function streamify(data, opts) {
   if (!Array.isArray(data)) throw new TypeError('data must be an array');
 
@@ -46,6 +47,12 @@ function streamify(data, opts) {
   }
 
   pt.end();
+
+  // return a new stream with the current contents of data
+  pt.reopen = function() {
+    return streamify(data, opts);
+  };
+
   return pt;
 }
 
@@ -18,7 +18,13 @@
 
 'use strict';
 
+var xtend = require('xtend');
+
+var attachmentRefs = require('./attachment_refs');
+var crdt = require('./crdt');
 var isEqual = require('./is_equal');
+var mergeArrays = require('./merge_arrays');
+var mergeStrategies = require('./merge_strategies');
 
 /**
  * Do a three-way-merge.
@@ -28,9 +34,31 @@ var isEqual = require('./is_equal');
  * @param {Object} lca  lowest common ancestor of itemA and itemB
  * @param {Object} [lcaB]  lowest common ancestor of itemB if perspectives differ
  *                         lca and itemA will always be leading in this case.
- * @return {Object|Array} merged item or an array with conflicting key names
+ * @param {Object} [opts]  object containing configurable parameters
+ * @return {Object|Array} merged item or an array with conflicting key names. If
+ *                        text fields conflict, the array has a hunks property with
+ *                        the hunks of each of these fields by (dotted) path, see
+ *                        merge_strategies.conflictHunks
+ *
+ * opts:
+ *   deep {Boolean, default false}  descend into plain objects that are changed in
+ *       both itemA and itemB, conflicts in nested objects are reported as dotted
+ *       paths, i.e. "address.zip". Dots and backslashes in keys are escaped with
+ *       a backslash, see escapeKey and splitPath.
+ *   arrays {Object}  strategy by dotted path of arrays that are changed in both
+ *       itemA and itemB, i.e. { tags: 'union' }, see merge_arrays
+ *   aFirst {Boolean, default true}  whether elements of an array in itemA come
+ *       before those of itemB, see merge_arrays
+ *   types {Object}  CRDT type by dotted path of fields that are changed in both
+ *       itemA and itemB, i.e. { stock: 'counter' }, see crdt
+ *   strategies {Object}  merge strategy by dotted path of fields that are changed
+ *       in both itemA and itemB, i.e. { updatedAt: 'max' }, see merge_strategies.
+ *       Conflicts of fields with the "manual" strategy are never resolved.
+ *       Strings with the "lines" or "words" strategy are merged as text.
+ *   resolve {Function}  called with the (dotted) path of each conflict, return "a"
+ *       or "b" to take the value of itemA or itemB, or nothing to keep the conflict
  */
-function threeWayMerge(itemA, itemB, lca, lcaB) {
+function threeWayMerge(itemA, itemB, lca, lcaB, opts) {
 /*
 * w = lowest common ancestor
 
@@ -55,13 +83,114 @@ mark in conflict when
     present in x and same attibute present in y but with different values
 */
   lcaB = lcaB || lca;
+  opts = opts || {};
 
-  var keysLcaA = Object.keys(lca);
-  var keysLcaB = Object.keys(lcaB);
-  var keysItemA = Object.keys(itemA);
-  var keysItemB = Object.keys(itemB);
   var mergedItem = {};
   var conflicts = [];
+  var nestedConflicts = [];
+  var hunks = {};
+  var nestedHunks = {};
+
+  var arrays = opts.arrays || {};
+  var types = opts.types || {};
+  var strategies = opts.strategies || {};
+
+  // path of a key of this object, escaped if nested paths are reported
+  function keyPath(key) {
+    return opts.deep ? escapeKey(key) : key;
+  }
+
+  // merge fields with a type, arrays with a strategy and nested objects that are changed on both sides separately
+  var nested = {};
+  Object.keys(itemA).forEach(function(key) {
+    if (!itemB.hasOwnProperty(key)) {
+      return;
+    }
+
+    var path = keyPath(key);
+
+    // check typed fields before equality, i.e. counters that are incremented on both sides
+    if (types[path]) {
+      if (isEqual(itemA[key], lca[key]) || isEqual(itemB[key], lcaB[key])) {
+        return;
+      }
+
+      nested[key] = crdt.mergeField(types[path], itemA, itemB, lca, lcaB, key, opts.aFirst);
+      if (nested[key] === undefined) {
+        conflicts.push(key);
+      }
+      return;
+    }
+
+    if (isEqual(itemA[key], itemB[key])) {
+      return;
+    }
+
+    // fields with a strategy are merged as a whole, manual fields conflict as usual
+    if (strategies[path]) {
+      if (isEqual(itemA[key], lca[key]) || isEqual(itemB[key], lcaB[key]) || mergeStrategies.isManual(strategies[path])) {
+        return;
+      }
+
+      nested[key] = mergeStrategies.mergeField(strategies[path], itemA[key], itemB[key], lca[key], opts.aFirst);
+      if (nested[key] === undefined) {
+        conflicts.push(key);
+        var textHunks = mergeStrategies.conflictHunks(strategies[path], itemA[key], itemB[key], lca[key]);
+        if (textHunks) {
+          hunks[key] = textHunks;
+        }
+      }
+      return;
+    }
+
+    if (arrays[path] && Array.isArray(itemA[key]) && Array.isArray(itemB[key])) {
+      var arrLcaA = Array.isArray(lca[key]) ? lca[key] : [];
+      var arrLcaB = Array.isArray(lcaB[key]) ? lcaB[key] : [];
+      if (isEqual(itemA[key], arrLcaA) || isEqual(itemB[key], arrLcaB)) {
+        return;
+      }
+
+      nested[key] = mergeArrays(arrays[path], itemA[key], itemB[key], arrLcaA, arrLcaB, opts.aFirst);
+      if (!nested[key]) {
+        conflicts.push(key);
+      }
+      return;
+    }
+
+    if (!opts.deep || !isPlainObject(itemA[key]) || !isPlainObject(itemB[key])) {
+      return;
+    }
+
+    var nestedOpts = xtend(opts, {
+      arrays: nestedPaths(arrays, path),
+      types: nestedPaths(types, path),
+      strategies: nestedPaths(strategies, path)
+    });
+    if (opts.resolve) {
+      nestedOpts.resolve = function(nestedPath) {
+        return opts.resolve(path + '.' + nestedPath);
+      };
+    }
+    var result = threeWayMerge(itemA[key], itemB[key], isPlainObject(lca[key]) ? lca[key] : {}, isPlainObject(lcaB[key]) ? lcaB[key] : {}, nestedOpts);
+    if (Array.isArray(result)) {
+      result.forEach(function(nestedPath) {
+        nestedConflicts.push(path + '.' + nestedPath);
+      });
+      Object.keys(result.hunks || {}).forEach(function(nestedPath) {
+        nestedHunks[path + '.' + nestedPath] = result.hunks[nestedPath];
+      });
+    }
+    nested[key] = result;
+  });
+
+  function notNested(key) {
+    return !nested.hasOwnProperty(key);
+  }
+
+  var keysLcaA = Object.keys(lca).filter(notNested);
+  var keysLcaB = Object.keys(lcaB).filter(notNested);
+  var keysItemA = Object.keys(itemA);
+  var keysItemB = Object.keys(itemB).filter(notNested);
 
 
   var diffA = {}, diffB = {};
@@ -73,6 +202,10 @@ mark in conflict when
   // check for added and changed keys
   keysItemA.forEach(function(keyA) {
     // copy itemA while we're on it
+    if (nested.hasOwnProperty(keyA)) {
+      mergedItem[keyA] = nested[keyA];
+      return;
+    }
     mergedItem[keyA] = itemA[keyA];
 
     // check if only one version is different from lca
@@ -137,9 +270,108 @@ mark in conflict when
     }
   });
 
-  if (conflicts.length) { return conflicts; }
+  // take the value of the winning side of resolved conflicts
+  if (opts.resolve) {
+    conflicts = conflicts.filter(function(key) {
+      var path = keyPath(key);
+      if (strategies[path] && mergeStrategies.isManual(strategies[path])) {
+        return true;
+      }
+
+      var side = opts.resolve(path);
+      if (side !== 'a' && side !== 'b') {
+        return true;
+      }
+
+      delete hunks[key];
+
+      var winner = side === 'a' ? itemA : itemB;
+      if (winner.hasOwnProperty(key)) {
+        mergedItem[key] = winner[key];
+      } else {
+        delete mergedItem[key];
+      }
+      return false;
+    });
+  }
+
+  conflicts = nestedConflicts.concat(conflicts.map(keyPath));
+
+  if (conflicts.length) {
+    Object.keys(hunks).forEach(function(key) {
+      nestedHunks[keyPath(key)] = hunks[key];
+    });
+    if (Object.keys(nestedHunks).length) {
+      conflicts.hunks = nestedHunks;
+    }
+    return conflicts;
+  }
 
   return mergedItem;
 }
 
+/**
+ * Escape a key for use in a dotted path, by prefixing dots and backslashes with a
+ * backslash.
+ *
+ * @param {String} key  key of an object
+ * @return {String} escaped key
+ */
+function escapeKey(key) {
+  return key.replace(/[\\.]/g, '\\$&');
+}
+
+/**
+ * Split a dotted path into the keys it consists of, see escapeKey.
+ *
+ * @param {String} path  dotted path
+ * @return {Array} unescaped keys
+ */
+function splitPath(path) {
+  var keys = [''];
+  for (var i = 0; i < path.length; i++) {
+    if (path[i] === '\\' && i + 1 < path.length) {
+      keys[keys.length - 1] += path[++i];
+    } else if (path[i] === '.') {
+      keys.push('');
+    } else {
+      keys[keys.length - 1] += path[i];
+    }
+  }
+  return keys;
+}
+
+/**
+ * Strip path from the dotted paths of a map of paths that are within path.
+ *
+ * @param {Object} paths  object with dotted paths as keys
+ * @param {String} path  escaped path of a nested object
+ * @return {Object} paths relative to the nested object
+ */
+function nestedPaths(paths, path) {
+  var result = {};
+  Object.keys(paths).forEach(function(p) {
+    if (p.indexOf(path + '.') === 0) {
+      result[p.slice(path.length + 1)] = paths[p];
+    }
+  });
+  return result;
+}
+
+/**
+ * Whether obj is an object that can be merged per key. Arrays, buffers, dates,
+ * BSON types and attachment references are merged as a whole.
+ *
+ * @param {mixed} obj
+ * @return {Boolean}
+ */
+function isPlainObject(obj) {
+  if (obj == null || typeof obj !== 'object') {
+    return false;
+  }
+  return !Array.isArray(obj) && !Buffer.isBuffer(obj) && !(obj instanceof Date) && !obj._bsontype && !attachmentRefs.isRef(obj);
+}
+
 module.exports = threeWayMerge;
+module.exports.escapeKey = escapeKey;
+module.exports.splitPath = splitPath;
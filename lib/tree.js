@@ -20,10 +20,13 @@
 
 'use strict';
 
+var crypto = require('crypto');
 var stream = require('stream');
+var PassThrough = stream.PassThrough;
 var Transform = stream.Transform;
 var Writable = stream.Writable;
 var util = require('util');
+var zlib = require('zlib');
 
 var async = require('async');
 var BSON, bson = require('bson');
@@ -34,6 +37,7 @@ if (process.browser) {
 }
 var xtend = require('xtend');
 
+var diff = require('./diff');
 var invalidItem = require('./invalid_item');
 var noop = require('./noop');
 var StreamTree = require('./_stream_tree');
@@ -43,6 +47,11 @@ var IKEY    = 0x02;
 var HEADKEY = 0x03;
 var VKEY    = 0x04;
 var USKEY   = 0x05;
+var TKEY    = 0x06;
+var XKEY    = 0x07;
+var MKEY    = 0x08;
+var AKEY    = 0x09;
+var CKEY    = 0x0a;
 
 // head index value option masks
 var CONFLICT = 0x01; // deprecated
@@ -50,12 +59,46 @@ var DELETE   = 0x02;
 
 // defined user store keys
 // _composeUsKey(item.h.pe) => _composeVKey(item.h.v)
+// _composeUsKey(PRUNED) => _composeIKey(i)
+// _composeUsKey(PRUNED_PARENT + v) => _composeIKey(i), v is a decimal number
+// _composeUsKey(INDEXES) => JSON array of indexed fields
+var PRUNED = '\x01pruned';
+var PRUNED_PARENT = '\x01prunedParent';
+var INDEXES = '\x01indexes';
+
+// metadata keys, values are JSON encoded
+// keyspec: revision of the keyspec the tree is written with
+// created: time of creation as an ISO 8601 string
+// vSize, iSize: number of bytes used for versions and increments
+// compression: configured compression or null
+
+// secondary index value types, in sort order
+var XNULL   = 0x01;
+var XFALSE  = 0x02;
+var XTRUE   = 0x03;
+var XNUMBER = 0x04;
+var XDATE   = 0x05;
+var XSTRING = 0x06;
+
+// encoded value option masks, an encoded value starts with four zero bytes which
+// is never the length of a BSON document
+var EDEFLATE = 0x01;
+var EDELTA   = 0x02;
+var EENCRYPT = 0x04;
+
+// authenticated cipher used for encryption at rest, with 256 bit keys
+var CIPHER = 'aes-256-gcm';
+var IVSIZE = 12;
+var TAGSIZE = 16;
 
 /**
  * Tree
  *
  * Manage DAGs in a tree.
  *
+ * Emits "written" with an array of the new items each time a batch of items is
+ * committed to the database.
+ *
  * @param {LevelUP.db} db  database for persistent storage
  * @param {String} name  name of this tree, should not exceed 254 bytes
  * @param {Object} [opts]  object containing configurable parameters
@@ -67,6 +110,24 @@ var DELETE   = 0x02;
  *                              0 < iSize <= 6
  *   skipValidation {Boolean, default false}  whether or not to check if new
  *                                            items connect
+ *   indexes {Array}  secondary indexes on fields of the body, each index is an
+ *                    object with a field name, i.e. [{ field: 'customerId' }].
+ *                    Nested fields can be separated by dots.
+ *   compression {String}  compress values of new versions, only "deflate" is
+ *                         supported. Values that are already stored are kept as
+ *                         is.
+ *   deltaChain {Number, default 0}  store the body of new versions as a delta
+ *                                   against the body of the first parent. After
+ *                                   at most deltaChain deltas a full version is
+ *                                   stored. 0 disables delta encoding. Should be:
+ *                                   0 <= deltaChain <= 255
+ *                                   Compression and delta encoding are not
+ *                                   used in the browser.
+ *   keys {Object}  encryption keys to decrypt values with, by id. Each id must
+ *                  be a number between 1 and 255 and each key a buffer of 32
+ *                  bytes. See reencrypt for key rotation.
+ *   keyId {Number}  id of the key to encrypt new values of the data store and
+ *                   the user store with. Values are not encrypted if not set.
  *   log {Object, default console}  log object that contains debug2, debug, info,
  *       notice, warning, err, crit and emerg functions. Uses console.log and
  *       console.error by default.
@@ -82,6 +143,14 @@ function Tree(db, name, opts) {
   if (opts.vSize != null && typeof opts.vSize !== 'number') { throw new TypeError('opts.vSize must be a number'); }
   if (opts.iSize != null && typeof opts.iSize !== 'number') { throw new TypeError('opts.iSize must be a number'); }
   if (opts.skipValidation != null && typeof opts.skipValidation !== 'boolean') { throw new TypeError('opts.skipValidation must be a boolean'); }
+  if (opts.indexes != null && !Array.isArray(opts.indexes)) { throw new TypeError('opts.indexes must be an array'); }
+  if (opts.compression != null && typeof opts.compression !== 'string') { throw new TypeError('opts.compression must be a string'); }
+  if (opts.compression != null && opts.compression !== 'deflate') { throw new Error('unknown compression: ' + opts.compression); }
+  if (opts.deltaChain != null && typeof opts.deltaChain !== 'number') { throw new TypeError('opts.deltaChain must be a number'); }
+  if (opts.deltaChain < 0 || opts.deltaChain > 255) { throw new TypeError('opts.deltaChain must be between 0 and 255'); }
+  if (opts.keys != null && typeof opts.keys !== 'object') { throw new TypeError('opts.keys must be an object'); }
+  if (opts.keyId != null && typeof opts.keyId !== 'number') { throw new TypeError('opts.keyId must be a number'); }
+  if (opts.keyId != null && !(opts.keys && opts.keys[opts.keyId])) { throw new Error('opts.keyId must be in opts.keys'); }
 
   opts.objectMode = true;
 
@@ -91,13 +160,29 @@ function Tree(db, name, opts) {
 
   this._db = db;
 
-  // partition db in a data store, i-, head-, v- and us-index
-  // see the keyspec for details
+  // every tailing reader listens for written items
+  this.setMaxListeners(0);
+
+  // partition db in a data store, i-, head-, v-, us-, t-, secondary index, meta,
+  // attachments and conflicts, see the keyspec for details
   this._dsPrefix      = Tree.getPrefixWithType(name, DSKEY);
   this._idxIPrefix    = Tree.getPrefixWithType(name, IKEY);
   this._idxHeadPrefix = Tree.getPrefixWithType(name, HEADKEY);
   this._idxVPrefix    = Tree.getPrefixWithType(name, VKEY);
   this._usPrefix      = Tree.getPrefixWithType(name, USKEY);
+  this._idxTPrefix    = Tree.getPrefixWithType(name, TKEY);
+  this._idxXPrefix    = Tree.getPrefixWithType(name, XKEY);
+  this._metaPrefix    = Tree.getPrefixWithType(name, MKEY);
+  this._attachPrefix  = Tree.getPrefixWithType(name, AKEY);
+  this._conflictPrefix = Tree.getPrefixWithType(name, CKEY);
+
+  // names of the indexed fields
+  this._indexes = (opts.indexes || []).map(function(index) {
+    if (index == null || typeof index !== 'object') { throw new TypeError('opts.indexes must contain objects'); }
+    if (!index.field || typeof index.field !== 'string') { throw new TypeError('index.field must be a non-empty string'); }
+    if (Buffer.byteLength(index.field) > 254) { throw new TypeError('index.field must not exceed 254 bytes'); }
+    return index.field;
+  });
 
   // init _i
   this._i = 0;
@@ -110,6 +195,23 @@ function Tree(db, name, opts) {
 
   this._skipValidation = opts.skipValidation;
 
+  this._compression = opts.compression;
+  this._deltaChain = opts.deltaChain || 0;
+
+  this._keys = {};
+  Object.keys(opts.keys || {}).forEach(function(id) {
+    if (!(id >= 1 && id <= 255 && id % 1 === 0)) { throw new TypeError('key ids must be between 1 and 255'); }
+    if (!Buffer.isBuffer(opts.keys[id]) || opts.keys[id].length !== 32) { throw new TypeError('keys must be buffers of 32 bytes'); }
+    this._keys[id] = opts.keys[id];
+  }, this);
+  this._keyId = opts.keyId;
+
+  // number of running writes and queued writes, reencrypt waits for running
+  // writes and holds back new writes while it replaces values, see _exclusive
+  this._writes = 0;
+  this._exclusiveRunning = false;
+  this._waiting = [];
+
   this._log = opts.log || {
     emerg:   console.error,
     alert:   console.error,
@@ -161,7 +263,7 @@ Tree.getPrefixWithType = function getPrefixWithType(name, type) {
   if (typeof name !== 'string') { throw new TypeError('name must be a string'); }
   if (Buffer.byteLength(name) > 254) { throw new TypeError('name must not exceed 254 bytes'); }
   if (typeof type !== 'number') { throw new TypeError('type must be a number'); }
-  if (type < 0x01 || type > 0x05) { throw new TypeError('type must be in the subkey range of 0x01 to 0x05'); }
+  if (type < 0x01 || type > 0x0a) { throw new TypeError('type must be in the subkey range of 0x01 to 0x0a'); }
 
   var p = Tree.getPrefix(name);
   var pt = new Buffer(p.length + 1);
@@ -175,10 +277,11 @@ Tree.getPrefixWithType = function getPrefixWithType(name, type) {
 /**
  * Parse a key.
  *
- * @param {Buffer} key  any valid type: dskey, ikey or headkey, vkey
+ * @param {Buffer} key  any valid type: dskey, ikey, headkey, vkey, uskey, tkey or
+ *                     xkey
  * @param {Object} [opts]  object containing configurable parameters
  * @return {Object} containing the members name and type and depending on the
- *                  type it can contain id, i and/or v.
+ *                  type it can contain id, i, v and/or field and value.
  *
  *
  * opts:
@@ -213,7 +316,7 @@ Tree.parseKey = function parseKey(key, opts) {
   if (key[offset++] !== 0x00) { throw new Error('expected a null byte after name'); }
 
   type = key[offset++];
-  if (type < 0x01 || type > 0x05) { throw new TypeError('key is of an unknown type'); }
+  if (type < 0x01 || type > 0x0a) { throw new TypeError('key is of an unknown type'); }
 
   ret = {
     name: name,
@@ -241,6 +344,8 @@ Tree.parseKey = function parseKey(key, opts) {
     if (offset !== key.length) { throw new Error('expected no bytes after i'); }
     break;
   case IKEY:
+  case TKEY:
+  case CKEY:
     nlen = key[offset++];
     if (!(nlen > 0)) { throw new Error('i must be at least one byte'); }
     ret.i = key.readUIntBE(offset, nlen);
@@ -290,6 +395,31 @@ Tree.parseKey = function parseKey(key, opts) {
 
     if (offset !== key.length) { throw new Error('expected no bytes after i'); }
     break;
+  case XKEY:
+    nlen = key[offset++];
+    if (!(nlen > 0)) { throw new Error('field must be at least one byte'); }
+    ret.field = key.slice(offset, offset += nlen).toString();
+    if (key[offset++] !== 0x00) { throw new Error('expected a null byte after field'); }
+
+    var xval = Tree._parseXVal(key, offset);
+    ret.value = xval.value;
+    offset += xval.length;
+
+    nlen = key[offset++];
+    if (!(nlen > 0)) { throw new Error('i must be at least one byte'); }
+    ret.i = key.readUIntBE(offset, nlen);
+    offset += nlen;
+
+    if (offset !== key.length) { throw new Error('expected no bytes after i'); }
+    break;
+  case MKEY:
+    if (offset === key.length) { throw new Error('meta key must be at least one byte'); }
+    ret.meta = key.slice(offset).toString();
+    break;
+  case AKEY:
+    if (key.length - offset !== 32) { throw new Error('digest must be 32 bytes'); }
+    ret.digest = key.slice(offset).toString('hex');
+    break;
   }
 
   return ret;
@@ -331,6 +461,63 @@ Tree.parseHeadVal = function parseHeadVal(value) {
   return ret;
 };
 
+/**
+ * Parse time index value.
+ *
+ * @param {Buffer} value  value of a tkey
+ * @return {Number} milliseconds since the epoch
+ */
+Tree.parseTVal = function parseTVal(value) {
+  if (!Buffer.isBuffer(value)) { throw new TypeError('value must be a buffer'); }
+
+  var nlen = value[0];
+  if (!(nlen > 0)) { throw new Error('time must be at least one byte'); }
+  if (1 + nlen !== value.length) { throw new Error('unexpected length of value'); }
+
+  return value.readUIntBE(1, nlen);
+};
+
+/**
+ * Parse a secondary index value in a key.
+ *
+ * @param {Buffer} key  key containing the value
+ * @param {Number} offset  offset of the value in key
+ * @return {Object} containing the value and the length of the encoded value
+ */
+Tree._parseXVal = function _parseXVal(key, offset) {
+  var type = key[offset];
+  var num, end;
+
+  switch (type) {
+  case XNULL:
+    return { value: null, length: 1 };
+  case XFALSE:
+    return { value: false, length: 1 };
+  case XTRUE:
+    return { value: true, length: 1 };
+  case XNUMBER:
+  case XDATE:
+    if (key.length < offset + 9) { throw new Error('expected 8 bytes after value type'); }
+    var b = new Buffer(8);
+    key.copy(b, 0, offset + 1, offset + 9);
+    // undo the bit flips, see _composeXVal
+    if (b[0] & 0x80) {
+      b[0] = b[0] ^ 0x80;
+    } else {
+      for (var j = 0; j < 8; j++) { b[j] = ~b[j]; }
+    }
+    num = b.readDoubleBE(0);
+    return { value: type === XDATE ? new Date(num) : num, length: 9 };
+  case XSTRING:
+    end = offset + 1;
+    while (key[end] !== 0x00 && end < key.length) { end++; }
+    if (key[end] !== 0x00) { throw new Error('expected a null byte after value'); }
+    return { value: key.slice(offset + 1, end).toString(), length: end + 1 - offset };
+  default:
+    throw new Error('value is of an unknown type');
+  }
+};
+
 /**
  * Get a range object with start and end points for the ikey index.
  *
@@ -426,6 +613,167 @@ Tree.prototype.getVKeyRange = function getVKeyRange() {
   return { s: s, e: e };
 };
 
+/**
+ * Get a range object with start and end points for the tkey index.
+ *
+ * @return {Object}  start and end buffer: { s: buffer, e: buffer }
+ */
+Tree.prototype.getTKeyRange = function getTKeyRange() {
+  var prefix = this._idxTPrefix;
+
+  var s = new Buffer(prefix.length);
+  var e = new Buffer(prefix.length + 1);
+
+  prefix.copy(s);
+  prefix.copy(e);
+
+  e[prefix.length] = 0xff;
+
+  return { s: s, e: e };
+};
+
+/**
+ * Get a range object with start and end points for the uskey store.
+ *
+ * @return {Object}  start and end buffer: { s: buffer, e: buffer }
+ */
+Tree.prototype.getUsKeyRange = function getUsKeyRange() {
+  var prefix = this._usPrefix;
+
+  var s = new Buffer(prefix.length);
+  var e = new Buffer(prefix.length + 1);
+
+  prefix.copy(s);
+  prefix.copy(e);
+
+  e[prefix.length] = 0xff;
+
+  return { s: s, e: e };
+};
+
+/**
+ * Get a range object with start and end points for the attachment store.
+ *
+ * @return {Object}  start and end buffer: { s: buffer, e: buffer }
+ */
+Tree.prototype.getAKeyRange = function getAKeyRange() {
+  var prefix = this._attachPrefix;
+
+  var s = new Buffer(prefix.length);
+  var e = new Buffer(prefix.length + 1);
+
+  prefix.copy(s);
+  prefix.copy(e);
+
+  e[prefix.length] = 0xff;
+
+  return { s: s, e: e };
+};
+
+/**
+ * Get a range object with start and end points for the conflict store.
+ *
+ * @return {Object}  start and end buffer: { s: buffer, e: buffer }
+ */
+Tree.prototype.getCKeyRange = function getCKeyRange() {
+  var prefix = this._conflictPrefix;
+
+  var s = new Buffer(prefix.length);
+  var e = new Buffer(prefix.length + 1);
+
+  prefix.copy(s);
+  prefix.copy(e);
+
+  e[prefix.length] = 0xff;
+
+  return { s: s, e: e };
+};
+
+/**
+ * Get a range object with start and end points for a secondary index. Either
+ * select one value, optionally limited by i, or a range of values. A range of
+ * values never spans different types, i.e. { gt: 5 } does not include strings.
+ *
+ * @param {String} field  indexed field
+ * @param {Object} [opts]  object containing configurable parameters
+ * @return {Object}  start and end buffer: { s: buffer, e: buffer }
+ *
+ * opts:
+ *   value {mixed}  select one value, mutually exclusive with gt, gte, lt and lte
+ *   minI {Number}  minimum offset, valid lbeint (value required)
+ *   maxI {Number}  maximum value, valid lbeint (value required)
+ *   gt {mixed}  select values greater than gt
+ *   gte {mixed}  select values greater than or equal to gte
+ *   lt {mixed}  select values less than lt
+ *   lte {mixed}  select values less than or equal to lte
+ */
+Tree.prototype.getXKeyRange = function getXKeyRange(field, opts) {
+  if (typeof field !== 'string') { throw new TypeError('field must be a string'); }
+  if (opts == null) { opts = {}; }
+  if (typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
+  if (opts.minI != null && typeof opts.minI !== 'number') { throw new TypeError('opts.minI must be a number'); }
+  if (opts.maxI != null && typeof opts.maxI !== 'number') { throw new TypeError('opts.maxI must be a number'); }
+
+  var prefix = this._composeXKey(field);
+  var s, e, xval;
+
+  // encode a bound, if after is true position it after all keys with this value
+  function bound(value, after) {
+    var b = Tree._composeXVal(value);
+    if (!b) { throw new Error('value can not be indexed'); }
+    return after ? Buffer.concat([b, new Buffer([0xff])]) : b;
+  }
+
+  if (opts.hasOwnProperty('value')) {
+    xval = Tree._composeXVal(opts.value);
+    if (!xval) { throw new Error('value can not be indexed'); }
+
+    s = Buffer.concat([prefix, xval]);
+    e = Buffer.concat([prefix, xval]);
+
+    if (opts.minI) {
+      s = Buffer.concat([s, new Buffer([this._iSize]), new Buffer(this._iSize)]);
+      s.writeUIntBE(opts.minI, s.length - this._iSize, this._iSize);
+    }
+
+    if (opts.maxI) {
+      e = Buffer.concat([e, new Buffer([this._iSize]), new Buffer(this._iSize)]);
+      e.writeUIntBE(opts.maxI, e.length - this._iSize, this._iSize);
+    } else {
+      e = Buffer.concat([e, new Buffer([0xff])]);
+    }
+
+    return { s: s, e: e };
+  }
+
+  var lower, upper;
+  if (opts.hasOwnProperty('gt')) {
+    lower = bound(opts.gt, true);
+  } else if (opts.hasOwnProperty('gte')) {
+    lower = bound(opts.gte, false);
+  }
+
+  if (opts.hasOwnProperty('lt')) {
+    upper = bound(opts.lt, false);
+  } else if (opts.hasOwnProperty('lte')) {
+    upper = bound(opts.lte, true);
+  }
+
+  // stay within the type of the other bound
+  if (!lower && upper) {
+    lower = new Buffer([upper[0]]);
+  }
+  if (lower && !upper) {
+    upper = new Buffer([lower[0] + 1]);
+  }
+
+  if (!lower) {
+    return { s: prefix, e: Buffer.concat([prefix, new Buffer([0xff])]) };
+  }
+
+  return { s: Buffer.concat([prefix, lower]), e: Buffer.concat([prefix, upper]) };
+};
+
 /**
  * Create a new key that is incremented by one.
  *
@@ -708,7 +1056,7 @@ Tree.prototype.createHeadReadStream = function createHeadReadStream(opts) {
 
       that._log.debug2('t:%s createHeadReadStream iterate key %j val %j', that.name, key, val);
 
-      that._db.get(that._composeDsKey(key.id, val.i), function(err, item) {
+      that._getValue(that._composeDsKey(key.id, val.i), function(err, item) {
         if (err) {
           that._log.err('t:%s createHeadReadStream %s', that.name, err);
           cb2(err);
@@ -741,6 +1089,89 @@ Tree.prototype.createHeadReadStream = function createHeadReadStream(opts) {
   return this._db.createReadStream(opts).pipe(transformer);
 };
 
+/**
+ * Get a stream over all heads that match a value or a range of values of an
+ * indexed field. Heads are emitted in order of the value and then in order of
+ * insertion. See getXKeyRange for the value and range options.
+ *
+ * @param {Object} opts  object containing configurable parameters
+ * @return {stream.Readable}
+ *
+ * opts:
+ *   field {String}  indexed field
+ *   value {mixed}  value of the field, mutually exclusive with range
+ *   range {Object}  object with gt, gte, lt and/or lte
+ *   skipConflicts {Boolean, default false}  whether to emit heads with the
+ *     conflict bit set
+ *   skipDeletes {Boolean, default false}  whether to emit heads with the delete
+ *     bit set
+ *   bson {Boolean, default false}  whether to BSON serialize the object or not
+ */
+Tree.prototype.createIndexReadStream = function createIndexReadStream(opts) {
+  if (opts == null || typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
+  if (typeof opts.field !== 'string') { throw new TypeError('opts.field must be a string'); }
+  if (opts.range != null && typeof opts.range !== 'object') { throw new TypeError('opts.range must be an object'); }
+  if (!opts.hasOwnProperty('value') && opts.range == null) { throw new Error('opts must contain value or range'); }
+  if (opts.hasOwnProperty('value') && opts.range != null) { throw new Error('opts.value is mutually exclusive with opts.range'); }
+  if (opts.skipConflicts != null && typeof opts.skipConflicts !== 'boolean') { throw new TypeError('opts.skipConflicts must be a boolean'); }
+  if (opts.skipDeletes != null && typeof opts.skipDeletes !== 'boolean') { throw new TypeError('opts.skipDeletes must be a boolean'); }
+  if (opts.bson != null && typeof opts.bson !== 'boolean') { throw new TypeError('opts.bson must be a boolean'); }
+
+  if (!~this._indexes.indexOf(opts.field)) { throw new Error('field is not indexed'); }
+
+  var r;
+  if (opts.range) {
+    r = this.getXKeyRange(opts.field, opts.range);
+  } else {
+    r = this.getXKeyRange(opts.field, { value: opts.value });
+  }
+  this._log.debug2('t:%s createIndexReadStream range %j', this.name, r);
+
+  var that = this;
+
+  var transformer = new Transform({
+    objectMode: true,
+    transform: function(obj, encoding, cb2) {
+      var self = this;
+
+      that._getValue(obj.value, function(err, bitem) {
+        if (err) {
+          that._log.err('t:%s createIndexReadStream %s', that.name, err);
+          cb2(err);
+          return;
+        }
+
+        var item = process.browser ? bitem : BSON.deserialize(bitem);
+
+        // only emit heads
+        that._db.get(that._composeHeadKey(item.h.id, item.h.v), function(err) {
+          if (err) {
+            if (err.notFound) {
+              cb2();
+              return;
+            }
+            that._log.err('t:%s createIndexReadStream %s', that.name, err);
+            cb2(err);
+            return;
+          }
+
+          if (opts.skipConflicts && item.h.c) { cb2(); return; }
+          if (opts.skipDeletes && item.h.d) { cb2(); return; }
+
+          if (opts.bson) {
+            self.push(process.browser ? BSON.serialize(bitem) : bitem);
+          } else {
+            self.push(item);
+          }
+          cb2();
+        });
+      });
+    }
+  });
+
+  return this._db.createReadStream({ gte: r.s, lte: r.e }).pipe(transformer);
+};
+
 /**
  * Get an iterator that iterates over all heads in order of id. Both values and
  * keys are emitted.
@@ -808,6 +1239,133 @@ Tree.prototype.getHeads = function getHeads(opts, iterator, cb) {
   });
 };
 
+/**
+ * Get a stream over the state of all DAGs at a given point in the history of the
+ * tree, in order of id. For each id, the versions that were heads right after the
+ * version at "at" was inserted are emitted, including deletes. Ids that did not
+ * exist at that point are skipped.
+ *
+ * If the tree is pruned, the heads at "at" might be removed. If a DAG misses
+ * versions that could have been a head at that point, the stream emits an error.
+ *
+ * @param {Object} opts  object containing configurable parameters
+ * @return {stream.Readable}
+ *
+ * opts:
+ *   at {base64 String|Number|Date}  version, i or time of the snapshot. A time
+ *     selects all versions that are inserted at or before that time. Versions
+ *     without a recorded time are only selected if a later version is.
+ *   skipDeletes {Boolean, default false}  whether to emit heads with the delete
+ *     bit set
+ *   bson {Boolean, default false}  whether to BSON serialize the object or not
+ */
+Tree.prototype.createSnapshotReadStream = function createSnapshotReadStream(opts) {
+  if (opts == null || typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
+  if (typeof opts.at !== 'string' && typeof opts.at !== 'number' && !(opts.at instanceof Date)) { throw new TypeError('opts.at must be a base64 string, a number or a date'); }
+  if (typeof opts.at === 'string' && Buffer.byteLength(opts.at, 'base64') !== this._vSize) { throw new Error('opts.at must be the same size as the configured vSize'); }
+  if (opts.skipDeletes != null && typeof opts.skipDeletes !== 'boolean') { throw new TypeError('opts.skipDeletes must be a boolean'); }
+  if (opts.bson != null && typeof opts.bson !== 'boolean') { throw new TypeError('opts.bson must be a boolean'); }
+
+  var that = this;
+
+  var ps = new PassThrough({ objectMode: true });
+
+  function error(err) {
+    that._log.err('t:%s createSnapshotReadStream %s', that.name, err);
+    ps.emit('error', err);
+  }
+
+  this._snapshotI(opts.at, function(err, atI) {
+    if (err) { error(err); return; }
+
+    that.lastPruned(function(err, prunedI) {
+      if (err) { error(err); return; }
+
+      that._log.debug('t:%s createSnapshotReadStream at %s i %s', that.name, opts.at, atI);
+
+      // push the heads of one DAG at atI, versions are sorted by i
+      function pushHeads(stream, versions, cb2) {
+        var present = {};
+        var parents = {};
+        versions.forEach(function(version) {
+          present[version.item.h.v] = true;
+          if (version.item.h.i <= atI) {
+            version.item.h.pa.forEach(function(pa) {
+              parents[pa] = true;
+            });
+          }
+        });
+
+        // a removed ancestor of a later version might have been a head at atI
+        if (prunedI != null && versions.some(function(version) {
+          return version.item.h.i > atI && version.item.h.pa.some(function(pa) {
+            return !present[pa];
+          });
+        })) {
+          cb2(new Error('snapshot is pruned'));
+          return;
+        }
+
+        versions.forEach(function(version) {
+          var item = version.item;
+          if (item.h.i > atI) { return; }
+          if (parents[item.h.v]) { return; }
+          if (opts.skipDeletes && item.h.d) { return; }
+
+          if (opts.bson) {
+            stream.push(process.browser ? BSON.serialize(version.value) : version.value);
+          } else {
+            stream.push(item);
+          }
+        });
+        cb2();
+      }
+
+      // dskeys are sorted by id and then by i
+      var id, versions = [];
+
+      var transformer = new Transform({
+        objectMode: true,
+        transform: function(obj, encoding, cb2) {
+          var self = this;
+          var key = Tree.parseKey(obj.key);
+
+          that._decodeValue(obj.key, obj.value, function(err, value) {
+            if (err) { cb2(err); return; }
+
+            var version = {
+              item: process.browser ? value : BSON.deserialize(value),
+              value: value
+            };
+
+            if (id && !id.equals(key.id)) {
+              var dag = versions;
+              versions = [version];
+              id = key.id;
+              pushHeads(self, dag, cb2);
+              return;
+            }
+
+            id = key.id;
+            versions.push(version);
+            cb2();
+          });
+        },
+        flush: function(cb2) {
+          pushHeads(this, versions, cb2);
+        }
+      });
+
+      transformer.on('error', error);
+
+      var r = that.getDsKeyRange();
+      that._db.createReadStream({ gt: r.s, lt: r.e }).on('error', error).pipe(transformer).pipe(ps);
+    });
+  });
+
+  return ps;
+};
+
 /**
  * Get an item by version. A valid version is any number up to 48 bits.
  *
@@ -843,7 +1401,7 @@ Tree.prototype.getByVersion = function getByVersion(version, opts, cb) {
       return;
     }
 
-    that._db.get(dsKey, function(err, item) {
+    that._getValue(dsKey, function(err, item) {
       if (err) { cb(err); return; }
 
       var value;
@@ -893,6 +1451,8 @@ Tree.prototype.insertionOrderStream = function insertionOrderStream(opts) {
  *
  * opts:
  *   id {String|Object}  limit to one specific DAG
+ *   index {Object}  limit to items with a value of an indexed field, i.e.
+ *                   { field: 'customerId', value: 5 }
  *   first {base64 String}  first version, offset
  *   last {base64 String}  last version (mutually exclusive with tail)
  *   excludeFirst {Boolean, default false}  whether or not first should be
@@ -903,8 +1463,9 @@ Tree.prototype.insertionOrderStream = function insertionOrderStream(opts) {
  *                                     exclusive with tail)
  *   limit {Number}  whether to limit the maximum number of results
  *   bson {Boolean, default false}  whether to BSON serialize the object or not
- *   tail {Boolean, default false}  if true, keeps the stream open
- *   tailRetry {Number, default 1000}  reopen readers every tailRetry ms
+ *   tail {Boolean, default false}  if true, keeps the stream open and reads new
+ *                                  items as soon as they are written
+ *   tailRetry {Number}  deprecated, new items are read on the "written" event
  */
 Tree.prototype.createReadStream = function createReadStream(opts) {
   if (opts == null) { opts = {}; }
@@ -921,57 +1482,81 @@ Tree.prototype.createReadStream = function createReadStream(opts) {
   var excludeFirst = opts.excludeFirst;
   var that         = this;
 
-  var timeout, ts, rs;
+  var ts, rs;
+  var finished = false;
+
+  // whether items are written since the current reader was opened
+  var written = false;
 
   // create a new rs, pipe it to ts
   function setupReader() {
     that._log.debug2('t:%s createReadStream open reader: %j', that.name, opts);
+    written = false;
     rs = new StreamTree(that, {
       id:            opts.id,
+      index:         opts.index,
       first:         first,
       excludeFirst:  excludeFirst,
       bson:          opts.bson
     });
 
+    // track the last version that is passed on, exclude it on subsequent iterations
+    rs.on('data', function(obj) {
+      first = obj.h.v;
+      excludeFirst = true;
+    });
+
     rs.once('end', function() {
       // cleanup
       rs.unpipe(ts);
-
-      that._log.debug2('t:%s createReadStream schedule next', that.name);
-      timeout = setTimeout(setupReader, opts.tailRetry || 1000);
+      rs = null;
+      next();
     });
 
     rs.once('error', function(err) {
-      // since this is a retry tail, skip version not found errors, maybe the requested version will exist later
+      rs.unpipe(ts);
+      rs = null;
+
+      // skip version not found errors, maybe the requested version will be written later
       if (err.message === 'version not found') {
         that._log.info('t:%s createReadStream unknown version requested', that.name);
+        next();
       } else {
         that._log.err('t:%s createReadStream %j', that.name, err);
-        rs.emit('error', err);
+        ts.emit('error', err);
       }
     });
     rs.pipe(ts, { end: false });
   }
 
+  // reopen if items are written while reading, otherwise wait until new items are written
+  function next() {
+    if (finished) { return; }
+    if (written) {
+      that._log.debug2('t:%s createReadStream reopen', that.name);
+      setupReader();
+    } else {
+      that._log.debug2('t:%s createReadStream wait for new items', that.name);
+    }
+  }
+
+  function onWritten() {
+    written = true;
+    if (!rs) { next(); }
+  }
+
   if (opts.tail) {
-    // track last emitted version
-    ts = new Transform({
-      objectMode: true,
-      transform: function(obj, enc, cb) {
-        first = obj.h.v;
-        cb(null, obj);
-      }
-    });
+    ts = new PassThrough({ objectMode: true });
 
+    that.on('written', onWritten);
     setupReader();
 
-    // exclude first on subsequent iterations
-    excludeFirst = true;
-
-    // clear any scheduled timeout if end() is called
+    // stop listening for new items if end() is called
     ts.on('finish', function() {
       that._log.debug('t:%s createReadStream finished', that.name);
-      clearTimeout(timeout);
+      finished = true;
+      that.removeListener('written', onWritten);
+      if (rs) { rs.unpipe(ts); }
     });
     return ts;
   } else {
@@ -1065,7 +1650,14 @@ Tree.prototype.lastByPerspective = function lastByPerspective(pe, decodeV, cb) {
       }
     }
 
-    var v = Tree.parseKey(vkey, { decodeV: decodeV }).v;
+    var v;
+    try {
+      v = Tree.parseKey(that._decodeUsVal(usKey, vkey), { decodeV: decodeV }).v;
+    } catch (err) {
+      that._log.err('t:%s lastByPerspective %s %s', that.name, pe, err);
+      cb(err);
+      return;
+    }
 
     that._log.debug2('t:%s lastByPerspective %s %s', that.name, pe, v);
     cb(null, v);
@@ -1100,213 +1692,2254 @@ Tree.prototype.del = function del(item, cb) {
   this._resolveVtoI(version, function(err, i) {
     if (err) { cb(err); return; }
 
-    // remove from each index
-    var tra = [];
-    tra.push({ type: 'del', key: that._composeIKey(i) });
-    tra.push({ type: 'del', key: that._composeVKey(version) });
-    tra.push({ type: 'del', key: that._composeHeadKey(item.h.id, version) });
-    tra.push({ type: 'del', key: that._composeDsKey(item.h.id, i) });
+    var dsKey = that._composeDsKey(item.h.id, i);
+
+    // use the stored item to find the secondary index keys
+    that._getValue(dsKey, function(err, stored) {
+      if (err) { cb(err); return; }
+
+      // remove from each index
+      var tra = [];
+      tra.push({ type: 'del', key: that._composeIKey(i) });
+      tra.push({ type: 'del', key: that._composeTKey(i) });
+      tra.push({ type: 'del', key: that._composeVKey(version) });
+      tra.push({ type: 'del', key: that._composeHeadKey(item.h.id, version) });
+      tra.push({ type: 'del', key: dsKey });
+      that._composeXKeys(process.browser ? stored : BSON.deserialize(stored)).forEach(function(xKey) {
+        tra.push({ type: 'del', key: xKey });
+      });
 
-    that._db.batch(tra, cb);
+      that._dbBatch(tra, cb);
+    });
   });
 };
 
 /**
- * Get statistics from the tree.
+ * Remove old versions from the tree. Only ancestors are removed, heads are always
+ * kept. A version is removed if it is older than every configured horizon.
+ *
+ * Parents of the oldest remaining versions might no longer exist after pruning.
+ * The highest removed i is recorded, see lastPruned, and the i of each removed
+ * parent of a remaining version, see verify.
  *
+ * @param {Object} opts  object containing configurable parameters
  * @param {Function} cb  First parameter will be an error object or null. Second
- *                       parameter will be an object.
+ *                       parameter will be the number of removed versions.
+ *
+ * opts:
+ *   maxAge {Number}  remove versions that are inserted more than maxAge ms ago
+ *   maxCount {Number}  keep at most maxCount versions per id, heads included
+ *   horizon {Array}  remove versions that are inserted before each of these
+ *                    versions
+ *   keepLast {Array}  names of perspectives of which the last version of each id
+ *                     and all newer versions of that id are kept, so that it can
+ *                     serve as the merge base of the next version of that
+ *                     perspective
+ *   id {Buffer|String|Object}  limit to one specific DAG
  */
-Tree.prototype.stats = function stats(cb) {
+Tree.prototype.prune = function prune(opts, cb) {
+  if (opts == null || typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
   if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+  if (opts.maxAge != null && typeof opts.maxAge !== 'number') { throw new TypeError('opts.maxAge must be a number'); }
+  if (opts.maxCount != null && typeof opts.maxCount !== 'number') { throw new TypeError('opts.maxCount must be a number'); }
+  if (opts.horizon != null && !Array.isArray(opts.horizon)) { throw new TypeError('opts.horizon must be an array'); }
+  if (opts.keepLast != null && !Array.isArray(opts.keepLast)) { throw new TypeError('opts.keepLast must be an array'); }
+  if (opts.maxAge == null && opts.maxCount == null && opts.horizon == null) { throw new Error('opts must contain maxAge, maxCount or horizon'); }
 
-  var headCount = 0;
-  var conflict = 0;
-  var deleted = 0;
+  var that = this;
 
-  this.createHeadReadStream().on('readable', function() {
-    var head = this.read();
+  this._pruneCutoff(opts, function(err, cutoff) {
+    if (err) { cb(err); return; }
 
-    if (!head) { // end of stream
-      cb(null, {
-        heads: {
-          count: headCount,
-          conflict: conflict,
-          deleted: deleted
-        }
-      });
-      return;
+    that._log.info('t:%s prune cutoff i %s', that.name, cutoff);
+
+    var pruned = 0;
+    var lastI = 0;
+
+    // remove every version of one DAG in one atomic operation
+    function pruneDag(versions, deltas, cb2) {
+      var parents = {};
+      versions.forEach(function(item) {
+        item.h.pa.forEach(function(pa) {
+          parents[pa] = true;
+        });
+      });
+
+      // keep the last version of each perspective in keepLast and every newer version
+      var dagCutoff = cutoff;
+      var lastOf = {};
+      var j, item;
+      for (j = versions.length; j-- > 0;) {
+        item = versions[j];
+        if (opts.keepLast && item.h.pe != null && !lastOf[item.h.pe] && ~opts.keepLast.indexOf(item.h.pe)) {
+          lastOf[item.h.pe] = true;
+          dagCutoff = Math.min(dagCutoff, item.h.i);
+        }
+      }
+
+      // versions are sorted by i, count from the last inserted version
+      var tra = [];
+      var removed = {};
+      var count = 0;
+      for (j = versions.length; j-- > 0;) {
+        item = versions[j];
+        count++;
+
+        // keep heads, new versions and the last maxCount versions
+        if (!parents[item.h.v]) { continue; }
+        if (item.h.i >= dagCutoff) { continue; }
+        if (opts.maxCount != null && count <= opts.maxCount) { continue; }
+
+        that._log.debug('t:%s prune %j', that.name, item.h);
+
+        tra.push({ type: 'del', key: that._composeIKey(item.h.i) });
+        tra.push({ type: 'del', key: that._composeTKey(item.h.i) });
+        tra.push({ type: 'del', key: that._composeVKey(item.h.v) });
+        tra.push({ type: 'del', key: that._composeDsKey(item.h.id, item.h.i) });
+        that._composeXKeys(item).forEach(function(xKey) {
+          tra.push({ type: 'del', key: xKey });
+        });
+
+        removed[item.h.v] = true;
+        pruned++;
+        lastI = Math.max(lastI, item.h.i);
+      }
+
+      if (!tra.length) {
+        process.nextTick(cb2);
+        return;
+      }
+
+      // record the i of removed parents of remaining versions, see verify
+      var remainingParents = {};
+      versions.forEach(function(item) {
+        if (removed[item.h.v]) { return; }
+        item.h.pa.forEach(function(pa) {
+          remainingParents[pa] = true;
+        });
+      });
+      versions.forEach(function(item) {
+        if (!removed[item.h.v]) { return; }
+        if (remainingParents[item.h.v]) {
+          var usKey = that._composePrunedParentKey(item.h.v);
+          tra.push({ type: 'put', key: usKey, value: that._encodeUsVal(usKey, that._composeIKey(item.h.i)) });
+        }
+        item.h.pa.forEach(function(pa) {
+          if (!remainingParents[pa]) {
+            tra.push({ type: 'del', key: that._composePrunedParentKey(pa) });
+          }
+        });
+      });
+
+      // store remaining versions in full if the base of their delta is removed
+      async.eachSeries(versions, function(item, cb3) {
+        if (removed[item.h.v] || !deltas[item.h.v] || !removed[item.h.pa[0]]) {
+          process.nextTick(cb3);
+          return;
+        }
+
+        that._encodeValue(item, null, function(err, value) {
+          if (err) { cb3(err); return; }
+          tra.push({ type: 'put', key: that._composeDsKey(item.h.id, item.h.i), value: value });
+          cb3();
+        });
+      }, function(err) {
+        if (err) { cb2(err); return; }
+        that._dbBatch(tra, cb2);
+      });
     }
 
-    headCount++;
-    if (head.h.c) { conflict++; }
-    if (head.h.d) { deleted++; }
+    // dskeys are sorted by id and then by i
+    var id, versions = [], deltas = {};
+    var r = that.getDsKeyRange(opts.id != null ? { id: opts.id } : null);
+
+    that._db.createReadStream({ gt: r.s, lt: r.e }).pipe(new Writable({
+      objectMode: true,
+      write: function(obj, enc, cb2) {
+        var key = Tree.parseKey(obj.key);
+
+        that._decodeValue(obj.key, obj.value, function(err, value) {
+          if (err) { cb2(err); return; }
+
+          var item = process.browser ? value : BSON.deserialize(value);
+
+          if (id && !id.equals(key.id)) {
+            var dag = versions;
+            var dagDeltas = deltas;
+            versions = [];
+            deltas = {};
+            id = key.id;
+            pruneDag(dag, dagDeltas, function(err) {
+              if (err) { cb2(err); return; }
+              versions.push(item);
+              if (Tree._deltaDepth(obj.value)) { deltas[item.h.v] = true; }
+              cb2();
+            });
+            return;
+          }
+
+          id = key.id;
+          versions.push(item);
+          if (Tree._deltaDepth(obj.value)) { deltas[item.h.v] = true; }
+          cb2();
+        });
+      }
+    })).on('error', cb).on('finish', function() {
+      pruneDag(versions, deltas, function(err) {
+        if (err) { cb(err); return; }
+
+        if (!pruned) {
+          cb(null, pruned);
+          return;
+        }
+
+        that.lastPruned(function(err, i) {
+          if (err) { cb(err); return; }
+
+          if (i != null && i > lastI) {
+            cb(null, pruned);
+            return;
+          }
+
+          that._log.info('t:%s prune removed %d versions, last i %d', that.name, pruned, lastI);
+          var usKey = that._composeUsKey(PRUNED);
+          that._dbPut(usKey, that._encodeUsVal(usKey, that._composeIKey(lastI)), function(err) {
+            cb(err, pruned);
+          });
+        });
+      });
+    });
   });
 };
 
 /**
- * Set conflict by version. A valid version is any number up to 48 bits.
+ * Get the highest i that is removed by prune.
  *
- * @param {Number|base64 String} version  valid lbeint or base64 int
- * @param {Function} cb  First parameter will be an error object or null.
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be a number or null if never pruned.
  */
-Tree.prototype.setConflictByVersion = function setConflictByVersion(version, cb) {
-  if (typeof version !== 'number' && typeof version !== 'string') { throw new TypeError('version must be a number or a base64 string'); }
+Tree.prototype.lastPruned = function lastPruned(cb) {
   if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
 
-  this._log.debug('t:%s setConflict %s', this.name, version);
+  var that = this;
+  var usKey = this._composeUsKey(PRUNED);
+  this._db.get(usKey, function(err, iKey) {
+    if (err) {
+      if (err.notFound) {
+        cb(null, null);
+        return;
+      }
+      that._log.err('t:%s lastPruned lookup error %j', that.name, err);
+      cb(err);
+      return;
+    }
+
+    var i;
+    try {
+      i = Tree.parseKey(that._decodeUsVal(usKey, iKey)).i;
+    } catch (err) {
+      that._log.err('t:%s lastPruned %s', that.name, err);
+      cb(err);
+      return;
+    }
+    cb(null, i);
+  });
+};
+
+/**
+ * Get the metadata of the tree.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an object with all metadata.
+ */
+Tree.prototype.getMeta = function getMeta(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
 
+  var that = this;
+  var meta = {};
   var error;
+
+  var e = Buffer.concat([this._metaPrefix, new Buffer([0xff])]);
+  this._db.createReadStream({ gt: this._metaPrefix, lt: e }).on('data', function(obj) {
+    try {
+      meta[Tree.parseKey(obj.key).meta] = JSON.parse(obj.value.toString());
+    } catch (err) {
+      that._log.err('t:%s getMeta %s', that.name, err);
+      error = err;
+    }
+  }).on('error', cb).on('end', function() {
+    if (error) { cb(error); return; }
+    cb(null, meta);
+  });
+};
+
+/**
+ * Set one or more metadata keys of the tree. Keys that are not given are kept, a
+ * key with a null value is removed.
+ *
+ * @param {Object} meta  keys to set, values must be JSON serializable
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype.setMeta = function setMeta(meta, cb) {
+  if (meta == null || typeof meta !== 'object' || Array.isArray(meta)) { throw new TypeError('meta must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
   var that = this;
 
-  // update by dskey and headkey
-  this.getByVersion(version, function(err, item) {
-    if (err) { cb(err); return; }
+  var tra = Object.keys(meta).map(function(key) {
+    if (!key) { throw new TypeError('meta keys must be non-empty strings'); }
 
-    if (!item) {
-      error = new Error('version not found');
-      that._log.err('t:%s setConflict %s: %s', that.name, error, version);
-      cb(error);
-      return;
+    var mKey = Buffer.concat([that._metaPrefix, new Buffer(key)]);
+    if (meta[key] == null) {
+      return { type: 'del', key: mKey };
     }
+    return { type: 'put', key: mKey, value: new Buffer(JSON.stringify(meta[key])) };
+  });
 
-    if (item.h.c) {
-      cb();
+  this._log.debug('t:%s setMeta %j', this.name, meta);
+  this._dbBatch(tra, cb);
+};
+
+/**
+ * Store an attachment. Attachments are addressed by the sha256 digest of their
+ * data, so storing the same data twice stores it once. Attachments are encrypted
+ * like versions, but never compressed or delta encoded, and are not removed by
+ * prune.
+ *
+ * @param {Buffer} data  data of the attachment
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the hex encoded digest.
+ */
+Tree.prototype.putAttachment = function putAttachment(data, cb) {
+  if (!Buffer.isBuffer(data)) { throw new TypeError('data must be a buffer'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var digest = crypto.createHash('sha256').update(data).digest('hex');
+  var aKey = this._composeAKey(digest);
+
+  var that = this;
+  this._dbPut(aKey, this._encodeAttachment(aKey, data), function(err) {
+    if (err) {
+      that._log.err('t:%s putAttachment %s', that.name, err);
+      cb(err);
       return;
     }
+    that._log.debug('t:%s putAttachment %s %d bytes', that.name, digest, data.length);
+    cb(null, digest);
+  });
+};
 
-    item.h.c = true;
+/**
+ * Get an attachment by digest.
+ *
+ * @param {String} digest  hex encoded sha256 digest of the data
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the data or null if not found.
+ */
+Tree.prototype.getAttachment = function getAttachment(digest, cb) {
+  if (!Tree._isDigest(digest)) { throw new TypeError('digest must be a hex encoded sha256 digest'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
 
-    // update by dsKey
-    var dsKey = that._composeDsKey(item.h.id, item.h.i);
-    that._db.put(dsKey, process.browser ? item : BSON.serialize(item), function(err) {
-      if (err) { cb(err); return; }
+  var that = this;
+  var aKey = this._composeAKey(digest);
+  this._db.get(aKey, function(err, value) {
+    if (err) {
+      if (err.notFound) {
+        cb(null, null);
+        return;
+      }
+      that._log.err('t:%s getAttachment lookup error %j', that.name, err);
+      cb(err);
+      return;
+    }
 
-      var headKey = that._composeHeadKey(item.h.id, item.h.v);
+    var data;
+    try {
+      data = that._decodeAttachment(aKey, value);
+    } catch (err) {
+      that._log.err('t:%s getAttachment %s %s', that.name, digest, err);
+      cb(err);
+      return;
+    }
+    cb(null, data);
+  });
+};
 
-      // if a head, update by headKey
-      that._db.get(headKey, function(err) {
-        if (err) {
-          if (err.notFound) {
-            cb();
-            return;
-          }
-          cb(err);
+/**
+ * Determine which attachments are not stored.
+ *
+ * @param {Array} digests  hex encoded sha256 digests
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an array with the digests that are not
+ *                       stored.
+ */
+Tree.prototype.missingAttachments = function missingAttachments(digests, cb) {
+  if (!Array.isArray(digests)) { throw new TypeError('digests must be an array'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+  if (!digests.every(Tree._isDigest)) { throw new TypeError('digests must be hex encoded sha256 digests'); }
+
+  var that = this;
+  var missing = [];
+  async.eachSeries(digests, function(digest, cb2) {
+    that._db.get(that._composeAKey(digest), function(err) {
+      if (err) {
+        if (err.notFound) {
+          missing.push(digest);
+          cb2();
           return;
         }
-
-        var headVal = that._composeHeadVal(item);
-        that._db.put(headKey, headVal, cb);
-      });
+        cb2(err);
+        return;
+      }
+      cb2();
     });
+  }, function(err) {
+    if (err) { cb(err); return; }
+    cb(null, missing);
   });
 };
 
 /**
- * Check if a certain version is in the buffer to be written. This function uses
- * the internal Node API and therefore may break.
+ * Store a merge conflict in the conflict store. Conflicts get an id that is one
+ * higher than the id of the last stored conflict. Conflicts are encrypted like
+ * attachments and are not removed by prune.
  *
- * @param {String|Object} id  id that is a string or implements "toString"
- * @param {Function} cb  First parameter will be an error object or null.
+ * @param {Object} conflict  merge conflict: { n: {}, l: {}, lcas: [], pe: '', c: [],
+ *                           [hunks]: {} }
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the id of the conflict.
  */
-Tree.prototype.inBufferById = function inBufferById(id) {
-  var found = false;
+Tree.prototype.putConflict = function putConflict(conflict, cb) {
+  if (conflict == null || typeof conflict !== 'object') { throw new TypeError('conflict must be an object'); }
+  if (conflict.n == null || typeof conflict.n !== 'object') { throw new TypeError('conflict.n must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
 
-  if (this._buffer && this._buffer.length)
-    found = this._buffer.some(function(item) {
-      // support "atomic" array elements (see _writev)
-      if (Array.isArray(item.chunk)) { // descend
-        return item.chunk.some(item2 => id === item2.h.id);
-      } else {
-        return id === item.chunk.h.id;
+  var that = this;
+  this._nextConflictId(function(err, id) {
+    if (err) { cb(err); return; }
+
+    var cKey = that._composeCKey(id);
+    var obj = { n: conflict.n, l: conflict.l, lcas: conflict.lcas, pe: conflict.pe, c: conflict.c };
+    if (conflict.hunks) {
+      obj.hunks = conflict.hunks;
+    }
+    var value = BSON.serialize(obj);
+    that._dbPut(cKey, that._encodeAttachment(cKey, value), function(err) {
+      if (err) {
+        that._log.err('t:%s putConflict %s', that.name, err);
+        cb(err);
+        return;
       }
+      that._log.debug('t:%s putConflict %d %j', that.name, id, conflict.n.h);
+      cb(null, id);
     });
+  });
+};
 
-  if (found)
-    return true;
+/**
+ * Get a merge conflict by id.
+ *
+ * @param {Number} id  id of the conflict
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the conflict, including its id, or null
+ *                       if not found.
+ */
+Tree.prototype.getConflict = function getConflict(id, cb) {
+  if (typeof id !== 'number') { throw new TypeError('id must be a number'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
 
-  // synchronous walk over the internal node writable stream buffer
-  return this._writableState.getBuffer().some(function(item) {
-    // support "atomic" array elements (see _writev)
-    if (Array.isArray(item.chunk)) { // descend
-      return item.chunk.some(item2 => id === item2.h.id);
-    } else {
-      return id === item.chunk.h.id;
+  var that = this;
+  var cKey = this._composeCKey(id);
+  this._db.get(cKey, function(err, value) {
+    if (err) {
+      if (err.notFound) {
+        cb(null, null);
+        return;
+      }
+      that._log.err('t:%s getConflict lookup error %j', that.name, err);
+      cb(err);
+      return;
     }
+
+    var conflict;
+    try {
+      conflict = that._decodeConflict(cKey, value);
+    } catch (err) {
+      that._log.err('t:%s getConflict %d %s', that.name, id, err);
+      cb(err);
+      return;
+    }
+    cb(null, conflict);
   });
 };
 
 /**
- * Check if a certain version is in the buffer to be written. This function uses
- * the internal Node API and therefore may break.
+ * Remove a merge conflict from the conflict store.
  *
- * @param {Number|base64 String} version  valid lbeint or base64 int
+ * @param {Number} id  id of the conflict
  * @param {Function} cb  First parameter will be an error object or null.
  */
-Tree.prototype.inBufferByVersion = function inBufferByVersion(version) {
-  var found = false;
+Tree.prototype.delConflict = function delConflict(id, cb) {
+  if (typeof id !== 'number') { throw new TypeError('id must be a number'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
 
-  if (this._buffer && this._buffer.length)
-    found = this._buffer.some(function(item) {
-      // support "atomic" array elements (see _writev)
-      if (Array.isArray(item.chunk)) { // descend
-        return item.chunk.some(item2 => version === item2.h.v);
-      } else {
-        return version === item.chunk.h.v;
+  this._log.debug('t:%s delConflict %d', this.name, id);
+  this._dbDel(this._composeCKey(id), cb);
+};
+
+/**
+ * Get a stream over all stored merge conflicts in order of id. Each conflict is
+ * emitted with its id.
+ *
+ * @return {stream.Readable}
+ */
+Tree.prototype.createConflictReadStream = function createConflictReadStream() {
+  var that = this;
+  var r = this.getCKeyRange();
+
+  var transformer = new Transform({
+    objectMode: true,
+    transform: function(obj, encoding, cb2) {
+      var conflict;
+      try {
+        conflict = that._decodeConflict(obj.key, obj.value);
+      } catch (err) {
+        that._log.err('t:%s createConflictReadStream %s', that.name, err);
+        cb2(err);
+        return;
+      }
+      cb2(null, conflict);
+    }
+  });
+
+  return this._db.createReadStream({ gt: r.s, lt: r.e }).pipe(transformer);
+};
+
+/**
+ * Build the secondary indexes that are configured but not built yet and remove
+ * the indexes that are not configured anymore. Should be called before the tree
+ * is used whenever the configured indexes might have changed. If it's unknown
+ * which indexes are built, all indexes are rebuilt.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of index keys written.
+ */
+Tree.prototype.ensureIndexes = function ensureIndexes(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+
+  var usKey = this._composeUsKey(INDEXES);
+  this._db.get(usKey, function(err, val) {
+    if (err && !err.notFound) { cb(err); return; }
+
+    // if the built indexes are unknown, rebuild all indexes
+    var rebuild = !!err;
+    var built = [];
+    if (!err) {
+      try {
+        built = JSON.parse(that._decodeUsVal(usKey, val).toString());
+      } catch (err) {
+        that._log.err('t:%s ensureIndexes %s', that.name, err);
+        cb(err);
+        return;
       }
+    }
+
+    var added = that._indexes.filter(function(field) {
+      return !~built.indexOf(field);
+    });
+    var removed = built.filter(function(field) {
+      return !~that._indexes.indexOf(field);
     });
 
-  if (found)
-    return true;
+    if (!added.length && !removed.length) {
+      process.nextTick(function() {
+        cb(null, 0);
+      });
+      return;
+    }
+
+    that._log.notice('t:%s ensureIndexes add %j remove %j', that.name, added, removed);
+
+    var written = 0;
+    var tra = [];
+
+    // write in chunks of 1000 operations
+    function flush(force, cb2) {
+      if (!tra.length || (!force && tra.length < 1000)) {
+        process.nextTick(cb2);
+        return;
+      }
+      that._dbBatch(tra, cb2);
+      tra = [];
+    }
+
+    async.series([
+      function(cb2) {
+        var ranges = removed.map(function(field) {
+          return that.getXKeyRange(field);
+        });
+        if (rebuild) {
+          ranges = [{ s: that._idxXPrefix, e: Buffer.concat([that._idxXPrefix, new Buffer([0xff])]) }];
+        }
+        async.eachSeries(ranges, function(r, cb3) {
+          that._db.createKeyStream({ gte: r.s, lte: r.e }).pipe(new Writable({
+            objectMode: true,
+            write: function(key, enc, cb4) {
+              tra.push({ type: 'del', key: key });
+              flush(false, cb4);
+            }
+          })).on('error', cb3).on('finish', function() {
+            flush(true, cb3);
+          });
+        }, cb2);
+      },
+      function(cb2) {
+        if (!added.length) {
+          process.nextTick(cb2);
+          return;
+        }
+
+        var r = that.getDsKeyRange();
+        that._db.createReadStream({ gt: r.s, lt: r.e }).pipe(new Writable({
+          objectMode: true,
+          write: function(obj, enc, cb3) {
+            that._decodeValue(obj.key, obj.value, function(err, value) {
+              if (err) { cb3(err); return; }
+
+              var item = process.browser ? value : BSON.deserialize(value);
+              if (item.b == null || typeof item.b !== 'object') {
+                cb3();
+                return;
+              }
+              added.forEach(function(field) {
+                var xval = Tree._composeXVal(Tree._getField(item.b, field));
+                if (xval) {
+                  tra.push({ type: 'put', key: that._composeXKey(field, xval, item.h.i), value: obj.key });
+                  written++;
+                }
+              });
+              flush(false, cb3);
+            });
+          }
+        })).on('error', cb2).on('finish', function() {
+          flush(true, cb2);
+        });
+      },
+      function(cb2) {
+        that._dbPut(usKey, that._encodeUsVal(usKey, new Buffer(JSON.stringify(that._indexes))), cb2);
+      }
+    ], function(err) {
+      if (err) { cb(err); return; }
+      that._log.notice('t:%s ensureIndexes %d keys written', that.name, written);
+      cb(null, written);
+    });
+  });
+};
+
+/**
+ * Encrypt all values of the data store, the user store, the attachment store and
+ * the conflict store that are not encrypted with the current key, or decrypt all values if no key is set to encrypt with.
+ * Every key that is used for the stored values must be configured. Used for key
+ * rotation while the tree is in use, but must not run concurrently with prune.
+ *
+ * Values are collected from a snapshot and replaced in chunks. Before a chunk is
+ * written, every value is read again while writes of this tree instance are held
+ * back, so that values written by this instance in the meantime are never
+ * overwritten with an older value. Writes of other instances on the same tree
+ * are not held back.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of values written.
+ */
+Tree.prototype.reencrypt = function reencrypt(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+
+  var written = 0;
+  var keys = [];
+
+  // read the current value of every key in chunk and replace it, while no other
+  // write of this tree runs
+  function replace(chunk, cb2) {
+    var tra = [];
+    async.eachSeries(chunk, function(key, cb3) {
+      that._db.get(key, function(err, value) {
+        if (err && err.notFound) { cb3(); return; }
+        if (err) { cb3(err); return; }
+
+        try {
+          value = that._reencryptValue(key, value);
+        } catch (err) {
+          that._log.err('t:%s reencrypt %s', that.name, err);
+          cb3(err);
+          return;
+        }
+
+        if (value) {
+          tra.push({ type: 'put', key: key, value: value });
+        }
+        cb3();
+      });
+    }, function(err) {
+      if (err) { cb2(err); return; }
+      if (!tra.length) { cb2(); return; }
+      written += tra.length;
+      that._db.batch(tra, cb2);
+    });
+  }
+
+  // write in chunks of 1000 operations
+  function flush(force, cb2) {
+    if (!keys.length || (!force && keys.length < 1000)) {
+      process.nextTick(cb2);
+      return;
+    }
+    that._exclusive(replace.bind(null, keys), cb2);
+    keys = [];
+  }
+
+  var ranges = [this.getDsKeyRange(), this.getUsKeyRange(), this.getAKeyRange(), this.getCKeyRange()];
+  async.eachSeries(ranges, function(r, cb2) {
+    that._db.createReadStream({ gt: r.s, lt: r.e }).pipe(new Writable({
+      objectMode: true,
+      write: function(obj, enc, cb3) {
+        var value;
+        try {
+          value = that._reencryptValue(obj.key, obj.value);
+        } catch (err) {
+          that._log.err('t:%s reencrypt %s', that.name, err);
+          cb3(err);
+          return;
+        }
+
+        if (!value) {
+          cb3();
+          return;
+        }
+
+        keys.push(obj.key);
+        flush(false, cb3);
+      }
+    })).on('error', cb2).on('finish', function() {
+      flush(true, cb2);
+    });
+  }, function(err) {
+    if (err) { cb(err); return; }
+    that._log.notice('t:%s reencrypt %d values written', that.name, written);
+    cb(null, written);
+  });
+};
+
+/**
+ * Check that the configured vSize and iSize match the sizes the tree is stored
+ * with. If no sizes are stored yet, they are determined from the first ikey and
+ * vkey and stored. Should be called before the tree is used.
+ *
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype.ensureSizes = function ensureSizes(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+
+  this._storedSizes(function(err, sizes) {
+    if (err) { cb(err); return; }
+
+    if (sizes && (sizes.vSize !== that._vSize || sizes.iSize !== that._iSize)) {
+      var error = new Error('tree is stored with vSize ' + sizes.vSize + ' and iSize ' + sizes.iSize);
+      that._log.err('t:%s ensureSizes %s, configured vSize %d and iSize %d', that.name, error, that._vSize, that._iSize);
+      cb(error);
+      return;
+    }
+
+    if (sizes && sizes.stored) {
+      cb();
+      return;
+    }
+
+    that._log.notice('t:%s ensureSizes store vSize %d and iSize %d', that.name, that._vSize, that._iSize);
+    that.setMeta({ vSize: that._vSize, iSize: that._iSize }, cb);
+  });
+};
+
+/**
+ * Rewrite all keys and values of the tree that are not encoded with the configured
+ * vSize and iSize, and store the new sizes. Versions and increments keep their
+ * numeric values, so the DAG and the last version of each perspective are
+ * retained. Encrypted values are reencrypted with the current key.
+ *
+ * Versions are exchanged with other systems, so these must use the same vSize.
+ * The tree must not be used while it's migrated. A migration that is interrupted
+ * can be resumed by running it again.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of keys written.
+ */
+Tree.prototype.migrateSizes = function migrateSizes(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var that = this;
+
+  var written = 0;
+  var tra = [];
+
+  // write in chunks of 1000 operations
+  function flush(force, cb2) {
+    if (!tra.length || (!force && tra.length < 1000)) {
+      process.nextTick(cb2);
+      return;
+    }
+    that._dbBatch(tra, cb2);
+    tra = [];
+  }
+
+  var prefix = Tree.getPrefix(this.name);
+
+  async.series([
+    function(cb2) {
+      // make sure the largest i and v fit before anything is written
+      async.eachSeries([that._idxIPrefix, that._idxVPrefix], function(prefix, cb3) {
+        var last;
+        var e = Buffer.concat([prefix, new Buffer([0xff])]);
+        that._db.createKeyStream({ reverse: true, gt: prefix, lt: e, limit: 1 }).on('data', function(key) {
+          last = key;
+        }).on('error', cb3).on('end', function() {
+          if (!last) { cb3(); return; }
+          try {
+            that._migrateKey(last);
+          } catch (err) {
+            that._log.err('t:%s migrateSizes %s', that.name, err);
+            cb3(err);
+            return;
+          }
+          cb3();
+        });
+      }, cb2);
+    },
+    function(cb2) {
+      that._db.createReadStream({ gt: prefix, lt: Buffer.concat([prefix, new Buffer([0xff])]) }).pipe(new Writable({
+        objectMode: true,
+        write: function(obj, enc, cb3) {
+          var entry;
+          try {
+            entry = that._migrateEntry(obj.key, obj.value);
+          } catch (err) {
+            that._log.err('t:%s migrateSizes %s %s', that.name, err, obj.key.toString('hex'));
+            cb3(err);
+            return;
+          }
+
+          if (!entry) {
+            cb3();
+            return;
+          }
+
+          if (!entry.key.equals(obj.key)) {
+            tra.push({ type: 'del', key: obj.key });
+          }
+          tra.push({ type: 'put', key: entry.key, value: entry.value });
+          written++;
+          flush(false, cb3);
+        }
+      })).on('error', cb2).on('finish', function() {
+        flush(true, cb2);
+      });
+    },
+    function(cb2) {
+      that.setMeta({ vSize: that._vSize, iSize: that._iSize }, cb2);
+    }
+  ], function(err) {
+    if (err) { cb(err); return; }
+
+    // resolve the last increment again
+    that._i = 0;
+
+    that._log.notice('t:%s migrateSizes %d keys written', that.name, written);
+    cb(null, written);
+  });
+};
+
+/**
+ * Check the consistency of the indexes with the data store. The ikey, vkey,
+ * headkey and secondary indexes are derived from the items in the data store and
+ * compared with the stored indexes. Furthermore check that every parent of an item exists and
+ * that each id has at most one non-conflicting and non-deleted head.
+ *
+ * The data store and each index are read once, only the items of one DAG are kept
+ * in memory. Parents that are missing are not reported if they are removed by
+ * prune. The tree should not be written to while it is verified.
+ *
+ * @param {Object} [opts]  object containing configurable parameters
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an array with problems.
+ *
+ * opts:
+ *   repair {Boolean, default false}  rebuild the ikey, vkey, headkey and
+ *                                    secondary indexes from the data store and
+ *                                    remove tkeys of items that do not exist
+ *
+ * Each problem is an object with a type and the id, v and i involved, if known.
+ * If a problem is repaired, "repaired" is set to true. Invalid items, missing
+ * parents and multiple heads can not be repaired.
+ */
+Tree.prototype.verify = function verify(opts, cb) {
+  if (typeof opts === 'function') {
+    cb = opts;
+    opts = null;
+  }
+  if (opts == null) { opts = {}; }
+  if (typeof opts !== 'object' || Array.isArray(opts)) { throw new TypeError('opts must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+  if (opts.repair != null && typeof opts.repair !== 'boolean') { throw new TypeError('opts.repair must be a boolean'); }
+
+  var that = this;
+
+  var problems = [];
+  var tra = [];
+
+  // hex encoded index keys that are reported, skipped when the indexes are read
+  var reported = {};
+
+  // hex encoded dskeys of items with a version that is already used
+  var duplicates = {};
+
+  // i's of orphaned ikeys
+  var orphanedIs = {};
+
+  var indexNames = {};
+  indexNames[IKEY] = 'ikey';
+  indexNames[VKEY] = 'vkey';
+  indexNames[HEADKEY] = 'headkey';
+  indexNames[TKEY] = 'tkey';
+  indexNames[XKEY] = 'xkey';
+
+  function report(problem, fix) {
+    if (fix && opts.repair) {
+      problem.repaired = true;
+      tra.push(fix);
+    }
+    that._log.notice('t:%s verify %j', that.name, problem);
+    problems.push(problem);
+  }
+
+  // report a problem with an index key
+  function reportIndex(type, key, fix) {
+    reported[key.toString('hex')] = true;
+
+    var parsed = Tree.parseKey(key, { decodeId: 'utf8', decodeV: 'base64' });
+    var problem = { type: type + ' ' + indexNames[parsed.type] };
+    if (parsed.id != null) { problem.id = parsed.id; }
+    if (parsed.v != null) { problem.v = parsed.v; }
+    if (parsed.i != null) { problem.i = parsed.i; }
+    if (parsed.field != null) { problem.field = parsed.field; }
+    report(problem, fix);
+  }
+
+  // get a valid item from the data store, or null
+  function getItem(dsKey, cb2) {
+    if (duplicates[dsKey.toString('hex')]) {
+      process.nextTick(function() {
+        cb2(null, null);
+      });
+      return;
+    }
+
+    that._db.get(dsKey, function(err, value) {
+      if (err && !err.notFound) { cb2(err); return; }
+      if (err) { cb2(null, null); return; }
+
+      that._decodeValue(dsKey, value, function(err, value) {
+        var item = err ? null : process.browser ? value : BSON.deserialize(value);
+        if (!item || invalidItem(item) || !that._composeDsKey(item.h.id, item.h.i).equals(dsKey)) {
+          cb2(null, null);
+          return;
+        }
+        cb2(null, item);
+      });
+    });
+  }
+
+  // compare a stored index key with the expected value
+  function checkKey(key, value, cb2) {
+    that._db.get(key, function(err, stored) {
+      if (err && !err.notFound) { cb2(err); return; }
+      if (err) {
+        reportIndex('missing', key, { type: 'put', key: key, value: value });
+      } else if (!value.equals(stored)) {
+        reportIndex('invalid', key, { type: 'put', key: key, value: value });
+      }
+      cb2();
+    });
+  }
+
+  // check the vkey of an item, second parameter of cb2 is true if another item has the same version
+  function checkVKey(item, dsKey, cb2) {
+    var vKey = that._composeVKey(item.h.v);
+
+    // the vkey is already reported for another item with this version
+    if (reported[vKey.toString('hex')]) {
+      process.nextTick(function() {
+        cb2(null, true);
+      });
+      return;
+    }
+
+    that._db.get(vKey, function(err, stored) {
+      if (err && !err.notFound) { cb2(err); return; }
+      if (err) {
+        reportIndex('missing', vKey, { type: 'put', key: vKey, value: dsKey });
+        cb2(null, false);
+        return;
+      }
+      if (stored.equals(dsKey)) {
+        cb2(null, false);
+        return;
+      }
+
+      getItem(stored, function(err, other) {
+        if (err) { cb2(err); return; }
+        if (other && other.h.v === item.h.v) {
+          cb2(null, true);
+          return;
+        }
+        reportIndex('invalid', vKey, { type: 'put', key: vKey, value: dsKey });
+        cb2(null, false);
+      });
+    });
+  }
+
+  // a missing parent is expected if it is removed by prune
+  function checkParent(item, pa, pruned, cb2) {
+    function missing() {
+      report({ type: 'missing parent', id: item.h.id, v: item.h.v, i: item.h.i, pa: pa });
+      cb2();
+    }
+
+    if (pruned == null) {
+      process.nextTick(missing);
+      return;
+    }
+
+    var usKey = that._composePrunedParentKey(pa);
+    that._db.get(usKey, function(err, value) {
+      if (err && !err.notFound) { cb2(err); return; }
+      if (err) { missing(); return; }
+
+      var i;
+      try {
+        i = Tree.parseKey(that._decodeUsVal(usKey, value)).i;
+      } catch (err) {
+        missing();
+        return;
+      }
+      if (i > pruned) { missing(); return; }
+      cb2();
+    });
+  }
+
+  // check parents, derive the heads of one DAG and compare them with the headkeys of the id
+  function checkDag(id, dag, pruned, cb2) {
+    var dagVersions = {};
+    dag.forEach(function(item) {
+      dagVersions[item.h.v] = true;
+    });
+
+    var parents = {};
+    var missing = [];
+    dag.forEach(function(item) {
+      item.h.pa.forEach(function(pa) {
+        parents[pa] = true;
+        if (!dagVersions[pa]) {
+          missing.push({ item: item, pa: pa });
+        }
+      });
+    });
+
+    var expected = {};
+    var heads = 0;
+    dag.forEach(function(item) {
+      if (parents[item.h.v]) { return; }
+      var headKey = that._composeHeadKey(item.h.id, item.h.v);
+      expected[headKey.toString('hex')] = { key: headKey, value: that._composeHeadVal(item) };
+      if (!item.h.c && !item.h.d) { heads++; }
+    });
+
+    async.eachSeries(missing, function(m, cb3) {
+      checkParent(m.item, m.pa, pruned, cb3);
+    }, function(err) {
+      if (err) { cb2(err); return; }
+
+      if (heads > 1) {
+        report({ type: 'multiple heads', id: dag[0].h.id });
+      }
+
+      var r = that.getHeadKeyRange(id);
+      that._db.createReadStream({ gt: r.s, lt: r.e }).on('data', function(obj) {
+        var hex = obj.key.toString('hex');
+        var exp = expected[hex];
+        if (!exp) {
+          reportIndex('orphaned', obj.key, { type: 'del', key: obj.key });
+          return;
+        }
+        delete expected[hex];
+        if (!exp.value.equals(obj.value)) {
+          reportIndex('invalid', obj.key, { type: 'put', key: obj.key, value: exp.value });
+        }
+      }).on('error', cb2).on('end', function() {
+        Object.keys(expected).forEach(function(hex) {
+          var exp = expected[hex];
+          reportIndex('missing', exp.key, { type: 'put', key: exp.key, value: exp.value });
+        });
+        cb2();
+      });
+    });
+  }
+
+  // read all items from the data store, sorted by id and then by i
+  function readDataStore(pruned, cb2) {
+    var id, dag = [];
+    var r = that.getDsKeyRange();
+
+    function checkItem(obj, key, cb3) {
+      // a value that can not be decoded is an invalid item
+      that._decodeValue(obj.key, obj.value, function(err, value) {
+        var item = err ? null : process.browser ? value : BSON.deserialize(value);
+
+        if (!item || invalidItem(item) || item.h.i !== key.i || !that._composeDsKey(item.h.id, item.h.i).equals(obj.key)) {
+          report({ type: 'invalid item', id: key.id.toString(), i: key.i });
+          cb3();
+          return;
+        }
+
+        checkVKey(item, obj.key, function(err, duplicate) {
+          if (err) { cb3(err); return; }
+
+          if (duplicate) {
+            duplicates[obj.key.toString('hex')] = true;
+            report({ type: 'duplicate version', id: item.h.id, v: item.h.v, i: item.h.i });
+            cb3();
+            return;
+          }
+
+          dag.push(item);
+
+          var keys = [{ key: that._composeIKey(item.h.i), value: that._composeHeadKey(item.h.id, item.h.v) }];
+          that._composeXKeys(item).forEach(function(xKey) {
+            keys.push({ key: xKey, value: obj.key });
+          });
+          async.eachSeries(keys, function(k, cb4) {
+            checkKey(k.key, k.value, cb4);
+          }, cb3);
+        });
+      });
+    }
+
+    that._db.createReadStream({ gt: r.s, lt: r.e }).pipe(new Writable({
+      objectMode: true,
+      write: function(obj, enc, cb3) {
+        var key = Tree.parseKey(obj.key);
+
+        // all items of the previous id are read
+        if (id && !id.equals(key.id)) {
+          var prevId = id;
+          var prevDag = dag;
+          id = key.id;
+          dag = [];
+          checkDag(prevId, prevDag, pruned, function(err) {
+            if (err) { cb3(err); return; }
+            checkItem(obj, key, cb3);
+          });
+          return;
+        }
+
+        id = key.id;
+        checkItem(obj, key, cb3);
+      }
+    })).on('error', cb2).on('finish', function() {
+      if (!id) { cb2(); return; }
+      checkDag(id, dag, pruned, cb2);
+    });
+  }
+
+  // report index keys that do not refer to an item, each key is checked with isOrphaned
+  function readIndex(r, isOrphaned, cb2) {
+    that._db.createReadStream({ gt: r.s, lt: r.e }).pipe(new Writable({
+      objectMode: true,
+      write: function(obj, enc, cb3) {
+        if (reported[obj.key.toString('hex')]) {
+          cb3();
+          return;
+        }
+        isOrphaned(obj.key, obj.value, function(err, orphaned) {
+          if (err) { cb3(err); return; }
+          if (orphaned) {
+            reportIndex('orphaned', obj.key, { type: 'del', key: obj.key });
+          }
+          cb3();
+        });
+      }
+    })).on('error', cb2).on('finish', cb2);
+  }
+
+  // an ikey refers to the headkey of an item
+  function isOrphanedIKey(key, value, cb2) {
+    var i = Tree.parseKey(key).i;
+    var dsKey;
+    try {
+      dsKey = that._composeDsKey(Tree.parseKey(value).id, i);
+    } catch (err) {
+      orphanedIs[i] = true;
+      process.nextTick(function() {
+        cb2(null, true);
+      });
+      return;
+    }
+    getItem(dsKey, function(err, item) {
+      if (err) { cb2(err); return; }
+      if (!item || !that._composeHeadKey(item.h.id, item.h.v).equals(value)) {
+        orphanedIs[i] = true;
+        cb2(null, true);
+        return;
+      }
+      cb2(null, false);
+    });
+  }
+
+  // a vkey refers to the dskey of an item
+  function isOrphanedVKey(key, value, cb2) {
+    getItem(value, function(err, item) {
+      if (err) { cb2(err); return; }
+      cb2(null, !item || !that._composeVKey(item.h.v).equals(key));
+    });
+  }
+
+  // headkeys of ids with items are checked with the DAG
+  var lastId, lastIdExists;
+  function isOrphanedHeadKey(key, value, cb2) {
+    var id = Tree.parseKey(key).id;
+    if (lastId && lastId.equals(id)) {
+      process.nextTick(function() {
+        cb2(null, !lastIdExists);
+      });
+      return;
+    }
+
+    var r = that.getDsKeyRange({ id: id });
+    var exists = false;
+    that._db.createKeyStream({ gt: r.s, lt: r.e, limit: 1 }).on('data', function() {
+      exists = true;
+    }).on('error', cb2).on('end', function() {
+      lastId = id;
+      lastIdExists = exists;
+      cb2(null, !exists);
+    });
+  }
+
+  // an xkey refers to the dskey of an item
+  function isOrphanedXKey(key, value, cb2) {
+    getItem(value, function(err, item) {
+      if (err) { cb2(err); return; }
+      cb2(null, !item || !that._composeXKeys(item).some(function(xKey) {
+        return xKey.equals(key);
+      }));
+    });
+  }
+
+  // only check for orphaned tkeys, items written before the time index existed don't have one
+  function isOrphanedTKey(key, value, cb2) {
+    var i = Tree.parseKey(key).i;
+    var iKey = that._composeIKey(i);
+    if (orphanedIs[i] || reported[iKey.toString('hex')]) {
+      process.nextTick(function() {
+        cb2(null, !!orphanedIs[i]);
+      });
+      return;
+    }
+
+    // every item has an ikey or it is reported
+    that._db.get(iKey, function(err) {
+      if (err && !err.notFound) { cb2(err); return; }
+      cb2(null, !!err);
+    });
+  }
+
+  this.lastPruned(function(err, pruned) {
+    if (err) { cb(err); return; }
+
+    async.series([
+      function(cb2) { readDataStore(pruned, cb2); },
+      function(cb2) { readIndex(that.getIKeyRange(), isOrphanedIKey, cb2); },
+      function(cb2) { readIndex(that.getVKeyRange(), isOrphanedVKey, cb2); },
+      function(cb2) { readIndex(that.getHeadKeyRange(), isOrphanedHeadKey, cb2); },
+      function(cb2) { readIndex({ s: that._idxXPrefix, e: Buffer.concat([that._idxXPrefix, new Buffer([0xff])]) }, isOrphanedXKey, cb2); },
+      function(cb2) { readIndex(that.getTKeyRange(), isOrphanedTKey, cb2); }
+    ], function(err) {
+      if (err) { cb(err); return; }
+
+      that._log.info('t:%s verify %d problems', that.name, problems.length);
+
+      if (!tra.length) {
+        cb(null, problems);
+        return;
+      }
+
+      that._dbBatch(tra, function(err) {
+        if (err) { cb(err); return; }
+        cb(null, problems);
+      });
+    });
+  });
+};
+
+/**
+ * Get statistics from the tree.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an object.
+ */
+Tree.prototype.stats = function stats(cb) {
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  var headCount = 0;
+  var conflict = 0;
+  var deleted = 0;
+
+  this.createHeadReadStream().on('data', function(head) {
+    headCount++;
+    if (head.h.c) { conflict++; }
+    if (head.h.d) { deleted++; }
+  }).on('error', cb).on('end', function() {
+    cb(null, {
+      heads: {
+        count: headCount,
+        conflict: conflict,
+        deleted: deleted
+      }
+    });
+  });
+};
+
+/**
+ * Set conflict by version. A valid version is any number up to 48 bits.
+ *
+ * @param {Number|base64 String} version  valid lbeint or base64 int
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype.setConflictByVersion = function setConflictByVersion(version, cb) {
+  if (typeof version !== 'number' && typeof version !== 'string') { throw new TypeError('version must be a number or a base64 string'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  this._log.debug('t:%s setConflict %s', this.name, version);
+
+  var error;
+  var that = this;
+
+  // update by dskey and headkey
+  this.getByVersion(version, function(err, item) {
+    if (err) { cb(err); return; }
+
+    if (!item) {
+      error = new Error('version not found');
+      that._log.err('t:%s setConflict %s: %s', that.name, error, version);
+      cb(error);
+      return;
+    }
+
+    if (item.h.c) {
+      cb();
+      return;
+    }
+
+    item.h.c = true;
+
+    // update by dsKey
+    var dsKey = that._composeDsKey(item.h.id, item.h.i);
+    that._encodeValue(item, {}, function(err, value) {
+      if (err) { cb(err); return; }
+
+      that._dbPut(dsKey, value, function(err) {
+        if (err) { cb(err); return; }
+
+        var headKey = that._composeHeadKey(item.h.id, item.h.v);
+
+        // if a head, update by headKey
+        that._db.get(headKey, function(err) {
+          if (err) {
+            if (err.notFound) {
+              cb();
+              return;
+            }
+            cb(err);
+            return;
+          }
+
+          var headVal = that._composeHeadVal(item);
+          that._dbPut(headKey, headVal, cb);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Check if a certain version is in the buffer to be written. This function uses
+ * the internal Node API and therefore may break.
+ *
+ * @param {String|Object} id  id that is a string or implements "toString"
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype.inBufferById = function inBufferById(id) {
+  var found = false;
+
+  if (this._buffer && this._buffer.length)
+    found = this._buffer.some(function(item) {
+      // support "atomic" array elements (see _writev)
+      if (Array.isArray(item.chunk)) { // descend
+        return item.chunk.some(item2 => id === item2.h.id);
+      } else {
+        return id === item.chunk.h.id;
+      }
+    });
+
+  if (found)
+    return true;
+
+  // synchronous walk over the internal node writable stream buffer
+  return this._writableState.getBuffer().some(function(item) {
+    // support "atomic" array elements (see _writev)
+    if (Array.isArray(item.chunk)) { // descend
+      return item.chunk.some(item2 => id === item2.h.id);
+    } else {
+      return id === item.chunk.h.id;
+    }
+  });
+};
+
+/**
+ * Check if a certain version is in the buffer to be written. This function uses
+ * the internal Node API and therefore may break.
+ *
+ * @param {Number|base64 String} version  valid lbeint or base64 int
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype.inBufferByVersion = function inBufferByVersion(version) {
+  var found = false;
+
+  if (this._buffer && this._buffer.length)
+    found = this._buffer.some(function(item) {
+      // support "atomic" array elements (see _writev)
+      if (Array.isArray(item.chunk)) { // descend
+        return item.chunk.some(item2 => version === item2.h.v);
+      } else {
+        return version === item.chunk.h.v;
+      }
+    });
+
+  if (found)
+    return true;
+
+  // synchronous walk over the internal node writable stream buffer
+  return this._writableState.getBuffer().some(function(item) {
+    // support "atomic" array elements (see _writev)
+    if (Array.isArray(item.chunk)) { // descend
+      return item.chunk.some(item2 => version === item2.h.v);
+    } else {
+      return version === item.chunk.h.v;
+    }
+  });
+};
+
+
+
+/////////////////////
+//// PRIVATE API ////
+/////////////////////
+
+
+
+/**
+ * Run a write of this tree. Writes run concurrently with each other, but not
+ * while an exclusive section runs.
+ *
+ * @param {Function} fn  function that writes, with a callback as only parameter
+ * @param {Function} cb  called with the parameters fn calls back with
+ */
+Tree.prototype._shared = function _shared(fn, cb) {
+  this._waiting.push({ exclusive: false, fn: fn, cb: cb });
+  this._drain();
+};
+
+/**
+ * Run fn as soon as all running writes of this tree are done, and hold back any
+ * new writes until it calls back.
+ *
+ * @param {Function} fn  function to run, with a callback as only parameter
+ * @param {Function} cb  called with the parameters fn calls back with
+ */
+Tree.prototype._exclusive = function _exclusive(fn, cb) {
+  this._waiting.push({ exclusive: true, fn: fn, cb: cb });
+  this._drain();
+};
+
+/**
+ * Start queued writes and exclusive sections in order.
+ */
+Tree.prototype._drain = function _drain() {
+  var that = this;
+
+  function run(op) {
+    op.fn(function() {
+      if (op.exclusive) {
+        that._exclusiveRunning = false;
+      } else {
+        that._writes--;
+      }
+      that._drain();
+      op.cb.apply(null, arguments);
+    });
+  }
+
+  while (this._waiting.length && !this._exclusiveRunning) {
+    var op = this._waiting[0];
+    if (op.exclusive && this._writes) {
+      return;
+    }
+    this._waiting.shift();
+    if (op.exclusive) {
+      this._exclusiveRunning = true;
+    } else {
+      this._writes++;
+    }
+    run(op);
+  }
+};
+
+/**
+ * Put a key in the database, see _shared.
+ *
+ * @param {Buffer} key
+ * @param {Buffer} value
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype._dbPut = function _dbPut(key, value, cb) {
+  var db = this._db;
+  this._shared(function(cb2) { db.put(key, value, cb2); }, cb);
+};
+
+/**
+ * Delete a key from the database, see _shared.
+ *
+ * @param {Buffer} key
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype._dbDel = function _dbDel(key, cb) {
+  var db = this._db;
+  this._shared(function(cb2) { db.del(key, cb2); }, cb);
+};
+
+/**
+ * Write a batch of operations to the database, see _shared.
+ *
+ * @param {Array} ops  put and del operations
+ * @param {Function} cb  First parameter will be an error object or null.
+ */
+Tree.prototype._dbBatch = function _dbBatch(ops, cb) {
+  var db = this._db;
+  this._shared(function(cb2) { db.batch(ops, cb2); }, cb);
+};
+
+/**
+ * Get a dsKey by version. A valid version is any number up to 48 bits.
+ *
+ * @param {Number|base64 String} version  valid lbeint or base64 int
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be a found dskey buffer or null if
+ *                       version is not found.
+ */
+Tree.prototype._getDsKeyByVersion = function _getDsKeyByVersion(version, cb) {
+  if (typeof version !== 'number' && typeof version !== 'string') { throw new TypeError('version must be a number or a base64 string'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  this._log.debug2('t:%s _getDsKeyByVersion %s', this.name, version);
+
+  var that = this;
+  this._db.get(this._composeVKey(version), function(err, dsKey) {
+    if (err) {
+      if (err.notFound) {
+        cb(null, null);
+        return;
+      }
+
+      that._log.err('t:%s _getDsKeyByVersion lookup error %j', that.name, err);
+      cb(err, null);
+      return;
+    }
+
+    cb(null, dsKey);
+  });
+};
+
+/**
+ * Get the value of a dskey as a BSON serialized item.
+ *
+ * @param {Buffer} dsKey  dskey of the item
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the BSON serialized item.
+ */
+Tree.prototype._getValue = function _getValue(dsKey, cb) {
+  var that = this;
+  this._db.get(dsKey, function(err, value) {
+    if (err) { cb(err); return; }
+    that._decodeValue(dsKey, value, cb);
+  });
+};
+
+/**
+ * Decode a stored value into a BSON serialized item. If the value is a delta, the
+ * body of the first parent is patched. cb is called synchronously unless the
+ * value is a delta, so that reading items without deltas takes no extra ticks.
+ *
+ * @param {Buffer} dsKey  dskey of the value
+ * @param {Buffer} value  value of a dskey
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the BSON serialized item.
+ */
+Tree.prototype._decodeValue = function _decodeValue(dsKey, value, cb) {
+  if (process.browser || !Tree._isEncoded(value)) {
+    cb(null, value);
+    return;
+  }
+
+  var flags = value[4];
+  var data = value.slice(flags & EDELTA ? 6 : 5);
+
+  try {
+    if (flags & EENCRYPT) {
+      data = this._decrypt(dsKey, data);
+    }
+    if (flags & EDEFLATE) {
+      data = zlib.inflateRawSync(data);
+    }
+  } catch (err) {
+    this._log.err('t:%s _decodeValue %s', this.name, err);
+    cb(err);
+    return;
+  }
+
+  if (!(flags & EDELTA)) {
+    cb(null, data);
+    return;
+  }
+
+  var item = BSON.deserialize(data);
+
+  var that = this;
+  this._getBase(item.h.pa[0], function(err, base) {
+    if (err) { cb(err); return; }
+
+    if (!base) {
+      var error = new Error('parent of delta not found');
+      that._log.err('t:%s _decodeValue %s %j', that.name, error, item.h);
+      cb(error);
+      return;
+    }
+
+    item.b = Tree._patch(base.item.b, item.b);
+    cb(null, BSON.serialize(item));
+  });
+};
+
+/**
+ * Encode an item for storage. Compress the item, store the body as a delta
+ * against the body of the first parent and encrypt the result, depending on the
+ * configuration of the tree.
+ *
+ * @param {Object} item  item to encode
+ * @param {Object} batch  items that are encoded but not written yet, by version.
+ *                        Each item is wrapped as { item: Object, depth: Number }.
+ *                        If null, the body is never stored as a delta.
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the value, third parameter the number
+ *                       of deltas to patch to decode the value.
+ */
+Tree.prototype._encodeValue = function _encodeValue(item, batch, cb) {
+  var that = this;
+
+  if (process.browser) {
+    process.nextTick(function() {
+      cb(null, item, 0);
+    });
+    return;
+  }
+
+  function encode(obj, depth) {
+    var data = BSON.serialize(obj);
+    if (!that._compression && !depth && !that._keyId) {
+      cb(null, data, 0);
+      return;
+    }
+
+    var header = new Buffer(depth ? 6 : 5);
+    header.fill(0);
+    if (depth) {
+      header[4] |= EDELTA;
+      header[5] = depth;
+    }
+    if (that._compression) {
+      header[4] |= EDEFLATE;
+      data = zlib.deflateRawSync(data);
+    }
+    if (that._keyId) {
+      header[4] |= EENCRYPT;
+      data = that._encrypt(that._composeDsKey(item.h.id, item.h.i), data);
+    }
+    cb(null, Buffer.concat([header, data]), depth);
+  }
+
+  function encodeWithBase(base) {
+    if (!base || base.item.b == null || base.depth >= that._deltaChain) {
+      encode(item, 0);
+      return;
+    }
+
+    var delta = Tree._delta(item.b, base.item.b);
+
+    // only store a delta if it's smaller and restores the exact body
+    var body = BSON.serialize(item.b);
+    if (BSON.serialize(delta).length >= body.length || !BSON.serialize(Tree._patch(base.item.b, delta)).equals(body)) {
+      encode(item, 0);
+      return;
+    }
+
+    encode(xtend(item, { b: delta }), base.depth + 1);
+  }
+
+  if (!batch || !this._deltaChain || item.b == null || !item.h.pa.length) {
+    process.nextTick(function() {
+      encode(item, 0);
+    });
+    return;
+  }
+
+  var pa = item.h.pa[0];
+  if (batch[pa]) {
+    process.nextTick(function() {
+      encodeWithBase(batch[pa]);
+    });
+    return;
+  }
+
+  this._getBase(pa, function(err, base) {
+    if (err) { cb(err); return; }
+    encodeWithBase(base);
+  });
+};
+
+/**
+ * Get a version and the number of deltas that are patched to decode it.
+ *
+ * @param {Number|base64 String} version  valid lbeint or base64 int
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an object { item: Object, depth: Number }
+ *                       or null if the version is not found.
+ */
+Tree.prototype._getBase = function _getBase(version, cb) {
+  var that = this;
+  this._getDsKeyByVersion(version, function(err, dsKey) {
+    if (err) { cb(err); return; }
+
+    if (!dsKey) {
+      cb(null, null);
+      return;
+    }
+
+    that._db.get(dsKey, function(err, value) {
+      if (err) { cb(err); return; }
+
+      that._decodeValue(dsKey, value, function(err, bitem) {
+        if (err) { cb(err); return; }
+        cb(null, { item: BSON.deserialize(bitem), depth: Tree._deltaDepth(value) });
+      });
+    });
+  });
+};
+
+/**
+ * Whether a value of a dskey is encoded or a BSON serialized item.
+ *
+ * @param {Buffer} value  value of a dskey
+ * @return {Boolean}
+ */
+Tree._isEncoded = function _isEncoded(value) {
+  return value.length > 4 && value.readUInt32LE(0) === 0;
+};
+
+/**
+ * Get the number of deltas that are patched to decode a value of a dskey.
+ *
+ * @param {Buffer} value  value of a dskey
+ * @return {Number}
+ */
+Tree._deltaDepth = function _deltaDepth(value) {
+  if (process.browser || !Tree._isEncoded(value) || !(value[4] & EDELTA)) {
+    return 0;
+  }
+  return value[5];
+};
+
+/**
+ * Create a delta of a body against the body of a base, see diff. Contains an
+ * object with all created and changed keys and an array with removed keys.
+ *
+ * @param {Object} body  body to create a delta of
+ * @param {Object} base  body of the base
+ * @return {Object} { s: Object, u: Array }
+ */
+Tree._delta = function _delta(body, base) {
+  var delta = { s: {}, u: [] };
+  var d = diff(body, base);
+  Object.keys(d).forEach(function(key) {
+    if (d[key] === '-') {
+      delta.u.push(key);
+    } else {
+      delta.s[key] = body[key];
+    }
+  });
+  return delta;
+};
+
+/**
+ * Apply a delta on the body of a base. The order of the keys of the base is
+ * maintained, created keys are appended.
+ *
+ * @param {Object} base  body of the base
+ * @param {Object} delta  delta created by _delta
+ * @return {Object} the patched body
+ */
+Tree._patch = function _patch(base, delta) {
+  var body = {};
+  Object.keys(base).forEach(function(key) {
+    if (~delta.u.indexOf(key)) { return; }
+    body[key] = delta.s.hasOwnProperty(key) ? delta.s[key] : base[key];
+  });
+  Object.keys(delta.s).forEach(function(key) {
+    if (!base.hasOwnProperty(key)) {
+      body[key] = delta.s[key];
+    }
+  });
+  return body;
+};
+
+/**
+ * Encrypt data with the current key. The key of the database is authenticated as
+ * well, so that encrypted values can not be moved to other keys.
+ *
+ * @param {Buffer} key  database key of the value
+ * @param {Buffer} data  data to encrypt
+ * @return {Buffer} key id, iv, authentication tag and encrypted data
+ */
+Tree.prototype._encrypt = function _encrypt(key, data) {
+  var iv = crypto.randomBytes(IVSIZE);
+  var cipher = crypto.createCipheriv(CIPHER, this._keys[this._keyId], iv);
+  cipher.setAAD(key);
+  var encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([new Buffer([this._keyId]), iv, cipher.getAuthTag(), encrypted]);
+};
+
+/**
+ * Decrypt data that is encrypted by _encrypt. Throws an error if the key is not
+ * configured or if the data or key is tampered with.
+ *
+ * @param {Buffer} key  database key of the value
+ * @param {Buffer} data  key id, iv, authentication tag and encrypted data
+ * @return {Buffer} decrypted data
+ */
+Tree.prototype._decrypt = function _decrypt(key, data) {
+  var keyId = data[0];
+  if (!this._keys[keyId]) { throw new Error('unknown encryption key: ' + keyId); }
+
+  var offset = 1;
+  var iv = data.slice(offset, offset += IVSIZE);
+  var tag = data.slice(offset, offset += TAGSIZE);
+
+  var decipher = crypto.createDecipheriv(CIPHER, this._keys[keyId], iv);
+  decipher.setAAD(key);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(data.slice(offset)), decipher.final()]);
+  } catch (err) {
+    throw new Error('value can not be decrypted');
+  }
+};
+
+/**
+ * Encode a value of a uskey for storage. Encrypt if a key is configured.
+ *
+ * @param {Buffer} usKey  uskey of the value
+ * @param {Buffer} value  value to encode
+ * @return {Buffer} the encoded value
+ */
+Tree.prototype._encodeUsVal = function _encodeUsVal(usKey, value) {
+  if (process.browser || !this._keyId) {
+    return value;
+  }
+  return Buffer.concat([new Buffer([0, 0, 0, 0, EENCRYPT]), this._encrypt(usKey, value)]);
+};
+
+/**
+ * Decode a value of a uskey that is encoded by _encodeUsVal. Throws an error if
+ * the value can not be decrypted.
+ *
+ * @param {Buffer} usKey  uskey of the value
+ * @param {Buffer} value  stored value
+ * @return {Buffer} the decoded value
+ */
+Tree.prototype._decodeUsVal = function _decodeUsVal(usKey, value) {
+  if (process.browser || !Tree._isEncoded(value)) {
+    return value;
+  }
+  return this._decrypt(usKey, value.slice(5));
+};
+
+/**
+ * Encrypt a stored value of a dskey or uskey with the current key, or decrypt it
+ * if no key is configured. Compression and delta encoding are kept as is.
+ *
+ * @param {Buffer} key  database key of the value
+ * @param {Buffer} value  stored value
+ * @return {Buffer|null} the new value or null if the value is up to date
+ */
+Tree.prototype._reencryptValue = function _reencryptValue(key, value) {
+  var flags = Tree._isEncoded(value) ? value[4] : 0;
+
+  if (flags & EENCRYPT) {
+    if (value[flags & EDELTA ? 6 : 5] === this._keyId) {
+      return null;
+    }
+  } else if (!this._keyId) {
+    return null;
+  }
+
+  var u = this._unwrapValue(key, value);
+  var type = key[this._attachPrefix.length - 1];
+  if (type === AKEY || type === CKEY) {
+    return this._encodeAttachment(key, u.data);
+  }
+  return this._wrapValue(key, u.flags, u.depth, u.data);
+};
+
+/**
+ * Split a stored value of a dskey or uskey in its encoding and data. Encrypted
+ * data is decrypted, compressed data is returned as is.
+ *
+ * @param {Buffer} key  database key of the value
+ * @param {Buffer} value  stored value
+ * @return {Object} flags without EENCRYPT, delta depth and data
+ */
+Tree.prototype._unwrapValue = function _unwrapValue(key, value) {
+  if (process.browser || !Tree._isEncoded(value)) {
+    return { flags: 0, depth: 0, data: value };
+  }
+
+  var flags = value[4];
+  var offset = flags & EDELTA ? 6 : 5;
+  var data = value.slice(offset);
+
+  if (flags & EENCRYPT) {
+    data = this._decrypt(key, data);
+    flags &= ~EENCRYPT;
+  }
+
+  return { flags: flags, depth: flags & EDELTA ? value[5] : 0, data: data };
+};
+
+/**
+ * Encode data that is split by _unwrapValue. Encrypt with the current key, if
+ * any. Data without any encoding is returned as is.
+ *
+ * @param {Buffer} key  database key of the value
+ * @param {Number} flags  encoding of the data, see EDEFLATE and EDELTA
+ * @param {Number} depth  delta depth
+ * @param {Buffer} data  (compressed) data
+ * @return {Buffer} the value to store
+ */
+Tree.prototype._wrapValue = function _wrapValue(key, flags, depth, data) {
+  if (this._keyId) {
+    flags |= EENCRYPT;
+    data = this._encrypt(key, data);
+  }
+
+  if (!flags) {
+    return data;
+  }
+
+  var header = new Buffer(flags & EDELTA ? 6 : 5);
+  header.fill(0);
+  header[4] = flags;
+  if (flags & EDELTA) {
+    header[5] = depth;
+  }
+  return Buffer.concat([header, data]);
+};
+
+/**
+ * Encode the data of an attachment for storage. The value always starts with the
+ * header of an encoded value, since the data itself might start with four zero
+ * bytes. Encrypt with the current key, if any.
+ *
+ * @param {Buffer} aKey  akey of the attachment
+ * @param {Buffer} data  data of the attachment
+ * @return {Buffer} the value to store
+ */
+Tree.prototype._encodeAttachment = function _encodeAttachment(aKey, data) {
+  if (process.browser || !this._keyId) {
+    return Buffer.concat([new Buffer([0, 0, 0, 0, 0]), data]);
+  }
+  return Buffer.concat([new Buffer([0, 0, 0, 0, EENCRYPT]), this._encrypt(aKey, data)]);
+};
+
+/**
+ * Decode a value of an akey that is encoded by _encodeAttachment. Throws an error
+ * if the value can not be decrypted.
+ *
+ * @param {Buffer} aKey  akey of the attachment
+ * @param {Buffer} value  stored value
+ * @return {Buffer} the data of the attachment
+ */
+Tree.prototype._decodeAttachment = function _decodeAttachment(aKey, value) {
+  if (value[4] & EENCRYPT) {
+    return this._decrypt(aKey, value.slice(5));
+  }
+  return value.slice(5);
+};
+
+/**
+ * Decode a value of a ckey that is stored by putConflict. Throws an error if the
+ * value can not be decrypted.
+ *
+ * @param {Buffer} cKey  ckey of the conflict
+ * @param {Buffer} value  stored value
+ * @return {Object} the conflict with its id
+ */
+Tree.prototype._decodeConflict = function _decodeConflict(cKey, value) {
+  var conflict = BSON.deserialize(this._decodeAttachment(cKey, value));
+  conflict.id = Tree.parseKey(cKey).i;
+  return conflict;
+};
+
+/**
+ * Determine the id of the next conflict. The id of the last stored conflict is
+ * looked up once and kept in memory, lookups that are started meanwhile wait for
+ * the first one.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the new id.
+ */
+Tree.prototype._nextConflictId = function _nextConflictId(cb) {
+  var that = this;
+
+  if (this._lastConflictId != null) {
+    var id = ++this._lastConflictId;
+    process.nextTick(function() {
+      cb(null, id);
+    });
+    return;
+  }
+
+  if (this._conflictIdWaiting) {
+    this._conflictIdWaiting.push(cb);
+    return;
+  }
+  this._conflictIdWaiting = [cb];
+
+  var last = 0;
+  var r = this.getCKeyRange();
+  this._db.createKeyStream({ gt: r.s, lt: r.e, reverse: true, limit: 1 }).on('data', function(key) {
+    last = Tree.parseKey(key).i;
+  }).on('error', function(err) {
+    that._log.err('t:%s _nextConflictId %s', that.name, err);
+    var waiting = that._conflictIdWaiting;
+    that._conflictIdWaiting = null;
+    waiting.forEach(function(cb2) { cb2(err); });
+  }).on('end', function() {
+    that._lastConflictId = last;
+    var waiting = that._conflictIdWaiting;
+    that._conflictIdWaiting = null;
+    waiting.forEach(function(cb2) { cb2(null, ++that._lastConflictId); });
+  });
+};
+
+/**
+ * Get the stored vSize and iSize of the tree. If the sizes are not stored, they
+ * are determined from the first ikey and vkey.
+ *
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be an object with vSize, iSize and stored,
+ *                       or null if the tree is empty.
+ */
+Tree.prototype._storedSizes = function _storedSizes(cb) {
+  var that = this;
+
+  this.getMeta(function(err, meta) {
+    if (err) { cb(err); return; }
+
+    if (meta.vSize && meta.iSize) {
+      cb(null, { vSize: meta.vSize, iSize: meta.iSize, stored: true });
+      return;
+    }
+
+    // the size of the lbeint follows the prefix of the first ikey and vkey
+    var sizes = [];
+    async.eachSeries([that._idxVPrefix, that._idxIPrefix], function(prefix, cb2) {
+      var e = Buffer.concat([prefix, new Buffer([0xff])]);
+      that._db.createKeyStream({ gt: prefix, lt: e, limit: 1 }).on('data', function(key) {
+        sizes.push(key[prefix.length]);
+      }).on('error', cb2).on('end', cb2);
+    }, function(err) {
+      if (err) { cb(err); return; }
+      if (sizes.length < 2) { cb(null, null); return; }
+      cb(null, { vSize: sizes[0], iSize: sizes[1], stored: false });
+    });
+  });
+};
+
+/**
+ * Convert a key of the data store or an index to the configured vSize and iSize.
+ * Throws an error if a version or increment does not fit.
+ *
+ * @param {Buffer} key  dskey, ikey, headkey, vkey, tkey or xkey
+ * @return {Buffer} the converted key
+ */
+Tree.prototype._migrateKey = function _migrateKey(key) {
+  var k = Tree.parseKey(key);
+
+  if (k.i != null && k.i >= Math.pow(2, 8 * this._iSize)) { throw new Error('i does not fit in iSize'); }
+  if (k.v != null && k.v >= Math.pow(2, 8 * this._vSize)) { throw new Error('version does not fit in vSize'); }
+
+  switch (k.type) {
+  case DSKEY:
+    return this._composeDsKey(k.id, k.i);
+  case IKEY:
+    return this._composeIKey(k.i);
+  case HEADKEY:
+    return this._composeHeadKey(k.id, this._resizeV(k.v));
+  case VKEY:
+    return this._composeVKey(k.v);
+  case TKEY:
+    return this._composeTKey(k.i);
+  case XKEY:
+    return this._composeXKey(k.field, Tree._composeXVal(k.value), k.i);
+  }
+  throw new Error('unexpected key type');
+};
+
+/**
+ * Convert a stored key and value to the configured vSize and iSize.
+ *
+ * @param {Buffer} key  any key of this tree
+ * @param {Buffer} value  value of key
+ * @return {Object|null} the new key and value or null if nothing changed
+ */
+Tree.prototype._migrateEntry = function _migrateEntry(key, value) {
+  var that = this;
+
+  var type = key[this._dsPrefix.length - 1];
+  var newKey, newValue;
 
-  // synchronous walk over the internal node writable stream buffer
-  return this._writableState.getBuffer().some(function(item) {
-    // support "atomic" array elements (see _writev)
-    if (Array.isArray(item.chunk)) { // descend
-      return item.chunk.some(item2 => version === item2.h.v);
-    } else {
-      return version === item.chunk.h.v;
+  switch (type) {
+  case DSKEY:
+    newKey = this._migrateKey(key);
+
+    var u = this._unwrapValue(key, value);
+    var data = u.flags & EDEFLATE ? zlib.inflateRawSync(u.data) : u.data;
+    var item = process.browser ? data : BSON.deserialize(data);
+
+    var versions = [item.h.v].concat(item.h.pa);
+    var resized = versions.map(function(v) {
+      var b = new Buffer(v, 'base64');
+      return that._resizeV(b.readUIntBE(0, b.length));
+    });
+
+    if (newKey.equals(key) && resized.join() === versions.join()) {
+      return null;
     }
-  });
-};
 
+    item.h.v = resized[0];
+    item.h.pa = resized.slice(1);
 
+    if (process.browser) {
+      return { key: newKey, value: item };
+    }
 
-/////////////////////
-//// PRIVATE API ////
-/////////////////////
+    data = BSON.serialize(item);
+    if (u.flags & EDEFLATE) {
+      data = zlib.deflateRawSync(data);
+    }
+    newValue = this._wrapValue(newKey, u.flags, u.depth, data);
+    break;
+  case IKEY:
+  case VKEY:
+  case XKEY:
+    // values refer to a headkey or a dskey
+    newKey = this._migrateKey(key);
+    newValue = this._migrateKey(value);
+    break;
+  case HEADKEY:
+    newKey = this._migrateKey(key);
+    var headVal = Tree.parseHeadVal(value);
+    newValue = this._composeHeadVal({ h: { i: headVal.i, c: headVal.c, d: headVal.d } });
+    break;
+  case TKEY:
+    newKey = this._migrateKey(key);
+    newValue = value;
+    break;
+  case MKEY:
+  case AKEY:
+  case CKEY:
+    return null;
+  case USKEY:
+    newKey = key;
+
+    var offset = this._usPrefix.length;
+    var usKey = key.slice(offset + 1, offset + 1 + key[offset]).toString();
+    if (usKey === INDEXES) {
+      return null;
+    }
 
+    // the last version of a perspective, the last pruned i or the i of a pruned
+    // parent
+    var ref = this._decodeUsVal(key, value);
+    var newRef = this._migrateKey(ref);
+    if (newRef.equals(ref)) {
+      return null;
+    }
+    newValue = this._encodeUsVal(key, newRef);
+    break;
+  default:
+    throw new Error('unexpected key type');
+  }
 
+  if (newKey.equals(key) && newValue.equals(value)) {
+    return null;
+  }
+  return { key: newKey, value: newValue };
+};
 
 /**
- * Get a dsKey by version. A valid version is any number up to 48 bits.
+ * Encode a version number as a base64 version of the configured vSize.
  *
- * @param {Number|base64 String} version  valid lbeint or base64 int
- * @param {Function} cb  First parameter will be an error object or null. Second
- *                       parameter will be a found dskey buffer or null if
- *                       version is not found.
+ * @param {Number} v  version number
+ * @return {String} base64 version
  */
-Tree.prototype._getDsKeyByVersion = function _getDsKeyByVersion(version, cb) {
-  if (typeof version !== 'number' && typeof version !== 'string') { throw new TypeError('version must be a number or a base64 string'); }
-  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
-
-  this._log.debug2('t:%s _getDsKeyByVersion %s', this.name, version);
-
-  var that = this;
-  this._db.get(this._composeVKey(version), function(err, dsKey) {
-    if (err) {
-      if (err.notFound) {
-        cb(null, null);
-        return;
-      }
-
-      that._log.err('t:%s _getDsKeyByVersion lookup error %j', that.name, err);
-      cb(err, null);
-      return;
-    }
+Tree.prototype._resizeV = function _resizeV(v) {
+  if (v >= Math.pow(2, 8 * this._vSize)) { throw new Error('version does not fit in vSize'); }
 
-    cb(null, dsKey);
-  });
+  var b = new Buffer(this._vSize);
+  b.writeUIntBE(v, 0, this._vSize);
+  return b.toString('base64');
 };
 
 /**
@@ -1375,6 +4008,162 @@ Tree.prototype._maxI = function _maxI(cb) {
   });
 };
 
+/**
+ * Determine the last i that is part of a snapshot at a version, i or time. If no
+ * version is inserted at or before the given time, 0 is returned.
+ *
+ * @param {base64 String|Number|Date} at  version, i or time
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be a number.
+ */
+Tree.prototype._snapshotI = function _snapshotI(at, cb) {
+  if (typeof at === 'number') {
+    process.nextTick(function() {
+      cb(null, at);
+    });
+    return;
+  }
+
+  if (typeof at === 'string') {
+    this._resolveVtoI(at, cb);
+    return;
+  }
+
+  // find the first version that is inserted after at
+  var limit = at.getTime();
+  var older = false;
+  var found = null;
+
+  var r = this.getTKeyRange();
+  this._db.createReadStream({ gt: r.s, lt: r.e }).on('data', function(obj) {
+    if (found != null) { return; }
+
+    if (Tree.parseTVal(obj.value) <= limit) {
+      older = true;
+    } else {
+      found = Tree.parseKey(obj.key).i;
+    }
+  }).on('error', cb).on('end', function() {
+    // versions without a time index are only included if a newer version is included
+    if (!older) {
+      cb(null, 0);
+    } else if (found != null) {
+      cb(null, found - 1);
+    } else {
+      cb(null, Infinity);
+    }
+  });
+};
+
+/**
+ * Determine the first i that should not be removed by prune. Every version with
+ * a lower i is older than all configured horizons.
+ *
+ * If no version is older than maxAge or if versions in horizon are not found, 0
+ * is returned. If only maxCount is configured, Infinity is returned.
+ *
+ * @param {Object} opts  prune options
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be a number.
+ */
+Tree.prototype._pruneCutoff = function _pruneCutoff(opts, cb) {
+  var that = this;
+  var cutoff = Infinity;
+
+  var tasks = [function(cb2) { process.nextTick(cb2); }];
+
+  if (opts.horizon) {
+    tasks.push(function(cb2) {
+      async.eachSeries(opts.horizon, function(version, cb3) {
+        that._resolveVtoI(version, function(err, i) {
+          if (err) {
+            if (err.message === 'version not found') {
+              that._log.notice('t:%s _pruneCutoff horizon not found %s', that.name, version);
+              cutoff = 0;
+              cb3();
+              return;
+            }
+            cb3(err);
+            return;
+          }
+          cutoff = Math.min(cutoff, i);
+          cb3();
+        });
+      }, cb2);
+    });
+  }
+
+  if (opts.maxAge != null) {
+    tasks.push(function(cb2) {
+      var limit = Date.now() - opts.maxAge;
+
+      // find the first version that is not older than maxAge
+      var older = false;
+      var found = null;
+
+      var r = that.getTKeyRange();
+      var rs = that._db.createReadStream({ gt: r.s, lt: r.e });
+      rs.on('data', function(obj) {
+        if (found != null) { return; }
+
+        if (Tree.parseTVal(obj.value) < limit) {
+          older = true;
+        } else {
+          found = Tree.parseKey(obj.key).i;
+          // the cutoff is known, stop reading
+          rs.destroy();
+        }
+      }).on('error', cb2).on('close', function() {
+        // versions without a time index are only removed if a newer version is older than maxAge
+        if (!older) {
+          cutoff = 0;
+        } else if (found != null) {
+          cutoff = Math.min(cutoff, found);
+        }
+        cb2();
+      });
+    });
+  }
+
+  async.series(tasks, function(err) {
+    if (err) { cb(err); return; }
+    cb(null, cutoff);
+  });
+};
+
+/**
+ * Get the time a version is inserted.
+ *
+ * @param {Number} i  i of the version
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be milliseconds since the epoch or null if
+ *                       the time is not recorded.
+ */
+Tree.prototype._getTime = function _getTime(i, cb) {
+  var that = this;
+  this._db.get(this._composeTKey(i), function(err, tVal) {
+    if (err) {
+      if (err.notFound) {
+        cb(null, null);
+        return;
+      }
+      that._log.err('t:%s _getTime lookup error %j', that.name, err);
+      cb(err);
+      return;
+    }
+
+    var time;
+    try {
+      time = Tree.parseTVal(tVal);
+    } catch (err) {
+      that._log.err('t:%s _getTime %s', that.name, err);
+      cb(err);
+      return;
+    }
+    cb(null, time);
+  });
+};
+
 /**
  * Save a new version in the appropriate DAG if it connects.
  *
@@ -1487,7 +4276,8 @@ Tree.prototype._saveAtomic = function(items, cb) {
       // always accept existing items from remote (happens if a new remote is added)
       if (!valid && exists && item.h.pe && item.h.pe !== that.name) {
         // update last written perspective version
-        that._db.put(that._composeUsKey(item.h.pe), that._composeVKey(item.h.v), function(err) {
+        var usKey = that._composeUsKey(item.h.pe);
+        that._dbPut(usKey, that._encodeUsVal(usKey, that._composeVKey(item.h.v)), function(err) {
           if (err) {
             that._log.err('t:%s _writev update uskey %s %j', that.name, err, item.h);
             cb(err);
@@ -1511,6 +4301,10 @@ Tree.prototype._saveAtomic = function(items, cb) {
     });
   }, function(fitems) {
     var tra = [];
+    var tVal = Tree._composeTVal(Date.now());
+
+    // items that are encoded but not written yet, might be the base of a delta
+    var encoded = {};
 
     // create batch insert, maintain order
     async.eachSeries(fitems, function(item, cb2) {
@@ -1536,23 +4330,34 @@ Tree.prototype._saveAtomic = function(items, cb) {
         });
         tra.push({ type: 'put', key: headKey, value: headVal });
         tra.push({ type: 'put', key: iKey,  value: headKey });
+        tra.push({ type: 'put', key: that._composeTKey(i), value: tVal });
         tra.push({ type: 'put', key: vKey,  value: dsKey });
 
         // update last written perspective version
         if (item.h.pe && item.h.pe !== that.name) {
-          tra.push({ type: 'put', key: that._composeUsKey(item.h.pe), value: that._composeVKey(item.h.v) });
+          var usKey = that._composeUsKey(item.h.pe);
+          tra.push({ type: 'put', key: usKey, value: that._encodeUsVal(usKey, that._composeVKey(item.h.v)) });
         }
 
+        // update secondary indexes
+        that._composeXKeys(item).forEach(function(xKey) {
+          tra.push({ type: 'put', key: xKey, value: dsKey });
+        });
+
         // update data
-        var bitem = process.browser ? item : BSON.serialize(item);
-        tra.push({ type: 'put', key: dsKey, value: bitem });
-        cb2();
+        that._encodeValue(item, encoded, function(err, value, depth) {
+          if (err) { cb2(err); return; }
+
+          encoded[item.h.v] = { item: item, depth: depth };
+          tra.push({ type: 'put', key: dsKey, value: value });
+          cb2();
+        });
       });
     }, function(err) {
       if (err) { cb(err); return; }
 
       // do batch insert
-      that._db.batch(tra, function(err) {
+      that._dbBatch(tra, function(err) {
         // emit item if successfully written, or an error otherwise
         if (err) {
           that._log.err('t:%s _writev items not written %d %s', that.name, tra.length, err);
@@ -1561,12 +4366,23 @@ Tree.prototype._saveAtomic = function(items, cb) {
         }
 
         that._log.debug2('t:%s _writev items written %d', that.name, tra.length);
+        if (fitems.length) { that.emit('written', fitems); }
         cb();
       });
     });
   });
 };
 
+/**
+ * Whether obj is a hex encoded sha256 digest.
+ *
+ * @param {mixed} obj
+ * @return {Boolean}
+ */
+Tree._isDigest = function _isDigest(obj) {
+  return typeof obj === 'string' && /^[0-9a-f]{64}$/.test(obj);
+};
+
 /**
  * Ensure input is a string or converted to a string.
  *
@@ -1631,6 +4447,45 @@ Tree.prototype._composeIKey = function _composeIKey(i) {
   return b;
 };
 
+/**
+ * Get the key for the t index. A valid i is any number up to 48 bits.
+ *
+ * @param {Number} i  valid lbeint
+ * @return {Buffer} key of subtype tkey
+ */
+Tree.prototype._composeTKey = function _composeTKey(i) {
+  if (typeof i !== 'number') { throw new TypeError('i must be a number'); }
+
+  var b = new Buffer(this._idxTPrefix.length + 1 + this._iSize);
+  var offset = 0;
+
+  this._idxTPrefix.copy(b);
+  offset += this._idxTPrefix.length;
+
+  b[offset] = this._iSize;
+  offset++;
+
+  b.writeUIntBE(i, offset, this._iSize);
+
+  return b;
+};
+
+/**
+ * Get the value for the t index.
+ *
+ * @param {Number} time  milliseconds since the epoch
+ * @return {Buffer} valid time index value
+ */
+Tree._composeTVal = function _composeTVal(time) {
+  if (typeof time !== 'number') { throw new TypeError('time must be a number'); }
+
+  var b = new Buffer(1 + 6);
+  b[0] = 6;
+  b.writeUIntBE(time, 1, 6);
+
+  return b;
+};
+
 /**
  * Get the key for the v index. A valid v is any number up to 48 bits.
  *
@@ -1737,6 +4592,35 @@ Tree.prototype._composeHeadVal = function _composeHeadVal(item) {
   return b;
 };
 
+/**
+ * Get the key of an attachment in the attachment store.
+ *
+ * @param {String} digest  hex encoded sha256 digest
+ * @return {Buffer} valid key of subtype akey
+ */
+Tree.prototype._composeAKey = function _composeAKey(digest) {
+  return Buffer.concat([this._attachPrefix, new Buffer(digest, 'hex')]);
+};
+
+/**
+ * Get the key of a conflict in the conflict store. Conflict ids are always six
+ * bytes, so that keys sort by id regardless of iSize.
+ *
+ * @param {Number} id  id of the conflict, a positive number up to 48 bits
+ * @return {Buffer} valid key of subtype ckey
+ */
+Tree.prototype._composeCKey = function _composeCKey(id) {
+  if (typeof id !== 'number') { throw new TypeError('id must be a number'); }
+
+  var b = new Buffer(this._conflictPrefix.length + 1 + 6);
+
+  this._conflictPrefix.copy(b);
+  b[this._conflictPrefix.length] = 6;
+  b.writeUIntBE(id, this._conflictPrefix.length + 1, 6);
+
+  return b;
+};
+
 /**
  * Get the key for the user store. It is assumed that usKey is a string or an
  * object that implements the "toString" method.
@@ -1767,6 +4651,19 @@ Tree.prototype._composeUsKey = function _composeUsKey(usKey) {
   return b;
 };
 
+/**
+ * Get the uskey that records the i of a removed parent of a remaining version, see
+ * prune. The version is stored as a number so that the key does not depend on the
+ * vSize.
+ *
+ * @param {base64 String} v  version of the removed parent
+ * @return {Buffer} uskey
+ */
+Tree.prototype._composePrunedParentKey = function _composePrunedParentKey(v) {
+  var b = new Buffer(v, 'base64');
+  return this._composeUsKey(PRUNED_PARENT + b.readUIntBE(0, b.length));
+};
+
 /**
  * Get the key for the data store. It is assumed that id is a string or an
  * object that implements the "toString" method. A valid i is a lbeint.
@@ -1802,6 +4699,159 @@ Tree.prototype._composeDsKey = function _composeDsKey(id, i) {
   return b;
 };
 
+/**
+ * Get the key for a secondary index. If xval is omitted, the prefix of the field
+ * is returned. If i is omitted, the prefix of the field and value is returned.
+ *
+ * @param {String} field  indexed field
+ * @param {Buffer} [xval]  encoded value, see _composeXVal
+ * @param {Number} [i]  valid lbeint
+ * @return {Buffer} valid key of subtype xkey
+ */
+Tree.prototype._composeXKey = function _composeXKey(field, xval, i) {
+  if (typeof field !== 'string') { throw new TypeError('field must be a string'); }
+  if (xval != null && !Buffer.isBuffer(xval)) { throw new TypeError('xval must be a buffer'); }
+  if (i != null && typeof i !== 'number') { throw new TypeError('i must be a number'); }
+
+  var flen = Buffer.byteLength(field);
+
+  var len = this._idxXPrefix.length + 1 + flen + 1;
+  if (xval) {
+    len += xval.length;
+  }
+  if (i != null) {
+    len += 1 + this._iSize;
+  }
+
+  var b = new Buffer(len);
+  var offset = 0;
+
+  this._idxXPrefix.copy(b, offset);
+  offset += this._idxXPrefix.length;
+
+  b[offset] = flen;
+  offset++;
+
+  b.write(field, offset);
+  offset += flen;
+
+  b[offset] = 0x00;
+  offset++;
+
+  if (xval) {
+    xval.copy(b, offset);
+    offset += xval.length;
+  }
+
+  if (i != null) {
+    b[offset] = this._iSize;
+    offset++;
+
+    b.writeUIntBE(i, offset, this._iSize);
+  }
+
+  return b;
+};
+
+/**
+ * Get the secondary index keys of an item, one for each indexed field that is
+ * set to a value that can be indexed.
+ *
+ * @param {Object} item  valid item with h.i set
+ * @return {Array} keys of subtype xkey
+ */
+Tree.prototype._composeXKeys = function _composeXKeys(item) {
+  var that = this;
+  var keys = [];
+
+  if (item.b == null || typeof item.b !== 'object') {
+    return keys;
+  }
+
+  this._indexes.forEach(function(field) {
+    var xval = Tree._composeXVal(Tree._getField(item.b, field));
+    if (xval) {
+      keys.push(that._composeXKey(field, xval, item.h.i));
+    }
+  });
+
+  return keys;
+};
+
+/**
+ * Encode a value for a secondary index so that the byte order of the encoded
+ * values equals the order of the values. Only null, booleans, numbers, dates and
+ * strings without null bytes can be indexed.
+ *
+ * @param {mixed} value  value to encode
+ * @return {Buffer|null} the encoded value or null if the value can not be indexed
+ */
+Tree._composeXVal = function _composeXVal(value) {
+  var b;
+
+  if (value === null) {
+    return new Buffer([XNULL]);
+  }
+
+  if (value === false) {
+    return new Buffer([XFALSE]);
+  }
+
+  if (value === true) {
+    return new Buffer([XTRUE]);
+  }
+
+  if (typeof value === 'number' || value instanceof Date) {
+    var num = typeof value === 'number' ? value : value.getTime();
+    if (isNaN(num)) {
+      return null;
+    }
+
+    b = new Buffer(9);
+    b[0] = typeof value === 'number' ? XNUMBER : XDATE;
+    b.writeDoubleBE(num, 1);
+
+    // flip the sign bit of positive numbers and all bits of negative numbers
+    if (b[1] & 0x80) {
+      for (var j = 1; j < 9; j++) { b[j] = ~b[j]; }
+    } else {
+      b[1] = b[1] ^ 0x80;
+    }
+    return b;
+  }
+
+  if (typeof value === 'string') {
+    if (~value.indexOf('\x00')) {
+      return null;
+    }
+
+    var len = Buffer.byteLength(value);
+    b = new Buffer(1 + len + 1);
+    b[0] = XSTRING;
+    b.write(value, 1);
+    b[len + 1] = 0x00;
+    return b;
+  }
+
+  return null;
+};
+
+/**
+ * Get the value of a possibly nested field. Nested fields are separated by dots.
+ *
+ * @param {Object} obj  object to get the field of
+ * @param {String} field  name of the field
+ * @return {mixed} value of the field or undefined if not set
+ */
+Tree._getField = function _getField(obj, field) {
+  return field.split('.').reduce(function(o, key) {
+    if (o == null || typeof o !== 'object') {
+      return undefined;
+    }
+    return o[key];
+  }, obj);
+};
+
 /**
  * Get the next increment number.
  *
@@ -0,0 +1,148 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var async = require('async');
+
+/**
+ * Migrations of trees that are written by older releases, ordered by keyspec
+ * revision. Each migration upgrades a tree from the previous revision and must be
+ * idempotent, since it runs again if the upgrade is interrupted before the new
+ * revision is recorded.
+ *
+ * Trees without a recorded revision are written by release 0.0.6 or earlier and
+ * are at revision 1.
+ */
+var migrations = [
+  {
+    revision: 2,
+    description: 'record vSize and iSize',
+    run: function(tree, cb) {
+      // determine the sizes from the keys in use
+      tree._storedSizes(function(err, sizes) {
+        if (err) { cb(err); return; }
+        if (!sizes || sizes.stored) { cb(); return; }
+        tree.setMeta({ vSize: sizes.vSize, iSize: sizes.iSize }, cb);
+      });
+    }
+  },
+  {
+    revision: 3,
+    description: 'add the attachment store',
+    run: function(tree, cb) {
+      // new subkey, existing keys are kept as is
+      process.nextTick(cb);
+    }
+  },
+  {
+    revision: 4,
+    description: 'add the conflict store',
+    run: function(tree, cb) {
+      // new subkey, existing keys are kept as is
+      process.nextTick(cb);
+    }
+  }
+];
+
+var REVISION = migrations[migrations.length - 1].revision;
+
+/**
+ * Upgrade a tree to the current keyspec revision by running all migrations of a
+ * newer revision than the tree is written with. A new tree is set to the current
+ * revision and its creation time is recorded. The configured compression is
+ * recorded as well.
+ *
+ * @param {Tree} tree  tree to upgrade
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be the number of migrations run.
+ */
+function upgrade(tree, cb) {
+  if (tree == null || typeof tree !== 'object') { throw new TypeError('tree must be an object'); }
+  if (typeof cb !== 'function') { throw new TypeError('cb must be a function'); }
+
+  tree.getMeta(function(err, meta) {
+    if (err) { cb(err); return; }
+
+    if (meta.keyspec > REVISION) {
+      var error = new Error('tree is written with a newer keyspec revision: ' + meta.keyspec);
+      tree._log.err('t:%s upgrade %s', tree.name, error);
+      cb(error);
+      return;
+    }
+
+    isEmpty(tree, function(err, empty) {
+      if (err) { cb(err); return; }
+
+      var tasks = [];
+      var run = 0;
+
+      if (meta.keyspec == null && empty) {
+        tasks.push(function(cb2) {
+          tree._log.notice('t:%s upgrade new tree, keyspec revision %d', tree.name, REVISION);
+          tree.setMeta({ keyspec: REVISION, created: new Date().toISOString() }, cb2);
+        });
+      } else {
+        migrations.filter(function(migration) {
+          return migration.revision > (meta.keyspec || 1);
+        }).forEach(function(migration) {
+          tasks.push(function(cb2) {
+            tree._log.notice('t:%s upgrade to keyspec revision %d: %s', tree.name, migration.revision, migration.description);
+            migration.run(tree, function(err) {
+              if (err) { cb2(err); return; }
+              run++;
+              tree.setMeta({ keyspec: migration.revision }, cb2);
+            });
+          });
+        });
+      }
+
+      var compression = tree._compression || null;
+      if ((meta.compression || null) !== compression) {
+        tasks.push(function(cb2) {
+          tree.setMeta({ compression: compression }, cb2);
+        });
+      }
+
+      async.series(tasks, function(err) {
+        if (err) { cb(err); return; }
+        cb(null, run);
+      });
+    });
+  });
+}
+
+module.exports = upgrade;
+module.exports.REVISION = REVISION;
+module.exports.migrations = migrations;
+
+/**
+ * Determine if a tree contains any keys except metadata. Metadata keys sort last.
+ *
+ * @param {Tree} tree  tree to inspect
+ * @param {Function} cb  First parameter will be an error object or null. Second
+ *                       parameter will be a boolean.
+ */
+function isEmpty(tree, cb) {
+  var empty = true;
+  tree._db.createKeyStream({ gt: tree._dsPrefix.slice(0, -1), lt: tree._metaPrefix, limit: 1 }).on('data', function() {
+    empty = false;
+  }).on('error', cb).on('end', function() {
+    cb(null, empty);
+  });
+}
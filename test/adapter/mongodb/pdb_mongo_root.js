@@ -31,14 +31,17 @@ var async = require('async');
 var bson = require('bson');
 var BSONStream = require('bson-stream');
 var LDJSONStream = require('ld-jsonstream');
-var level = require('level-packager')(require('leveldown'));
 var mongodb = require('mongodb');
 var rimraf = require('rimraf');
 
+var levelBackend = require('../../../lib/level_backend');
 var MergeTree = require('../../../lib/merge_tree');
 var logger = require('../../../lib/logger');
 var spawn = require('../../lib/spawn');
 
+// the hjson config files don't set a storage backend, so the dbs use the default
+var level = levelBackend();
+
 var BSON = new bson.BSONPure.BSON();
 var MongoClient = mongodb.MongoClient;
 
@@ -30,12 +30,12 @@ var tmpdir = require('os').tmpdir;
 
 var async = require('async');
 var BSONStream = require('bson-stream');
-var level = require('level-packager')(require('leveldown'));
 var rimraf = require('rimraf');
 var bson = require('bson');
 
 var BSON = new bson.BSONPure.BSON();
 
+var levelBackend = require('../../../lib/level_backend');
 var logger = require('../../../lib/logger');
 var MergeTree = require('../../../lib/merge_tree');
 var spawn = require('../../lib/spawn');
@@ -49,6 +49,11 @@ var user = 'pdblevel';
 var group = 'pdblevel';
 var name = 'test_db_exec_root';
 
+// storage backend of the databases, the data is reopened by these tests so an
+// in-memory backend falls back to the default
+var storage = process.env.PDB_BACKEND === 'memdown' ? undefined : process.env.PDB_BACKEND;
+var level = levelBackend(storage);
+
 // open loggers
 tasks.push(function(done) {
   logger({ console: true, mask: logger.DEBUG2 }, function(err, l) {
@@ -378,6 +383,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         user: user,
         group: group,
         perspectives: [{ name: 'webclient' }]
@@ -501,6 +507,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         user: user,
         group: group,
         perspectives: perspectives,
@@ -646,6 +653,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         user: user,
         group: group,
         perspectives: perspectives,
@@ -744,6 +752,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         hookPaths: [__dirname + '/../../../hooks/core'],
         user: user,
         group: group,
@@ -893,6 +902,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         hookPaths: [__dirname + '/../../../hooks/core'],
         user: user,
         group: group,
@@ -969,6 +979,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         user: user,
         group: group,
         mergeTree: {
@@ -1060,6 +1071,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         user: user,
         group: group,
         mergeTree: {
@@ -1134,6 +1146,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         user: user,
         group: group,
         mergeTree: {
@@ -1207,6 +1220,7 @@ tasks.push(function(done) {
       child.send({
         log: { console: true, mask: 7 },
         name: name,
+        storage: storage,
         user: user,
         group: group,
         mergeTree: {
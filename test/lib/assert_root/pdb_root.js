@@ -31,14 +31,17 @@ var net = require('net');
 var async = require('async');
 var bson = require('bson');
 var BSON = new bson.BSONPure.BSON();
-var level = require('level-packager')(require('leveldown'));
 var rimraf = require('rimraf');
 var ws = require('nodejs-websocket');
 
 var logger = require('../../../lib/logger');
+var levelBackend = require('../../../lib/level_backend');
 var MergeTree = require('../../../lib/merge_tree');
 var spawn = require('../../lib/spawn');
 
+// the hjson config files don't set a storage backend, so the dbs use the default
+var level = levelBackend();
+
 var cert;
 
 cert = __dirname + '/cert.pem';
@@ -0,0 +1,109 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var attachmentRefs = require('../../../lib/attachment_refs');
+
+describe('attachmentRefs', function() {
+  var d1 = new Array(65).join('a');
+  var d2 = new Array(65).join('b');
+
+  it('should return an empty array if there are no references', function() {
+    should.deepEqual(attachmentRefs({ foo: 'bar', baz: [1, { qux: null }] }), []);
+  });
+
+  it('should return an empty array if body is not an object', function() {
+    should.deepEqual(attachmentRefs(null), []);
+  });
+
+  it('should find references in nested objects and arrays', function() {
+    var body = {
+      foo: { _attachment: d1, length: 1 },
+      bar: [{ baz: { _attachment: d2, length: 2, type: 'image/png' } }]
+    };
+    should.deepEqual(attachmentRefs(body), [d1, d2]);
+  });
+
+  it('should return each digest once', function() {
+    var body = {
+      foo: { _attachment: d1, length: 1 },
+      bar: [{ _attachment: d1, length: 1 }]
+    };
+    should.deepEqual(attachmentRefs(body), [d1]);
+  });
+
+  it('should ignore values that are not a digest', function() {
+    var body = { foo: { _attachment: 'abc', length: 1 }, bar: { _attachment: 1 } };
+    should.deepEqual(attachmentRefs(body), []);
+  });
+
+  it('should ignore buffers and dates', function() {
+    should.deepEqual(attachmentRefs({ foo: new Buffer(d1), bar: new Date() }), []);
+  });
+
+  describe('findRefs', function() {
+    it('should return every reference object', function() {
+      var body = {
+        foo: { _attachment: d1, length: 1 },
+        bar: [{ _attachment: d1, length: 1 }, { baz: { _attachment: d2, length: 2 } }]
+      };
+      var refs = attachmentRefs.findRefs(body);
+      should.strictEqual(refs.length, 3);
+      should.strictEqual(refs[0], body.foo);
+      should.strictEqual(refs[1], body.bar[0]);
+      should.strictEqual(refs[2], body.bar[1].baz);
+    });
+  });
+
+  describe('isRef', function() {
+    it('should be true for a reference', function() {
+      should.strictEqual(attachmentRefs.isRef({ _attachment: d1, length: 1 }), true);
+    });
+
+    it('should be false for other objects', function() {
+      should.strictEqual(attachmentRefs.isRef({ _attachment: d1.toUpperCase() }), false);
+      should.strictEqual(attachmentRefs.isRef(d1), false);
+      should.strictEqual(attachmentRefs.isRef(null), false);
+    });
+  });
+
+  describe('createRef', function() {
+    it('should require digest to be a string', function() {
+      (function() { attachmentRefs.createRef(1, 1); }).should.throw('digest must be a string');
+    });
+
+    it('should require length to be a number', function() {
+      (function() { attachmentRefs.createRef(d1, '1'); }).should.throw('length must be a number');
+    });
+
+    it('should require type to be a string', function() {
+      (function() { attachmentRefs.createRef(d1, 1, {}); }).should.throw('type must be a string');
+    });
+
+    it('should create a reference without type', function() {
+      should.deepEqual(attachmentRefs.createRef(d1, 1), { _attachment: d1, length: 1 });
+    });
+
+    it('should create a reference with type', function() {
+      should.deepEqual(attachmentRefs.createRef(d1, 1, 'text/plain'), { _attachment: d1, length: 1, type: 'text/plain' });
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Copyright 2015, 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var stream = require('stream');
+var tmpdir = require('os').tmpdir;
+
+var should = require('should');
+var rimraf = require('rimraf');
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
+
+var backup = require('../../../lib/backup');
+var Tree = require('../../../lib/tree');
+var logger = require('../../../lib/logger');
+
+var db, db2, silence;
+var dbPath = tmpdir() + '/test_backup';
+var dbPath2 = tmpdir() + '/test_backup_restore';
+var file = tmpdir() + '/test_backup.pdbb';
+var file2 = tmpdir() + '/test_backup_save.pdbb';
+var dir = tmpdir() + '/test_backup_clean';
+
+// read all keys and values of a database
+function dump(db, cb) {
+  var result = [];
+  db.createReadStream().on('data', function(obj) {
+    result.push(obj.key.toString('hex') + ':' + obj.value.toString('hex'));
+  }).on('error', cb).on('end', function() {
+    cb(null, result);
+  });
+}
+
+// open databases
+before(function(done) {
+  logger({ silence: true }, function(err, l) {
+    if (err) { throw err; }
+    silence = l;
+    // ensure empty dbs at start
+    rimraf(dbPath, function(err) {
+      if (err) { throw err; }
+      rimraf(dbPath2, function(err) {
+        if (err) { throw err; }
+        db = level(dbPath, { keyEncoding: 'binary', valueEncoding: 'binary' });
+        db2 = level(dbPath2, { keyEncoding: 'binary', valueEncoding: 'binary' });
+        done();
+      });
+    });
+  });
+});
+
+after(function(done) {
+  silence.close(function(err) {
+    if (err) { throw err; }
+    db.close(function(err) {
+      if (err) { throw err; }
+      db2.close(function(err) {
+        if (err) { throw err; }
+        rimraf(dbPath, function(err) {
+          if (err) { throw err; }
+          rimraf(dbPath2, function(err) {
+            if (err) { throw err; }
+            rimraf(file, function(err) {
+              if (err) { throw err; }
+              rimraf(file2, function(err) {
+                if (err) { throw err; }
+                rimraf(dir, done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+describe('backup', function() {
+  it('should require db to be an object', function() {
+    (function() { backup(); }).should.throwError('db must be an object');
+  });
+
+  it('should write items to two trees', function(done) {
+    var t1 = new Tree(db, 'foo', { vSize: 3, log: silence });
+    var t2 = new Tree(db, 'bar', { vSize: 3, log: silence });
+    t1.end({ h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { some: 'data' } }, function(err) {
+      if (err) { throw err; }
+      t2.end({ h: { id: 'XI', v: 'Bbbb', pa: [] }, b: { other: 'data' } }, done);
+    });
+  });
+
+  it('should write an archive', function(done) {
+    var ws = fs.createWriteStream(file);
+    ws.on('finish', done);
+    backup(db).pipe(ws);
+  });
+});
+
+describe('verify', function() {
+  it('should require file to be a string', function() {
+    (function() { backup.verify(); }).should.throwError('file must be a string');
+  });
+
+  it('should require cb to be a function', function() {
+    (function() { backup.verify(file); }).should.throwError('cb must be a function');
+  });
+
+  it('should verify the archive and return the trailer', function(done) {
+    backup.verify(file, function(err, trailer) {
+      if (err) { throw err; }
+      should.strictEqual(trailer.count, 10);
+      should.deepEqual(trailer.trees, [
+        { name: 'bar', count: 5 },
+        { name: 'foo', count: 5 }
+      ]);
+      should.strictEqual(trailer.sha256.length, 64);
+      done();
+    });
+  });
+
+  it('should detect a corrupt archive', function(done) {
+    var buf = fs.readFileSync(file);
+    buf[100] = buf[100] ^ 0xff;
+    fs.writeFileSync(file + '.corrupt', buf);
+    backup.verify(file + '.corrupt', function(err) {
+      should.strictEqual(err.message, 'checksum mismatch');
+      rimraf(file + '.corrupt', done);
+    });
+  });
+
+  it('should detect a truncated archive', function(done) {
+    var buf = fs.readFileSync(file);
+    var len = buf.readInt32LE(0);
+    fs.writeFileSync(file + '.truncated', buf.slice(0, len));
+    backup.verify(file + '.truncated', function(err) {
+      should.strictEqual(err.message, 'archive is truncated');
+      rimraf(file + '.truncated', done);
+    });
+  });
+});
+
+describe('save', function() {
+  it('should require archive to be a readable stream', function() {
+    (function() { backup.save(); }).should.throwError('archive must be a readable stream');
+  });
+
+  it('should require file to be a string', function() {
+    (function() { backup.save(backup(db)); }).should.throwError('file must be a string');
+  });
+
+  it('should remove the temporary file if the archive errors', function(done) {
+    var archive = new stream.PassThrough();
+    backup.save(archive, file2, function(err) {
+      should.strictEqual(err.message, 'read error');
+      should.strictEqual(fs.existsSync(file2 + '.tmp'), false);
+      should.strictEqual(fs.existsSync(file2), false);
+      done();
+    });
+    archive.write(fs.readFileSync(file).slice(0, 100));
+    setTimeout(function() {
+      archive.emit('error', new Error('read error'));
+    }, 10);
+  });
+
+  it('should remove the temporary file if the archive is truncated', function(done) {
+    var archive = new stream.PassThrough();
+    backup.save(archive, file2, function(err) {
+      should.strictEqual(err.message, 'archive is truncated');
+      should.strictEqual(fs.existsSync(file2 + '.tmp'), false);
+      should.strictEqual(fs.existsSync(file2), false);
+      done();
+    });
+    archive.end(fs.readFileSync(file).slice(0, 100));
+  });
+
+  it('should write and verify an archive', function(done) {
+    backup.save(backup(db), file2, function(err, trailer) {
+      if (err) { throw err; }
+      should.strictEqual(trailer.count, 10);
+      should.strictEqual(fs.existsSync(file2 + '.tmp'), false);
+      backup.verify(file2, done);
+    });
+  });
+
+  it('should not overwrite an existing file', function(done) {
+    fs.writeFileSync(file2 + '.tmp', 'other');
+    backup.save(backup(db), file2, function(err) {
+      should.strictEqual(err.code, 'EEXIST');
+      should.strictEqual(fs.readFileSync(file2 + '.tmp', 'utf8'), 'other');
+      rimraf(file2 + '.tmp', done);
+    });
+  });
+});
+
+describe('clean', function() {
+  before(function() {
+    fs.mkdirSync(dir);
+    ['2016-01-01T00:00:00.000Z.pdbb', '2016-01-03T00:00:00.000Z.pdbb', '2016-01-02T00:00:00.000Z.pdbb', 'other'].forEach(function(name) {
+      fs.writeFileSync(dir + '/' + name, '');
+    });
+  });
+
+  it('should require keep to be a number', function() {
+    (function() { backup.clean(dir); }).should.throwError('keep must be a number');
+  });
+
+  it('should keep all archives if there are not more than keep', function(done) {
+    backup.clean(dir, 3, function(err, removed) {
+      if (err) { throw err; }
+      should.deepEqual(removed, []);
+      done();
+    });
+  });
+
+  it('should remove the oldest archives', function(done) {
+    backup.clean(dir, 1, function(err, removed) {
+      if (err) { throw err; }
+      should.deepEqual(removed, ['2016-01-01T00:00:00.000Z.pdbb', '2016-01-02T00:00:00.000Z.pdbb']);
+      should.deepEqual(fs.readdirSync(dir).sort(), ['2016-01-03T00:00:00.000Z.pdbb', 'other']);
+      done();
+    });
+  });
+});
+
+describe('restore', function() {
+  it('should require db to be an object', function() {
+    (function() { backup.restore(); }).should.throwError('db must be an object');
+  });
+
+  it('should not write a corrupt archive', function(done) {
+    var buf = fs.readFileSync(file);
+    buf[100] = buf[100] ^ 0xff;
+    fs.writeFileSync(file + '.corrupt', buf);
+    backup.restore(db2, file + '.corrupt', function(err) {
+      should.strictEqual(err.message, 'checksum mismatch');
+      dump(db2, function(err, keys) {
+        if (err) { throw err; }
+        should.strictEqual(keys.length, 0);
+        rimraf(file + '.corrupt', done);
+      });
+    });
+  });
+
+  it('should restore all keys and values', function(done) {
+    backup.restore(db2, file, function(err, trailer) {
+      if (err) { throw err; }
+      should.strictEqual(trailer.count, 10);
+      dump(db, function(err, expected) {
+        if (err) { throw err; }
+        dump(db2, function(err, keys) {
+          if (err) { throw err; }
+          should.deepEqual(keys, expected);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should not restore into a non-empty database', function(done) {
+    backup.restore(db2, file, function(err) {
+      should.strictEqual(err.message, 'database is not empty');
+      done();
+    });
+  });
+});
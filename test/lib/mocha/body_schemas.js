@@ -0,0 +1,180 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+var should = require('should');
+
+var bodySchemas = require('../../../lib/body_schemas');
+
+var invalidSchema = bodySchemas.invalidSchema;
+var invalidValue = bodySchemas.invalidValue;
+var invalidRules = bodySchemas.invalidRules;
+var invalidBody = bodySchemas.invalidBody;
+
+describe('bodySchemas', function() {
+  describe('invalidSchema', function() {
+    it('should accept supported keywords and annotations', function() {
+      should.strictEqual(invalidSchema({
+        $schema: 'http://json-schema.org/draft-04/schema#',
+        title: 'customer',
+        type: ['object', 'null'],
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 10, pattern: '^[a-z]+$' },
+          age: { type: 'integer', minimum: 0, maximum: 150 },
+          status: { enum: ['new', 'closed'] },
+          tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 5 }
+        },
+        additionalProperties: { type: 'number' }
+      }), '');
+    });
+
+    it('should require an object', function() {
+      should.strictEqual(invalidSchema([]), 'schema must be an object');
+    });
+
+    it('should require known types', function() {
+      should.strictEqual(invalidSchema({ type: ['string', 'foo'] }), 'type must be one of object, array, string, number, integer, boolean, null');
+    });
+
+    it('should require required to be an array of strings', function() {
+      should.strictEqual(invalidSchema({ required: [1] }), 'required must be an array of strings');
+    });
+
+    it('should check nested schemas', function() {
+      should.strictEqual(invalidSchema({ properties: { name: { minLength: '1' } } }), 'properties.name: minLength must be a number');
+      should.strictEqual(invalidSchema({ items: [] }), 'items: schema must be an object');
+      should.strictEqual(invalidSchema({ additionalProperties: 'no' }), 'additionalProperties: schema must be an object');
+    });
+
+    it('should require a valid pattern', function() {
+      should.strictEqual(invalidSchema({ pattern: '(' }), 'pattern must be a valid regular expression');
+    });
+
+    it('should reject unknown keywords', function() {
+      should.strictEqual(invalidSchema({ requierd: ['name'] }).indexOf('unknown keyword requierd'), 0);
+    });
+  });
+
+  describe('invalidValue', function() {
+    it('should check types', function() {
+      should.strictEqual(invalidValue({ type: 'object' }, []), 'b must be of type object');
+      should.strictEqual(invalidValue({ type: 'object' }, null), 'b must be of type object');
+      should.strictEqual(invalidValue({ type: 'integer' }, 1.5), 'b must be of type integer');
+      should.strictEqual(invalidValue({ type: ['string', 'null'] }, 1), 'b must be of type string or null');
+      should.strictEqual(invalidValue({ type: ['string', 'null'] }, null), '');
+      should.strictEqual(invalidValue({ type: 'number' }, 1.5), '');
+    });
+
+    it('should check enum', function() {
+      should.strictEqual(invalidValue({ enum: ['a', { b: 1 }] }, { b: 1 }), '');
+      should.strictEqual(invalidValue({ enum: ['a', { b: 1 }] }, 'b'), 'b must be one of "a", {"b":1}');
+    });
+
+    it('should check required keys and properties by path', function() {
+      var schema = {
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          address: { properties: { zip: { pattern: '^[0-9]{4}' } } }
+        }
+      };
+      should.strictEqual(invalidValue(schema, {}), 'b.name is required');
+      should.strictEqual(invalidValue(schema, { name: 1 }), 'b.name must be of type string');
+      should.strictEqual(invalidValue(schema, { name: 'a', address: { zip: 'ab' } }), 'b.address.zip must match ^[0-9]{4}');
+      should.strictEqual(invalidValue(schema, { name: 'a', address: { zip: '1234' }, other: true }), '');
+    });
+
+    it('should check additional properties', function() {
+      var schema = { properties: { name: {} }, additionalProperties: false };
+      should.strictEqual(invalidValue(schema, { name: 'a', foo: 1 }), 'b.foo is not allowed');
+      should.strictEqual(invalidValue({ additionalProperties: { type: 'number' } }, { foo: 'a' }), 'b.foo must be of type number');
+    });
+
+    it('should check arrays', function() {
+      var schema = { items: { type: 'string' }, minItems: 1, maxItems: 2 };
+      should.strictEqual(invalidValue(schema, []), 'b must contain at least 1 items');
+      should.strictEqual(invalidValue(schema, ['a', 'b', 'c']), 'b must contain at most 2 items');
+      should.strictEqual(invalidValue(schema, ['a', 1]), 'b.1 must be of type string');
+      should.strictEqual(invalidValue(schema, ['a', 'b']), '');
+    });
+
+    it('should check strings and numbers', function() {
+      should.strictEqual(invalidValue({ minLength: 2 }, 'a'), 'b must be at least 2 characters');
+      should.strictEqual(invalidValue({ maxLength: 2 }, 'abc'), 'b must be at most 2 characters');
+      should.strictEqual(invalidValue({ minimum: 0 }, -1), 'b must be >= 0');
+      should.strictEqual(invalidValue({ maximum: 10 }, 11), 'b must be <= 10');
+    });
+
+    it('should only apply keywords to values of the matching type', function() {
+      should.strictEqual(invalidValue({ minLength: 2, minimum: 1, required: ['a'] }, []), '');
+    });
+
+    it('should use the given path', function() {
+      should.strictEqual(invalidValue({ type: 'string' }, 1, 'b.name'), 'b.name must be of type string');
+    });
+  });
+
+  describe('invalidRules', function() {
+    it('should require an array of objects', function() {
+      should.strictEqual(invalidRules({}), 'schemas must be an array');
+      should.strictEqual(invalidRules([1]), 'schemas must contain objects');
+    });
+
+    it('should require prefix to be a string', function() {
+      should.strictEqual(invalidRules([{ prefix: 1, schema: {} }]), 'schemas.0.prefix must be a string');
+    });
+
+    it('should check the schema of each rule', function() {
+      should.strictEqual(invalidRules([{ schema: {} }, { prefix: 'a' }]), 'schemas.1.schema must be an object');
+      should.strictEqual(invalidRules([{ prefix: 'a', schema: { type: 'string' } }, { schema: {} }]), '');
+    });
+  });
+
+  describe('invalidBody', function() {
+    var rules = [
+      { prefix: 'customers\x01', schema: { required: ['name'] } },
+      { prefix: 'orders\x01', schema: { additionalProperties: false } }
+    ];
+
+    it('should use the schema of the first rule that matches the id', function() {
+      should.strictEqual(invalidBody(rules, { h: { id: 'customers\x01a' }, b: {} }), 'b.name is required');
+      should.strictEqual(invalidBody(rules, { h: { id: 'orders\x01a' }, b: { a: 1 } }), 'b.a is not allowed');
+    });
+
+    it('should accept ids that match no rule', function() {
+      should.strictEqual(invalidBody(rules, { h: { id: 'other\x01a' }, b: { a: 1 } }), '');
+    });
+
+    it('should match buffer ids', function() {
+      should.strictEqual(invalidBody(rules, { h: { id: new Buffer('customers\x01a') }, b: {} }), 'b.name is required');
+    });
+
+    it('should use a rule without a prefix for every id', function() {
+      should.strictEqual(invalidBody([{ schema: { type: 'object', required: ['a'] } }], { h: { id: 'x' }, b: {} }), 'b.a is required');
+    });
+
+    it('should check an item without a body as an empty object', function() {
+      should.strictEqual(invalidBody(rules, { h: { id: 'customers\x01a' } }), 'b.name is required');
+    });
+
+    it('should not check deletes', function() {
+      should.strictEqual(invalidBody(rules, { h: { id: 'customers\x01a', d: true } }), '');
+    });
+  });
+});
@@ -20,7 +20,7 @@
 
 var tmpdir = require('os').tmpdir;
 
-var level = require('level-packager')(require('leveldown'));
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
 var rimraf = require('rimraf');
 var should = require('should');
 
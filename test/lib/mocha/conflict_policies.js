@@ -0,0 +1,148 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var conflictPolicies = require('../../../lib/conflict_policies');
+
+var invalidPolicy = conflictPolicies.invalidPolicy;
+var policyName = conflictPolicies.policyName;
+var chooseSides = conflictPolicies.chooseSides;
+
+describe('conflictPolicies', function() {
+  describe('invalidPolicy', function() {
+    it('should accept "remote" and "local"', function() {
+      should.strictEqual(invalidPolicy('remote'), '');
+      should.strictEqual(invalidPolicy('local'), '');
+    });
+
+    it('should require an object otherwise', function() {
+      should.strictEqual(invalidPolicy('foo'), 'policy must be "remote", "local" or an object');
+      should.strictEqual(invalidPolicy(null), 'policy must be "remote", "local" or an object');
+      should.strictEqual(invalidPolicy([]), 'policy must be "remote", "local" or an object');
+    });
+
+    it('should require policy.name to be a string', function() {
+      should.strictEqual(invalidPolicy({ lastWriter: 'ts', name: 1 }), 'policy.name must be a string');
+    });
+
+    it('should require policy.lastWriter to be a string', function() {
+      should.strictEqual(invalidPolicy({ lastWriter: 1 }), 'policy.lastWriter must be a string');
+    });
+
+    it('should require policy.prefer to be a string', function() {
+      should.strictEqual(invalidPolicy({ prefer: 1, fields: [] }), 'policy.prefer must be a string');
+    });
+
+    it('should require policy.fields to be an array', function() {
+      should.strictEqual(invalidPolicy({ prefer: 'foo' }), 'policy.fields must be an array');
+    });
+
+    it('should require policy.resolver to be a function', function() {
+      should.strictEqual(invalidPolicy({ resolver: 'foo' }), 'policy.resolver must be a function');
+    });
+
+    it('should require a known kind of policy', function() {
+      should.strictEqual(invalidPolicy({ foo: 'bar' }), 'policy must contain "lastWriter", "prefer" or "resolver"');
+    });
+
+    it('should accept valid policies', function() {
+      should.strictEqual(invalidPolicy({ lastWriter: 'ts' }), '');
+      should.strictEqual(invalidPolicy({ prefer: 'foo', fields: ['bar'] }), '');
+      should.strictEqual(invalidPolicy({ resolver: function() {}, name: 'baz' }), '');
+    });
+  });
+
+  describe('policyName', function() {
+    it('should use the string of a policy', function() {
+      should.strictEqual(policyName('remote'), 'remote');
+    });
+
+    it('should use the kind of a policy', function() {
+      should.strictEqual(policyName({ lastWriter: 'ts' }), 'lastWriter');
+      should.strictEqual(policyName({ prefer: 'foo', fields: [] }), 'prefer');
+      should.strictEqual(policyName({ resolver: function() {} }), 'resolver');
+    });
+
+    it('should use the name of a policy', function() {
+      should.strictEqual(policyName({ resolver: function() {}, name: 'baz' }), 'baz');
+    });
+  });
+
+  describe('chooseSides', function() {
+    var conflict = {
+      n: { h: { id: 'foo', v: 'Bbbb', pa: ['Aaaa'] }, b: { ts: 2, address: { zip: '1' }, name: 'b' } },
+      l: { h: { id: 'foo', v: 'Cccc', pa: ['Aaaa'] }, b: { ts: 1, address: { zip: '2' }, name: 'c' } },
+      pe: 'rem',
+      c: ['address.zip']
+    };
+
+    it('should choose remote', function() {
+      should.strictEqual(chooseSides('remote', conflict, '_local')('name'), 'remote');
+    });
+
+    it('should choose local', function() {
+      should.strictEqual(chooseSides('local', conflict, '_local')('name'), 'local');
+    });
+
+    it('should choose the side with the highest value of lastWriter', function() {
+      should.strictEqual(chooseSides({ lastWriter: 'ts' }, conflict, '_local')('name'), 'remote');
+    });
+
+    it('should compare dates with lastWriter', function() {
+      var c = {
+        n: { h: {}, b: { ts: new Date(1000) } },
+        l: { h: {}, b: { ts: new Date(2000) } },
+        pe: 'rem',
+        c: ['ts']
+      };
+      should.strictEqual(chooseSides({ lastWriter: 'ts' }, c, '_local')('ts'), 'local');
+    });
+
+    it('should not resolve with lastWriter if the values are equal', function() {
+      var c = { n: { h: {}, b: { ts: new Date(1000) } }, l: { h: {}, b: { ts: new Date(1000) } }, pe: 'rem', c: ['ts'] };
+      should.strictEqual(chooseSides({ lastWriter: 'ts' }, c, '_local'), null);
+    });
+
+    it('should not resolve with lastWriter if a value is missing', function() {
+      should.strictEqual(chooseSides({ lastWriter: 'updated' }, conflict, '_local'), null);
+    });
+
+    it('should choose the remote if preferred', function() {
+      should.strictEqual(chooseSides({ prefer: 'rem', fields: ['address'] }, conflict, '_local')('address.zip'), 'remote');
+    });
+
+    it('should choose local if preferred', function() {
+      should.strictEqual(chooseSides({ prefer: '_local', fields: ['address.zip'] }, conflict, '_local')('address.zip'), 'local');
+    });
+
+    it('should not resolve with prefer if another perspective is preferred', function() {
+      should.strictEqual(chooseSides({ prefer: 'other', fields: ['address'] }, conflict, '_local'), null);
+    });
+
+    it('should not resolve with prefer if not all conflicts are in fields', function() {
+      should.strictEqual(chooseSides({ prefer: 'rem', fields: ['addr', 'name'] }, conflict, '_local'), null);
+    });
+
+    it('should not resolve with a resolver', function() {
+      should.strictEqual(chooseSides({ resolver: function() {} }, conflict, '_local'), null);
+    });
+  });
+});
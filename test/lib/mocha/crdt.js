@@ -0,0 +1,129 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var crdt = require('../../../lib/crdt');
+
+var invalidType = crdt.invalidType;
+var mergeField = crdt.mergeField;
+
+describe('crdt', function() {
+  it('should export the types', function() {
+    should.deepEqual(crdt.TYPES, ['counter', 'orset', 'lww', 'max']);
+  });
+
+  describe('invalidType', function() {
+    it('should accept known types', function() {
+      should.strictEqual(invalidType('counter'), '');
+      should.strictEqual(invalidType({ type: 'max' }), '');
+      should.strictEqual(invalidType({ type: 'lww', clock: 'updatedAt' }), '');
+    });
+
+    it('should require a known type', function() {
+      should.strictEqual(invalidType('foo'), 'type must be one of counter, orset, lww, max');
+      should.strictEqual(invalidType({ type: 'foo' }), 'type must be one of counter, orset, lww, max');
+      should.strictEqual(invalidType(null), 'type must be one of counter, orset, lww, max');
+    });
+
+    it('should require clock to be a string', function() {
+      should.strictEqual(invalidType({ type: 'lww', clock: 1 }), 'clock must be a string');
+    });
+
+    it('should only accept a clock for lww', function() {
+      should.strictEqual(invalidType({ type: 'max', clock: 'updatedAt' }), 'clock is only supported by lww');
+    });
+  });
+
+  describe('counter', function() {
+    it('should add up the changes of both sides', function() {
+      should.strictEqual(mergeField('counter', { n: 7 }, { n: 3 }, { n: 5 }, { n: 5 }, 'n'), 5);
+    });
+
+    it('should not lose equal increments', function() {
+      should.strictEqual(mergeField('counter', { n: 6 }, { n: 6 }, { n: 5 }, { n: 5 }, 'n'), 7);
+    });
+
+    it('should start from 0 if the lca does not contain the field', function() {
+      should.strictEqual(mergeField('counter', { n: 2 }, { n: 3 }, {}, {}, 'n'), 5);
+    });
+
+    it('should use lcaB for the changes of b', function() {
+      should.strictEqual(mergeField('counter', { n: 2 }, { n: 12 }, { n: 1 }, { n: 10 }, 'n'), 4);
+    });
+
+    it('should not merge other values than numbers', function() {
+      should.strictEqual(mergeField('counter', { n: '2' }, { n: 3 }, {}, {}, 'n'), undefined);
+    });
+  });
+
+  describe('orset', function() {
+    it('should keep additions and apply removals of both sides', function() {
+      should.deepEqual(mergeField('orset', { s: ['a', 'c'] }, { s: ['b', 'd'] }, { s: ['a', 'b'] }, { s: ['a', 'b'] }, 's'), ['c', 'd']);
+    });
+
+    it('should order the elements by the side with the lowest version', function() {
+      should.deepEqual(mergeField('orset', { s: ['a'] }, { s: ['b'] }, {}, {}, 's', false), ['b', 'a']);
+    });
+
+    it('should not merge other values than arrays', function() {
+      should.strictEqual(mergeField('orset', { s: 'a' }, { s: ['b'] }, {}, {}, 's'), undefined);
+    });
+  });
+
+  describe('lww', function() {
+    it('should take b if a has the lowest version', function() {
+      should.strictEqual(mergeField('lww', { r: 'a' }, { r: 'b' }, { r: 'o' }, { r: 'o' }, 'r'), 'b');
+    });
+
+    it('should take a if b has the lowest version', function() {
+      should.strictEqual(mergeField('lww', { r: 'a' }, { r: 'b' }, { r: 'o' }, { r: 'o' }, 'r', false), 'a');
+    });
+
+    it('should take the value with the highest clock', function() {
+      var decl = { type: 'lww', clock: 'ts' };
+      should.strictEqual(mergeField(decl, { r: 'a', ts: new Date(2000) }, { r: 'b', ts: new Date(1000) }, {}, {}, 'r'), 'a');
+    });
+
+    it('should use the version if the clocks are equal', function() {
+      var decl = { type: 'lww', clock: 'ts' };
+      should.strictEqual(mergeField(decl, { r: 'a', ts: 1 }, { r: 'b', ts: 1 }, {}, {}, 'r', false), 'a');
+    });
+
+    it('should accept any value', function() {
+      should.deepEqual(mergeField('lww', { r: { a: 1 } }, { r: null }, {}, {}, 'r', false), { a: 1 });
+    });
+  });
+
+  describe('max', function() {
+    it('should take the highest number', function() {
+      should.strictEqual(mergeField('max', { m: 3 }, { m: 8 }, { m: 1 }, { m: 1 }, 'm'), 8);
+    });
+
+    it('should take the highest date', function() {
+      var d = new Date(2000);
+      should.strictEqual(mergeField('max', { m: d }, { m: new Date(1000) }, {}, {}, 'm'), d);
+    });
+
+    it('should not merge values of different types', function() {
+      should.strictEqual(mergeField('max', { m: 3 }, { m: '8' }, {}, {}, 'm'), undefined);
+    });
+  });
+});
@@ -80,6 +80,22 @@ describe('dataRequest', function () {
         });
         should.strictEqual(result, true);
       });
+
+      it('should return false when attachments is not a boolean', function() {
+        var result = dataRequest.valid({
+          start: true,
+          attachments: 1
+        });
+        should.strictEqual(result, false);
+      });
+
+      it('should return true when attachments is a boolean', function() {
+        var result = dataRequest.valid({
+          start: true,
+          attachments: true
+        });
+        should.strictEqual(result, true);
+      });
     });
 
     describe('field min length checks', function() {
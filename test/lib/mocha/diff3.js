@@ -0,0 +1,129 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var diff3 = require('../../../lib/diff3');
+
+describe('diff3', function() {
+  it('should require o to be an array', function() {
+    (function() { diff3(null, [], []); }).should.throw('o must be an array');
+  });
+
+  it('should require a to be an array', function() {
+    (function() { diff3([], {}, []); }).should.throw('a must be an array');
+  });
+
+  it('should require b to be an array', function() {
+    (function() { diff3([], [], 'b'); }).should.throw('b must be an array');
+  });
+
+  it('should require eq to be a function', function() {
+    (function() { diff3([], [], [], {}); }).should.throw('eq must be a function');
+  });
+
+  it('should return o if nothing changed', function() {
+    should.deepEqual(diff3([1, 2, 3], [1, 2, 3], [1, 2, 3]), [1, 2, 3]);
+  });
+
+  it('should take the changes of a', function() {
+    should.deepEqual(diff3([1, 2, 3], [1, 4, 3], [1, 2, 3]), [1, 4, 3]);
+  });
+
+  it('should take the changes of b', function() {
+    should.deepEqual(diff3([1, 2, 3], [1, 2, 3], [0, 1, 3]), [0, 1, 3]);
+  });
+
+  it('should merge changes in different regions', function() {
+    should.deepEqual(diff3([1, 2, 3, 4, 5], [0, 1, 2, 3, 4, 5], [1, 2, 4, 5, 6]), [0, 1, 2, 4, 5, 6]);
+  });
+
+  it('should merge the same change on both sides', function() {
+    should.deepEqual(diff3([1, 2, 3], [1, 4, 3], [1, 4, 3]), [1, 4, 3]);
+  });
+
+  it('should conflict on different changes of the same region', function() {
+    should.equal(diff3([1, 2, 3], [1, 4, 3], [1, 5, 3]), null);
+  });
+
+  it('should conflict on different insertions at the same position', function() {
+    should.equal(diff3([1, 2], [1, 3, 2], [1, 4, 2]), null);
+  });
+
+  it('should conflict on different insertions in an empty sequence', function() {
+    should.equal(diff3([], [1], [2]), null);
+  });
+
+  it('should merge removals on both sides', function() {
+    should.deepEqual(diff3([1, 2, 3, 4, 5], [2, 3, 4, 5], [1, 2, 3, 4]), [2, 3, 4]);
+  });
+
+  it('should compare objects deeply by default', function() {
+    var o = [{ a: 1 }, { b: 2 }];
+    var a = [{ a: 1 }, { b: 2 }, { c: 3 }];
+    var b = [{ z: 0 }, { a: 1 }, { b: 2 }];
+    should.deepEqual(diff3(o, a, b), [{ z: 0 }, { a: 1 }, { b: 2 }, { c: 3 }]);
+  });
+
+  it('should use eq to compare elements', function() {
+    function eq(x, y) { return x.toLowerCase() === y.toLowerCase(); }
+    should.deepEqual(diff3(['a', 'b'], ['A', 'b'], ['a', 'b', 'c'], eq), ['A', 'b', 'c']);
+  });
+
+  describe('oversized sequences', function() {
+    var o = [];
+    for (var i = 0; i < 1001; i++) {
+      o.push(i);
+    }
+
+    it('should conflict on changes in different regions', function() {
+      var a = [-1].concat(o);
+      var b = o.concat([1001]);
+      should.strictEqual(diff3(o, a, b), null);
+    });
+
+    it('should take the changes of b if only b changed', function() {
+      var b = o.concat([1001]);
+      should.deepEqual(diff3(o, o.slice(), b), b);
+    });
+  });
+
+  describe('hunks', function() {
+    it('should require o to be an array', function() {
+      (function() { diff3.hunks(null, [], []); }).should.throw('o must be an array');
+    });
+
+    it('should return one merged hunk without conflicts', function() {
+      should.deepEqual(diff3.hunks([1, 2, 3, 4, 5], [0, 1, 2, 3, 4, 5], [1, 2, 4, 5, 6]), [{ ok: [0, 1, 2, 4, 5, 6] }]);
+    });
+
+    it('should return no hunks for empty sequences', function() {
+      should.deepEqual(diff3.hunks([], [], []), []);
+    });
+
+    it('should return conflicting regions between merged hunks', function() {
+      should.deepEqual(diff3.hunks([1, 2, 3, 4], [0, 1, 5, 3, 4], [1, 6, 3]), [
+        { ok: [0, 1] },
+        { conflict: { o: [2], a: [5], b: [6] } },
+        { ok: [3] }
+      ]);
+    });
+  });
+});
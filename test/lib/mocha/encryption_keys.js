@@ -0,0 +1,64 @@
+/**
+ * Copyright 2015, 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var encryptionKeys = require('../../../lib/encryption_keys');
+
+describe('encryptionKeys', function() {
+  var b64 = 'a8JpZzL5Rz9b3kBvT1Xq0mE4wN7cY2uH6sD8fG0jK1o=';
+
+  it('should require secrets to be an object', function() {
+    (function() { encryptionKeys(null); }).should.throwError('secrets must be an object');
+  });
+
+  it('should require keyId to be a number', function() {
+    (function() { encryptionKeys({}, '1'); }).should.throwError('keyId must be a number');
+  });
+
+  it('should require numeric key ids', function() {
+    (function() { encryptionKeys({ a: b64 }); }).should.throwError('invalid key id: a');
+  });
+
+  it('should require keys to be strings', function() {
+    (function() { encryptionKeys({ 1: 1 }); }).should.throwError('key 1 must be a base64 string');
+  });
+
+  it('should require keys of 32 bytes', function() {
+    (function() { encryptionKeys({ 1: 'Zm9v' }); }).should.throwError('key 1 must be 32 bytes');
+  });
+
+  it('should require keyId to be one of the keys', function() {
+    (function() { encryptionKeys({ 1: b64 }, 2); }).should.throwError('key 2 not found');
+  });
+
+  it('should decode the keys', function() {
+    var res = encryptionKeys({ 1: b64 }, 1);
+    should.strictEqual(res.keyId, 1);
+    should.deepEqual(Object.keys(res.keys), ['1']);
+    should.strictEqual(res.keys[1].toString('base64'), b64);
+  });
+
+  it('should not require a keyId', function() {
+    var res = encryptionKeys({ 1: b64 });
+    should.strictEqual(res.keyId, undefined);
+    should.strictEqual(res.keys[1].length, 32);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var filterSecrets = require('../../../lib/filter_secrets');
+
+describe('filterSecrets', function() {
+  it('should filter passwords', function() {
+    var res = filterSecrets({ name: 'foo', perspectives: [{ name: 'bar', password: 'secret' }] });
+    should.deepEqual(res, { name: 'foo', perspectives: [{ name: 'bar' }] });
+  });
+
+  it('should filter encryption keys and secret files', function() {
+    var res = filterSecrets({
+      name: 'foo',
+      encryption: {
+        secrets: 'secrets.hjson',
+        keyId: 2,
+        keys: { 1: 'a8JpZzL5Rz9b3kBvT1Xq0mE4wN7cY2uH6sD8fG0jK1o=' }
+      }
+    });
+    should.deepEqual(res, { name: 'foo', encryption: { keyId: 2 } });
+  });
+
+  it('should not change the original object', function() {
+    var obj = { encryption: { keyId: 1, keys: { 1: 'foo' } } };
+    filterSecrets(obj);
+    should.deepEqual(obj, { encryption: { keyId: 1, keys: { 1: 'foo' } } });
+  });
+});
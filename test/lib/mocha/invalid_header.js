@@ -75,7 +75,23 @@ describe('invalidHeader', function() {
     invalidHeader({ id: 'foo', v: 'A', pa: [], c: true }).should.equal('');
   });
 
-  it('should not accept other optional keys than i, d or c', function() {
-    invalidHeader({ id: 'foo', v: 'A', pa: [], foo: 'bar', i: 3 }).should.equal('h should only optionally contain "pe", "i", "d" and "c" keys');
+  it('should require h.tx to be a string', function() {
+    invalidHeader({ id: 'foo', v: 'A', pa: [], tx: 1 }).should.equal('h.tx must be a string');
+  });
+
+  it('should be a valid item with h.tx', function() {
+    invalidHeader({ id: 'foo', v: 'A', pa: [], tx: 'Tttt' }).should.equal('');
+  });
+
+  it('should require h.r to be a string', function() {
+    invalidHeader({ id: 'foo', v: 'A', pa: [], r: true }).should.equal('h.r must be a string');
+  });
+
+  it('should be a valid item with h.r', function() {
+    invalidHeader({ id: 'foo', v: 'A', pa: [], r: 'remote' }).should.equal('');
+  });
+
+  it('should not accept other optional keys than pe, i, d, c, tx or r', function() {
+    invalidHeader({ id: 'foo', v: 'A', pa: [], foo: 'bar', i: 3 }).should.equal('h should only optionally contain "pe", "i", "d", "c", "tx" and "r" keys');
   });
 });
@@ -0,0 +1,53 @@
+/**
+ * Copyright 2015, 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var levelBackend = require('../../../lib/level_backend');
+
+describe('levelBackend', function() {
+  it('should require name to be a string', function() {
+    (function() { levelBackend(1); }).should.throwError('name must be a string');
+  });
+
+  it('should require a known backend', function() {
+    (function() { levelBackend('foo'); }).should.throwError('unknown storage backend: foo');
+  });
+
+  it('should list the supported backends', function() {
+    should.deepEqual(levelBackend.backends, ['leveldown', 'memdown', 'rocksdb']);
+  });
+
+  it('should return the same constructor for the same backend', function() {
+    should.strictEqual(levelBackend('memdown'), levelBackend('memdown'));
+  });
+
+  it('should open an in-memory database', function(done) {
+    var db = levelBackend('memdown')('test_level_backend', { keyEncoding: 'binary', valueEncoding: 'binary' });
+    db.put(new Buffer('foo'), new Buffer('bar'), function(err) {
+      if (err) { throw err; }
+      db.get(new Buffer('foo'), function(err, val) {
+        if (err) { throw err; }
+        should.strictEqual(val.toString(), 'bar');
+        db.close(done);
+      });
+    });
+  });
+});
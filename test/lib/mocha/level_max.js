@@ -19,11 +19,12 @@
 'use strict';
 
 var cp = require('child_process');
+var fs = require('fs');
 var tmpdir = require('os').tmpdir;
 
 require('should');
 var rimraf = require('rimraf');
-var level = require('level-packager')(require('leveldown'));
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
 
 var db;
 var dbPath = tmpdir() + '/test_level_max';
@@ -40,6 +41,11 @@ before(function(done) {
 after(function(done) {
   db.close(function(err) {
     if (err) { throw err; }
+    // backends that don't store on disk leave nothing to measure
+    if (!fs.existsSync(dbPath)) {
+      done();
+      return;
+    }
     cp.execFile('du', ['-sh', dbPath], function(err, stdout, stderr) {
       if (err) { throw err; }
       if (stdout) { console.log(stdout); }
@@ -20,7 +20,7 @@
 
 var should = require('should');
 var rimraf = require('rimraf');
-var level = require('level-packager')(require('leveldown'));
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
 var streamify = require('stream-array');
 
 // wrapper around streamify that supports "reopen" recursively
@@ -215,6 +215,60 @@ describe('_doMerge', function() {
   });
 });
 
+describe('_mergeBase', function() {
+  var _mergeBase = merge._mergeBase;
+
+  var lca = { h: { id: 'XI', v: 'a', pa: [] }, b: { foo: 'bar', bar: 'baz' } };
+
+  it('should merge without conflicts like _doMerge', function() {
+    var itemX = { h: { id: 'XI', v: 'b', pa: ['a'] }, b: { foo: 'baz', bar: 'baz' } };
+    var itemY = { h: { id: 'XI', v: 'c', pa: ['a'] }, b: { foo: 'bar', bar: 'qux' } };
+
+    var result = _mergeBase(itemX, itemY, lca, lca);
+    should.deepEqual(result[0], { h: { id: 'XI', pa: ['b', 'c'] }, b: { foo: 'baz', bar: 'qux' } });
+    should.deepEqual(result[1], { h: { id: 'XI', pa: ['b', 'c'] }, b: { bar: 'qux', foo: 'baz' } });
+  });
+
+  it('should reset conflicting attributes to the value of the lca', function() {
+    var itemX = { h: { id: 'XI', v: 'b', pa: ['a'] }, b: { foo: 'x', bar: 'baz', baz: 'x' } };
+    var itemY = { h: { id: 'XI', v: 'c', pa: ['a'] }, b: { foo: 'y', bar: 'qux', baz: 'y' } };
+
+    var result = _mergeBase(itemX, itemY, lca, lca);
+    should.deepEqual(result[0], { h: { id: 'XI', pa: ['b', 'c'] }, b: { foo: 'bar', bar: 'qux' } });
+    should.deepEqual(result[1], { h: { id: 'XI', pa: ['b', 'c'] }, b: { foo: 'bar', bar: 'qux' } });
+  });
+
+  it('should reset conflicting nested attributes to the value of the lca if deep', function() {
+    var lcaN = { h: { id: 'XI', v: 'a', pa: [] }, b: { address: { street: 'a', zip: '1' } } };
+    var itemX = { h: { id: 'XI', v: 'b', pa: ['a'] }, b: { address: { street: 'b', zip: '2' } } };
+    var itemY = { h: { id: 'XI', v: 'c', pa: ['a'] }, b: { address: { street: 'c', zip: '1' } } };
+
+    var result = _mergeBase(itemX, itemY, lcaN, lcaN, { deep: true });
+    should.deepEqual(result[0].b, { address: { street: 'a', zip: '2' } });
+    should.deepEqual(result[1].b, { address: { street: 'a', zip: '2' } });
+    should.deepEqual(itemX.b, { address: { street: 'b', zip: '2' } });
+  });
+
+  it('should reset conflicting keys that contain dots if deep', function() {
+    var lcaN = { h: { id: 'XI', v: 'a', pa: [] }, b: { 'a.b': 1, c: { 'd.e': 1 } } };
+    var itemX = { h: { id: 'XI', v: 'b', pa: ['a'] }, b: { 'a.b': 2, c: { 'd.e': 2 } } };
+    var itemY = { h: { id: 'XI', v: 'c', pa: ['a'] }, b: { 'a.b': 3, c: { 'd.e': 3 } } };
+
+    var result = _mergeBase(itemX, itemY, lcaN, lcaN, { deep: true });
+    should.deepEqual(result[0].b, { 'a.b': 1, c: { 'd.e': 1 } });
+    should.deepEqual(result[1].b, { 'a.b': 1, c: { 'd.e': 1 } });
+  });
+
+  it('should not change the original items', function() {
+    var itemX = { h: { id: 'XI', v: 'b', pa: ['a'] }, b: { foo: 'x' } };
+    var itemY = { h: { id: 'XI', v: 'c', pa: ['a'] }, b: { foo: 'y' } };
+
+    _mergeBase(itemX, itemY, lca, lca);
+    should.deepEqual(itemX.b, { foo: 'x' });
+    should.deepEqual(itemY.b, { foo: 'y' });
+  });
+});
+
 describe('merge', function() {
   var id = 'foo';
 
@@ -234,6 +288,26 @@ describe('merge', function() {
     it('should require opts to be an object', function() {
       (function() { merge({}, {}, [], function() {}); }).should.throw('opts must be an object');
     });
+
+    it('should require opts.deep to be a boolean', function() {
+      (function() { merge({}, {}, { deep: 1 }, function() {}); }).should.throw('opts.deep must be a boolean');
+    });
+
+    it('should require opts.arrays to be an object', function() {
+      (function() { merge({}, {}, { arrays: 'union' }, function() {}); }).should.throw('opts.arrays must be an object');
+    });
+
+    it('should require opts.resolve to be a function', function() {
+      (function() { merge({}, {}, { resolve: 'x' }, function() {}); }).should.throw('opts.resolve must be a function');
+    });
+
+    it('should require opts.types to be an object', function() {
+      (function() { merge({}, {}, { types: 'counter' }, function() {}); }).should.throw('opts.types must be an object');
+    });
+
+    it('should require opts.strategies to be an object', function() {
+      (function() { merge({}, {}, { strategies: 'max' }, function() {}); }).should.throw('opts.strategies must be an object');
+    });
   });
 
   describe('one perspective (tree)', function() {
@@ -559,6 +633,27 @@ describe('merge', function() {
           done();
         });
       });
+
+      it('should return the lca', function(done) {
+        var vm1 = {
+          h: { id: id, v: 'x', pa: ['Aaaa'] },
+          b: { a: true }
+        };
+        var vm2 = {
+          h: { id: id, v: 'y', pa: ['Aaaa'] },
+          b: { b: true }
+        };
+
+        var x = streamifier([vm1].concat(dF));
+        var y = streamifier([vm2].concat(dF));
+
+        merge(x, y, { log: silence }, function(err, mergeX, mergeY, lcas, lca) {
+          if (err) { throw err; }
+          should.strictEqual(lca.h.v, 'Aaaa');
+          should.deepEqual(lca.b, A.b);
+          done();
+        });
+      });
     });
 
     describe('delete one', function() {
@@ -786,6 +881,309 @@ describe('merge', function() {
         });
       });
     });
+
+    describe('criss-cross with conflicting lcas', function() {
+      // create the following structure:
+      //    C <- E
+      //   / \ /
+      //  A   X
+      //   \ / \
+      //    B <- D
+      // B and C both changed "bar", D and E resolved it the same way
+
+      var A = {
+        h: { id: id, v: 'Aaaa', pa: [] },
+        b: { bar: 'baz', qux: 'quux' }
+      };
+
+      var B = {
+        h: { id: id, v: 'Bbbb', pa: ['Aaaa'] },
+        b: { bar: 'b', qux: 'quux' }
+      };
+
+      var C = {
+        h: { id: id, v: 'Cccc', pa: ['Aaaa'] },
+        b: { bar: 'c', qux: 'quux' }
+      };
+
+      var D = {
+        h: { id: id, v: 'Dddd', pa: ['Bbbb', 'Cccc'] },
+        b: { bar: 'd', qux: 'quux' }
+      };
+
+      var E = {
+        h: { id: id, v: 'Eeee', pa: ['Cccc', 'Bbbb'] },
+        b: { bar: 'd', qux: 'quz' }
+      };
+
+      var F = {
+        h: { id: id, v: 'Ffff', pa: ['Cccc', 'Bbbb'] },
+        b: { bar: 'f', qux: 'quux' }
+      };
+
+      var dD = [D, C, B, A];
+      var dE = [E, C, B, A];
+      var dF = [F, C, B, A];
+
+      it('D and E = merge against the virtual merge base of B and C', function(done) {
+        var x = streamifier(dD);
+        var y = streamifier(dE);
+        merge(x, y, { log: silence }, function(err, mergeX, mergeY, lcas) {
+          if (err) { throw err; }
+          should.deepEqual(lcas.sort(), ['Bbbb', 'Cccc']);
+          should.deepEqual(mergeX, {
+            h: { id: id, pa: ['Dddd', 'Eeee'] },
+            b: { bar: 'd', qux: 'quz' }
+          });
+          should.deepEqual(mergeY, {
+            h: { id: id, pa: ['Dddd', 'Eeee'] },
+            b: { bar: 'd', qux: 'quz' }
+          });
+          done();
+        });
+      });
+
+      it('D and F = conflict on "bar" against the virtual merge base', function(done) {
+        var x = streamifier(dD);
+        var y = streamifier(dF);
+        merge(x, y, { log: silence }, function(err, mergeX, mergeY, lcas) {
+          should.strictEqual(err.message, 'merge conflict');
+          should.deepEqual(err.conflict, ['bar']);
+          should.deepEqual(lcas.sort(), ['Bbbb', 'Cccc']);
+          done();
+        });
+      });
+    });
+
+    describe('arrays', function() {
+      // create the following structure:
+      //    C
+      //   /
+      //  A
+      //   \
+      //    B
+      // B and C both changed all arrays
+
+      var A = {
+        h: { id: id, v: 'Aaaa', pa: [] },
+        b: { tags: ['a'], log: [1], lines: ['x', 'y', 'z'] }
+      };
+
+      var B = {
+        h: { id: id, v: 'Bbbb', pa: ['Aaaa'] },
+        b: { tags: ['a', 'b'], log: [1, 2], lines: ['X', 'y', 'z'] }
+      };
+
+      var C = {
+        h: { id: id, v: 'Cccc', pa: ['Aaaa'] },
+        b: { tags: ['c'], log: [1, 3], lines: ['x', 'y', 'Z'] }
+      };
+
+      var dB = [B, A];
+      var dC = [C, A];
+
+      var arrays = { tags: 'union', log: 'append', lines: 'sequence' };
+
+      it('B and C = conflict without strategies', function(done) {
+        var x = streamifier(dB);
+        var y = streamifier(dC);
+        merge(x, y, { log: silence }, function(err) {
+          should.strictEqual(err.message, 'merge conflict');
+          should.deepEqual(err.conflict.sort(), ['lines', 'log', 'tags']);
+          done();
+        });
+      });
+
+      it('B and C = merge with strategies', function(done) {
+        var x = streamifier(dB);
+        var y = streamifier(dC);
+        merge(x, y, { log: silence, arrays: arrays }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['b', 'c'], log: [1, 2, 3], lines: ['X', 'y', 'Z'] }
+          });
+          should.deepEqual(mergeY, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['b', 'c'], log: [1, 2, 3], lines: ['X', 'y', 'Z'] }
+          });
+          done();
+        });
+      });
+
+      it('C and B = merge with strategies, ordered by version', function(done) {
+        var x = streamifier(dC);
+        var y = streamifier(dB);
+        merge(x, y, { log: silence, arrays: arrays }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX, {
+            h: { id: id, pa: ['Cccc', 'Bbbb'] },
+            b: { tags: ['b', 'c'], log: [1, 2, 3], lines: ['X', 'y', 'Z'] }
+          });
+          should.deepEqual(mergeY, {
+            h: { id: id, pa: ['Cccc', 'Bbbb'] },
+            b: { tags: ['b', 'c'], log: [1, 2, 3], lines: ['X', 'y', 'Z'] }
+          });
+          done();
+        });
+      });
+
+      it('B and C = resolve conflicts with the item of sX or sY', function(done) {
+        var x = streamifier(dB);
+        var y = streamifier(dC);
+        var resolve = function(path) {
+          return path === 'tags' ? 'y' : 'x';
+        };
+        merge(x, y, { log: silence, resolve: resolve }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['c'], log: [1, 2], lines: ['X', 'y', 'z'] }
+          });
+          should.deepEqual(mergeY, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['c'], log: [1, 2], lines: ['X', 'y', 'z'] }
+          });
+          done();
+        });
+      });
+
+      it('B and C = conflict on "lines" if both changed the same line', function(done) {
+        var C2 = {
+          h: { id: id, v: 'Cccc', pa: ['Aaaa'] },
+          b: { tags: ['c'], log: [1, 3], lines: ['x2', 'y', 'z'] }
+        };
+        var x = streamifier(dB);
+        var y = streamifier([C2, A]);
+        merge(x, y, { log: silence, arrays: arrays }, function(err) {
+          should.strictEqual(err.message, 'merge conflict');
+          should.deepEqual(err.conflict, ['lines']);
+          done();
+        });
+      });
+    });
+
+    describe('types', function() {
+      // create the following structure:
+      //    C <- E
+      //   / \ /
+      //  A   X
+      //   \ / \
+      //    B <- D
+      // B and C both changed all fields, D and E merged B and C and changed the counter
+
+      var A = {
+        h: { id: id, v: 'Aaaa', pa: [] },
+        b: { stock: 10, tags: ['a'], status: 'new', seen: 1 }
+      };
+
+      var B = {
+        h: { id: id, v: 'Bbbb', pa: ['Aaaa'] },
+        b: { stock: 12, tags: ['a', 'b'], status: 'paid', seen: 5 }
+      };
+
+      var C = {
+        h: { id: id, v: 'Cccc', pa: ['Aaaa'] },
+        b: { stock: 7, tags: ['c'], status: 'sent', seen: 3 }
+      };
+
+      var D = {
+        h: { id: id, v: 'Dddd', pa: ['Bbbb', 'Cccc'] },
+        b: { stock: 10, tags: ['b', 'c'], status: 'sent', seen: 5 }
+      };
+
+      var E = {
+        h: { id: id, v: 'Eeee', pa: ['Cccc', 'Bbbb'] },
+        b: { stock: 14, tags: ['b', 'c'], status: 'sent', seen: 5 }
+      };
+
+      var dB = [B, A];
+      var dC = [C, A];
+      var dD = [D, C, B, A];
+      var dE = [E, C, B, A];
+
+      var types = { stock: 'counter', tags: 'orset', status: 'lww', seen: 'max' };
+
+      it('B and C = conflict without types', function(done) {
+        var x = streamifier(dB);
+        var y = streamifier(dC);
+        merge(x, y, { log: silence }, function(err) {
+          should.strictEqual(err.message, 'merge conflict');
+          should.deepEqual(err.conflict.sort(), ['seen', 'status', 'stock', 'tags']);
+          done();
+        });
+      });
+
+      it('B and C = merge with types', function(done) {
+        var x = streamifier(dB);
+        var y = streamifier(dC);
+        merge(x, y, { log: silence, types: types }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { stock: 9, tags: ['b', 'c'], status: 'sent', seen: 5 }
+          });
+          should.deepEqual(mergeY, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { stock: 9, tags: ['b', 'c'], status: 'sent', seen: 5 }
+          });
+          done();
+        });
+      });
+
+      it('C and B = merge with types, equal to B and C', function(done) {
+        var x = streamifier(dC);
+        var y = streamifier(dB);
+        merge(x, y, { log: silence, types: types }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX.b, { stock: 9, tags: ['b', 'c'], status: 'sent', seen: 5 });
+          should.deepEqual(mergeY.b, { stock: 9, tags: ['b', 'c'], status: 'sent', seen: 5 });
+          done();
+        });
+      });
+
+      it('D and E = add up the counter against the virtual merge base of B and C', function(done) {
+        var x = streamifier(dD);
+        var y = streamifier(dE);
+        merge(x, y, { log: silence, types: types }, function(err, mergeX, mergeY, lcas) {
+          if (err) { throw err; }
+          should.deepEqual(lcas.sort(), ['Bbbb', 'Cccc']);
+          should.deepEqual(mergeX.b, { stock: 15, tags: ['b', 'c'], status: 'sent', seen: 5 });
+          should.deepEqual(mergeY.b, { stock: 15, tags: ['b', 'c'], status: 'sent', seen: 5 });
+          done();
+        });
+      });
+    });
+
+    describe('strategies', function() {
+      var A = { h: { id: id, v: 'Aaaa', pa: [] },       b: { updatedAt: 1, status: 'new' } };
+      var B = { h: { id: id, v: 'Bbbb', pa: ['Aaaa'] }, b: { updatedAt: 3, status: 'open' } };
+      var C = { h: { id: id, v: 'Cccc', pa: ['Aaaa'] }, b: { updatedAt: 2, status: 'closed' } };
+
+      var strategies = { updatedAt: 'max', status: { strategy: 'priority', order: ['closed', 'open', 'new'] } };
+
+      it('B and C = merge with strategies, both merges equal', function(done) {
+        var x = streamifier([B, A]);
+        var y = streamifier([C, A]);
+        merge(x, y, { log: silence, strategies: strategies }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX.b, { updatedAt: 3, status: 'closed' });
+          should.deepEqual(mergeY.b, { updatedAt: 3, status: 'closed' });
+          done();
+        });
+      });
+
+      it('B and C = merge conflict with the hunks of text fields', function(done) {
+        var x = streamifier([{ h: B.h, b: { notes: 'a B c' } }, { h: A.h, b: { notes: 'a b c' } }]);
+        var y = streamifier([{ h: C.h, b: { notes: 'a C c' } }, { h: A.h, b: { notes: 'a b c' } }]);
+        merge(x, y, { log: silence, strategies: { notes: 'words' } }, function(err) {
+          should.strictEqual(err.message, 'merge conflict');
+          should.deepEqual(err.conflict, ['notes']);
+          should.deepEqual(err.hunks, { notes: [{ ok: 'a ' }, { conflict: { o: 'b', a: 'B', b: 'C' } }, { ok: ' c' }] });
+          done();
+        });
+      });
+    });
   });
 
   describe('two perspectives', function() {
@@ -3394,6 +3792,89 @@ describe('merge', function() {
         });
       });
     });
+
+    describe('arrays', function() {
+      // create DAG in system I and II, "some" is only in system I:
+      // AI <-- BI
+      // AII <-- CII
+
+      var AI = {
+        h: { id: id, v: 'Aaaa', pa: [] },
+        b: { tags: ['a'], some: 'secret' }
+      };
+
+      var BI = {
+        h: { id: id, v: 'Bbbb', pa: ['Aaaa'] },
+        b: { tags: ['a', 'b'], some: 'secret' }
+      };
+
+      var AII = {
+        h: { id: id, v: 'Aaaa', pa: [] },
+        b: { tags: ['a'] }
+      };
+
+      var CII = {
+        h: { id: id, v: 'Cccc', pa: ['Aaaa'] },
+        b: { tags: ['c', 'a'] }
+      };
+
+      var dBI = [BI, AI];
+      var dCII = [CII, AII];
+
+      it('BI and CII = conflict without strategies', function(done) {
+        var x = streamifier(dBI);
+        var y = streamifier(dCII);
+        merge(x, y, { log: silence }, function(err) {
+          should.strictEqual(err.message, 'merge conflict');
+          should.deepEqual(err.conflict, ['tags']);
+          done();
+        });
+      });
+
+      it('BI and CII = merge with union', function(done) {
+        var x = streamifier(dBI);
+        var y = streamifier(dCII);
+        merge(x, y, { log: silence, arrays: { tags: 'union' } }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['a', 'b', 'c'], some: 'secret' }
+          });
+          should.deepEqual(mergeY, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['a', 'b', 'c'] }
+          });
+          done();
+        });
+      });
+
+      it('BI and CII = conflict with append if an element is inserted', function(done) {
+        var x = streamifier(dBI);
+        var y = streamifier(dCII);
+        merge(x, y, { log: silence, arrays: { tags: 'append' } }, function(err) {
+          should.strictEqual(err.message, 'merge conflict');
+          should.deepEqual(err.conflict, ['tags']);
+          done();
+        });
+      });
+
+      it('BI and CII = merge with sequence', function(done) {
+        var x = streamifier(dBI);
+        var y = streamifier(dCII);
+        merge(x, y, { log: silence, arrays: { tags: 'sequence' } }, function(err, mergeX, mergeY) {
+          if (err) { throw err; }
+          should.deepEqual(mergeX, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['c', 'a', 'b'], some: 'secret' }
+          });
+          should.deepEqual(mergeY, {
+            h: { id: id, pa: ['Bbbb', 'Cccc'] },
+            b: { tags: ['c', 'a', 'b'] }
+          });
+          done();
+        });
+      });
+    });
   });
 
   describe('regression', function() {
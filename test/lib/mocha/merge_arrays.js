@@ -0,0 +1,107 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var mergeArrays = require('../../../lib/merge_arrays');
+
+describe('mergeArrays', function() {
+  it('should require a known strategy', function() {
+    (function() { mergeArrays('foo', [], [], [], []); }).should.throw('strategy must be one of union, append, sequence');
+  });
+
+  it('should require a to be an array', function() {
+    (function() { mergeArrays('union', null, [], [], []); }).should.throw('a must be an array');
+  });
+
+  it('should require b to be an array', function() {
+    (function() { mergeArrays('union', [], null, [], []); }).should.throw('b must be an array');
+  });
+
+  it('should require lcaA to be an array', function() {
+    (function() { mergeArrays('union', [], [], null, []); }).should.throw('lcaA must be an array');
+  });
+
+  it('should require lcaB to be an array', function() {
+    (function() { mergeArrays('union', [], [], [], null); }).should.throw('lcaB must be an array');
+  });
+
+  it('should export the strategies', function() {
+    should.deepEqual(mergeArrays.STRATEGIES, ['union', 'append', 'sequence']);
+  });
+
+  describe('union', function() {
+    it('should add the new elements of both', function() {
+      should.deepEqual(mergeArrays('union', ['a', 'b'], ['a', 'c'], ['a'], ['a']), ['a', 'b', 'c']);
+    });
+
+    it('should add elements that are added on both sides only once', function() {
+      should.deepEqual(mergeArrays('union', ['a', 'b'], ['b', 'a'], [], []), ['a', 'b']);
+    });
+
+    it('should remove elements that are removed on either side', function() {
+      should.deepEqual(mergeArrays('union', ['a', 'c'], ['b', 'c', 'd'], ['a', 'b', 'c'], ['a', 'b', 'c']), ['c', 'd']);
+    });
+
+    it('should compare objects deeply', function() {
+      should.deepEqual(mergeArrays('union', [{ a: 1 }], [{ a: 1 }, { b: 2 }], [], []), [{ a: 1 }, { b: 2 }]);
+    });
+
+    it('should keep the order of b if aFirst is false', function() {
+      should.deepEqual(mergeArrays('union', ['a', 'b'], ['c', 'a'], ['a'], ['a'], false), ['c', 'a', 'b']);
+    });
+
+    it('should use lcaB to determine the removals of b', function() {
+      should.deepEqual(mergeArrays('union', ['a', 'x'], ['b'], ['a'], ['a', 'x']), ['b']);
+    });
+  });
+
+  describe('append', function() {
+    it('should append the elements of a first', function() {
+      should.deepEqual(mergeArrays('append', [1, 2], [1, 3], [1], [1]), [1, 2, 3]);
+    });
+
+    it('should append the elements of b first if aFirst is false', function() {
+      should.deepEqual(mergeArrays('append', [1, 2], [1, 3], [1], [1], false), [1, 3, 2]);
+    });
+
+    it('should keep elements that are appended on both sides twice', function() {
+      should.deepEqual(mergeArrays('append', [1, 2], [1, 2], [1], [1]), [1, 2, 2]);
+    });
+
+    it('should conflict if an element of the lca is changed in a', function() {
+      should.equal(mergeArrays('append', [0, 2], [1, 3], [1], [1]), null);
+    });
+
+    it('should conflict if an element of the lca is removed in b', function() {
+      should.equal(mergeArrays('append', [1, 2], [3], [1], [1]), null);
+    });
+  });
+
+  describe('sequence', function() {
+    it('should merge changes in different regions', function() {
+      should.deepEqual(mergeArrays('sequence', ['x', 'b', 'c'], ['a', 'b', 'y'], ['a', 'b', 'c'], ['a', 'b', 'c']), ['x', 'b', 'y']);
+    });
+
+    it('should conflict on changes in the same region', function() {
+      should.equal(mergeArrays('sequence', ['x', 'b'], ['y', 'b'], ['a', 'b'], ['a', 'b']), null);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+var should = require('should');
+
+var mergeProvenance = require('../../../lib/merge_provenance');
+
+var render = mergeProvenance.render;
+
+describe('mergeProvenance', function() {
+  describe('provenance', function() {
+    it('should attribute each key to its source', function() {
+      var lca =    { a: 1, b: 1, c: 1, d: 1, e: 1 };
+      var remote = { a: 1, b: 2, c: 1, d: 3, e: 5 };
+      var local =  { a: 1, b: 1, c: 2, d: 3, e: 6 };
+      var merged = { a: 1, b: 2, c: 2, d: 3, e: 11 };
+      should.deepEqual(mergeProvenance(merged, remote, local, lca), {
+        keys: { a: 'lca', b: 'remote', c: 'local', d: 'both', e: 'strategy' },
+        strategies: {}
+      });
+    });
+
+    it('should include keys that are deleted by either side', function() {
+      var lca =    { a: 1, b: 1, c: 1 };
+      var remote = { a: 1, c: 1 };
+      var local =  { a: 1, b: 1 };
+      var merged = { a: 1 };
+      should.deepEqual(mergeProvenance(merged, remote, local, lca), {
+        keys: { a: 'lca', b: 'remote', c: 'local' },
+        strategies: {}
+      });
+    });
+
+    it('should attribute a change that is undone to a strategy', function() {
+      should.deepEqual(mergeProvenance({ a: 1 }, { a: 2 }, { a: 3 }, { a: 1 }), {
+        keys: { a: 'strategy' },
+        strategies: {}
+      });
+    });
+
+    it('should treat missing bodies as empty', function() {
+      should.deepEqual(mergeProvenance({ a: 1 }, { a: 1 }, null, null), {
+        keys: { a: 'remote' },
+        strategies: {}
+      });
+    });
+
+    it('should report nested objects as a whole if not deep', function() {
+      var lca =    { n: { a: 1, b: 1 } };
+      var remote = { n: { a: 2, b: 1 } };
+      var local =  { n: { a: 1, b: 2 } };
+      var merged = { n: { a: 2, b: 2 } };
+      should.deepEqual(mergeProvenance(merged, remote, local, lca), {
+        keys: { n: 'strategy' },
+        strategies: {}
+      });
+    });
+
+    it('should report the keys of nested objects as dotted paths if deep', function() {
+      var lca =    { n: { a: 1, b: 1 } };
+      var remote = { n: { a: 2, b: 1 } };
+      var local =  { n: { a: 1, b: 2 } };
+      var merged = { n: { a: 2, b: 2 } };
+      should.deepEqual(mergeProvenance(merged, remote, local, lca, { deep: true }), {
+        keys: { 'n.a': 'remote', 'n.b': 'local' },
+        strategies: {}
+      });
+    });
+
+    it('should ask the name of each strategy by path', function() {
+      var paths = [];
+      var lca =    { a: 1, b: [1], c: 1 };
+      var remote = { a: 2, b: [1, 2], c: 2 };
+      var local =  { a: 3, b: [1, 3], c: 1 };
+      var merged = { a: 5, b: [1, 2, 3], c: 2 };
+      var opts = {
+        strategy: function(path) {
+          paths.push(path);
+          return path === 'a' ? 'counter' : null;
+        }
+      };
+      should.deepEqual(mergeProvenance(merged, remote, local, lca, opts), {
+        keys: { a: 'strategy', b: 'strategy', c: 'remote' },
+        strategies: { a: 'counter' }
+      });
+      should.deepEqual(paths, ['a', 'b']);
+    });
+  });
+
+  describe('render', function() {
+    it('should render a version without provenance', function() {
+      var explanation = {
+        h: { id: 'foo', v: 'Aaaa', pa: [] },
+        pe: null,
+        lcas: null,
+        keys: null,
+        strategies: null
+      };
+      should.deepEqual(render(explanation), [
+        'version Aaaa of "foo"',
+        'parents: none',
+        'not an automatic merge'
+      ]);
+    });
+
+    it('should render the remote, lcas, resolver and aligned sources', function() {
+      var explanation = {
+        h: { id: 'foo', v: 'Aaaa', pa: ['Bbbb', 'Cccc'], r: 'local', d: true },
+        pe: 'foo',
+        lcas: ['Dddd'],
+        keys: { counter: 'strategy', name: 'local' },
+        strategies: { counter: 'counter' }
+      };
+      should.deepEqual(render(explanation), [
+        'version Aaaa of "foo" (deleted)',
+        'parents: Bbbb, Cccc',
+        'remote: foo',
+        'lcas: Dddd',
+        'conflict resolved by: local',
+        '  counter  strategy (counter)',
+        '  name     local'
+      ]);
+    });
+  });
+});
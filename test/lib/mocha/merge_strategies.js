@@ -0,0 +1,185 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var should = require('should');
+
+var mergeStrategies = require('../../../lib/merge_strategies');
+
+var invalidStrategy = mergeStrategies.invalidStrategy;
+var conflictHunks = mergeStrategies.conflictHunks;
+var isManual = mergeStrategies.isManual;
+var mergeField = mergeStrategies.mergeField;
+
+describe('mergeStrategies', function() {
+  it('should export the strategies', function() {
+    should.deepEqual(mergeStrategies.STRATEGIES, ['max', 'min', 'priority', 'manual', 'lines', 'words']);
+  });
+
+  describe('invalidStrategy', function() {
+    it('should accept known strategies and functions', function() {
+      should.strictEqual(invalidStrategy('max'), '');
+      should.strictEqual(invalidStrategy({ strategy: 'manual' }), '');
+      should.strictEqual(invalidStrategy({ strategy: 'priority', order: ['closed', 'open'] }), '');
+      should.strictEqual(invalidStrategy(function() {}), '');
+    });
+
+    it('should require a known strategy', function() {
+      should.strictEqual(invalidStrategy('foo'), 'strategy must be a function or one of max, min, priority, manual, lines, words');
+      should.strictEqual(invalidStrategy({ strategy: 'foo' }), 'strategy must be a function or one of max, min, priority, manual, lines, words');
+      should.strictEqual(invalidStrategy(null), 'strategy must be a function or one of max, min, priority, manual, lines, words');
+    });
+
+    it('should require an order for priority', function() {
+      should.strictEqual(invalidStrategy('priority'), 'priority requires an order');
+      should.strictEqual(invalidStrategy({ strategy: 'priority' }), 'priority requires an order');
+    });
+
+    it('should require order to be an array', function() {
+      should.strictEqual(invalidStrategy({ strategy: 'priority', order: 'closed' }), 'order must be an array');
+    });
+
+    it('should only accept an order for priority', function() {
+      should.strictEqual(invalidStrategy({ strategy: 'max', order: [] }), 'order is only supported by priority');
+    });
+  });
+
+  describe('isManual', function() {
+    it('should recognize the manual strategy', function() {
+      should.strictEqual(isManual('manual'), true);
+      should.strictEqual(isManual({ strategy: 'manual' }), true);
+      should.strictEqual(isManual('max'), false);
+      should.strictEqual(isManual(function() {}), false);
+    });
+  });
+
+  describe('max and min', function() {
+    it('should take the highest value', function() {
+      should.strictEqual(mergeField('max', 3, 5, 1), 5);
+      should.strictEqual(mergeField('max', '2016-03-02', '2016-03-01', '2016-01-01'), '2016-03-02');
+    });
+
+    it('should take the lowest value', function() {
+      should.strictEqual(mergeField('min', 3, 5, 1), 3);
+      should.strictEqual(mergeField({ strategy: 'min' }, 7, 5), 5);
+    });
+
+    it('should compare dates', function() {
+      var a = new Date('2016-03-01');
+      var b = new Date('2016-03-02');
+      should.strictEqual(mergeField('max', a, b), b);
+    });
+
+    it('should not merge values of different types', function() {
+      should.strictEqual(mergeField('max', 3, '5', 1), undefined);
+    });
+  });
+
+  describe('priority', function() {
+    var decl = { strategy: 'priority', order: ['closed', 'open', 'new'] };
+
+    it('should take the value that comes first in order', function() {
+      should.strictEqual(mergeField(decl, 'open', 'closed', 'new'), 'closed');
+      should.strictEqual(mergeField(decl, 'open', 'new'), 'open');
+    });
+
+    it('should not merge values that are not in order', function() {
+      should.strictEqual(mergeField(decl, 'open', 'archived', 'new'), undefined);
+    });
+  });
+
+  describe('manual', function() {
+    it('should never merge', function() {
+      should.strictEqual(mergeField('manual', 'a', 'b', 'c'), undefined);
+    });
+  });
+
+  describe('lines', function() {
+    it('should merge changes of different lines', function() {
+      should.strictEqual(mergeField('lines', 'a\nB\nc\n', 'a\nb\nc\nd', 'a\nb\nc\n'), 'a\nB\nc\nd');
+    });
+
+    it('should merge lines that are added on both sides if the lca does not contain the field', function() {
+      should.strictEqual(mergeField('lines', 'a\n', 'a\n', undefined), 'a\n');
+    });
+
+    it('should conflict if both sides change the same line', function() {
+      should.strictEqual(mergeField('lines', 'a\nB\nc', 'a\nC\nc', 'a\nb\nc'), undefined);
+    });
+
+    it('should not merge other values than strings', function() {
+      should.strictEqual(mergeField('lines', 'a', 2, 'b'), undefined);
+    });
+  });
+
+  describe('words', function() {
+    it('should merge changes of different words on the same line', function() {
+      should.strictEqual(mergeField('words', 'the quick fox', 'the brown fox jumps', 'the brown fox'), 'the quick fox jumps');
+    });
+
+    it('should conflict if both sides change the same word', function() {
+      should.strictEqual(mergeField('words', 'the quick fox', 'the slow fox', 'the brown fox'), undefined);
+    });
+  });
+
+  describe('conflictHunks', function() {
+    it('should return the hunks of a text merge as strings', function() {
+      should.deepEqual(conflictHunks('lines', 'a\nB\nc\n', 'a\nC\nc\nd\n', 'a\nb\nc\n'), [
+        { ok: 'a\n' },
+        { conflict: { o: 'b\n', a: 'B\n', b: 'C\n' } },
+        { ok: 'c\nd\n' }
+      ]);
+    });
+
+    it('should return the hunks of a word merge', function() {
+      should.deepEqual(conflictHunks({ strategy: 'words' }, 'the quick fox', 'the slow fox', 'the brown fox'), [
+        { ok: 'the ' },
+        { conflict: { o: 'brown', a: 'quick', b: 'slow' } },
+        { ok: ' fox' }
+      ]);
+    });
+
+    it('should return null for other strategies', function() {
+      should.strictEqual(conflictHunks('max', 'a', 'b', 'c'), null);
+      should.strictEqual(conflictHunks(function() {}, 'a', 'b', 'c'), null);
+    });
+
+    it('should return null for other values than strings', function() {
+      should.strictEqual(conflictHunks('lines', 'a', null, 'c'), null);
+    });
+  });
+
+  describe('function', function() {
+    function concat(a, b, lca) {
+      return a + b + (lca || '');
+    }
+
+    it('should call the function with the values and the value in the lca', function() {
+      should.strictEqual(mergeField(concat, 'a', 'b', 'c'), 'abc');
+    });
+
+    it('should pass the value of the version with the lowest version number first', function() {
+      should.strictEqual(mergeField(concat, 'a', 'b', 'c', false), 'bac');
+    });
+
+    it('should conflict if the function returns undefined', function() {
+      should.strictEqual(mergeField(function() {}, 'a', 'b'), undefined);
+    });
+  });
+});
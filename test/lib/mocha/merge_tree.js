@@ -20,10 +20,11 @@
 
 var tmpdir = require('os').tmpdir;
 
+var async = require('async');
 var bson = require('bson');
 var should = require('should');
 var rimraf = require('rimraf');
-var level = require('level-packager')(require('leveldown'));
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
 var xtend = require('xtend');
 
 var MergeTree = require('../../../lib/merge_tree');
@@ -99,6 +100,74 @@ describe('MergeTree', function() {
       (function() { new MergeTree(db, { iSize: 7 }); }).should.throw('opts.iSize must be between 0 and 6');
     });
 
+    it('should require opts.deepMerge to be a boolean', function() {
+      (function() { new MergeTree(db, { deepMerge: 1 }); }).should.throw('opts.deepMerge must be a boolean');
+    });
+
+    it('should require opts.arrays to be an object', function() {
+      (function() { new MergeTree(db, { arrays: 'union' }); }).should.throw('opts.arrays must be an object');
+    });
+
+    it('should require opts.perspectiveArrays to be an object', function() {
+      (function() { new MergeTree(db, { perspectiveArrays: 'union' }); }).should.throw('opts.perspectiveArrays must be an object');
+    });
+
+    it('should require known array merge strategies in opts.arrays', function() {
+      (function() { new MergeTree(db, { arrays: { tags: 'foo' } }); }).should.throw('unknown array merge strategy for tags: foo');
+    });
+
+    it('should require known array merge strategies in opts.perspectiveArrays', function() {
+      (function() { new MergeTree(db, { perspectiveArrays: { foo: { tags: 'bar' } } }); }).should.throw('unknown array merge strategy for tags: bar');
+    });
+
+    it('should require opts.types to be an object', function() {
+      (function() { new MergeTree(db, { types: 'counter' }); }).should.throw('opts.types must be an object');
+    });
+
+    it('should require valid types', function() {
+      (function() { new MergeTree(db, { types: { stock: 'foo' } }); }).should.throw('invalid type of stock: type must be one of counter, orset, lww, max');
+    });
+
+    it('should require opts.strategies to be an object', function() {
+      (function() { new MergeTree(db, { strategies: 'max' }); }).should.throw('opts.strategies must be an object');
+    });
+
+    it('should require valid merge strategies', function() {
+      (function() { new MergeTree(db, { strategies: { status: 'priority' } }); }).should.throw('invalid merge strategy of status: priority requires an order');
+    });
+
+    it('should require opts.resolve to be an array', function() {
+      (function() { new MergeTree(db, { resolve: 'remote' }); }).should.throw('opts.resolve must be an array');
+    });
+
+    it('should require opts.perspectiveResolve to be an object', function() {
+      (function() { new MergeTree(db, { perspectiveResolve: 'remote' }); }).should.throw('opts.perspectiveResolve must be an object');
+    });
+
+    it('should require the policies of a perspective to be an array', function() {
+      (function() { new MergeTree(db, { perspectiveResolve: { foo: 'remote' } }); }).should.throw('conflict resolution policies must be an array');
+    });
+
+    it('should require valid conflict resolution policies', function() {
+      (function() { new MergeTree(db, { resolve: ['foo'] }); }).should.throw('invalid conflict resolution policy: policy must be "remote", "local" or an object');
+    });
+
+    it('should require opts.quarantine to be a string', function() {
+      (function() { new MergeTree(db, { quarantine: 1 }); }).should.throw('opts.quarantine must be a string');
+    });
+
+    it('should require the quarantine name to differ from the local and stage names', function() {
+      (function() { new MergeTree(db, { quarantine: '_stage' }); }).should.throw('quarantine name must differ from the local and stage names');
+    });
+
+    it('should require opts.schemas to be an array', function() {
+      (function() { new MergeTree(db, { schemas: {} }); }).should.throw('opts.schemas must be an array');
+    });
+
+    it('should require valid schemas', function() {
+      (function() { new MergeTree(db, { schemas: [{ schema: { type: 'foo' } }] }); }).should.throw('invalid schema: schemas.0.type must be one of object, array, string, number, integer, boolean, null');
+    });
+
     it('should construct', function() {
       (function() { new MergeTree(db); }).should.not.throwError();
     });
@@ -172,7 +241,7 @@ describe('MergeTree', function() {
             if (err) { throw err; }
             should.deepEqual(stats, {
               local: { heads: { count: 0, conflict: 0, deleted: 0 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 1, conflict: 0, deleted: 0 } },
               '_createMergeStream_foo': { heads: { count: 1, conflict: 0, deleted: 0 } }
             });
             done();
@@ -207,7 +276,7 @@ describe('MergeTree', function() {
             if (err) { throw err; }
             should.deepEqual(stats, {
               local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 1, conflict: 0, deleted: 0 } },
               '_createMergeStream_foo': { heads: { count: 1, conflict: 0, deleted: 0 } }
             });
             done();
@@ -274,7 +343,7 @@ describe('MergeTree', function() {
             if (err) { throw err; }
             should.deepEqual(stats, {
               local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 2, conflict: 0, deleted: 0 } },
               '_createMergeStreamOneTwoHeads_foo': { heads: { count: 2, conflict: 0, deleted: 0 } }
             });
             done();
@@ -320,11 +389,20 @@ describe('MergeTree', function() {
           }
           if (i === 2) {
             should.deepEqual(obj, {
-              n: { h: { id: 'XI', v: 'xeaV', pa: ['Bbbb', 'Cccc'] }, b: { more2: 'body', more3: 'body' } },
+              n: {
+                h: { id: 'XI', v: 'xeaV', pa: ['Bbbb', 'Cccc'] },
+                b: { more2: 'body', more3: 'body' }
+              },
               l: { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'], i: 2 }, b: { more2: 'body' } },
               lcas: ['Aaaa'],
               pe: '_createMergeStreamOneTwoHeads_foo',
-              c: null
+              c: null,
+              provenance: {
+                pe: '_createMergeStreamOneTwoHeads_foo',
+                lcas: ['Aaaa'],
+                keys: { more1: 'both', more2: 'local', more3: 'remote' },
+                strategies: {}
+              }
             });
           }
         });
@@ -335,7 +413,7 @@ describe('MergeTree', function() {
             if (err) { throw err; }
             should.deepEqual(stats, {
               local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 4, conflict: 0, deleted: 0 } },
               '_createMergeStreamOneTwoHeads_foo': { heads: { count: 2, conflict: 0, deleted: 0 } }
             });
             done();
@@ -405,7 +483,7 @@ describe('MergeTree', function() {
             if (err) { throw err; }
             should.deepEqual(stats, {
               local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 1, conflict: 0, deleted: 0 } },
               '_createMergeStreamTwoHeadsOneDelete_foo': { heads: { count: 2, conflict: 0, deleted: 1 } }
             });
             done();
@@ -443,11 +521,20 @@ describe('MergeTree', function() {
         ms.on('data', function(obj) {
           i++;
           should.deepEqual(obj, {
-            n: { h: { id: 'XI', v: 'xeaV', pa: ['Bbbb', 'Cccc'] }, b: { more2: 'body', more3: 'body' } },
+            n: {
+              h: { id: 'XI', v: 'xeaV', pa: ['Bbbb', 'Cccc'] },
+              b: { more2: 'body', more3: 'body' }
+            },
             l: { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], d: true, i: 2 }, b: { more2: 'body' } },
             lcas: ['Aaaa'], // XXX: shouldn't this be Bbbb?
             pe: '_createMergeStreamTwoHeadsOneDelete_foo',
-            c: null
+            c: null,
+            provenance: {
+              pe: '_createMergeStreamTwoHeadsOneDelete_foo',
+              lcas: ['Aaaa'],
+              keys: { more2: 'local', more3: 'remote', some: 'both' },
+              strategies: {}
+            }
           });
         });
         ms.on('end', function() {
@@ -456,7 +543,7 @@ describe('MergeTree', function() {
             if (err) { throw err; }
             should.deepEqual(stats, {
               local: { heads: { count: 1, conflict: 0, deleted: 1 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 2, conflict: 0, deleted: 0 } },
               '_createMergeStreamTwoHeadsOneDelete_foo': { heads: { count: 2, conflict: 0, deleted: 1 } }
             });
             done();
@@ -526,7 +613,7 @@ describe('MergeTree', function() {
             if (err) { throw err; }
             should.deepEqual(stats, {
               local: { heads: { count: 1, conflict: 0, deleted: 1 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 1, conflict: 0, deleted: 0 } },
               _createMergeStreamNewRootAfterDelete_foo: { heads: { count: 1, conflict: 0, deleted: 0 } }
             });
             done();
@@ -581,7 +668,8 @@ describe('MergeTree', function() {
             l: { h: { id: 'XI', v: 'Cccc', pa: ['Aaaa'], i: 2 },            b: { more2: 'other' } },
             lcas: ['Aaaa'],
             pe: '_createMergeStreamTwoHeadsOneConflict_foo',
-            c: ['more2']
+            c: ['more2'],
+            id: 1
           });
           i++;
         });
@@ -601,195 +689,823 @@ describe('MergeTree', function() {
       });
     });
 
-    // TODO: resolve via local write stream
-    xdescribe('merge with conflict (resolved)', function() {
-      var sname = '_createMergeStreamTwoHeadsOneConflictResolved_foo';
-      var localName = '_local_twoHeadsOneConflictResolvedMergeStageWithLocal';
-      var stageName = '_stage_twoHeadsOneConflictResolvedMergeStageWithLocal';
+    describe('criss-cross merge', function() {
+      var sname = '_createMergeStreamCrissCross_foo';
+      var localName = '_local_createMergeStreamCrissCross';
+      var stageName = '_stage_createMergeStreamCrissCross';
 
-      // use 24-bit version numbers (base 64)
-      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },       b: { some: 'body' } };
-      var sitem2 = { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'] }, b: { more2: 'body' } };
+      // both B and C changed "bar", D and E resolved it the same way but differ in "qux"
+      //   B - D (local)
+      //  / \ /
+      // A   X
+      //  \ / \
+      //   C - E (remote)
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },               b: { bar: 'baz', qux: 'quux' } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] },         b: { bar: 'b', qux: 'quux' } };
+      var litem3 = { h: { id: 'XI', v: 'Cccc', pa: ['Aaaa'] },         b: { bar: 'c', qux: 'quux' } };
+      var litem4 = { h: { id: 'XI', v: 'Dddd', pa: ['Bbbb', 'Cccc'] }, b: { bar: 'd', qux: 'quux' } };
 
-      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },                  b: { some: 'body' } };
-      var litem2 = { h: { id: 'XI', v: 'Cccc', pa: ['Aaaa'] },            b: { more2: 'other' } };
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },               b: { bar: 'baz', qux: 'quux' } };
+      var sitem2 = { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'] },         b: { bar: 'b', qux: 'quux' } };
+      var sitem3 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] },         b: { bar: 'c', qux: 'quux' } };
+      var sitem4 = { h: { id: 'XI', v: 'Eeee', pe: sname, pa: ['Cccc', 'Bbbb'] }, b: { bar: 'd', qux: 'quz' } };
 
-      it('write sitem1, sitem2', function(done) {
-        var tree = new Tree(db, stageName, { vSize: 3, log: silence });
-        tree.write(sitem1);
-        tree.write(sitem2);
-        tree.end(done);
-      });
+      function mtOpts() {
+        return { local: localName, stage: stageName, perspectives: [ sname ], vSize: 3, log: silence };
+      }
 
-      it('write litem1, litem2, sitem1 to local', function(done) {
-        var tree = new Tree(db, localName, { vSize: 3, log: silence });
-        tree.write(litem1);
-        tree.write(litem2);
-        tree.write(sitem1);
-        tree.end(done);
+      it('write litem1, litem2, litem3, litem4 to local and sitem1, sitem2, sitem3, sitem4 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.write(litem2);
+        ltree.write(litem3);
+        ltree.end(litem4, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.write(sitem2);
+          stree.write(sitem3);
+          stree.end(sitem4, done);
+        });
       });
 
-      it('should merge sitem2 with litem2, conflict on "more2" (resolved)', function(done) {
-        var i = 0;
-        var j = 0;
-        var conflictHandler = function(attrs, shead, lhead, next) {
-          i++;
-          should.deepEqual(attrs, ['more2']);
-          should.deepEqual(shead, { more2: 'body' });
-          should.deepEqual(lhead, { more2: 'other' });
-          next({ mergedManually: true });
-        };
-        // should be called with new resolved conflict if _createMergeStream is invoked twice
-        var mergeHandler = function(merge, lhead, next) {
-          j++;
-          should.deepEqual(merge, { h: { id: 'XI', v: 'f1l4', pa: ['Bbbb', 'Cccc'], i: 3 }, b: { mergedManually: true} });
-          next();
-        };
-        var opts = {
-          local: localName,
-          stage: stageName,
-          perspectives: [ sname ],
-          vSize: 3,
-          log: silence,
-          conflictHandler: conflictHandler,
-          mergeHandler: mergeHandler
-        };
-        var mt = new MergeTree(db, opts);
-        mt._mergeStageWithLocal(function(err) {
-          if (err) { throw err; }
-          mt.stats(function(err, stats) {
-            if (err) { throw err; }
-            should.strictEqual(i, 1); // expect one call to conflict handler
-            should.strictEqual(j, 0); // expect no merge handler
-            should.deepEqual(stats, {
-              local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-              stage: { heads: { count: 1, conflict: 0, deleted: 0 } }, // should have marked in conflict
-              '_mergeStageWithLocalTwoHeadsOneConflictResolved_foo': { heads: { count: 0, conflict: 0, deleted: 0 } }
-            });
+      it('should merge sitem4 with litem4 against a virtual merge base and save it', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
 
-            // invoke twice to process resolved merge conflict
-            mt._mergeStageWithLocal(function(err) {
-              if (err) { throw err; }
-              mt.stats(function(err, stats) {
-                if (err) { throw err; }
-                should.strictEqual(i, 1); // expect no extra calls to conflict handler
-                should.strictEqual(j, 1); // expect no one call to merge handler
-                should.deepEqual(stats, {
-                  local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-                  stage: { heads: { count: 1, conflict: 0, deleted: 0 } }, // should have marked in conflict
-                  '_mergeStageWithLocalTwoHeadsOneConflictResolved_foo': { heads: { count: 0, conflict: 0, deleted: 0 } }
-                });
-                done();
-              });
-            });
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 1);
+          var obj = merges[0];
+          should.deepEqual(obj.lcas.sort(), ['Bbbb', 'Cccc']);
+          should.strictEqual(obj.c, null);
+          should.deepEqual(obj.n.h.pa, ['Dddd', 'Eeee']);
+          should.deepEqual(obj.n.b, { bar: 'd', qux: 'quz' });
+
+          mt.createLocalWriteStream().end(obj, function(err) {
+            if (err) { throw err; }
+            mt.getLocalTree().getHeads({ id: 'XI' }, function(head, next) {
+              should.strictEqual(head.h.v, obj.n.h.v);
+              should.deepEqual(head.b, { bar: 'd', qux: 'quz' });
+              next();
+            }, done);
           });
         });
+
+        ms.end(sitem4);
       });
     });
-  });
 
-  describe('startMerge', function() {
-    var sname = 'startMerge_foo';
-    var localName = '_localstartMerge';
-    var stageName = '_stagestartMerge';
+    describe('criss-cross merge with conflict', function() {
+      var sname = '_createMergeStreamCrissCrossConflict_foo';
+      var localName = '_local_createMergeStreamCrissCrossConflict';
+      var stageName = '_stage_createMergeStreamCrissCrossConflict';
 
-    // use 24-bit version numbers (base 64)
-    var item1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },       b: { some: 'body' } };
-    var item2 = { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'] }, b: { more: 'body' } };
-    var item3 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] }, b: { more2: 'body' } };
+      // D and E resolved the conflict on "bar" between B and C differently
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },               b: { bar: 'baz' } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] },         b: { bar: 'b' } };
+      var litem3 = { h: { id: 'XI', v: 'Cccc', pa: ['Aaaa'] },         b: { bar: 'c' } };
+      var litem4 = { h: { id: 'XI', v: 'Dddd', pa: ['Bbbb', 'Cccc'] }, b: { bar: 'd' } };
 
-    var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { some: 'body' } };
-    var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { more: 'body' } };
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },               b: { bar: 'baz' } };
+      var sitem2 = { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'] },         b: { bar: 'b' } };
+      var sitem3 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] },         b: { bar: 'c' } };
+      var sitem4 = { h: { id: 'XI', v: 'Eeee', pe: sname, pa: ['Cccc', 'Bbbb'] }, b: { bar: 'e' } };
 
-    it('should merge an empty database', function(done) {
-      var opts = { local: localName, stage: stageName, perspectives: [sname], vSize: 3, log: silence };
-      var mt = new MergeTree(db, opts);
-      var stree = mt._pe[sname];
-      var i = 0;
-      mt.startMerge({ ready: function(err) {
-        if (err) { throw err; }
-        var r = stree.insertionOrderStream();
-        r.on('data', function() {
-          i++;
+      function mtOpts() {
+        return { local: localName, stage: stageName, perspectives: [ sname ], vSize: 3, log: silence };
+      }
+
+      it('write litem1, litem2, litem3, litem4 to local and sitem1, sitem2, sitem3, sitem4 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.write(litem2);
+        ltree.write(litem3);
+        ltree.end(litem4, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.write(sitem2);
+          stree.write(sitem3);
+          stree.end(sitem4, done);
         });
-        r.on('end', function() {
-          should.strictEqual(i, 0);
+      });
+
+      it('should report the conflict against the virtual merge base', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
+
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 1);
+          should.deepEqual(merges[0].lcas.sort(), ['Bbbb', 'Cccc']);
+          should.deepEqual(merges[0].c, ['bar']);
+          should.strictEqual(merges[0].n.h.v, 'Eeee');
+          should.strictEqual(merges[0].l.h.v, 'Dddd');
           done();
         });
-      }});
-    });
 
-    it('item1 in stree', function(done) {
-      var stree = new Tree(db, sname, { vSize: 3, log: silence });
-      stree.write(cloneItem(item1), done);
+        ms.end(sitem4);
+      });
     });
 
-    it('should merge one item with the local database', function(done) {
-      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
-      var mt = new MergeTree(db, opts);
+    describe('deep merge', function() {
+      var sname = '_createMergeStreamDeep_foo';
+      var localName = '_local_createMergeStreamDeep';
+      var stageName = '_stage_createMergeStreamDeep';
 
-      var i = 0;
-      var rs = mt.startMerge({ tail: false });
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },       b: { address: { street: 'a', zip: '1' } } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { address: { street: 'b', zip: '1' } } };
+      var litem3 = { h: { id: 'XII', v: 'Dddd', pa: [] },       b: { address: { street: 'a', zip: '1' } } };
+      var litem4 = { h: { id: 'XII', v: 'Eeee', pa: ['Dddd'] }, b: { address: { street: 'b', zip: '1' } } };
 
-      rs.on('data', function(obj) {
-        i++;
-        should.deepEqual(obj, {
-          n: item1,
-          l: null,
-          lcas: [],
-          c: null,
-          pe: sname
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },       b: { address: { street: 'a', zip: '1' } } };
+      var sitem2 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] }, b: { address: { street: 'a', zip: '2' } } };
+      var sitem3 = { h: { id: 'XII', v: 'Dddd', pe: sname, pa: [] },       b: { address: { street: 'a', zip: '1' } } };
+      var sitem4 = { h: { id: 'XII', v: 'Ffff', pe: sname, pa: ['Dddd'] }, b: { address: { street: 'c', zip: '2' } } };
+
+      function mtOpts() {
+        return { local: localName, stage: stageName, perspectives: [ sname ], vSize: 3, deepMerge: true, log: silence };
+      }
+
+      it('write litem1, litem2, litem3, litem4 to local and sitem1, sitem2, sitem3, sitem4 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.write(litem2);
+        ltree.write(litem3);
+        ltree.end(litem4, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.write(sitem2);
+          stree.write(sitem3);
+          stree.end(sitem4, done);
         });
       });
 
-      rs.on('end', function() {
-        should.strictEqual(i, 1);
-        done();
+      it('should merge different keys of a nested object and report conflicts as dotted paths', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
+
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 2);
+          should.strictEqual(merges[0].c, null);
+          should.deepEqual(merges[0].n.b, { address: { street: 'b', zip: '2' } });
+          should.deepEqual(merges[1].c, ['address.street']);
+          should.strictEqual(merges[1].n.h.v, 'Ffff');
+          done();
+        });
+
+        ms.write(sitem2);
+        ms.end(sitem4);
       });
     });
 
-    it('should be the same as previous run (idempotence)', function(done) {
-      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
-      var mt = new MergeTree(db, opts);
+    describe('array merge strategies', function() {
+      var sname = '_createMergeStreamArrays_foo';
+      var localName = '_local_createMergeStreamArrays';
+      var stageName = '_stage_createMergeStreamArrays';
 
-      var i = 0;
-      var rs = mt.startMerge({ tail: false });
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },       b: { tags: ['a'], log: [1] } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { tags: ['a', 'b'], log: [1, 2] } };
 
-      rs.on('data', function(obj) {
-        i++;
-        should.deepEqual(obj, {
-          n: item1,
-          l: null,
-          lcas: [],
-          c: null,
-          pe: sname
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },       b: { tags: ['a'], log: [1] } };
+      var sitem2 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] }, b: { tags: ['c'], log: [1, 3] } };
+
+      function mtOpts() {
+        var perspectiveArrays = {};
+        perspectiveArrays[sname] = { tags: 'union' };
+        return {
+          local: localName,
+          stage: stageName,
+          perspectives: [ sname ],
+          vSize: 3,
+          arrays: { tags: 'append', log: 'append' },
+          perspectiveArrays: perspectiveArrays,
+          log: silence
+        };
+      }
+
+      it('write litem1, litem2 to local and sitem1, sitem2 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.end(litem2, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.end(sitem2, done);
         });
       });
 
-      rs.on('end', function() {
-        should.strictEqual(i, 1);
-        done();
-      });
-    });
+      it('should use the strategies of the perspective before those of arrays', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
 
-    it('item2 in stree', function(done) {
-      var tree = new Tree(db, sname, { vSize: 3, log: silence });
-      tree.write(cloneItem(item2), done);
-    });
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
 
-    it('should merge ff with current head in local', function(done) {
-      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
-      var mt = new MergeTree(db, opts);
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 1);
+          should.strictEqual(merges[0].c, null);
+          should.deepEqual(merges[0].n.b, { tags: ['b', 'c'], log: [1, 2, 3] });
+          done();
+        });
 
-      var i = 0;
-      var rs = mt.startMerge({ tail: false });
+        ms.end(sitem2);
+      });
 
-      rs.on('data', function(obj) {
-        i++;
-        if (i === 1) {
-          should.deepEqual(obj, {
-            n: item1,
-            l: null,
+      it('should conflict without strategies', function(done) {
+        var opts = mtOpts();
+        delete opts.arrays;
+        delete opts.perspectiveArrays;
+        var mt = new MergeTree(db, opts);
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
+
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 1);
+          should.deepEqual(merges[0].c.sort(), ['log', 'tags']);
+          done();
+        });
+
+        ms.end(sitem2);
+      });
+    });
+
+    describe('types', function() {
+      var sname = '_createMergeStreamTypes_foo';
+      var localName = '_local_createMergeStreamTypes';
+      var stageName = '_stage_createMergeStreamTypes';
+
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },       b: { stock: 10, views: 1 } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { stock: 8, views: 2 } };
+
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },       b: { stock: 10, views: 1 } };
+      var sitem2 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] }, b: { stock: 15, views: 2 } };
+
+      function mtOpts() {
+        return { local: localName, stage: stageName, perspectives: [ sname ], vSize: 3, types: { stock: 'counter', views: 'counter' }, log: silence };
+      }
+
+      it('write litem1, litem2 to local and sitem1, sitem2 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.end(litem2, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.end(sitem2, done);
+        });
+      });
+
+      it('should add up the changes of counters on both sides', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
+
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 1);
+          should.strictEqual(merges[0].c, null);
+          should.deepEqual(merges[0].n.b, { stock: 13, views: 3 });
+          done();
+        });
+
+        ms.end(sitem2);
+      });
+    });
+
+    describe('strategies', function() {
+      var sname = '_createMergeStreamStrategies_foo';
+      var localName = '_local_createMergeStreamStrategies';
+      var stageName = '_stage_createMergeStreamStrategies';
+
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },        b: { updatedAt: 1, status: 'new', notes: 'a' } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] },  b: { updatedAt: 3, status: 'open', notes: 'a' } };
+      var litem3 = { h: { id: 'XII', v: 'Dddd', pa: [] },       b: { notes: 'd' } };
+      var litem4 = { h: { id: 'XII', v: 'Eeee', pa: ['Dddd'] }, b: { notes: 'e' } };
+
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },        b: { updatedAt: 1, status: 'new', notes: 'a' } };
+      var sitem2 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] },  b: { updatedAt: 2, status: 'closed', notes: 'a' } };
+      var sitem3 = { h: { id: 'XII', v: 'Dddd', pe: sname, pa: [] },       b: { notes: 'd' } };
+      var sitem4 = { h: { id: 'XII', v: 'Ffff', pe: sname, pa: ['Dddd'] }, b: { notes: 'f' } };
+
+      function mtOpts() {
+        return {
+          local: localName,
+          stage: stageName,
+          perspectives: [ sname ],
+          vSize: 3,
+          strategies: {
+            updatedAt: 'max',
+            status: { strategy: 'priority', order: ['closed', 'open', 'new'] },
+            notes: 'manual'
+          },
+          resolve: ['remote'],
+          log: silence
+        };
+      }
+
+      it('write litem1-4 to local and sitem1-4 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.write(litem2);
+        ltree.write(litem3);
+        ltree.end(litem4, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.write(sitem2);
+          stree.write(sitem3);
+          stree.end(sitem4, done);
+        });
+      });
+
+      it('should merge fields with a strategy and keep conflicts of manual fields', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
+
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 2);
+          should.strictEqual(merges[0].c, null);
+          should.deepEqual(merges[0].n.b, { updatedAt: 3, status: 'closed', notes: 'a' });
+          // not resolved by the "remote" policy
+          should.deepEqual(merges[1].c, ['notes']);
+          done();
+        });
+
+        ms.write(sitem2);
+        ms.end(sitem4);
+      });
+    });
+
+    describe('text', function() {
+      var sname = '_createMergeStreamText_foo';
+      var localName = '_local_createMergeStreamText';
+      var stageName = '_stage_createMergeStreamText';
+
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },        b: { notes: 'a\nb\nc\n' } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] },  b: { notes: 'A\nb\nc\n' } };
+      var litem3 = { h: { id: 'XII', v: 'Dddd', pa: [] },       b: { notes: 'a\nb\nc\n' } };
+      var litem4 = { h: { id: 'XII', v: 'Eeee', pa: ['Dddd'] }, b: { notes: 'a\nE\nc\n' } };
+
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },        b: { notes: 'a\nb\nc\n' } };
+      var sitem2 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] },  b: { notes: 'a\nb\nC\n' } };
+      var sitem3 = { h: { id: 'XII', v: 'Dddd', pe: sname, pa: [] },       b: { notes: 'a\nb\nc\n' } };
+      var sitem4 = { h: { id: 'XII', v: 'Ffff', pe: sname, pa: ['Dddd'] }, b: { notes: 'a\nF\nc\n' } };
+
+      function mtOpts() {
+        return { local: localName, stage: stageName, perspectives: [ sname ], vSize: 3, strategies: { notes: 'lines' }, log: silence };
+      }
+
+      it('write litem1-4 to local and sitem1-4 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.write(litem2);
+        ltree.write(litem3);
+        ltree.end(litem4, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.write(sitem2);
+          stree.write(sitem3);
+          stree.end(sitem4, done);
+        });
+      });
+
+      it('should merge lines and keep the hunks of conflicting lines', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ms = mt._createMergeStream();
+        ms.on('error', done);
+
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          should.strictEqual(merges.length, 2);
+          should.strictEqual(merges[0].c, null);
+          should.deepEqual(merges[0].n.b, { notes: 'A\nb\nC\n' });
+
+          var hunks = {
+            notes: [
+              { ok: 'a\n' },
+              { conflict: { o: 'b\n', a: 'F\n', b: 'E\n' } },
+              { ok: 'c\n' }
+            ]
+          };
+          should.deepEqual(merges[1].c, ['notes']);
+          should.deepEqual(merges[1].hunks, hunks);
+
+          mt.getConflict(merges[1].id, function(err, conflict) {
+            if (err) { throw err; }
+            should.deepEqual(conflict.hunks, hunks);
+            done();
+          });
+        });
+
+        ms.write(sitem2);
+        ms.end(sitem4);
+      });
+    });
+
+    describe('conflict resolution policies', function() {
+      var sname = '_createMergeStreamResolve_foo';
+      var localName = '_local_createMergeStreamResolve';
+      var stageName = '_stage_createMergeStreamResolve';
+
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },        b: { ts: 1, name: 'a', city: 'x' } };
+      var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] },  b: { ts: 1, name: 'b', city: 'y' } };
+      var litem3 = { h: { id: 'XII', v: 'Dddd', pa: [] },       b: { ts: 1, name: 'd' } };
+      var litem4 = { h: { id: 'XII', v: 'Eeee', pa: ['Dddd'] }, b: { ts: 3, name: 'e' } };
+
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },        b: { ts: 1, name: 'a', city: 'x' } };
+      var sitem2 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] },  b: { ts: 2, name: 'c', city: 'x' } };
+      var sitem3 = { h: { id: 'XII', v: 'Dddd', pe: sname, pa: [] },       b: { ts: 1, name: 'd' } };
+      var sitem4 = { h: { id: 'XII', v: 'Ffff', pe: sname, pa: ['Dddd'] }, b: { ts: 2, name: 'f' } };
+
+      function mtOpts(opts) {
+        return xtend({ local: localName, stage: stageName, perspectives: [ sname ], vSize: 3, log: silence }, opts);
+      }
+
+      // merge sitem2 and sitem4 and call back with the merges
+      function mergeAll(mt, cb) {
+        var ms = mt._createMergeStream();
+        ms.on('error', cb);
+
+        var merges = [];
+        ms.on('data', function(obj) {
+          merges.push(obj);
+        });
+
+        ms.on('end', function() {
+          cb(null, merges);
+        });
+
+        ms.write(sitem2);
+        ms.end(sitem4);
+      }
+
+      it('write litem1, litem2, litem3, litem4 to local and sitem1, sitem2, sitem3, sitem4 to remote', function(done) {
+        var mt = new MergeTree(db, mtOpts());
+        var ltree = mt.getLocalTree();
+        var stree = mt._pe[sname];
+        ltree.write(litem1);
+        ltree.write(litem2);
+        ltree.write(litem3);
+        ltree.end(litem4, function(err) {
+          if (err) { throw err; }
+          stree.write(sitem1);
+          stree.write(sitem2);
+          stree.write(sitem3);
+          stree.end(sitem4, done);
+        });
+      });
+
+      it('should emit conflicts without policies', function(done) {
+        mergeAll(new MergeTree(db, mtOpts()), function(err, merges) {
+          if (err) { throw err; }
+          should.strictEqual(merges.length, 2);
+          should.deepEqual(merges[0].c, ['name']);
+          should.deepEqual(merges[1].c.sort(), ['name', 'ts']);
+          done();
+        });
+      });
+
+      it('should resolve with remote and record the policy in h.r', function(done) {
+        mergeAll(new MergeTree(db, mtOpts({ resolve: ['remote'] })), function(err, merges) {
+          if (err) { throw err; }
+          should.strictEqual(merges.length, 2);
+          should.strictEqual(merges[0].c, null);
+          should.deepEqual(merges[0].n.h.pa, ['Bbbb', 'Cccc']);
+          should.strictEqual(merges[0].n.h.r, 'remote');
+          should.deepEqual(merges[0].n.b, { ts: 2, name: 'c', city: 'y' });
+          should.strictEqual(merges[0].l.h.v, 'Bbbb');
+          should.strictEqual(merges[1].c, null);
+          should.strictEqual(merges[1].n.h.r, 'remote');
+          should.deepEqual(merges[1].n.b, { ts: 2, name: 'f' });
+          done();
+        });
+      });
+
+      it('should resolve with local', function(done) {
+        mergeAll(new MergeTree(db, mtOpts({ resolve: ['local'] })), function(err, merges) {
+          if (err) { throw err; }
+          should.strictEqual(merges[0].n.h.r, 'local');
+          should.deepEqual(merges[0].n.b, { ts: 2, name: 'b', city: 'y' });
+          should.strictEqual(merges[1].n.h.r, 'local');
+          should.deepEqual(merges[1].n.b, { ts: 3, name: 'e' });
+          done();
+        });
+      });
+
+      it('should resolve with the last writer', function(done) {
+        mergeAll(new MergeTree(db, mtOpts({ resolve: [{ lastWriter: 'ts' }] })), function(err, merges) {
+          if (err) { throw err; }
+          should.strictEqual(merges[0].n.h.r, 'lastWriter');
+          should.deepEqual(merges[0].n.b, { ts: 2, name: 'c', city: 'y' });
+          should.strictEqual(merges[1].n.h.r, 'lastWriter');
+          should.deepEqual(merges[1].n.b, { ts: 3, name: 'e' });
+          done();
+        });
+      });
+
+      it('should try the policies of the perspective first and use the first that resolves', function(done) {
+        var perspectiveResolve = {};
+        perspectiveResolve[sname] = [{ prefer: sname, fields: ['name'] }];
+        mergeAll(new MergeTree(db, mtOpts({ resolve: ['local'], perspectiveResolve: perspectiveResolve })), function(err, merges) {
+          if (err) { throw err; }
+          should.strictEqual(merges[0].n.h.r, 'prefer');
+          should.deepEqual(merges[0].n.b, { ts: 2, name: 'c', city: 'y' });
+          should.strictEqual(merges[1].n.h.r, 'local');
+          should.deepEqual(merges[1].n.b, { ts: 3, name: 'e' });
+          done();
+        });
+      });
+
+      it('should resolve with a custom resolver and keep unresolved conflicts', function(done) {
+        var conflicts = [];
+        var resolver = function(conflict, cb) {
+          conflicts.push(conflict);
+          if (conflict.n.h.id === 'XII') {
+            cb(null, null);
+            return;
+          }
+          cb(null, xtend(conflict.l.b, { name: conflict.l.b.name + conflict.n.b.name }));
+        };
+        mergeAll(new MergeTree(db, mtOpts({ resolve: [{ resolver: resolver, name: 'concat' }] })), function(err, merges) {
+          if (err) { throw err; }
+          should.strictEqual(conflicts.length, 2);
+          should.deepEqual(conflicts[0].c, ['name']);
+          should.strictEqual(conflicts[0].pe, sname);
+          should.strictEqual(merges[0].n.h.r, 'concat');
+          should.deepEqual(merges[0].n.h.pa, ['Bbbb', 'Cccc']);
+          should.deepEqual(merges[0].n.b, { ts: 1, name: 'bc', city: 'y' });
+          should.deepEqual(merges[1].c.sort(), ['name', 'ts']);
+          should.strictEqual(merges[1].n.h.v, 'Ffff');
+          done();
+        });
+      });
+
+      it('should pass errors of a custom resolver', function(done) {
+        var resolver = function(conflict, cb) {
+          cb(new Error('custom error'));
+        };
+        mergeAll(new MergeTree(db, mtOpts({ resolve: [{ resolver: resolver }] })), function(err) {
+          should.strictEqual(err.message, 'custom error');
+          done();
+        });
+      });
+
+      it('should save h.r of a resolved merge in the local tree', function(done) {
+        var mt = new MergeTree(db, mtOpts({ resolve: ['remote'] }));
+        mergeAll(mt, function(err, merges) {
+          if (err) { throw err; }
+          mt.createLocalWriteStream().write(merges[0], function(err) {
+            if (err) { throw err; }
+            mt.getLocalTree().getByVersion(merges[0].n.h.v, function(err, item) {
+              if (err) { throw err; }
+              should.strictEqual(item.h.r, 'remote');
+              should.deepEqual(item.b, { ts: 2, name: 'c', city: 'y' });
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    // TODO: resolve via local write stream
+    xdescribe('merge with conflict (resolved)', function() {
+      var sname = '_createMergeStreamTwoHeadsOneConflictResolved_foo';
+      var localName = '_local_twoHeadsOneConflictResolvedMergeStageWithLocal';
+      var stageName = '_stage_twoHeadsOneConflictResolvedMergeStageWithLocal';
+
+      // use 24-bit version numbers (base 64)
+      var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },       b: { some: 'body' } };
+      var sitem2 = { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'] }, b: { more2: 'body' } };
+
+      var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },                  b: { some: 'body' } };
+      var litem2 = { h: { id: 'XI', v: 'Cccc', pa: ['Aaaa'] },            b: { more2: 'other' } };
+
+      it('write sitem1, sitem2', function(done) {
+        var tree = new Tree(db, stageName, { vSize: 3, log: silence });
+        tree.write(sitem1);
+        tree.write(sitem2);
+        tree.end(done);
+      });
+
+      it('write litem1, litem2, sitem1 to local', function(done) {
+        var tree = new Tree(db, localName, { vSize: 3, log: silence });
+        tree.write(litem1);
+        tree.write(litem2);
+        tree.write(sitem1);
+        tree.end(done);
+      });
+
+      it('should merge sitem2 with litem2, conflict on "more2" (resolved)', function(done) {
+        var i = 0;
+        var j = 0;
+        var conflictHandler = function(attrs, shead, lhead, next) {
+          i++;
+          should.deepEqual(attrs, ['more2']);
+          should.deepEqual(shead, { more2: 'body' });
+          should.deepEqual(lhead, { more2: 'other' });
+          next({ mergedManually: true });
+        };
+        // should be called with new resolved conflict if _createMergeStream is invoked twice
+        var mergeHandler = function(merge, lhead, next) {
+          j++;
+          should.deepEqual(merge, { h: { id: 'XI', v: 'f1l4', pa: ['Bbbb', 'Cccc'], i: 3 }, b: { mergedManually: true} });
+          next();
+        };
+        var opts = {
+          local: localName,
+          stage: stageName,
+          perspectives: [ sname ],
+          vSize: 3,
+          log: silence,
+          conflictHandler: conflictHandler,
+          mergeHandler: mergeHandler
+        };
+        var mt = new MergeTree(db, opts);
+        mt._mergeStageWithLocal(function(err) {
+          if (err) { throw err; }
+          mt.stats(function(err, stats) {
+            if (err) { throw err; }
+            should.strictEqual(i, 1); // expect one call to conflict handler
+            should.strictEqual(j, 0); // expect no merge handler
+            should.deepEqual(stats, {
+              local: { heads: { count: 1, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 1, conflict: 0, deleted: 0 } }, // should have marked in conflict
+              '_mergeStageWithLocalTwoHeadsOneConflictResolved_foo': { heads: { count: 0, conflict: 0, deleted: 0 } }
+            });
+
+            // invoke twice to process resolved merge conflict
+            mt._mergeStageWithLocal(function(err) {
+              if (err) { throw err; }
+              mt.stats(function(err, stats) {
+                if (err) { throw err; }
+                should.strictEqual(i, 1); // expect no extra calls to conflict handler
+                should.strictEqual(j, 1); // expect no one call to merge handler
+                should.deepEqual(stats, {
+                  local: { heads: { count: 1, conflict: 0, deleted: 0 } },
+                  stage: { heads: { count: 1, conflict: 0, deleted: 0 } }, // should have marked in conflict
+                  '_mergeStageWithLocalTwoHeadsOneConflictResolved_foo': { heads: { count: 0, conflict: 0, deleted: 0 } }
+                });
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('startMerge', function() {
+    var sname = 'startMerge_foo';
+    var localName = '_localstartMerge';
+    var stageName = '_stagestartMerge';
+
+    // use 24-bit version numbers (base 64)
+    var item1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },       b: { some: 'body' } };
+    var item2 = { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'] }, b: { more: 'body' } };
+    var item3 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] }, b: { more2: 'body' } };
+    var item4 = { h: { id: 'XI', v: 'Dddd', pe: sname, pa: ['Cccc'] }, b: { more2: 'body2' } };
+
+    var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { some: 'body' } };
+    var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { more: 'body' } };
+
+    it('should merge an empty database', function(done) {
+      var opts = { local: localName, stage: stageName, perspectives: [sname], vSize: 3, log: silence };
+      var mt = new MergeTree(db, opts);
+      var stree = mt._pe[sname];
+      var i = 0;
+      mt.startMerge({ ready: function(err) {
+        if (err) { throw err; }
+        var r = stree.insertionOrderStream();
+        r.on('data', function() {
+          i++;
+        });
+        r.on('end', function() {
+          should.strictEqual(i, 0);
+          done();
+        });
+      }});
+    });
+
+    it('item1 in stree', function(done) {
+      var stree = new Tree(db, sname, { vSize: 3, log: silence });
+      stree.write(cloneItem(item1), done);
+    });
+
+    it('should merge one item with the local database', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+
+      var i = 0;
+      var rs = mt.startMerge({ tail: false });
+
+      rs.on('data', function(obj) {
+        i++;
+        should.deepEqual(obj, {
+          n: item1,
+          l: null,
+          lcas: [],
+          c: null,
+          pe: sname
+        });
+      });
+
+      rs.on('end', function() {
+        should.strictEqual(i, 1);
+        done();
+      });
+    });
+
+    it('should be the same as previous run (idempotence)', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+
+      var i = 0;
+      var rs = mt.startMerge({ tail: false });
+
+      rs.on('data', function(obj) {
+        i++;
+        should.deepEqual(obj, {
+          n: item1,
+          l: null,
+          lcas: [],
+          c: null,
+          pe: sname
+        });
+      });
+
+      rs.on('end', function() {
+        should.strictEqual(i, 1);
+        done();
+      });
+    });
+
+    it('item2 in stree', function(done) {
+      var tree = new Tree(db, sname, { vSize: 3, log: silence });
+      tree.write(cloneItem(item2), done);
+    });
+
+    it('should merge ff with current head in local', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+
+      var i = 0;
+      var rs = mt.startMerge({ tail: false });
+
+      rs.on('data', function(obj) {
+        i++;
+        if (i === 1) {
+          should.deepEqual(obj, {
+            n: item1,
+            l: null,
             lcas: [],
             c: null,
             pe: sname
@@ -877,66 +1593,210 @@ describe('MergeTree', function() {
         }
         if (i > 1) {
           should.deepEqual(obj, {
-            n: { h: { id: 'XI', v: 'QBPL', pa: ['Bbbb', 'Cccc'] }, b: { more: 'body', more2: 'body' } }, // h.i is from stage
+            n: {
+              h: { id: 'XI', v: 'QBPL', pa: ['Bbbb', 'Cccc'] }, // h.i is from stage
+              b: { more: 'body', more2: 'body' }
+            },
             l: { h: { id: 'XI', v: 'Bbbb', pe: sname, pa: ['Aaaa'] }, b: { more: 'body' } },
             c: null,
             lcas: ['Aaaa'],
-            pe: sname
+            pe: sname,
+            provenance: { pe: sname, lcas: ['Aaaa'], keys: { more: 'local', more2: 'remote', some: 'both' }, strategies: {} }
           });
         }
       });
 
-      rs.on('end', function() {
-        should.strictEqual(i, 2);
-        // should have updated last version in local by fast-forward of item1 from stree
-        mt._local.lastByPerspective(sname, 'base64', function(err, v) {
-          if (err) { throw err; }
-          should.strictEqual(v, 'Aaaa');
-          done();
+      rs.on('end', function() {
+        should.strictEqual(i, 2);
+        // should have updated last version in local by fast-forward of item1 from stree
+        mt._local.lastByPerspective(sname, 'base64', function(err, v) {
+          if (err) { throw err; }
+          should.strictEqual(v, 'Aaaa');
+          done();
+        });
+      });
+    });
+
+    it('litem2 in local', function(done) {
+      var tree = new Tree(db, localName, { vSize: 3, log: silence });
+      tree.write(litem2, done);
+    });
+
+    it('should update last by perspective to sitem2, copy 3 to stage and merge stage with local head', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+
+      var i = 0;
+      var rs = mt.startMerge({ tail: false });
+
+      rs.on('data', function(obj) {
+        i++;
+        if (i > 0) {
+          should.deepEqual(obj, {
+            n: {
+              h: { id: 'XI', v: 'QBPL', pa: ['Bbbb', 'Cccc'] }, // h.i is from stage
+              b: { more: 'body', more2: 'body' }
+            },
+            l: { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], i: 2 }  , b: { more: 'body' } },
+            c: null,
+            lcas: ['Aaaa'],
+            pe: sname,
+            provenance: { pe: sname, lcas: ['Aaaa'], keys: { more: 'local', more2: 'remote', some: 'both' }, strategies: {} }
+          });
+        }
+      });
+
+      rs.on('end', function() {
+        should.strictEqual(i, 1);
+
+        // should have updated last version in local by fast-forward of item1 from stree
+        mt._local.lastByPerspective(sname, 'base64', function(err, v) {
+          if (err) { throw err; }
+          should.strictEqual(v, 'Bbbb');
+
+          mt.stats(function(err, stats) {
+            if (err) { throw err; }
+            should.deepEqual(stats, {
+              local: { heads: { count: 1, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 2, conflict: 0, deleted: 0 } },
+              'startMerge_foo': { heads: { count: 2, conflict: 0, deleted: 0 } }
+            });
+            done();
+          });
+        });
+      });
+    });
+
+    it('should replay the unconfirmed merge after a restart and clear the journal once it is confirmed', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+
+      var merges = [];
+      var rs = mt.startMerge({ tail: false });
+
+      rs.on('data', function(obj) {
+        merges.push(obj);
+      });
+
+      rs.on('end', function() {
+        should.strictEqual(merges.length, 1);
+        // same version as before the restart
+        should.strictEqual(merges[0].n.h.v, 'QBPL');
+
+        mt.createLocalWriteStream().end(merges[0], function(err) {
+          if (err) { throw err; }
+          mt.stats(function(err, stats) {
+            if (err) { throw err; }
+            should.deepEqual(stats, {
+              local: { heads: { count: 1, conflict: 0, deleted: 0 } },
+              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
+              'startMerge_foo': { heads: { count: 2, conflict: 0, deleted: 0 } }
+            });
+            done();
+          });
+        });
+      });
+    });
+
+    it('explain should require version to be a number or a base64 string', function() {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+      (function() { mt.explain(null, function() {}); }).should.throw('version must be a number or a base64 string');
+      (function() { mt.explain('QBPL'); }).should.throw('cb must be a function');
+    });
+
+    it('explain should keep the provenance of the confirmed merge', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+      mt.explain('QBPL', function(err, explanation) {
+        if (err) { throw err; }
+        should.deepEqual(explanation, {
+          h: { id: 'XI', v: 'QBPL', pa: ['Bbbb', 'Cccc'], i: 4 },
+          pe: sname,
+          lcas: ['Aaaa'],
+          keys: { more: 'local', more2: 'remote', some: 'both' },
+          strategies: {}
+        });
+        done();
+      });
+    });
+
+    it('explain should not attribute keys of a version that is not a merge', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+      mt.explain('Bbbb', function(err, explanation) {
+        if (err) { throw err; }
+        should.deepEqual(explanation, {
+          h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], i: 2 },
+          pe: null,
+          lcas: null,
+          keys: null,
+          strategies: null
         });
+        done();
       });
     });
 
-    it('litem2 in local', function(done) {
-      var tree = new Tree(db, localName, { vSize: 3, log: silence });
-      tree.write(litem2, done);
+    it('should not export the provenance of a merge', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+      var merge;
+      mt.createReadStream().on('data', function(item) {
+        if (item.h.v === 'QBPL') { merge = item; }
+      }).on('end', function() {
+        should.deepEqual(merge, {
+          h: { id: 'XI', v: 'QBPL', pa: ['Bbbb', 'Cccc'] },
+          b: { more: 'body', more2: 'body' }
+        });
+        done();
+      });
     });
 
-    it('should update last by perspective to sitem2, copy 3 to stage and merge stage with local head', function(done) {
+    it('explain should return null for an unknown version', function(done) {
       var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
       var mt = new MergeTree(db, opts);
+      mt.explain('Zzzz', function(err, explanation) {
+        if (err) { throw err; }
+        should.strictEqual(explanation, null);
+        done();
+      });
+    });
 
-      var i = 0;
-      var rs = mt.startMerge({ tail: false });
+    var unconfirmed;
 
-      rs.on('data', function(obj) {
-        i++;
-        if (i > 0) {
-          should.deepEqual(obj, {
-            n: { h: { id: 'XI', v: 'QBPL', pa: ['Bbbb', 'Cccc'] }, b: { more: 'body', more2: 'body' } }, // h.i is from stage
-            l: { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], i: 2 }  , b: { more: 'body' } },
-            c: null,
-            lcas: ['Aaaa'],
-            pe: sname
-          });
-        }
+    it('item4 in stree', function(done) {
+      var stree = new Tree(db, sname, { vSize: 3, log: silence });
+      stree.write(cloneItem(item4), done);
+    });
+
+    it('should journal the merge of item4 until it is confirmed', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
+
+      var merges = [];
+      mt.startMerge({ tail: false }).on('data', function(obj) {
+        merges.push(obj);
+      }).on('end', function() {
+        should.strictEqual(merges.length, 1);
+        should.deepEqual(merges[0].n.h.pa, ['Dddd', 'QBPL']);
+        unconfirmed = merges[0];
+        done();
       });
+    });
 
-      rs.on('end', function() {
-        should.strictEqual(i, 1);
+    it('should hold a confirmation that arrives before the journal is replayed', function(done) {
+      var opts = { local: localName, stage: stageName, vSize: 3, log: silence, perspectives: [sname] };
+      var mt = new MergeTree(db, opts);
 
-        // should have updated last version in local by fast-forward of item1 from stree
-        mt._local.lastByPerspective(sname, 'base64', function(err, v) {
+      mt.startMerge({ tail: false }).resume();
+      mt.createLocalWriteStream().end(unconfirmed, function(err) {
+        if (err) { throw err; }
+        mt.getLocalHead('XI', function(err, head) {
           if (err) { throw err; }
-          should.strictEqual(v, 'Bbbb');
-
+          should.strictEqual(head.h.v, unconfirmed.n.h.v);
           mt.stats(function(err, stats) {
             if (err) { throw err; }
-            should.deepEqual(stats, {
-              local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-              stage: { heads: { count: 0, conflict: 0, deleted: 0 } },
-              'startMerge_foo': { heads: { count: 2, conflict: 0, deleted: 0 } }
-            });
+            should.deepEqual(stats.stage, { heads: { count: 0, conflict: 0, deleted: 0 } });
             done();
           });
         });
@@ -981,54 +1841,405 @@ describe('MergeTree', function() {
       (function() { mt.lastByPerspective(''); }).should.throw('cb must be a function');
     });
 
-    it('should return with non-existing database', function(done) {
-      var opts = { stage: stageName, vSize: 3, log: silence };
-      var mt = new MergeTree(ldb, opts);
-      mt.lastByPerspective('some', function(err, v) {
+    it('should return with non-existing database', function(done) {
+      var opts = { stage: stageName, vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.lastByPerspective('some', function(err, v) {
+        if (err) { throw err; }
+        should.strictEqual(v, null);
+        done();
+      });
+    });
+
+    it('save item1 from pe "lastByPerspective"', function(done) {
+      var opts = { stage: stageName, vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt._local.write(item1, done);
+    });
+
+    it('should return with last saved item as a number by default', function(done) {
+      var opts = { stage: stageName, vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.lastByPerspective(name, function(err, v) {
+        if (err) { throw err; }
+        // version number Aaaa base64 is 108186
+        should.strictEqual(v, 108186);
+        done();
+      });
+    });
+
+    it('should return with last saved item, decoded in base64', function(done) {
+      var opts = { stage: stageName, vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.lastByPerspective(name, 'base64', function(err, v) {
+        if (err) { throw err; }
+        should.strictEqual(v, 'Aaaa');
+        done();
+      });
+    });
+
+    describe('stats', function() {
+      it('should return stats', function(done) {
+        var opts = { stage: stageName, vSize: 3, log: silence };
+        var mt = new MergeTree(ldb, opts);
+        mt.stats(function(err, stats) {
+          if (err) { throw err; }
+          should.deepEqual(stats, {
+            local: { heads: { count: 1, conflict: 0, deleted: 0 } },
+            stage: { heads: { count: 0, conflict: 0, deleted: 0 } }
+          });
+          done();
+        });
+      });
+    });
+  });
+
+  describe('prune', function() {
+    var pe = 'pruneRemote';
+    var stageName = '_stage_prune';
+    var ldb;
+    var ldbPath = tmpdir() + '/test_merge_tree_prune';
+
+    // use 24-bit version numbers (base 64)
+    var item1 = { h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { some: 'body' } };
+    var item2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { some: 'more' } };
+    var item3 = { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'], pe: pe }, b: { some: 'other' } };
+    var item4 = { h: { id: 'XI', v: 'Dddd', pa: ['Cccc'] }, b: { some: 'last' } };
+    var item5 = { h: { id: 'XI', v: 'Eeee', pa: ['Dddd'] }, b: { some: 'latest' } };
+
+    function localVersions(mt, cb) {
+      var result = [];
+      mt.getLocalTree().insertionOrderStream().on('data', function(item) {
+        result.push(item.h.v);
+      }).on('end', function() {
+        cb(result);
+      });
+    }
+
+    before('should open a new db for prune tests only', function(done) {
+      // ensure a db at start
+      rimraf(ldbPath, function(err) {
+        if (err) { throw err; }
+        level(ldbPath, { keyEncoding: 'binary', valueEncoding: 'binary' }, function(err, adb) {
+          if (err) { throw err; }
+          ldb = adb;
+          done();
+        });
+      });
+    });
+
+    after('should destroy this db', function(done) {
+      rimraf(ldbPath, done);
+    });
+
+    it('should require opts to be an object', function() {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      (function() { mt.prune(); }).should.throw('opts must be an object');
+    });
+
+    it('should require cb to be a function', function() {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      (function() { mt.prune({}); }).should.throw('cb must be a function');
+    });
+
+    it('save item1 and item2 locally', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt._local.write(item1);
+      mt._local.end(item2, done);
+    });
+
+    it('should not prune the local tree if the perspective did not send anything', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.prune({ maxCount: 1 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 0);
+        localVersions(mt, function(vs) {
+          should.deepEqual(vs, ['Aaaa', 'Bbbb']);
+          done();
+        });
+      });
+    });
+
+    it('save item3 from the perspective and item4 locally', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt._local.write(item3);
+      mt._local.end(item4, done);
+    });
+
+    it('should only prune local versions older than the last version of the perspective', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.prune({ maxCount: 1 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 2);
+        localVersions(mt, function(vs) {
+          should.deepEqual(vs, ['Cccc', 'Dddd']);
+          done();
+        });
+      });
+    });
+
+    it('save item5 locally', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt._local.end(item5, done);
+    });
+
+    it('should keep the last version of the perspective if perspectives are ignored', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.prune({ maxCount: 1, perspectives: false }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 0);
+        localVersions(mt, function(vs) {
+          should.deepEqual(vs, ['Cccc', 'Dddd', 'Eeee']);
+          done();
+        });
+      });
+    });
+
+    it('should verify the local and perspective tree after pruning', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.verify(function(err, res) {
+        if (err) { throw err; }
+        var expected = {};
+        expected[mt.getLocalTree().name] = [];
+        expected[pe] = [];
+        should.deepEqual(res, expected);
+        done();
+      });
+    });
+  });
+
+  describe('expire', function() {
+    var stageName = '_stage_expire';
+    var ldb;
+    var ldbPath = tmpdir() + '/test_merge_tree_expire';
+
+    // use 24-bit version numbers (base 64)
+    var item1 = { h: { id: 'session\x01a', v: 'Aaaa', pa: [] }, b: { some: 'body' } };
+    var item2 = { h: { id: 'session\x01b', v: 'Bbbb', pa: [] }, b: { some: 'more' } };
+    var item3 = { h: { id: 'session\x01b', v: 'Cccc', pa: ['Bbbb'] }, b: { some: 'other' } };
+    var item4 = { h: { id: 'user\x01a', v: 'Dddd', pa: [] }, b: { some: 'user' } };
+    var item5 = { h: { id: 'concurrent\x01a', v: 'Eeee', pa: [] }, b: { some: 'session' } };
+
+    var rules = [{ prefix: 'user\x01', maxAge: 60000 }, { prefix: 'session\x01', maxAge: 0 }];
+
+    function localItems(mt, cb) {
+      var result = [];
+      mt.getLocalTree().insertionOrderStream().on('data', function(item) {
+        result.push(item);
+      }).on('end', function() {
+        cb(result);
+      });
+    }
+
+    before('should open a new db for expire tests only', function(done) {
+      // ensure a db at start
+      rimraf(ldbPath, function(err) {
+        if (err) { throw err; }
+        level(ldbPath, { keyEncoding: 'binary', valueEncoding: 'binary' }, function(err, adb) {
+          if (err) { throw err; }
+          ldb = adb;
+          done();
+        });
+      });
+    });
+
+    after('should destroy this db', function(done) {
+      rimraf(ldbPath, done);
+    });
+
+    it('should require opts to be an object', function() {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      (function() { mt.expire(); }).should.throw('opts must be an object');
+    });
+
+    it('should require opts.rules to be an array', function() {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      (function() { mt.expire({}, function() {}); }).should.throw('opts.rules must be an array');
+    });
+
+    it('should require rule.maxAge to be a number', function() {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      (function() { mt.expire({ rules: [{ prefix: 'a' }] }, function() {}); }).should.throw('rule.maxAge must be a number');
+    });
+
+    it('save item1, item2, item3 and item4 locally', function(done) {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      mt._local.write(item1);
+      mt._local.write(item2);
+      mt._local.write(item3);
+      mt._local.end(item4, function(err) {
+        if (err) { throw err; }
+        // ensure the versions are older than maxAge 0
+        setTimeout(done, 5);
+      });
+    });
+
+    it('should not expire ids that are changed within maxAge', function(done) {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      mt.expire({ rules: [{ maxAge: 60000 }] }, function(err, expired) {
+        if (err) { throw err; }
+        should.strictEqual(expired, 0);
+        localItems(mt, function(items) {
+          should.strictEqual(items.length, 4);
+          done();
+        });
+      });
+    });
+
+    it('should write a delete version for each expired id, using the first rule that matches', function(done) {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      mt.expire({ rules: rules }, function(err, expired) {
+        if (err) { throw err; }
+        should.strictEqual(expired, 2);
+        localItems(mt, function(items) {
+          should.strictEqual(items.length, 6);
+          should.deepEqual(items.slice(4).map(function(item) {
+            return { id: item.h.id, pa: item.h.pa, d: item.h.d };
+          }), [
+            { id: 'session\x01a', pa: ['Aaaa'], d: true },
+            { id: 'session\x01b', pa: ['Cccc'], d: true }
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should skip ids that are already deleted', function(done) {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      mt.expire({ rules: rules }, function(err, expired) {
+        if (err) { throw err; }
+        should.strictEqual(expired, 0);
+        localItems(mt, function(items) {
+          should.strictEqual(items.length, 6);
+          done();
+        });
+      });
+    });
+
+    it('should remove older versions of deleted ids if prune is true', function(done) {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      mt.expire({ rules: rules, prune: true }, function(err, expired) {
+        if (err) { throw err; }
+        should.strictEqual(expired, 0);
+        localItems(mt, function(items) {
+          should.deepEqual(items.map(function(item) {
+            return { id: item.h.id, d: item.h.d };
+          }), [
+            { id: 'user\x01a', d: undefined },
+            { id: 'session\x01a', d: true },
+            { id: 'session\x01b', d: true }
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('save item5 locally', function(done) {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      mt._local.end(item5, function(err) {
+        if (err) { throw err; }
+        // ensure the version is older than maxAge 0
+        setTimeout(done, 5);
+      });
+    });
+
+    it('should not fork an id that is written locally while it expires', function(done) {
+      var mt = new MergeTree(ldb, { stage: stageName, vSize: 3, log: silence });
+      var lws = mt.createLocalWriteStream();
+
+      async.parallel([
+        function(cb) {
+          mt.expire({ rules: [{ prefix: 'concurrent\x01', maxAge: 0 }] }, cb);
+        },
+        function(cb) {
+          lws.write({ n: { h: { id: 'concurrent\x01a' }, b: { some: 'change' } } }, cb);
+        }
+      ], function(err) {
+        if (err) { throw err; }
+        mt.getLocalTree().getHeadVersions(new Buffer('concurrent\x01a'), function(err, versions) {
+          if (err) { throw err; }
+          should.strictEqual(versions.length, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('migrateSizes', function() {
+    var pe = 'sizesRemote';
+    var stageName = '_stage_sizes';
+    var ldb;
+    var ldbPath = tmpdir() + '/test_merge_tree_sizes';
+
+    var item1 = { h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { some: 'body' } };
+    var item2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], pe: pe }, b: { some: 'more' } };
+
+    before('should open a new db for size migration tests only', function(done) {
+      rimraf(ldbPath, function(err) {
         if (err) { throw err; }
-        should.strictEqual(v, null);
-        done();
+        level(ldbPath, { keyEncoding: 'binary', valueEncoding: 'binary' }, function(err, adb) {
+          if (err) { throw err; }
+          ldb = adb;
+          done();
+        });
       });
     });
 
-    it('save item1 from pe "lastByPerspective"', function(done) {
-      var opts = { stage: stageName, vSize: 3, log: silence };
-      var mt = new MergeTree(ldb, opts);
-      mt._local.write(item1, done);
+    after('should destroy this db', function(done) {
+      rimraf(ldbPath, done);
     });
 
-    it('should return with last saved item as a number by default', function(done) {
-      var opts = { stage: stageName, vSize: 3, log: silence };
+    it('save item1 locally and item2 from the perspective', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 3, iSize: 3, log: silence };
       var mt = new MergeTree(ldb, opts);
-      mt.lastByPerspective(name, function(err, v) {
+      mt.ensureSizes(function(err) {
         if (err) { throw err; }
-        // version number Aaaa base64 is 108186
-        should.strictEqual(v, 108186);
-        done();
+        mt._local.write(item1);
+        mt._local.end(item2, function(err) {
+          if (err) { throw err; }
+          mt._pe[pe].write(item1);
+          mt._pe[pe].end(item2, done);
+        });
       });
     });
 
-    it('should return with last saved item, decoded in base64', function(done) {
-      var opts = { stage: stageName, vSize: 3, log: silence };
+    it('should err if the sizes are changed', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 6, iSize: 3, log: silence };
       var mt = new MergeTree(ldb, opts);
-      mt.lastByPerspective(name, 'base64', function(err, v) {
-        if (err) { throw err; }
-        should.strictEqual(v, 'Aaaa');
+      mt.ensureSizes(function(err) {
+        should.strictEqual(err.message, 'tree is stored with vSize 3 and iSize 3');
         done();
       });
     });
 
-    describe('stats', function() {
-      it('should return stats', function(done) {
-        var opts = { stage: stageName, vSize: 3, log: silence };
-        var mt = new MergeTree(ldb, opts);
-        mt.stats(function(err, stats) {
+    it('should rewrite all trees to the new sizes', function(done) {
+      var opts = { stage: stageName, perspectives: [pe], vSize: 6, iSize: 3, log: silence };
+      var mt = new MergeTree(ldb, opts);
+      mt.migrateSizes(function(err) {
+        if (err) { throw err; }
+        mt.ensureSizes(function(err) {
           if (err) { throw err; }
-          should.deepEqual(stats, {
-            local: { heads: { count: 1, conflict: 0, deleted: 0 } },
-            stage: { heads: { count: 0, conflict: 0, deleted: 0 } }
+          mt.lastReceivedFromRemote(pe, 'base64', function(err, v) {
+            if (err) { throw err; }
+            should.strictEqual(v, 'AAAABbbb');
+            mt.verify(function(err, res) {
+              if (err) { throw err; }
+              var expected = {};
+              expected[mt.getLocalTree().name] = [];
+              expected[pe] = [];
+              should.deepEqual(res, expected);
+              done();
+            });
           });
-          done();
         });
       });
     });
@@ -1473,6 +2684,436 @@ describe('MergeTree', function() {
     });
   });
 
+  describe('transactions', function() {
+    var ldb;
+    var ldbPath = tmpdir() + '/test_merge_tree_transactions';
+
+    // write one object to a new local write stream
+    function writeLocal(mt, obj, cb) {
+      var lws = mt.createLocalWriteStream();
+      lws.on('error', function() {});
+      lws.write(obj, cb);
+    }
+
+    function localItems(mt, cb) {
+      var result = [];
+      mt.getLocalTree().insertionOrderStream().on('data', function(item) {
+        result.push(item);
+      }).on('end', function() {
+        cb(result);
+      });
+    }
+
+    before('should open a new db for transaction tests only', function(done) {
+      // ensure a db at start
+      rimraf(ldbPath, function(err) {
+        if (err) { throw err; }
+        level(ldbPath, { keyEncoding: 'binary', valueEncoding: 'binary' }, function(err, adb) {
+          if (err) { throw err; }
+          ldb = adb;
+          done();
+        });
+      });
+    });
+
+    after('should destroy this db', function(done) {
+      rimraf(ldbPath, done);
+    });
+
+    it('should require tx to contain at least one item', function(done) {
+      var mt = new MergeTree(ldb, { vSize: 3, log: silence });
+      writeLocal(mt, { tx: [] }, function(err) {
+        should.strictEqual(err.message, 'tx must contain at least one item');
+        done();
+      });
+    });
+
+    it('should require each item to have a valid header', function(done) {
+      var mt = new MergeTree(ldb, { vSize: 3, log: silence });
+      writeLocal(mt, { tx: [{ h: { id: 'order' } }, { h: { id: null } }] }, function(err) {
+        should.strictEqual(err.message, 'item.h.id must be a buffer, a string or implement "toString"');
+        done();
+      });
+    });
+
+    it('should require each id to occur only once', function(done) {
+      var mt = new MergeTree(ldb, { vSize: 3, log: silence });
+      writeLocal(mt, { tx: [{ h: { id: 'order' } }, { h: { id: 'order' } }] }, function(err) {
+        should.strictEqual(err.message, 'tx must not contain an id more than once');
+        done();
+      });
+    });
+
+    it('should not save anything if one of the items is invalid', function(done) {
+      var mt = new MergeTree(ldb, { vSize: 3, log: silence });
+      var tx = [{ h: { id: 'order' }, b: { some: 'order' } }, { h: { id: 'invoice', pa: [] } }];
+      writeLocal(mt, { tx: tx }, function(err) {
+        should.strictEqual(err.message, 'did not expect local item to have a parent defined');
+        localItems(mt, function(items) {
+          should.strictEqual(items.length, 0);
+          done();
+        });
+      });
+    });
+
+    it('should save all items with the same transaction id', function(done) {
+      var mt = new MergeTree(ldb, { vSize: 3, log: silence });
+      var tx = [{ h: { id: 'order', v: 'Aaaa' }, b: { some: 'order' } }, { h: { id: 'invoice', v: 'Bbbb' }, b: { some: 'invoice' } }];
+      writeLocal(mt, { tx: tx }, function(err) {
+        if (err) { throw err; }
+        localItems(mt, function(items) {
+          should.strictEqual(items.length, 2);
+          var txId = items[0].h.tx;
+          should.strictEqual(typeof txId, 'string');
+          should.deepEqual(items, [
+            { h: { id: 'order', v: 'Aaaa', pa: [], i: 1, tx: txId }, b: { some: 'order' } },
+            { h: { id: 'invoice', v: 'Bbbb', pa: [], i: 2, tx: txId }, b: { some: 'invoice' } }
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should point each parent to the local head and use a new transaction id', function(done) {
+      var mt = new MergeTree(ldb, { vSize: 3, log: silence });
+      var tx = [{ h: { id: 'invoice', v: 'Cccc' }, b: { more: 'invoice' } }, { h: { id: 'order', v: 'Dddd', d: true } }];
+      writeLocal(mt, { tx: tx }, function(err) {
+        if (err) { throw err; }
+        localItems(mt, function(items) {
+          should.strictEqual(items.length, 4);
+          should.notStrictEqual(items[2].h.tx, items[0].h.tx);
+          should.strictEqual(items[2].h.tx, items[3].h.tx);
+          should.deepEqual(items.slice(2), [
+            { h: { id: 'invoice', v: 'Cccc', pa: ['Bbbb'], i: 3, tx: items[2].h.tx }, b: { more: 'invoice' } },
+            { h: { id: 'order', v: 'Dddd', pa: ['Aaaa'], i: 4, d: true, tx: items[2].h.tx } }
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should not export the transaction id', function(done) {
+      var mt = new MergeTree(ldb, { vSize: 3, log: silence });
+      var items = [];
+      mt.createReadStream().on('data', function(item) {
+        items.push(item);
+      }).on('end', function() {
+        should.strictEqual(items.length, 4);
+        items.forEach(function(item) {
+          should.strictEqual(item.h.hasOwnProperty('tx'), false);
+        });
+        done();
+      });
+    });
+  });
+
+  describe('attachments', function() {
+    var data = new Buffer('some attachment');
+
+    it('should require type to be a string', function() {
+      var mt = new MergeTree(db, { vSize: 3, log: silence });
+      (function() { mt.putAttachment(data, 1, function() {}); }).should.throw('type must be a string');
+    });
+
+    it('should store an attachment and return a reference', function(done) {
+      var mt = new MergeTree(db, { vSize: 3, log: silence });
+      mt.putAttachment(data, 'text/plain', function(err, ref) {
+        if (err) { throw err; }
+        should.deepEqual(ref, {
+          _attachment: '6de2ccb163da5f925ea9cdc1298b7c1bd6f7afbbbed41f3d52352f9efbd9db8a',
+          length: 15,
+          type: 'text/plain'
+        });
+        mt.getAttachment(ref, function(err, result) {
+          if (err) { throw err; }
+          should.strictEqual(result.toString(), 'some attachment');
+          done();
+        });
+      });
+    });
+
+    it('should not accept a local item that references a missing attachment', function(done) {
+      var mt = new MergeTree(db, { vSize: 3, log: silence });
+      var digest = new Array(65).join('f');
+      var item = { n: { h: { id: 'XA' }, b: { file: { _attachment: digest, length: 1 } } } };
+      mt.createLocalWriteStream().write(item, function(err) {
+        should.strictEqual(err.message, 'attachment not found: ' + digest);
+        done();
+      });
+    });
+  });
+
+  describe('schemas', function() {
+    var pe = 'schemas_foo';
+    var localName = '_localSchemas';
+    var stageName = '_stageSchemas';
+    var quarantineName = '_quarantineSchemas';
+
+    var schemas = [{
+      prefix: 'customers\x01',
+      schema: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' } }
+      }
+    }];
+
+    var opts = { local: localName, stage: stageName, quarantine: quarantineName, perspectives: [pe], schemas: schemas, vSize: 3, log: silence };
+
+    // use 24-bit version numbers (base 64)
+    var item1 = { h: { id: 'customers\x01a', v: 'Aaaa', pa: [] },       b: { name: 'foo' } };
+    var item2 = { h: { id: 'customers\x01a', v: 'Bbbb', pa: ['Aaaa'] }, b: { name: 1 }, m: { note: 'x' } };
+    var item3 = { h: { id: 'customers\x01a', v: 'Cccc', pa: ['Bbbb'] }, b: { name: 'bar' } };
+    var item4 = { h: { id: 'orders\x01a',    v: 'Dddd', pa: [] },       b: { name: 1 } };
+
+    function readAll(tree, cb) {
+      var items = [];
+      tree.createReadStream().on('data', function(item) {
+        items.push(item);
+      }).on('error', cb).on('end', function() {
+        cb(null, items);
+      });
+    }
+
+    it('should not accept a local item with an invalid body', function(done) {
+      var mt = new MergeTree(db, opts);
+      mt.createLocalWriteStream().write({ n: { h: { id: 'customers\x01b' }, b: { name: 1 } } }, function(err) {
+        should.strictEqual(err.message, 'item.b.name must be of type string');
+        done();
+      });
+    });
+
+    it('should not accept a local item without a required key', function(done) {
+      var mt = new MergeTree(db, opts);
+      mt.createLocalWriteStream().write({ n: { h: { id: 'customers\x01b' } } }, function(err) {
+        should.strictEqual(err.message, 'item.b.name is required');
+        done();
+      });
+    });
+
+    it('should accept local items with a valid body, of other prefixes and deletes', function(done) {
+      var mt = new MergeTree(db, opts);
+      var lws = mt.createLocalWriteStream();
+      lws.on('error', function(err) { throw err; });
+      lws.write({ n: { h: { id: 'customers\x01b' }, b: { name: 'foo' } } });
+      lws.write({ n: { h: { id: 'orders\x01b' }, b: { name: 1 } } });
+      lws.write({ n: { h: { id: 'customers\x01b', d: true } } });
+      lws.end(function() {
+        readAll(mt._local, function(err, items) {
+          if (err) { throw err; }
+          should.strictEqual(items.length, 3);
+          done();
+        });
+      });
+    });
+
+    it('should save valid remote items in the remote tree and quarantine invalid items and their descendants', function(done) {
+      var mt = new MergeTree(db, opts);
+      var s = mt.createRemoteWriteStream(pe);
+      s.on('error', function(err) { throw err; });
+      s.write(xtend(item1));
+      s.write(xtend(item2));
+      s.write(xtend(item3));
+      s.write(xtend(item4));
+      s.end(function() {
+        readAll(mt._pe[pe], function(err, items) {
+          if (err) { throw err; }
+          should.deepEqual(items.map(function(item) { return item.h.v; }), ['Aaaa', 'Dddd']);
+
+          readAll(mt.getQuarantineTree(), function(err, items) {
+            if (err) { throw err; }
+            should.deepEqual(items, [{
+              h: { id: 'customers\x01a', v: 'Bbbb', pa: ['Aaaa'], pe: pe, i: 1 },
+              b: { name: 1 },
+              m: { reason: 'b.name must be of type string', m: { note: 'x' } }
+            }, {
+              h: { id: 'customers\x01a', v: 'Cccc', pa: ['Bbbb'], pe: pe, i: 2 },
+              b: { name: 'bar' },
+              m: { reason: 'parent Bbbb is quarantined' }
+            }]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should skip remote items that are already quarantined', function(done) {
+      var mt = new MergeTree(db, opts);
+      var s = mt.createRemoteWriteStream(pe);
+      s.on('error', function(err) { throw err; });
+      s.write(xtend(item2));
+      s.end(function() {
+        readAll(mt.getQuarantineTree(), function(err, items) {
+          if (err) { throw err; }
+          should.strictEqual(items.length, 2);
+          done();
+        });
+      });
+    });
+
+    it('should not merge quarantined items', function(done) {
+      var mt = new MergeTree(db, opts);
+      var merged = [];
+      mt.startMerge({ tail: false }).on('data', function(obj) {
+        merged.push(obj.n.h.v);
+      }).on('end', function() {
+        should.deepEqual(merged, ['Aaaa', 'Dddd']);
+        done();
+      });
+    });
+  });
+
+  describe('conflict store', function() {
+    var sname = 'conflictStore_foo';
+    var localName = '_localConflictStore';
+    var stageName = '_stageConflictStore';
+
+    var litem1 = { h: { id: 'XI', v: 'Aaaa', pa: [] },        b: { name: 'a' } };
+    var litem2 = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] },  b: { name: 'b' } };
+    var litem3 = { h: { id: 'XII', v: 'Dddd', pa: [] },       b: { name: 'd' } };
+    var litem4 = { h: { id: 'XII', v: 'Eeee', pa: ['Dddd'] }, b: { name: 'e' } };
+    var litem5 = { h: { id: 'YI', v: 'Gggg', pa: [] },        b: { name: 'g' } };
+
+    var sitem1 = { h: { id: 'XI', v: 'Aaaa', pe: sname, pa: [] },        b: { name: 'a' } };
+    var sitem2 = { h: { id: 'XI', v: 'Cccc', pe: sname, pa: ['Aaaa'] },  b: { name: 'c' } };
+    var sitem3 = { h: { id: 'XII', v: 'Dddd', pe: sname, pa: [] },       b: { name: 'd' } };
+    var sitem4 = { h: { id: 'XII', v: 'Ffff', pe: sname, pa: ['Dddd'] }, b: { name: 'f' } };
+    var sitem5 = { h: { id: 'YI', v: 'Gggg', pe: sname, pa: [] },        b: { name: 'g' } };
+    var sitem6 = { h: { id: 'YI', v: 'Hhhh', pe: sname, pa: ['Gggg'] },  b: { name: 'h' } };
+
+    function mtOpts() {
+      return { local: localName, stage: stageName, perspectives: [ sname ], vSize: 3, log: silence };
+    }
+
+    it('write litem1-5 to local and sitem1-6 to remote', function(done) {
+      var mt = new MergeTree(db, mtOpts());
+      var ltree = mt.getLocalTree();
+      var stree = mt._pe[sname];
+      ltree.write(litem1);
+      ltree.write(litem2);
+      ltree.write(litem3);
+      ltree.write(litem4);
+      ltree.end(litem5, function(err) {
+        if (err) { throw err; }
+        stree.write(sitem1);
+        stree.write(sitem2);
+        stree.write(sitem3);
+        stree.write(sitem4);
+        stree.write(sitem5);
+        stree.end(sitem6, done);
+      });
+    });
+
+    it('should store conflicts and keep merging other ids', function(done) {
+      var mt = new MergeTree(db, mtOpts());
+      var conflicts = [];
+      var rs = mt.startMerge({ tail: false });
+      rs.on('data', function(obj) {
+        if (obj.c) { conflicts.push(obj); }
+      });
+      rs.pipe(mt.createLocalWriteStream()).on('finish', function() {
+        should.deepEqual(conflicts.map(function(obj) { return obj.id; }), [1, 2]);
+        mt.getLocalHead('YI', function(err, head) {
+          if (err) { throw err; }
+          should.strictEqual(head.h.v, 'Hhhh');
+          mt.getLocalHead('XI', function(err, head) {
+            if (err) { throw err; }
+            should.strictEqual(head.h.v, 'Bbbb');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should keep the conflicts after a restart', function(done) {
+      var mt = new MergeTree(db, mtOpts());
+      mt.getConflicts(function(err, conflicts) {
+        if (err) { throw err; }
+        should.strictEqual(conflicts.length, 2);
+        should.strictEqual(conflicts[0].id, 1);
+        should.strictEqual(conflicts[0].pe, sname);
+        should.deepEqual(conflicts[0].c, ['name']);
+        should.deepEqual(conflicts[0].lcas, ['Aaaa']);
+        should.deepEqual(conflicts[0].n.b, { name: 'c' });
+        should.deepEqual(conflicts[0].l.b, { name: 'b' });
+        should.strictEqual(conflicts[1].id, 2);
+        should.strictEqual(conflicts[1].n.h.v, 'Ffff');
+        should.strictEqual(conflicts[1].l.h.v, 'Eeee');
+        done();
+      });
+    });
+
+    it('should require a resolution with either b or d', function() {
+      var mt = new MergeTree(db, mtOpts());
+      (function() { mt.resolveConflict(1, {}, function() {}); }).should.throw('resolution must contain either b or d');
+    });
+
+    it('should err if the conflict is not found', function(done) {
+      var mt = new MergeTree(db, mtOpts());
+      mt.resolveConflict(3, { d: true }, function(err) {
+        should.strictEqual(err.message, 'conflict not found');
+        done();
+      });
+    });
+
+    it('should save a merge of both heads and remove the conflict', function(done) {
+      var mt = new MergeTree(db, mtOpts());
+      mt.resolveConflict(1, { b: { name: 'bc' } }, function(err, merge) {
+        if (err) { throw err; }
+        should.deepEqual(merge.h.pa, ['Bbbb', 'Cccc']);
+        mt.getLocalHead('XI', function(err, head) {
+          if (err) { throw err; }
+          should.strictEqual(head.h.v, merge.h.v);
+          should.deepEqual(head.b, { name: 'bc' });
+          mt.getLocalTree().getByVersion('Cccc', function(err, item) {
+            if (err) { throw err; }
+            should.deepEqual(item.b, { name: 'c' });
+            mt.getConflict(1, function(err, conflict) {
+              if (err) { throw err; }
+              should.strictEqual(conflict, null);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should not fork an id that is written locally while its conflict is resolved', function(done) {
+      var mt = new MergeTree(db, mtOpts());
+      var lws = mt.createLocalWriteStream();
+
+      async.parallel([
+        function(cb) {
+          mt.resolveConflict(2, { d: true }, function(err) {
+            should.strictEqual(err.message, 'local head changed since the conflict');
+            cb();
+          });
+        },
+        function(cb) {
+          lws.write({ n: { h: { id: 'XII' }, b: { name: 'h' } } }, cb);
+        }
+      ], function(err) {
+        if (err) { throw err; }
+        mt.getLocalTree().getHeadVersions(new Buffer('XII'), function(err, versions) {
+          if (err) { throw err; }
+          should.strictEqual(versions.length, 1);
+          done();
+        });
+      });
+    });
+
+    it('should err if the local head changed since the conflict', function(done) {
+      var mt = new MergeTree(db, mtOpts());
+      mt.createLocalWriteStream().write({ n: { h: { id: 'XII' }, b: { name: 'i' } } }, function(err) {
+        if (err) { throw err; }
+        mt.resolveConflict(2, { d: true }, function(err) {
+          should.strictEqual(err.message, 'local head changed since the conflict');
+          done();
+        });
+      });
+    });
+  });
+
   describe('close', function() {
     it('should close and callback', function(done) {
       var mt = new MergeTree(db, { vSize: 3, log: silence });
@@ -1871,6 +3512,38 @@ describe('MergeTree', function() {
       });
     });
 
+    it('should use an index on baz and return the same items as without index', function(done) {
+      var imt = new MergeTree(db, {
+        local: localName,
+        stage: stageName,
+        vSize: 3,
+        indexes: [{ field: 'baz' }],
+        log: silence
+      });
+
+      imt.ensureIndexes(function(err) {
+        if (err) { throw err; }
+
+        var smt = imt.createReadStream({
+          first: A.h.v,
+          filter: { baz: 'qux' }
+        });
+        var docs = [];
+
+        smt.on('data', function(doc) {
+          docs.push(doc);
+        });
+
+        smt.on('end', function() {
+          should.equal(docs.length, 3);
+          should.deepEqual(docs[0], { h: { id: 'foo', v: 'Aaaa', pa: [] }, b: { baz : 'qux' } });
+          should.deepEqual(docs[1], { h: { id: 'foo', v: 'Dddd', pa: ['Aaaa'] },  b: { baz : 'qux' } });
+          should.deepEqual(docs[2], { h: { id: 'foo', v: 'Gggg', pa: ['Aaaa'] },  b: { baz : 'qux' } });
+          done();
+        });
+      });
+    });
+
     it('should return only attrs with baz = mug and change root to C', function(done) {
       // should not find A twice for merge F
       var smt = mt.createReadStream({
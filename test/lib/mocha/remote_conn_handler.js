@@ -0,0 +1,242 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var net = require('net');
+var tmpdir = require('os').tmpdir;
+
+var bson = require('bson');
+var BSONStream = require('bson-stream');
+var LDJSONStream = require('ld-jsonstream');
+var should = require('should');
+var rimraf = require('rimraf');
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
+
+var MergeTree = require('../../../lib/merge_tree');
+var logger = require('../../../lib/logger');
+var remoteConnHandler = require('../../../lib/remote_conn_handler');
+
+var db, silence;
+var dbPath = tmpdir() + '/test_remote_conn_handler';
+var sockPath = tmpdir() + '/test_remote_conn_handler.sock';
+
+var BSON = new bson.BSONPure.BSON();
+
+// open database
+before(function(done) {
+  logger({ silence: true }, function(err, l) {
+    if (err) { throw err; }
+    silence = l;
+    // ensure a db at start
+    rimraf(dbPath, function(err) {
+      if (err) { throw err; }
+      db = level(dbPath, { keyEncoding: 'binary', valueEncoding: 'binary' });
+      done();
+    });
+  });
+});
+
+after(function(done) {
+  silence.close(function(err) {
+    if (err) { throw err; }
+    db.close(function(err) {
+      if (err) { throw err; }
+      rimraf(dbPath, done);
+    });
+  });
+});
+
+describe('remoteConnHandler', function() {
+  var data = new Buffer('some attachment');
+  var digest = crypto.createHash('sha256').update(data).digest('hex');
+
+  var server, conns;
+
+  // create a connected pair of sockets
+  function connect(cb) {
+    server = net.createServer(function(conn) {
+      conns.push(conn);
+      cb(client, conn);
+    });
+    var client;
+    rimraf(sockPath, function(err) {
+      if (err) { throw err; }
+      server.listen(sockPath, function() {
+        client = net.connect(sockPath);
+        conns.push(client);
+      });
+    });
+  }
+
+  // read the data request of the other side, the rest is pushed back
+  function readDataReq(conn, cb) {
+    var ls = new LDJSONStream({ flush: false, maxDocs: 1, maxBytes: 512 });
+    conn.pipe(ls).once('readable', function() {
+      var req = ls.read();
+      conn.unpipe(ls);
+      if (ls.buffer.length) {
+        conn.unshift(ls.buffer);
+      }
+      cb(req);
+    });
+  }
+
+  // create a merge tree with a local tree that contains one version with an attachment
+  function exporter(name, cb) {
+    var mt = new MergeTree(db, { local: '_local' + name, stage: '_stage' + name, vSize: 3, log: silence });
+    mt.putAttachment(data, 'text/plain', function(err, ref) {
+      if (err) { throw err; }
+      mt.getLocalTree().write({ h: { id: 'XA', v: 'Aaaa', pa: [] }, b: { file: ref } }, function(err) {
+        if (err) { throw err; }
+        cb(mt, ref);
+      });
+    });
+  }
+
+  // create a merge tree with one perspective, named "exporter" + name
+  function importer(name) {
+    return new MergeTree(db, { local: '_local' + name, stage: '_stage' + name, perspectives: ['exporter' + name], vSize: 3, log: silence });
+  }
+
+  beforeEach(function() {
+    conns = [];
+  });
+
+  afterEach(function(done) {
+    conns.forEach(function(conn) {
+      conn.destroy();
+    });
+    server.close(done);
+  });
+
+  it('should only send the attachments the other side is missing if both sides support attachments', function(done) {
+    exporter('A1', function(mtA, ref) {
+      var mtB = importer('B1');
+      mtB._pe.exporterB1.once('written', function(items) {
+        should.deepEqual(items[0].b, { file: ref });
+        mtB.getAttachment(ref, function(err, result) {
+          if (err) { throw err; }
+          should.strictEqual(result.toString(), 'some attachment');
+          done();
+        });
+      });
+
+      connect(function(client, conn) {
+        remoteConnHandler(conn, mtA, { name: 'importer', export: true }, true, 'A1', function(err) {
+          if (err) { throw err; }
+        });
+        remoteConnHandler(client, mtB, { name: 'exporterB1', import: true }, false, 'B1', function(err) {
+          if (err) { throw err; }
+        });
+      });
+    });
+  });
+
+  it('should send attachments inline if the other side does not signal support', function(done) {
+    exporter('A2', function(mtA) {
+      connect(function(client, conn) {
+        remoteConnHandler(conn, mtA, { name: 'importer', export: true }, true, 'A2', function(err) {
+          if (err) { throw err; }
+        });
+
+        // behave like a peer without attachment support
+        client.write(JSON.stringify({ start: true }) + '\n');
+        readDataReq(client, function(req) {
+          should.deepEqual(req, { start: false, attachments: true });
+          client.pipe(new BSONStream()).once('data', function(item) {
+            should.strictEqual(item.h.v, 'Aaaa');
+            should.strictEqual(item.b.file._attachment, digest);
+            should.strictEqual(item.b.file.data.buffer.toString(), 'some attachment');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should not signal support if attachments is false, and store inline attachments', function(done) {
+    exporter('A3', function(mtA, ref) {
+      var mtB = importer('B3');
+      mtB._pe.exporterB3.once('written', function(items) {
+        should.deepEqual(items[0].b, { file: ref });
+        mtB.getAttachment(ref, function(err, result) {
+          if (err) { throw err; }
+          should.strictEqual(result.toString(), 'some attachment');
+          done();
+        });
+      });
+
+      connect(function(client, conn) {
+        remoteConnHandler(conn, mtA, { name: 'importer', export: true }, true, 'A3', function(err) {
+          if (err) { throw err; }
+        });
+        remoteConnHandler(client, mtB, { name: 'exporterB3', import: true, attachments: false }, false, 'B3', function(err) {
+          if (err) { throw err; }
+        });
+      });
+    });
+  });
+
+  it('should close the connection if an offer is not replied to in time', function(done) {
+    exporter('A4', function(mtA) {
+      connect(function(client, conn) {
+        remoteConnHandler(conn, mtA, { name: 'importer', export: true, attachmentTimeout: 10 }, true, 'A4', function(err) {
+          if (err) { throw err; }
+        });
+
+        client.write(JSON.stringify({ start: true, attachments: true }) + '\n');
+        readDataReq(client, function() {
+          client.pipe(new BSONStream()).once('data', function(obj) {
+            should.deepEqual(obj, { offer: [digest] });
+          });
+          client.on('end', done);
+        });
+      });
+    });
+  });
+
+  it('should close the connection if an attachment exceeds the maximum size', function(done) {
+    var mtB = importer('B5');
+    connect(function(client, conn) {
+      remoteConnHandler(client, mtB, { name: 'exporterB5', import: true, maxAttachmentSize: 10 }, false, 'B5', function(err) {
+        if (err) { throw err; }
+      });
+
+      // offer an attachment of 15 bytes in chunks of 8 bytes
+      readDataReq(conn, function(req) {
+        should.deepEqual(req, { start: true, attachments: true });
+        conn.write(JSON.stringify({ start: false, attachments: true }) + '\n');
+        conn.write(BSON.serialize({ offer: [digest] }));
+        conn.pipe(new BSONStream()).once('data', function(obj) {
+          should.deepEqual(obj, { want: [digest] });
+          conn.write(BSON.serialize({ attachment: digest, data: data.slice(0, 8), more: true }));
+          conn.write(BSON.serialize({ attachment: digest, data: data.slice(8), more: false }));
+        });
+        conn.on('end', function() {
+          mtB.getAttachment(digest, function(err, result) {
+            if (err) { throw err; }
+            should.strictEqual(result, null);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
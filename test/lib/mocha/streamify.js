@@ -79,4 +79,17 @@ describe('streamify', function() {
       done();
     });
   });
+
+  it('should reopen a new stream with the current contents', function(done) {
+    var arr = ['a', 'b'];
+    var s = streamify(arr, { reverse: true });
+    arr.push('c');
+    var result = [];
+    s.reopen().on('data', function(item) {
+      result.push(item);
+    }).on('end', function() {
+      assert.deepEqual(result, ['c', 'b', 'a']);
+      done();
+    });
+  });
 });
@@ -273,4 +273,455 @@ describe('threeWayMerge', function() {
     var mergedItem = threeWayMerge(itemX, itemY, lcaA, lcaB);
     should.deepEqual(mergedItem, ['bar']);
   });
+
+  describe('deep', function() {
+    var opts = { deep: true };
+
+    it('should conflict on nested objects if not deep', function() {
+      var lca = { address: { street: 'a', zip: '1' } };
+      var itemX = { address: { street: 'b', zip: '1' } };
+      var itemY = { address: { street: 'a', zip: '2' } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca);
+      should.deepEqual(mergedItem, ['address']);
+    });
+
+    it('should merge changes to different keys of a nested object', function() {
+      var lca = { foo: 'bar', address: { street: 'a', zip: '1' } };
+      var itemX = { foo: 'bar', address: { street: 'b', zip: '1' } };
+      var itemY = { foo: 'baz', address: { street: 'a', zip: '2' } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, { foo: 'baz', address: { street: 'b', zip: '2' } });
+    });
+
+    it('should report conflicts as dotted paths', function() {
+      var lca = { address: { street: 'a', geo: { lat: 1, lng: 2 } } };
+      var itemX = { address: { street: 'b', geo: { lat: 3, lng: 2 } } };
+      var itemY = { address: { street: 'c', geo: { lat: 4, lng: 2 } } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, ['address.geo.lat', 'address.street']);
+    });
+
+    it('should merge nested objects that are added on both sides', function() {
+      var lca = {};
+      var itemX = { address: { street: 'a' } };
+      var itemY = { address: { zip: '1' } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, { address: { street: 'a', zip: '1' } });
+    });
+
+    it('should merge a nested key that is deleted on one side', function() {
+      var lca = { address: { street: 'a', zip: '1' } };
+      var itemX = { address: { street: 'a' } };
+      var itemY = { address: { street: 'b', zip: '1' } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, { address: { street: 'b' } });
+    });
+
+    it('should conflict if a nested object is deleted on one side and changed on the other', function() {
+      var lca = { address: { street: 'a' } };
+      var itemX = {};
+      var itemY = { address: { street: 'b' } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, ['address']);
+    });
+
+    it('should not descend into arrays', function() {
+      var lca = { list: [1, 2] };
+      var itemX = { list: [1, 3] };
+      var itemY = { list: [0, 2] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, ['list']);
+    });
+
+    it('should not descend into attachment references', function() {
+      var d1 = new Array(65).join('a');
+      var d2 = new Array(65).join('b');
+      var d3 = new Array(65).join('c');
+      var lca = { file: { _attachment: d1, length: 1 } };
+      var itemX = { file: { _attachment: d2, length: 1 } };
+      var itemY = { file: { _attachment: d3, length: 2 } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, ['file']);
+    });
+
+    it('should use lcaB for the nested object of itemY', function() {
+      var lcaA = { address: { street: 'a', zip: '1' } };
+      var lcaB = { address: { zip: '1' } };
+      var itemX = { address: { street: 'a', zip: '2' } };
+      var itemY = { address: { zip: '1', city: 'c' } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lcaA, lcaB, opts);
+      should.deepEqual(mergedItem, { address: { street: 'a', zip: '2', city: 'c' } });
+    });
+
+    it('should escape dots and backslashes in keys of conflict paths', function() {
+      var lca = { 'a.b': 1, c: { 'd.e': 1, 'f\\': 1 } };
+      var itemX = { 'a.b': 2, c: { 'd.e': 2, 'f\\': 2 } };
+      var itemY = { 'a.b': 3, c: { 'd.e': 3, 'f\\': 3 } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, opts);
+      should.deepEqual(mergedItem, ['c.d\\.e', 'c.f\\\\', 'a\\.b']);
+      mergedItem.map(threeWayMerge.splitPath).should.eql([['c', 'd.e'], ['c', 'f\\'], ['a.b']]);
+    });
+
+    it('should look up declarations of keys with dots by escaped path', function() {
+      var lca = { c: { 'd.e': 1 } };
+      var itemX = { c: { 'd.e': 2 } };
+      var itemY = { c: { 'd.e': 4 } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { deep: true, strategies: { 'c.d\\.e': 'max' } });
+      should.deepEqual(mergedItem, { c: { 'd.e': 4 } });
+    });
+  });
+
+  describe('escapeKey and splitPath', function() {
+    it('should round-trip keys', function() {
+      var keys = ['a', 'a.b', 'a\\b', 'a\\.b', '.', ''];
+      var path = keys.map(threeWayMerge.escapeKey).join('.');
+      should.deepEqual(threeWayMerge.splitPath(path), keys);
+    });
+  });
+
+  describe('arrays', function() {
+    it('should conflict on arrays that are changed on both sides without a strategy', function() {
+      var lca = { tags: ['a'] };
+      var itemX = { tags: ['a', 'b'] };
+      var itemY = { tags: ['a', 'c'] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { other: 'union' } });
+      should.deepEqual(mergedItem, ['tags']);
+    });
+
+    it('should take an array that is only changed on one side', function() {
+      var lca = { tags: ['a'] };
+      var itemX = { tags: ['a'] };
+      var itemY = { tags: ['c'] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { tags: 'append' } });
+      should.deepEqual(mergedItem, { tags: ['c'] });
+    });
+
+    it('should merge with union', function() {
+      var lca = { tags: ['a', 'b'] };
+      var itemX = { tags: ['a', 'b', 'c'] };
+      var itemY = { tags: ['b', 'd'] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { tags: 'union' } });
+      should.deepEqual(mergedItem, { tags: ['b', 'c', 'd'] });
+    });
+
+    it('should merge with append and put the elements of itemB first if aFirst is false', function() {
+      var lca = { log: [1] };
+      var itemX = { log: [1, 2] };
+      var itemY = { log: [1, 3] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { log: 'append' }, aFirst: false });
+      should.deepEqual(mergedItem, { log: [1, 3, 2] });
+    });
+
+    it('should conflict with append if an existing element is changed', function() {
+      var lca = { log: [1] };
+      var itemX = { log: [0, 2] };
+      var itemY = { log: [1, 3] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { log: 'append' } });
+      should.deepEqual(mergedItem, ['log']);
+    });
+
+    it('should merge with sequence', function() {
+      var lca = { lines: ['a', 'b', 'c'] };
+      var itemX = { lines: ['x', 'b', 'c'] };
+      var itemY = { lines: ['a', 'b', 'y'] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { lines: 'sequence' } });
+      should.deepEqual(mergedItem, { lines: ['x', 'b', 'y'] });
+    });
+
+    it('should merge arrays that are created on both sides', function() {
+      var lca = {};
+      var itemX = { tags: ['a'] };
+      var itemY = { tags: ['b'] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { tags: 'union' } });
+      should.deepEqual(mergedItem, { tags: ['a', 'b'] });
+    });
+
+    it('should merge other attributes next to a merged array', function() {
+      var lca = { tags: ['a'], foo: 'bar' };
+      var itemX = { tags: ['a', 'b'], foo: 'baz' };
+      var itemY = { tags: ['a', 'c'], foo: 'bar', qux: 'quux' };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { tags: 'union' } });
+      should.deepEqual(mergedItem, { tags: ['a', 'b', 'c'], foo: 'baz', qux: 'quux' });
+    });
+
+    it('should use the dotted path of arrays in nested objects if deep', function() {
+      var lca = { doc: { tags: ['a'] } };
+      var itemX = { doc: { tags: ['a', 'b'] } };
+      var itemY = { doc: { tags: ['a', 'c'] } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { deep: true, arrays: { 'doc.tags': 'union' } });
+      should.deepEqual(mergedItem, { doc: { tags: ['a', 'b', 'c'] } });
+    });
+
+    it('should report the dotted path of conflicting arrays in nested objects', function() {
+      var lca = { doc: { lines: ['a'] } };
+      var itemX = { doc: { lines: ['b'] } };
+      var itemY = { doc: { lines: ['c'] } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { deep: true, arrays: { 'doc.lines': 'sequence' } });
+      should.deepEqual(mergedItem, ['doc.lines']);
+    });
+  });
+
+  describe('resolve', function() {
+    it('should take the value of itemA or itemB for resolved conflicts', function() {
+      var lca = { foo: 'bar', baz: 'qux', x: 1 };
+      var itemX = { foo: 'a', baz: 'a', x: 1 };
+      var itemY = { foo: 'b', baz: 'b', x: 2 };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, {
+        resolve: function(path) {
+          return path === 'foo' ? 'a' : 'b';
+        }
+      });
+      should.deepEqual(mergedItem, { foo: 'a', baz: 'b', x: 2 });
+    });
+
+    it('should remove a key if the winning side deleted it', function() {
+      var lca = { foo: 'bar' };
+      var itemX = { foo: 'a' };
+      var itemY = {};
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { resolve: function() { return 'b'; } });
+      should.deepEqual(mergedItem, {});
+    });
+
+    it('should keep conflicts that are not resolved', function() {
+      var lca = { foo: 'bar', baz: 'qux' };
+      var itemX = { foo: 'a', baz: 'a' };
+      var itemY = { foo: 'b', baz: 'b' };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, {
+        resolve: function(path) {
+          if (path === 'foo') { return 'a'; }
+        }
+      });
+      should.deepEqual(mergedItem, ['baz']);
+    });
+
+    it('should be called with dotted paths if deep', function() {
+      var lca = { address: { street: 'a', zip: '1' } };
+      var itemX = { address: { street: 'b', zip: '2' } };
+      var itemY = { address: { street: 'c', zip: '1' } };
+
+      var paths = [];
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, {
+        deep: true,
+        resolve: function(path) {
+          paths.push(path);
+          return 'b';
+        }
+      });
+      should.deepEqual(paths, ['address.street']);
+      should.deepEqual(mergedItem, { address: { street: 'c', zip: '2' } });
+    });
+
+    it('should resolve conflicting arrays', function() {
+      var lca = { lines: ['a'] };
+      var itemX = { lines: ['b'] };
+      var itemY = { lines: ['c'] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { arrays: { lines: 'sequence' }, resolve: function() { return 'a'; } });
+      should.deepEqual(mergedItem, { lines: ['b'] });
+    });
+  });
+
+  describe('types', function() {
+    it('should merge counters that are changed on both sides', function() {
+      var lca = { stock: 10, name: 'a' };
+      var itemX = { stock: 8, name: 'a' };
+      var itemY = { stock: 13, name: 'b' };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { types: { stock: 'counter' } });
+      should.deepEqual(mergedItem, { stock: 11, name: 'b' });
+    });
+
+    it('should merge counters that are incremented equally on both sides', function() {
+      var lca = { views: 1 };
+      var itemX = { views: 2 };
+      var itemY = { views: 2 };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { types: { views: 'counter' } });
+      should.deepEqual(mergedItem, { views: 3 });
+    });
+
+    it('should take a typed field that is only changed on one side', function() {
+      var lca = { views: 1 };
+      var itemX = { views: 1 };
+      var itemY = { views: 4 };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { types: { views: 'counter' } });
+      should.deepEqual(mergedItem, { views: 4 });
+    });
+
+    it('should merge typed fields that are created on both sides', function() {
+      var lca = {};
+      var itemX = { views: 1, tags: ['a'] };
+      var itemY = { views: 2, tags: ['b'] };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { types: { views: 'counter', tags: 'orset' } });
+      should.deepEqual(mergedItem, { views: 3, tags: ['a', 'b'] });
+    });
+
+    it('should conflict if a typed field is removed on one side', function() {
+      var lca = { views: 1 };
+      var itemX = {};
+      var itemY = { views: 2 };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { types: { views: 'counter' } });
+      should.deepEqual(mergedItem, ['views']);
+    });
+
+    it('should conflict if a value does not match the type', function() {
+      var lca = { views: 1 };
+      var itemX = { views: 'many' };
+      var itemY = { views: 2 };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { types: { views: 'counter' } });
+      should.deepEqual(mergedItem, ['views']);
+    });
+
+    it('should merge lww and max registers', function() {
+      var lca = { status: 'new', seen: 1 };
+      var itemX = { status: 'paid', seen: 5 };
+      var itemY = { status: 'sent', seen: 3 };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { types: { status: 'lww', seen: 'max' }, aFirst: false });
+      should.deepEqual(mergedItem, { status: 'paid', seen: 5 });
+    });
+
+    it('should use the dotted path of typed fields in nested objects if deep', function() {
+      var lca = { item: { stock: 5 } };
+      var itemX = { item: { stock: 4 } };
+      var itemY = { item: { stock: 7 } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { deep: true, types: { 'item.stock': 'counter' } });
+      should.deepEqual(mergedItem, { item: { stock: 6 } });
+    });
+  });
+
+  describe('strategies', function() {
+    it('should merge fields that are changed on both sides with their strategy', function() {
+      var lca = { updatedAt: 1, status: 'new', name: 'a' };
+      var itemX = { updatedAt: 3, status: 'open', name: 'a' };
+      var itemY = { updatedAt: 2, status: 'closed', name: 'b' };
+
+      var strategies = { updatedAt: 'max', status: { strategy: 'priority', order: ['closed', 'open', 'new'] } };
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { strategies: strategies });
+      should.deepEqual(mergedItem, { updatedAt: 3, status: 'closed', name: 'b' });
+    });
+
+    it('should take a field with a strategy that is only changed on one side', function() {
+      var lca = { updatedAt: 5 };
+      var itemX = { updatedAt: 5 };
+      var itemY = { updatedAt: 2 };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { strategies: { updatedAt: 'max' } });
+      should.deepEqual(mergedItem, { updatedAt: 2 });
+    });
+
+    it('should conflict if the strategy does not merge the values', function() {
+      var lca = { status: 'new' };
+      var itemX = { status: 'open' };
+      var itemY = { status: 'archived' };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { strategies: { status: { strategy: 'priority', order: ['closed', 'open', 'new'] } } });
+      should.deepEqual(mergedItem, ['status']);
+    });
+
+    it('should call a function with the value of the first version first', function() {
+      var lca = { notes: 'a' };
+      var itemX = { notes: 'ab' };
+      var itemY = { notes: 'ac' };
+
+      function concat(a, b, base) {
+        return base + a.slice(base.length) + b.slice(base.length);
+      }
+
+      should.deepEqual(threeWayMerge(itemX, itemY, lca, null, { strategies: { notes: concat } }), { notes: 'abc' });
+      should.deepEqual(threeWayMerge(itemX, itemY, lca, null, { strategies: { notes: concat }, aFirst: false }), { notes: 'acb' });
+    });
+
+    it('should not resolve conflicts of manual fields', function() {
+      var lca = { notes: 'a', name: 'a' };
+      var itemX = { notes: 'b', name: 'b' };
+      var itemY = { notes: 'c', name: 'c' };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { strategies: { notes: 'manual' }, resolve: function() { return 'a'; } });
+      should.deepEqual(mergedItem, ['notes']);
+    });
+
+    it('should not descend into nested objects with the manual strategy if deep', function() {
+      var lca = { address: { street: 'a', zip: '1' } };
+      var itemX = { address: { street: 'b', zip: '1' } };
+      var itemY = { address: { street: 'a', zip: '2' } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { deep: true, strategies: { address: 'manual' } });
+      should.deepEqual(mergedItem, ['address']);
+    });
+
+    it('should merge strings with the lines strategy per line', function() {
+      var lca = { notes: 'a\nb\nc\n' };
+      var itemX = { notes: 'A\nb\nc\n' };
+      var itemY = { notes: 'a\nb\nC\n' };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { strategies: { notes: 'lines' } });
+      should.deepEqual(mergedItem, { notes: 'A\nb\nC\n' });
+    });
+
+    it('should return the hunks of conflicting text fields by path', function() {
+      var lca = { notes: 'a b c', meta: { text: 'x' } };
+      var itemX = { notes: 'a B c', meta: { text: 'y' } };
+      var itemY = { notes: 'a D c', meta: { text: 'z' } };
+
+      var strategies = { notes: 'words', 'meta.text': 'lines' };
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { deep: true, strategies: strategies });
+      should.deepEqual(mergedItem.slice(), ['meta.text', 'notes']);
+      should.deepEqual(mergedItem.hunks, {
+        notes: [{ ok: 'a ' }, { conflict: { o: 'b', a: 'B', b: 'D' } }, { ok: ' c' }],
+        'meta.text': [{ conflict: { o: 'x', a: 'y', b: 'z' } }]
+      });
+    });
+
+    it('should not return the hunks of resolved text fields', function() {
+      var lca = { notes: 'a', name: 'a' };
+      var itemX = { notes: 'b', name: 'b' };
+      var itemY = { notes: 'c', name: 'c' };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, {
+        strategies: { notes: 'lines', name: 'manual' },
+        resolve: function(key) { return key === 'notes' ? 'a' : undefined; }
+      });
+      should.deepEqual(mergedItem, ['name']);
+      should.strictEqual(mergedItem.hunks, undefined);
+    });
+
+    it('should use the dotted path of fields with a strategy in nested objects if deep', function() {
+      var lca = { meta: { updatedAt: 1 } };
+      var itemX = { meta: { updatedAt: 2 } };
+      var itemY = { meta: { updatedAt: 3 } };
+
+      var mergedItem = threeWayMerge(itemX, itemY, lca, null, { deep: true, strategies: { 'meta.updatedAt': 'max' } });
+      should.deepEqual(mergedItem, { meta: { updatedAt: 3 } });
+    });
+  });
 });
@@ -19,11 +19,13 @@
 'use strict';
 
 var tmpdir = require('os').tmpdir;
+var crypto = require('crypto');
 
 var should = require('should');
 var rimraf = require('rimraf');
 var async = require('async');
-var level = require('level-packager')(require('leveldown'));
+var xtend = require('xtend');
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
 var bson = require('bson');
 var BSON = new bson.BSONPure.BSON();
 
@@ -307,11 +309,11 @@ describe('Tree', function() {
     });
 
     it('should require type to be >= 0x01', function() {
-      (function() { p = Tree.getPrefixWithType('', 0x00); }).should.throw('type must be in the subkey range of 0x01 to 0x05');
+      (function() { p = Tree.getPrefixWithType('', 0x00); }).should.throw('type must be in the subkey range of 0x01 to 0x0a');
     });
 
-    it('should require type to be <= 0x05', function() {
-      (function() { p = Tree.getPrefixWithType('', 0x06); }).should.throw('type must be in the subkey range of 0x01 to 0x05');
+    it('should require type to be <= 0x0a', function() {
+      (function() { p = Tree.getPrefixWithType('', 0x0b); }).should.throw('type must be in the subkey range of 0x01 to 0x0a');
     });
 
     it('should return the right prefix with an empty name', function() {
@@ -335,8 +337,8 @@ describe('Tree', function() {
       (function() { Tree.parseKey(b); }).should.throw('key is of an unknown type');
     });
 
-    it('should require subkey to be <= 0x05', function() {
-      var b = new Buffer('00000600', 'hex');
+    it('should require subkey to be <= 0x0a', function() {
+      var b = new Buffer('00000b00', 'hex');
       (function() { Tree.parseKey(b); }).should.throw('key is of an unknown type');
     });
 
@@ -811,6 +813,126 @@ describe('Tree', function() {
       });
     });
 
+    describe('tkey', function() {
+      it('should err if i length is zero', function() {
+        var b = new Buffer('00000600', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('i must be at least one byte');
+      });
+
+      it('should err if i is bigger than specified length', function() {
+        var b = new Buffer('000006010000', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('expected no bytes after i');
+      });
+
+      it('name 3, i 3', function() {
+        var b = new Buffer('03235760000603235761', 'hex');
+        var obj = Tree.parseKey(b);
+        should.deepEqual(obj, {
+          name: new Buffer([35, 87, 96]),
+          type: 0x06,
+          i: 0x235761
+        });
+      });
+    });
+
+    describe('xkey', function() {
+      it('should err if field length is zero', function() {
+        var b = new Buffer('00000700', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('field must be at least one byte');
+      });
+
+      it('should err if value is of an unknown type', function() {
+        var b = new Buffer('0000070161000701', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('value is of an unknown type');
+      });
+
+      it('should err if i is bigger than specified length', function() {
+        var b = new Buffer('00000701610001010000', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('expected no bytes after i');
+      });
+
+      it('name 0, field "a", value null, i 1', function() {
+        var b = new Buffer('000007016100010101', 'hex');
+        var obj = Tree.parseKey(b);
+        should.deepEqual(obj, {
+          name: new Buffer([]),
+          type: 0x07,
+          field: 'a',
+          value: null,
+          i: 1
+        });
+      });
+
+      it('should decode a string value', function() {
+        var t = new Tree(db, 'xkey', { log: silence });
+        var obj = Tree.parseKey(t._composeXKey('a.b', Tree._composeXVal('foo'), 3));
+        should.strictEqual(obj.field, 'a.b');
+        should.strictEqual(obj.value, 'foo');
+        should.strictEqual(obj.i, 3);
+      });
+
+      it('should decode number and date values', function() {
+        var t = new Tree(db, 'xkey', { log: silence });
+        [-Infinity, -2.5, -1, 0, 1, 2.5, 1e300].forEach(function(num) {
+          should.strictEqual(Tree.parseKey(t._composeXKey('a', Tree._composeXVal(num), 1)).value, num);
+        });
+        var date = new Date();
+        should.strictEqual(Tree.parseKey(t._composeXKey('a', Tree._composeXVal(date), 1)).value.getTime(), date.getTime());
+      });
+    });
+
+    describe('mkey', function() {
+      it('should err if the meta key is empty', function() {
+        var b = new Buffer('000008', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('meta key must be at least one byte');
+      });
+
+      it('name 0, meta "vSize"', function() {
+        var b = Buffer.concat([new Buffer('000008', 'hex'), new Buffer('vSize')]);
+        var obj = Tree.parseKey(b);
+        should.deepEqual(obj, {
+          name: new Buffer([]),
+          type: 0x08,
+          meta: 'vSize'
+        });
+      });
+    });
+
+    describe('akey', function() {
+      it('should err if the digest is not 32 bytes', function() {
+        var b = new Buffer('00000901020304', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('digest must be 32 bytes');
+      });
+
+      it('name 0, digest', function() {
+        var digest = crypto.createHash('sha256').update('foo').digest();
+        var b = Buffer.concat([new Buffer('000009', 'hex'), digest]);
+        var obj = Tree.parseKey(b);
+        should.deepEqual(obj, {
+          name: new Buffer([]),
+          type: 0x09,
+          digest: digest.toString('hex')
+        });
+      });
+    });
+
+    describe('ckey', function() {
+      it('should err if id is missing', function() {
+        var b = new Buffer('00000a00', 'hex');
+        (function() { Tree.parseKey(b); }).should.throw('i must be at least one byte');
+      });
+
+      it('name 0, id 6 bytes', function() {
+        var b = new Buffer('00000a06000000000102', 'hex');
+        var obj = Tree.parseKey(b);
+        should.deepEqual(obj, {
+          name: new Buffer([]),
+          type: 0x0a,
+          i: 258
+        });
+      });
+    });
+
     it('should decode v to "hex" string', function() {
       var b = new Buffer('00000403235761', 'hex');
       var obj = Tree.parseKey(b, { decodeV: 'hex' });
@@ -1590,6 +1712,173 @@ describe('Tree', function() {
     });
   });
 
+  describe('createSnapshotReadStream', function() {
+    var name = 'createSnapshotReadStream';
+
+    // A <- B <- C, B <- D, E <- F (delete)
+    var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { some: 'body' } };
+    var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { some: 'more' } };
+    var itemE = { h: { id: 'XII', v: 'Eeee', pa: [] }, b: { some: 'other' } };
+    var itemC = { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'] }, b: { some: 'fork' } };
+    var itemD = { h: { id: 'XI', v: 'Dddd', pa: ['Bbbb'] }, b: { some: 'knife' } };
+    var itemF = { h: { id: 'XII', v: 'Ffff', pa: ['Eeee'], d: true } };
+
+    function snapshot(t, opts, cb) {
+      var result = [];
+      t.createSnapshotReadStream(opts).on('data', function(item) {
+        result.push(item.h.v);
+      }).on('error', cb).on('end', function() {
+        cb(null, result);
+      });
+    }
+
+    it('should require opts to be an object', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.createSnapshotReadStream(); }).should.throw('opts must be an object');
+    });
+
+    it('should require opts.at to be a base64 string, a number or a date', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.createSnapshotReadStream({ at: {} }); }).should.throw('opts.at must be a base64 string, a number or a date');
+    });
+
+    it('should require opts.at to be the same size as vSize', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.createSnapshotReadStream({ at: 'Aaaaaaaa' }); }).should.throw('opts.at must be the same size as the configured vSize');
+    });
+
+    it('should not emit anything if the tree is empty', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: new Date() }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, []);
+        done();
+      });
+    });
+
+    it('needs itemA, itemB, itemE, itemC, itemD and itemF', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.write(itemA);
+      t.write(itemB);
+      t.write(itemE);
+      t.write(itemC);
+      t.write(itemD);
+      t.end(itemF, done);
+    });
+
+    it('should not emit anything before the first version', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 0 }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, []);
+        done();
+      });
+    });
+
+    it('should emit the head at i 2', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 2 }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, ['Bbbb']);
+        done();
+      });
+    });
+
+    it('should emit the heads of each id at version E', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 'Eeee' }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, ['Bbbb', 'Eeee']);
+        done();
+      });
+    });
+
+    it('should emit multiple heads of one id', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 'Dddd' }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, ['Cccc', 'Dddd', 'Eeee']);
+        done();
+      });
+    });
+
+    it('should emit deletes', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 6 }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, ['Cccc', 'Dddd', 'Ffff']);
+        done();
+      });
+    });
+
+    it('should skip deletes if skipDeletes is true', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 6, skipDeletes: true }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, ['Cccc', 'Dddd']);
+        done();
+      });
+    });
+
+    it('should emit the current heads at the current time', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: new Date() }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, ['Cccc', 'Dddd', 'Ffff']);
+        done();
+      });
+    });
+
+    it('should not emit anything before the first version was inserted', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: new Date(0) }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, []);
+        done();
+      });
+    });
+
+    it('should emit complete items', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var items = [];
+      t.createSnapshotReadStream({ at: 2 }).on('data', function(item) {
+        items.push(item);
+      }).on('end', function() {
+        should.deepEqual(items, [{ h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], i: 2 }, b: { some: 'more' } }]);
+        done();
+      });
+    });
+
+    it('should emit an error if the version is not found', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 'Xxxx' }, function(err) {
+        should.strictEqual(err.message, 'version not found');
+        done();
+      });
+    });
+
+    it('should emit an error if a head at the snapshot might be pruned', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.prune({ maxCount: 1 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 3);
+        snapshot(t, { at: 2 }, function(err) {
+          should.strictEqual(err.message, 'snapshot is pruned');
+          done();
+        });
+      });
+    });
+
+    it('should emit the heads after the pruned versions', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      snapshot(t, { at: 6 }, function(err, vs) {
+        if (err) { throw err; }
+        should.deepEqual(vs, ['Cccc', 'Dddd', 'Ffff']);
+        done();
+      });
+    });
+  });
+
   describe('getByVersion', function() {
     var name = 'getByVersion';
 
@@ -2187,6 +2476,128 @@ describe('Tree', function() {
     });
   });
 
+  describe('tail', function() {
+    var name = 'tail';
+
+    // create a chain of n items with versions starting at offset
+    function chain(offset, n) {
+      var items = [];
+      for (var j = offset; j < offset + n; j++) {
+        items.push({ h: { id: 'XI', v: new Buffer([1, 0, j]).toString('base64'), pa: j > 1 ? [new Buffer([1, 0, j - 1]).toString('base64')] : [] }, b: { j: j } });
+      }
+      return items;
+    }
+
+    it('should emit written with the new items after they are committed', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var item = chain(1, 1)[0];
+      t.once('written', function(items) {
+        should.strictEqual(items.length, 1);
+        should.strictEqual(items[0].h.v, item.h.v);
+        should.strictEqual(items[0].h.i, 1);
+        t.getByVersion(item.h.v, function(err, found) {
+          if (err) { throw err; }
+          should.strictEqual(found.h.i, 1);
+          done();
+        });
+      });
+      t.write(item);
+    });
+
+    it('should read a new item as soon as it is written', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var s = t.createReadStream({ tail: true });
+      var item = chain(2, 1)[0];
+      var i = 0;
+      var start;
+
+      s.on('data', function(obj) {
+        i++;
+        if (i === 1) {
+          // wait until the reader is idle
+          setTimeout(function() {
+            start = Date.now();
+            t.write(item);
+          }, 20);
+        } else {
+          should.strictEqual(obj.h.v, item.h.v);
+          should.ok(Date.now() - start < 200);
+          s.end();
+        }
+      });
+
+      s.on('end', function() {
+        should.strictEqual(i, 2);
+        done();
+      });
+    });
+
+    it('should not miss or duplicate items written while reading', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var s = t.createReadStream({ tail: true, first: chain(2, 1)[0].h.v, excludeFirst: true });
+      var items = chain(3, 50);
+      var versions = [];
+
+      s.on('data', function(obj) {
+        versions.push(obj.h.v);
+        if (versions.length === items.length) {
+          // give any duplicates a chance to show up
+          setTimeout(function() { s.end(); }, 20);
+        }
+      });
+
+      s.on('end', function() {
+        should.deepEqual(versions, items.map(function(item) { return item.h.v; }));
+        done();
+      });
+
+      // write in separate batches
+      async.eachSeries(items, function(item, cb) {
+        t.write(item, function(err) {
+          if (err) { cb(err); return; }
+          setImmediate(cb);
+        });
+      }, function(err) {
+        if (err) { throw err; }
+      });
+    });
+
+    it('should wait for an unknown first version to be written', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var items = chain(53, 2);
+      var s = t.createReadStream({ tail: true, first: items[0].h.v });
+      var versions = [];
+
+      s.on('data', function(obj) {
+        versions.push(obj.h.v);
+        if (versions.length === 2) {
+          s.end();
+        }
+      });
+
+      s.on('end', function() {
+        should.deepEqual(versions, [items[0].h.v, items[1].h.v]);
+        done();
+      });
+
+      setTimeout(function() {
+        t.write(items[0]);
+        t.write(items[1]);
+      }, 20);
+    });
+
+    it('should stop listening for new items after end', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var s = t.createReadStream({ tail: true, first: chain(54, 1)[0].h.v, excludeFirst: true });
+      should.strictEqual(t.listeners('written').length, 1);
+      s.on('finish', function() {
+        should.strictEqual(t.listeners('written').length, 0);
+        done();
+      });
+      s.end();
+    });
+  });
+
   describe('lastVersion', function() {
     var name = 'lastVersion';
 
@@ -2412,6 +2823,1336 @@ describe('Tree', function() {
     });
   });
 
+  describe('prune', function() {
+    var name = 'prune';
+
+    // A <- B <- C <- D, A <- E
+    var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [] } };
+    var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] } };
+    var itemC = { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'] } };
+    var itemD = { h: { id: 'XI', v: 'Dddd', pa: ['Cccc'] } };
+    var itemE = { h: { id: 'XII', v: 'Eeee', pa: [] } };
+
+    function versions(t, cb) {
+      var result = [];
+      t.insertionOrderStream().on('data', function(item) {
+        result.push(item.h.v);
+      }).on('end', function() {
+        cb(result);
+      });
+    }
+
+    it('should require opts to be an object', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.prune(function() {}); }).should.throw('opts must be an object');
+    });
+
+    it('should require cb to be a function', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.prune({ maxCount: 1 }); }).should.throw('cb must be a function');
+    });
+
+    it('should require opts.horizon to be an array', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.prune({ horizon: 'Aaaa' }, function() {}); }).should.throw('opts.horizon must be an array');
+    });
+
+    it('should require at least one horizon', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.prune({}, function() {}); }).should.throw('opts must contain maxAge, maxCount or horizon');
+    });
+
+    it('should require opts.keepLast to be an array', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.prune({ maxCount: 1, keepLast: 'remote' }, function() {}); }).should.throw('opts.keepLast must be an array');
+    });
+
+    it('needs itemA, itemB, itemC, itemD and itemE', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.write(itemA);
+      t.write(itemB);
+      t.write(itemC);
+      t.write(itemD);
+      t.end(itemE, done);
+    });
+
+    it('should create a time index for each version', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var i = 0;
+      var r = t.getTKeyRange();
+      db.createReadStream({ gt: r.s, lt: r.e }).on('data', function(obj) {
+        i++;
+        should.strictEqual(Tree.parseKey(obj.key).i, i);
+        should.ok(Tree.parseTVal(obj.value) <= Date.now());
+      }).on('end', function() {
+        should.strictEqual(i, 5);
+        done();
+      });
+    });
+
+    it('should not remove anything if nothing is older than maxAge', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.prune({ maxAge: 60 * 1000 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 0);
+        versions(t, function(vs) {
+          should.deepEqual(vs, ['Aaaa', 'Bbbb', 'Cccc', 'Dddd', 'Eeee']);
+          done();
+        });
+      });
+    });
+
+    it('should not have a last pruned i', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.lastPruned(function(err, i) {
+        if (err) { throw err; }
+        should.strictEqual(i, null);
+        done();
+      });
+    });
+
+    it('should only remove versions of opts.id', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.prune({ id: 'XII', maxCount: 0 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 0);
+        versions(t, function(vs) {
+          should.deepEqual(vs, ['Aaaa', 'Bbbb', 'Cccc', 'Dddd', 'Eeee']);
+          done();
+        });
+      });
+    });
+
+    it('should only remove versions older than the horizon', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.prune({ horizon: ['Bbbb'] }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 1);
+        versions(t, function(vs) {
+          should.deepEqual(vs, ['Bbbb', 'Cccc', 'Dddd', 'Eeee']);
+          done();
+        });
+      });
+    });
+
+    it('should keep maxCount versions per id and never remove heads', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.prune({ maxCount: 1 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 2);
+        versions(t, function(vs) {
+          should.deepEqual(vs, ['Dddd', 'Eeee']);
+          done();
+        });
+      });
+    });
+
+    it('should have removed the version index of pruned versions', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.getByVersion('Cccc', function(err, item) {
+        if (err) { throw err; }
+        should.strictEqual(item, null);
+        done();
+      });
+    });
+
+    it('should have recorded the last pruned i', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.lastPruned(function(err, i) {
+        if (err) { throw err; }
+        should.strictEqual(i, 3);
+        done();
+      });
+    });
+
+    it('should keep the heads', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var heads = [];
+      t.getHeads(function(head, next) {
+        heads.push(head.h.v);
+        next();
+      }, function(err) {
+        if (err) { throw err; }
+        should.deepEqual(heads, ['Dddd', 'Eeee']);
+        done();
+      });
+    });
+
+    it('should not report missing parents of pruned versions', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.verify(function(err, problems) {
+        if (err) { throw err; }
+        should.deepEqual(problems, []);
+        done();
+      });
+    });
+
+    it('should only have recorded the i of removed parents of remaining versions', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var usKey = t._composePrunedParentKey('Cccc');
+      db.get(usKey, function(err, value) {
+        if (err) { throw err; }
+        should.strictEqual(Tree.parseKey(t._decodeUsVal(usKey, value)).i, 3);
+        db.get(t._composePrunedParentKey('Aaaa'), function(err) {
+          should.strictEqual(err.notFound, true);
+          db.get(t._composePrunedParentKey('Bbbb'), function(err) {
+            should.strictEqual(err.notFound, true);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should report missing parents that are not pruned', function(done) {
+      var t = new Tree(db, name, { skipValidation: true, vSize: 3, log: silence });
+      t.end({ h: { id: 'XII', v: 'Gggg', pa: ['Eeee', 'Ffff'] } }, function(err) {
+        if (err) { throw err; }
+        t.verify(function(err, problems) {
+          if (err) { throw err; }
+          should.deepEqual(problems, [
+            { type: 'missing parent', id: 'XII', v: 'Gggg', i: 6, pa: 'Ffff' }
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should report missing parents that are recorded above the last pruned i', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var usKey = t._composePrunedParentKey('Ffff');
+      db.put(usKey, t._encodeUsVal(usKey, t._composeIKey(5)), function(err) {
+        if (err) { throw err; }
+        t.verify(function(err, problems) {
+          if (err) { throw err; }
+          should.deepEqual(problems, [
+            { type: 'missing parent', id: 'XII', v: 'Gggg', i: 6, pa: 'Ffff' }
+          ]);
+          done();
+        });
+      });
+    });
+
+    describe('keepLast', function() {
+      var name = 'pruneKeepLast';
+
+      // A <- B (remote) <- C <- D, X <- Y (other)
+      var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [] } };
+      var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], pe: 'remote' } };
+      var itemC = { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'] } };
+      var itemD = { h: { id: 'XI', v: 'Dddd', pa: ['Cccc'] } };
+      var itemX = { h: { id: 'XII', v: 'Xxxx', pa: [] } };
+      var itemY = { h: { id: 'XII', v: 'Yyyy', pa: ['Xxxx'], pe: 'other' } };
+
+      it('needs itemA, itemB, itemC, itemD, itemX and itemY', function(done) {
+        var t = new Tree(db, name, { vSize: 3, log: silence });
+        t.write(itemA);
+        t.write(itemB);
+        t.write(itemC);
+        t.write(itemD);
+        t.write(itemX);
+        t.end(itemY, done);
+      });
+
+      it('should keep the last version of each perspective in keepLast and all newer versions of that id', function(done) {
+        var t = new Tree(db, name, { vSize: 3, log: silence });
+        t.prune({ maxCount: 1, keepLast: ['remote'] }, function(err, pruned) {
+          if (err) { throw err; }
+          should.strictEqual(pruned, 2);
+          versions(t, function(vs) {
+            should.deepEqual(vs, ['Bbbb', 'Cccc', 'Dddd', 'Yyyy']);
+            t.verify(function(err, problems) {
+              if (err) { throw err; }
+              should.deepEqual(problems, []);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('verify', function() {
+    var name = 'verify';
+
+    // A <- B, C
+    var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [] } };
+    var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] } };
+    var itemC = { h: { id: 'XII', v: 'Cccc', pa: [] } };
+
+    it('should require cb to be a function', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.verify({}); }).should.throw('cb must be a function');
+    });
+
+    it('should require opts.repair to be a boolean', function() {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      (function() { t.verify({ repair: 1 }, function() {}); }).should.throw('opts.repair must be a boolean');
+    });
+
+    it('needs itemA, itemB and itemC', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.write(itemA);
+      t.write(itemB);
+      t.end(itemC, done);
+    });
+
+    it('should not report any problems', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.verify(function(err, problems) {
+        if (err) { throw err; }
+        should.deepEqual(problems, []);
+        done();
+      });
+    });
+
+    it('should damage the indexes', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      db.batch([
+        { type: 'del', key: t._composeVKey('Bbbb') },
+        { type: 'del', key: t._composeHeadKey('XI', 'Bbbb') },
+        { type: 'put', key: t._composeHeadKey('XI', 'Aaaa'), value: t._composeHeadVal({ h: { i: 1 } }) },
+        { type: 'put', key: t._composeIKey(4), value: t._composeHeadKey('XII', 'Dddd') }
+      ], done);
+    });
+
+    it('should report the damaged indexes', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.verify(function(err, problems) {
+        if (err) { throw err; }
+        should.deepEqual(problems, [
+          { type: 'missing vkey', v: 'Bbbb' },
+          { type: 'orphaned headkey', id: 'XI', v: 'Aaaa' },
+          { type: 'missing headkey', id: 'XI', v: 'Bbbb' },
+          { type: 'orphaned ikey', i: 4 }
+        ]);
+        done();
+      });
+    });
+
+    it('should repair the damaged indexes', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.verify({ repair: true }, function(err, problems) {
+        if (err) { throw err; }
+        should.strictEqual(problems.length, 4);
+        problems.forEach(function(problem) {
+          should.strictEqual(problem.repaired, true);
+        });
+        t.verify(function(err, problems) {
+          if (err) { throw err; }
+          should.deepEqual(problems, []);
+          t.getByVersion('Bbbb', function(err, item) {
+            if (err) { throw err; }
+            should.strictEqual(item.h.v, 'Bbbb');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should report missing parents and multiple heads', function(done) {
+      var t = new Tree(db, 'verify2', { vSize: 3, log: silence, skipValidation: true });
+      t.write({ h: { id: 'XI', v: 'Dddd', pa: ['Aaaa'] } });
+      t.end({ h: { id: 'XI', v: 'Eeee', pa: [] } }, function(err) {
+        if (err) { throw err; }
+        t.verify(function(err, problems) {
+          if (err) { throw err; }
+          should.deepEqual(problems, [
+            { type: 'missing parent', id: 'XI', v: 'Dddd', i: 1, pa: 'Aaaa' },
+            { type: 'multiple heads', id: 'XI' }
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should report duplicate versions, orphaned xkeys and orphaned tkeys', function(done) {
+      var t = new Tree(db, 'verify3', { vSize: 3, indexes: [{ field: 'n' }], log: silence });
+      t.end({ h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { n: 1 } }, function(err) {
+        if (err) { throw err; }
+        var duplicate = { h: { id: 'XII', v: 'Aaaa', pa: [], i: 2 }, b: { n: 2 } };
+        var orphan = { h: { id: 'XIII', v: 'Cccc', pa: [], i: 9 }, b: { n: 5 } };
+        db.batch([
+          { type: 'put', key: t._composeDsKey('XII', 2), value: BSON.serialize(duplicate) },
+          { type: 'put', key: t._composeXKeys(orphan)[0], value: t._composeDsKey('XIII', 9) },
+          { type: 'put', key: t._composeTKey(7), value: Tree._composeTVal(Date.now()) }
+        ], function(err) {
+          if (err) { throw err; }
+          t.verify(function(err, problems) {
+            if (err) { throw err; }
+            should.deepEqual(problems, [
+              { type: 'duplicate version', id: 'XII', v: 'Aaaa', i: 2 },
+              { type: 'orphaned xkey', i: 9, field: 'n' },
+              { type: 'orphaned tkey', i: 7 }
+            ]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('value encoding', function() {
+    var name = 'valueEncoding';
+
+    var body = { title: 'some document', text: new Array(100).join('lorem ipsum '), n: 1 };
+
+    // A <- B <- C <- D <- E
+    var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [] }, b: body };
+    var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { title: 'some document', text: body.text, n: 2 } };
+    var itemC = { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'] }, b: { text: body.text, n: 2, extra: true } };
+    var itemD = { h: { id: 'XI', v: 'Dddd', pa: ['Cccc'] }, b: { text: body.text, n: 3, extra: true } };
+    var itemE = { h: { id: 'XI', v: 'Eeee', pa: ['Dddd'] }, b: { text: body.text, n: 4, extra: true } };
+
+    function encoded() {
+      return { vSize: 3, compression: 'deflate', deltaChain: 2, log: silence };
+    }
+
+    // return the stored values by i
+    function storedValues(cb) {
+      var t = new Tree(db, name, encoded());
+      var values = {};
+      var r = t.getDsKeyRange();
+      db.createReadStream({ gt: r.s, lt: r.e }).on('data', function(obj) {
+        values[Tree.parseKey(obj.key).i] = obj.value;
+      }).on('end', function() {
+        cb(values);
+      });
+    }
+
+    it('should require opts.compression to be a string', function() {
+      (function() { new Tree(db, name, { compression: {} }); }).should.throw('opts.compression must be a string');
+    });
+
+    it('should require a known compression', function() {
+      (function() { new Tree(db, name, { compression: 'lzma' }); }).should.throw('unknown compression: lzma');
+    });
+
+    it('should require opts.deltaChain to be a number', function() {
+      (function() { new Tree(db, name, { deltaChain: '1' }); }).should.throw('opts.deltaChain must be a number');
+    });
+
+    it('should require opts.deltaChain to be between 0 and 255', function() {
+      (function() { new Tree(db, name, { deltaChain: 256 }); }).should.throw('opts.deltaChain must be between 0 and 255');
+    });
+
+    it('needs itemA without encoding', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.end(itemA, done);
+    });
+
+    it('needs itemB, itemC, itemD and itemE with encoding', function(done) {
+      var t = new Tree(db, name, encoded());
+      t.write(itemB);
+      t.write(itemC);
+      t.write([itemD, itemE]);
+      t.end(done);
+    });
+
+    it('should have stored deltas up to deltaChain and compressed the values', function(done) {
+      storedValues(function(values) {
+        should.strictEqual(Tree._isEncoded(values[1]), false);
+        should.strictEqual(Tree._isEncoded(values[2]), true);
+        should.strictEqual(Tree._deltaDepth(values[2]), 1);
+        should.strictEqual(Tree._deltaDepth(values[3]), 2);
+        should.strictEqual(Tree._isEncoded(values[4]), true);
+        should.strictEqual(Tree._deltaDepth(values[4]), 0);
+        should.strictEqual(Tree._deltaDepth(values[5]), 1);
+        should.ok(values[5].length < BSON.serialize(itemE).length / 2);
+        done();
+      });
+    });
+
+    it('should return the item by version', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.getByVersion('Cccc', function(err, item) {
+        if (err) { throw err; }
+        should.deepEqual(item, { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'], i: 3 }, b: itemC.b });
+        should.deepEqual(Object.keys(item.b), ['text', 'n', 'extra']);
+        done();
+      });
+    });
+
+    it('should return the BSON serialized item by version', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.getByVersion('Bbbb', { bson: true }, function(err, item) {
+        if (err) { throw err; }
+        should.deepEqual(BSON.deserialize(item), { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], i: 2 }, b: itemB.b });
+        done();
+      });
+    });
+
+    it('should return all items in insertion order', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var bodies = [];
+      t.createReadStream().on('data', function(item) {
+        bodies.push(item.b);
+      }).on('end', function() {
+        should.deepEqual(bodies, [itemA.b, itemB.b, itemC.b, itemD.b, itemE.b]);
+        done();
+      });
+    });
+
+    it('should return all items of one id', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var bodies = [];
+      t.createReadStream({ id: 'XI' }).on('data', function(item) {
+        bodies.push(item.b);
+      }).on('end', function() {
+        should.deepEqual(bodies, [itemA.b, itemB.b, itemC.b, itemD.b, itemE.b]);
+        done();
+      });
+    });
+
+    it('should return the head', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var heads = [];
+      t.getHeads(function(head, next) {
+        heads.push(head);
+        next();
+      }, function(err) {
+        if (err) { throw err; }
+        should.deepEqual(heads, [{ h: { id: 'XI', v: 'Eeee', pa: ['Dddd'], i: 5 }, b: itemE.b }]);
+        done();
+      });
+    });
+
+    it('should return stats', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.stats(function(err, stats) {
+        if (err) { throw err; }
+        should.deepEqual(stats, { heads: { count: 1, conflict: 0, deleted: 0 } });
+        done();
+      });
+    });
+
+    it('should not find any problems', function(done) {
+      var t = new Tree(db, name, encoded());
+      t.verify(function(err, problems) {
+        if (err) { throw err; }
+        should.deepEqual(problems, []);
+        done();
+      });
+    });
+
+    it('should store a version in full if the base of its delta is pruned', function(done) {
+      var t = new Tree(db, name, encoded());
+      t.prune({ maxCount: 1 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 4);
+        storedValues(function(values) {
+          should.strictEqual(Object.keys(values).length, 1);
+          should.strictEqual(Tree._isEncoded(values[5]), true);
+          should.strictEqual(Tree._deltaDepth(values[5]), 0);
+          t.getByVersion('Eeee', function(err, item) {
+            if (err) { throw err; }
+            should.deepEqual(item.b, itemE.b);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('encryption', function() {
+    var name = 'encryption';
+
+    var key1 = new Buffer('a8JpZzL5Rz9b3kBvT1Xq0mE4wN7cY2uH6sD8fG0jK1o=', 'base64');
+    var key2 = new Buffer('Qm9keUtleVR3b0ZvclRlc3RpbmdQdXJwb3Nlc09ubHk=', 'base64');
+
+    var text = new Array(20).join('secret text ');
+
+    // A <- B
+    var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [], pe: 'encpe' }, b: { text: text, n: 1 } };
+    var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], pe: 'encpe' }, b: { text: text, n: 2 } };
+
+    // return the stored values of the data and user store by key
+    function storedValues(cb) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      var values = {};
+      async.eachSeries([t.getDsKeyRange(), t.getUsKeyRange()], function(r, cb2) {
+        db.createReadStream({ gt: r.s, lt: r.e }).on('data', function(obj) {
+          values[obj.key.toString('hex')] = obj.value;
+        }).on('error', cb2).on('end', cb2);
+      }, function(err) {
+        if (err) { throw err; }
+        cb(values);
+      });
+    }
+
+    // return the encryption key id of each stored value, 0 if not encrypted
+    function keyIds(cb) {
+      storedValues(function(values) {
+        cb(Object.keys(values).map(function(key) {
+          var value = values[key];
+          if (!Tree._isEncoded(value) || !(value[4] & 0x04)) { return 0; }
+          return value[value[4] & 0x02 ? 6 : 5];
+        }));
+      });
+    }
+
+    it('should require opts.keys to be an object', function() {
+      (function() { new Tree(db, name, { keys: 'foo' }); }).should.throw('opts.keys must be an object');
+    });
+
+    it('should require opts.keyId to be a number', function() {
+      (function() { new Tree(db, name, { keys: { 1: key1 }, keyId: '1' }); }).should.throw('opts.keyId must be a number');
+    });
+
+    it('should require opts.keyId to be in opts.keys', function() {
+      (function() { new Tree(db, name, { keys: { 1: key1 }, keyId: 2 }); }).should.throw('opts.keyId must be in opts.keys');
+    });
+
+    it('should require key ids to be between 1 and 255', function() {
+      (function() { new Tree(db, name, { keys: { 0: key1 } }); }).should.throw('key ids must be between 1 and 255');
+    });
+
+    it('should require keys to be buffers of 32 bytes', function() {
+      (function() { new Tree(db, name, { keys: { 1: key1.slice(1) } }); }).should.throw('keys must be buffers of 32 bytes');
+    });
+
+    it('needs itemA and itemB encrypted with key 1', function(done) {
+      var t = new Tree(db, name, { vSize: 3, deltaChain: 1, keys: { 1: key1 }, keyId: 1, log: silence });
+      t.write(itemA);
+      t.end(itemB, done);
+    });
+
+    it('should have encrypted all values of the data and user store', function(done) {
+      storedValues(function(values) {
+        var keys = Object.keys(values);
+        should.strictEqual(keys.length, 3);
+        keys.forEach(function(key) {
+          should.strictEqual(Tree._isEncoded(values[key]), true);
+          should.strictEqual(values[key].toString('binary').indexOf('secret'), -1);
+        });
+        keyIds(function(ids) {
+          should.deepEqual(ids, [1, 1, 1]);
+          done();
+        });
+      });
+    });
+
+    it('should return the item by version', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 1: key1 }, log: silence });
+      t.getByVersion('Bbbb', function(err, item) {
+        if (err) { throw err; }
+        should.deepEqual(item, { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], pe: 'encpe', i: 2 }, b: itemB.b });
+        done();
+      });
+    });
+
+    it('should return the last version of the perspective', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 1: key1 }, log: silence });
+      t.lastByPerspective('encpe', 'base64', function(err, v) {
+        if (err) { throw err; }
+        should.strictEqual(v, 'Bbbb');
+        done();
+      });
+    });
+
+    it('should err if the key is not configured', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 2: key2 }, log: silence });
+      t.getByVersion('Aaaa', function(err) {
+        should.strictEqual(err.message, 'unknown encryption key: 1');
+        done();
+      });
+    });
+
+    it('should not find any problems', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 1: key1 }, log: silence });
+      t.verify(function(err, problems) {
+        if (err) { throw err; }
+        should.deepEqual(problems, []);
+        done();
+      });
+    });
+
+    it('should reencrypt all values with key 2', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 1: key1, 2: key2 }, keyId: 2, log: silence });
+      t.reencrypt(function(err, written) {
+        if (err) { throw err; }
+        should.strictEqual(written, 3);
+        keyIds(function(ids) {
+          should.deepEqual(ids, [2, 2, 2]);
+          done();
+        });
+      });
+    });
+
+    it('should not write any values if all are encrypted with the current key', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 1: key1, 2: key2 }, keyId: 2, log: silence });
+      t.reencrypt(function(err, written) {
+        if (err) { throw err; }
+        should.strictEqual(written, 0);
+        done();
+      });
+    });
+
+    it('should keep values that are written while reencrypting', function(done) {
+      var t = new Tree(db, 'encryptionWrites', { vSize: 3, keys: { 1: key1 }, keyId: 1, log: silence });
+      t.write(itemA);
+      t.end(itemB, function(err) {
+        if (err) { throw err; }
+
+        var t2 = new Tree(db, 'encryptionWrites', { vSize: 3, keys: { 1: key1, 2: key2 }, keyId: 2, log: silence });
+        var itemC = { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'], pe: 'encpe' }, b: { text: text, n: 3 } };
+        async.parallel([
+          function(cb) { t2.reencrypt(cb); },
+          function(cb) { t2.setConflictByVersion('Aaaa', cb); },
+          function(cb) { t2.end(itemC, cb); }
+        ], function(err) {
+          if (err) { throw err; }
+          var t3 = new Tree(db, 'encryptionWrites', { vSize: 3, keys: { 2: key2 }, log: silence });
+          t3.getByVersion('Aaaa', function(err, item) {
+            if (err) { throw err; }
+            should.strictEqual(item.h.c, true);
+            t3.lastByPerspective('encpe', 'base64', function(err, v) {
+              if (err) { throw err; }
+              should.strictEqual(v, 'Cccc');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should read all items with only key 2', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 2: key2 }, log: silence });
+      var bodies = [];
+      t.createReadStream().on('data', function(item) {
+        bodies.push(item.b);
+      }).on('end', function() {
+        should.deepEqual(bodies, [itemA.b, itemB.b]);
+        done();
+      });
+    });
+
+    it('should decrypt all values if no key id is set', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 2: key2 }, log: silence });
+      t.reencrypt(function(err, written) {
+        if (err) { throw err; }
+        should.strictEqual(written, 3);
+        keyIds(function(ids) {
+          should.deepEqual(ids, [0, 0, 0]);
+          storedValues(function(values) {
+            var encoded = Object.keys(values).map(function(key) {
+              return Tree._isEncoded(values[key]);
+            });
+            // only the delta of itemB is still encoded
+            should.deepEqual(encoded, [false, true, false]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should read the items without keys', function(done) {
+      var t = new Tree(db, name, { vSize: 3, log: silence });
+      t.getByVersion('Bbbb', function(err, item) {
+        if (err) { throw err; }
+        should.deepEqual(item.b, itemB.b);
+        t.lastByPerspective('encpe', 'base64', function(err, v) {
+          if (err) { throw err; }
+          should.strictEqual(v, 'Bbbb');
+          done();
+        });
+      });
+    });
+
+    it('should not decrypt a value that is moved to another key', function(done) {
+      var t = new Tree(db, name, { vSize: 3, keys: { 1: key1 }, keyId: 1, log: silence });
+      t.reencrypt(function(err) {
+        if (err) { throw err; }
+        t._db.get(t._composeDsKey('XI', 1), function(err, value) {
+          if (err) { throw err; }
+          var otherKey = t._composeDsKey('XI', 2);
+          t._db.put(otherKey, value, function(err) {
+            if (err) { throw err; }
+            t.getByVersion('Bbbb', function(err) {
+              should.strictEqual(err.message, 'value can not be decrypted');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('meta', function() {
+    var name = 'meta';
+
+    it('should require meta to be an object', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.setMeta([], function() {}); }).should.throw('meta must be an object');
+    });
+
+    it('should return an empty object if no metadata is set', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.getMeta(function(err, meta) {
+        if (err) { throw err; }
+        should.deepEqual(meta, {});
+        done();
+      });
+    });
+
+    it('should set and return metadata', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.setMeta({ foo: 'bar', baz: { qux: [1, 2] } }, function(err) {
+        if (err) { throw err; }
+        t.getMeta(function(err, meta) {
+          if (err) { throw err; }
+          should.deepEqual(meta, { baz: { qux: [1, 2] }, foo: 'bar' });
+          done();
+        });
+      });
+    });
+
+    it('should keep other keys and remove keys that are set to null', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.setMeta({ foo: null, some: 1 }, function(err) {
+        if (err) { throw err; }
+        t.getMeta(function(err, meta) {
+          if (err) { throw err; }
+          should.deepEqual(meta, { baz: { qux: [1, 2] }, some: 1 });
+          done();
+        });
+      });
+    });
+
+    it('should not interfere with the metadata of other trees', function(done) {
+      var t = new Tree(db, name + 'Other', { log: silence });
+      t.getMeta(function(err, meta) {
+        if (err) { throw err; }
+        should.deepEqual(meta, {});
+        done();
+      });
+    });
+  });
+
+  describe('attachments', function() {
+    var name = 'attachments';
+
+    var key1 = new Buffer('a8JpZzL5Rz9b3kBvT1Xq0mE4wN7cY2uH6sD8fG0jK1o=', 'base64');
+
+    // starts with the four zero bytes of an encoded value
+    var data = new Buffer('0000000000ff0102', 'hex');
+    var digest = crypto.createHash('sha256').update(data).digest('hex');
+    var other = crypto.createHash('sha256').update('other').digest('hex');
+
+    it('should require data to be a buffer', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.putAttachment('foo', function() {}); }).should.throw('data must be a buffer');
+    });
+
+    it('should require digest to be a hex encoded sha256 digest', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.getAttachment('abc', function() {}); }).should.throw('digest must be a hex encoded sha256 digest');
+    });
+
+    it('should require digests to be an array', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.missingAttachments(digest, function() {}); }).should.throw('digests must be an array');
+    });
+
+    it('should require digests to be hex encoded sha256 digests', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.missingAttachments([digest, 'abc'], function() {}); }).should.throw('digests must be hex encoded sha256 digests');
+    });
+
+    it('should return null if the attachment is not stored', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.getAttachment(digest, function(err, result) {
+        if (err) { throw err; }
+        should.strictEqual(result, null);
+        done();
+      });
+    });
+
+    it('should store an attachment and return the digest', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.putAttachment(data, function(err, result) {
+        if (err) { throw err; }
+        should.strictEqual(result, digest);
+        t.getAttachment(digest, function(err, result) {
+          if (err) { throw err; }
+          should.strictEqual(result.toString('hex'), data.toString('hex'));
+          done();
+        });
+      });
+    });
+
+    it('should store the same data only once', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.putAttachment(data, function(err) {
+        if (err) { throw err; }
+        var count = 0;
+        var r = t.getAKeyRange();
+        db.createKeyStream({ gt: r.s, lt: r.e }).on('data', function(key) {
+          should.strictEqual(Tree.parseKey(key).digest, digest);
+          count++;
+        }).on('end', function() {
+          should.strictEqual(count, 1);
+          done();
+        });
+      });
+    });
+
+    it('should return the digests that are not stored', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.missingAttachments([other, digest], function(err, missing) {
+        if (err) { throw err; }
+        should.deepEqual(missing, [other]);
+        done();
+      });
+    });
+
+    it('should not find the attachment in another tree', function(done) {
+      var t = new Tree(db, name + 'Other', { log: silence });
+      t.missingAttachments([digest], function(err, missing) {
+        if (err) { throw err; }
+        should.deepEqual(missing, [digest]);
+        done();
+      });
+    });
+
+    it('should encrypt attachments on reencrypt', function(done) {
+      var t = new Tree(db, name, { keys: { 1: key1 }, keyId: 1, log: silence });
+      t.reencrypt(function(err) {
+        if (err) { throw err; }
+        db.get(t._composeAKey(digest), function(err, value) {
+          if (err) { throw err; }
+          should.strictEqual(value[4], 0x04);
+          should.strictEqual(value.toString('hex').indexOf(data.toString('hex')), -1);
+          t.getAttachment(digest, function(err, result) {
+            if (err) { throw err; }
+            should.strictEqual(result.toString('hex'), data.toString('hex'));
+            done();
+          });
+        });
+      });
+    });
+
+    it('should err if the key of an attachment is unknown', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.getAttachment(digest, function(err) {
+        should.strictEqual(err.message, 'unknown encryption key: 1');
+        done();
+      });
+    });
+  });
+
+  describe('conflicts', function() {
+    var name = 'conflicts';
+
+    var key1 = new Buffer('a8JpZzL5Rz9b3kBvT1Xq0mE4wN7cY2uH6sD8fG0jK1o=', 'base64');
+
+    var conflictA = {
+      n: { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], pe: 'rem' }, b: { foo: 'remote' } },
+      l: { h: { id: 'XI', v: 'Cccc', pa: ['Aaaa'] }, b: { foo: 'local' } },
+      lcas: ['Aaaa'],
+      pe: 'rem',
+      c: ['foo']
+    };
+    var conflictB = {
+      n: { h: { id: 'YI', v: 'Dddd', pa: [], pe: 'rem' }, b: { bar: 'remote' } },
+      l: { h: { id: 'YI', v: 'Eeee', pa: [] }, b: { bar: 'local' } },
+      lcas: [],
+      pe: 'rem',
+      c: ['bar']
+    };
+
+    it('should require conflict to be an object', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.putConflict(null, function() {}); }).should.throw('conflict must be an object');
+    });
+
+    it('should require conflict.n to be an object', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.putConflict({}, function() {}); }).should.throw('conflict.n must be an object');
+    });
+
+    it('should require id to be a number', function() {
+      var t = new Tree(db, name, { log: silence });
+      (function() { t.getConflict('1', function() {}); }).should.throw('id must be a number');
+    });
+
+    it('should return null if the conflict is not stored', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.getConflict(1, function(err, result) {
+        if (err) { throw err; }
+        should.strictEqual(result, null);
+        done();
+      });
+    });
+
+    it('should store conflicts with increasing ids, also when stored simultaneously', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      var ids = [];
+      function check(err, id) {
+        if (err) { throw err; }
+        ids.push(id);
+        if (ids.length < 2) { return; }
+        should.deepEqual(ids.sort(), [1, 2]);
+        t.getConflict(1, function(err, result) {
+          if (err) { throw err; }
+          should.deepEqual(result, xtend(conflictA, { id: 1 }));
+          done();
+        });
+      }
+      t.putConflict(conflictA, check);
+      t.putConflict(conflictB, check);
+    });
+
+    it('should continue after the last id when reopened', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.putConflict(conflictB, function(err, id) {
+        if (err) { throw err; }
+        should.strictEqual(id, 3);
+        done();
+      });
+    });
+
+    it('should remove a conflict', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      t.delConflict(3, function(err) {
+        if (err) { throw err; }
+        t.getConflict(3, function(err, result) {
+          if (err) { throw err; }
+          should.strictEqual(result, null);
+          done();
+        });
+      });
+    });
+
+    it('should stream all conflicts in order of id', function(done) {
+      var t = new Tree(db, name, { log: silence });
+      var result = [];
+      t.createConflictReadStream().on('data', function(conflict) {
+        result.push(conflict);
+      }).on('end', function() {
+        should.deepEqual(result, [xtend(conflictA, { id: 1 }), xtend(conflictB, { id: 2 })]);
+        done();
+      });
+    });
+
+    it('should encrypt conflicts on reencrypt', function(done) {
+      var t = new Tree(db, name, { keys: { 1: key1 }, keyId: 1, log: silence });
+      t.reencrypt(function(err) {
+        if (err) { throw err; }
+        db.get(t._composeCKey(1), function(err, value) {
+          if (err) { throw err; }
+          should.strictEqual(value[4], 0x04);
+          should.strictEqual(value.toString().indexOf('remote'), -1);
+          t.getConflict(1, function(err, result) {
+            if (err) { throw err; }
+            should.deepEqual(result, xtend(conflictA, { id: 1 }));
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('sizes', function() {
+    var name = 'sizes';
+
+    // A <- B <- C, D
+    var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [], pe: 'spe' }, b: { n: 1 } };
+    var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'], pe: 'spe' }, b: { n: 2 } };
+    var itemC = { h: { id: 'XI', v: 'Cccc', pa: ['Bbbb'], pe: 'spe' }, b: { n: 3 } };
+    var itemD = { h: { id: 'XII', v: 'Dddd', pa: [], pe: 'spe' }, b: { n: 4 } };
+
+    function sizes(vSize, iSize) {
+      return { vSize: vSize, iSize: iSize, indexes: [{ field: 'n' }], log: silence };
+    }
+
+    it('should store the sizes of an empty tree', function(done) {
+      var t = new Tree(db, 'sizesEmpty', sizes(3, 1));
+      t.ensureSizes(function(err) {
+        if (err) { throw err; }
+        t._storedSizes(function(err, stored) {
+          if (err) { throw err; }
+          should.deepEqual(stored, { vSize: 3, iSize: 1, stored: true });
+          done();
+        });
+      });
+    });
+
+    it('should err if the configured sizes differ from the stored sizes', function(done) {
+      var t = new Tree(db, 'sizesEmpty', sizes(6, 6));
+      t.ensureSizes(function(err) {
+        should.strictEqual(err.message, 'tree is stored with vSize 3 and iSize 1');
+        done();
+      });
+    });
+
+    it('needs itemA, itemB, itemC and itemD', function(done) {
+      var t = new Tree(db, name, sizes(3, 1));
+      t.write(itemA);
+      t.write(itemB);
+      t.write(itemC);
+      t.end(itemD, done);
+    });
+
+    it('should determine the sizes of an existing tree without stored sizes', function(done) {
+      var t = new Tree(db, name, sizes(3, 1));
+      t._storedSizes(function(err, stored) {
+        if (err) { throw err; }
+        should.deepEqual(stored, { vSize: 3, iSize: 1, stored: false });
+        done();
+      });
+    });
+
+    it('should err if the configured sizes differ from the sizes in use', function(done) {
+      var t = new Tree(db, name, sizes(6, 2));
+      t.ensureSizes(function(err) {
+        should.strictEqual(err.message, 'tree is stored with vSize 3 and iSize 1');
+        done();
+      });
+    });
+
+    it('needs a pruned tree', function(done) {
+      var t = new Tree(db, name, sizes(3, 1));
+      t.prune({ maxCount: 2 }, function(err, pruned) {
+        if (err) { throw err; }
+        should.strictEqual(pruned, 1);
+        done();
+      });
+    });
+
+    it('should rewrite all keys to vSize 6 and iSize 2', function(done) {
+      var t = new Tree(db, name, sizes(6, 2));
+      t.migrateSizes(function(err, written) {
+        if (err) { throw err; }
+        // 3 versions with a dskey, ikey, vkey, tkey and xkey, 2 headkeys and 3 uskeys
+        should.strictEqual(written, 3 * 5 + 2 + 3);
+        t.ensureSizes(function(err) {
+          if (err) { throw err; }
+          t.verify(function(err, problems) {
+            if (err) { throw err; }
+            should.deepEqual(problems, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not rewrite any keys if all keys have the configured sizes', function(done) {
+      var t = new Tree(db, name, sizes(6, 2));
+      t.migrateSizes(function(err, written) {
+        if (err) { throw err; }
+        should.strictEqual(written, 0);
+        done();
+      });
+    });
+
+    it('should have kept the DAG and the increments', function(done) {
+      var t = new Tree(db, name, sizes(6, 2));
+      var items = [];
+      t.createReadStream().on('data', function(item) {
+        items.push(item);
+      }).on('end', function() {
+        should.deepEqual(items, [
+          { h: { id: 'XI', v: 'AAAABbbb', pa: ['AAAAAaaa'], pe: 'spe', i: 2 }, b: { n: 2 } },
+          { h: { id: 'XI', v: 'AAAACccc', pa: ['AAAABbbb'], pe: 'spe', i: 3 }, b: { n: 3 } },
+          { h: { id: 'XII', v: 'AAAADddd', pa: [], pe: 'spe', i: 4 }, b: { n: 4 } }
+        ]);
+        done();
+      });
+    });
+
+    it('should have kept the last version of the perspective and the last pruned i', function(done) {
+      var t = new Tree(db, name, sizes(6, 2));
+      t.lastByPerspective('spe', 'base64', function(err, v) {
+        if (err) { throw err; }
+        should.strictEqual(v, 'AAAADddd');
+        t.lastPruned(function(err, i) {
+          if (err) { throw err; }
+          should.strictEqual(i, 1);
+          done();
+        });
+      });
+    });
+
+    it('should continue with the next increment', function(done) {
+      var t = new Tree(db, name, sizes(6, 2));
+      var item = { h: { id: 'XI', v: 'AAAAEeee', pa: ['AAAACccc'] }, b: { n: 5 } };
+      t.end(item, function(err) {
+        if (err) { throw err; }
+        t.getByVersion('AAAAEeee', function(err, found) {
+          if (err) { throw err; }
+          should.strictEqual(found.h.i, 5);
+          done();
+        });
+      });
+    });
+
+    it('should rewrite all keys back to vSize 3 and iSize 1', function(done) {
+      var t = new Tree(db, name, sizes(3, 1));
+      t.migrateSizes(function(err) {
+        if (err) { throw err; }
+        t.getByVersion('Eeee', function(err, item) {
+          if (err) { throw err; }
+          should.deepEqual(item, { h: { id: 'XI', v: 'Eeee', pa: ['Cccc'], i: 5 }, b: { n: 5 } });
+          t.verify(function(err, problems) {
+            if (err) { throw err; }
+            should.deepEqual(problems, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should err if a version does not fit in vSize', function(done) {
+      var t = new Tree(db, 'sizesLarge', sizes(6, 6));
+      t.end({ h: { id: 'XI', v: 'Aaaaaaaa', pa: [] }, b: { n: 1 } }, function(err) {
+        if (err) { throw err; }
+        var t2 = new Tree(db, 'sizesLarge', sizes(3, 6));
+        t2.migrateSizes(function(err) {
+          should.strictEqual(err.message, 'version does not fit in vSize');
+          done();
+        });
+      });
+    });
+
+    it('should rewrite compressed, delta encoded and encrypted values', function(done) {
+      var key = new Buffer('a8JpZzL5Rz9b3kBvT1Xq0mE4wN7cY2uH6sD8fG0jK1o=', 'base64');
+      function encoded(vSize, iSize) {
+        return { vSize: vSize, iSize: iSize, compression: 'deflate', deltaChain: 2, keys: { 1: key }, keyId: 1, log: silence };
+      }
+      var t = new Tree(db, 'sizesEncoded', encoded(3, 1));
+      t.write(itemA);
+      t.write(itemB);
+      t.end(itemC, function(err) {
+        if (err) { throw err; }
+        var t2 = new Tree(db, 'sizesEncoded', encoded(6, 2));
+        t2.migrateSizes(function(err) {
+          if (err) { throw err; }
+          t2.getByVersion('AAAACccc', function(err, item) {
+            if (err) { throw err; }
+            should.deepEqual(item, { h: { id: 'XI', v: 'AAAACccc', pa: ['AAAABbbb'], pe: 'spe', i: 3 }, b: { n: 3 } });
+            t2.verify(function(err, problems) {
+              if (err) { throw err; }
+              should.deepEqual(problems, []);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('indexes', function() {
+    var name = 'indexes';
+    var indexes = [{ field: 'customer' }, { field: 'nested.n' }];
+
+    // A <- B, C, D
+    var itemA = { h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { customer: 'x', nested: { n: 1 } } };
+    var itemB = { h: { id: 'XI', v: 'Bbbb', pa: ['Aaaa'] }, b: { customer: 'y', nested: { n: 2 } } };
+    var itemC = { h: { id: 'XII', v: 'Cccc', pa: [] }, b: { customer: 'x', nested: { n: 3 } } };
+    var itemD = { h: { id: 'XIII', v: 'Dddd', pa: [] }, b: { customer: 'x' } };
+
+    function versions(s, cb) {
+      var result = [];
+      s.on('data', function(item) {
+        result.push(item.h.v);
+      }).on('end', function() {
+        cb(result);
+      });
+    }
+
+    it('should require index.field to be a string', function() {
+      (function() { new Tree(db, name, { indexes: [{}] }); }).should.throw('index.field must be a non-empty string');
+    });
+
+    it('needs itemA, itemB, itemC and itemD', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      t.write(itemA);
+      t.write(itemB);
+      t.write(itemC);
+      t.end(itemD, done);
+    });
+
+    it('should require field to be indexed', function() {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      (function() { t.createIndexReadStream({ field: 'foo', value: 'x' }); }).should.throw('field is not indexed');
+    });
+
+    it('should require a value or a range', function() {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      (function() { t.createIndexReadStream({ field: 'customer' }); }).should.throw('opts must contain value or range');
+    });
+
+    it('should only emit heads with the given value', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      versions(t.createIndexReadStream({ field: 'customer', value: 'x' }), function(vs) {
+        should.deepEqual(vs, ['Cccc', 'Dddd']);
+        done();
+      });
+    });
+
+    it('should emit heads in a range of values of a nested field', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      versions(t.createIndexReadStream({ field: 'nested.n', range: { gte: 2 } }), function(vs) {
+        should.deepEqual(vs, ['Bbbb', 'Cccc']);
+        done();
+      });
+    });
+
+    it('should not include other types in a range', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      versions(t.createIndexReadStream({ field: 'customer', range: { lt: 'y' } }), function(vs) {
+        should.deepEqual(vs, ['Cccc', 'Dddd']);
+        done();
+      });
+    });
+
+    it('should stream all versions with the given value in insertion order', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      versions(t.createReadStream({ index: { field: 'customer', value: 'x' }, first: 'Bbbb' }), function(vs) {
+        should.deepEqual(vs, ['Cccc', 'Dddd']);
+        done();
+      });
+    });
+
+    it('should verify the indexes', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      t.verify(function(err, problems) {
+        if (err) { throw err; }
+        should.deepEqual(problems, []);
+        done();
+      });
+    });
+
+    it('should remove an index that is not configured anymore', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: [{ field: 'nested.n' }], log: silence });
+      t.ensureIndexes(function(err, written) {
+        if (err) { throw err; }
+        should.strictEqual(written, 3);
+        t.ensureIndexes(function(err, written) {
+          if (err) { throw err; }
+          should.strictEqual(written, 0);
+          t.verify(function(err, problems) {
+            if (err) { throw err; }
+            should.deepEqual(problems, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should build an index that is configured', function(done) {
+      var t = new Tree(db, name, { vSize: 3, indexes: indexes, log: silence });
+      t.ensureIndexes(function(err, written) {
+        if (err) { throw err; }
+        should.strictEqual(written, 4);
+        versions(t.createIndexReadStream({ field: 'customer', value: 'y' }), function(vs) {
+          should.deepEqual(vs, ['Bbbb']);
+          done();
+        });
+      });
+    });
+  });
+
   describe('stats', function() {
     var name = 'stats';
 
@@ -22,7 +22,7 @@ var tmpdir = require('os').tmpdir;
 
 var should = require('should');
 var rimraf = require('rimraf');
-var level = require('level-packager')(require('leveldown'));
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
 
 var Tree = require('../../../lib/tree');
 var logger = require('../../../lib/logger');
@@ -0,0 +1,140 @@
+/**
+ * Copyright 2016 Netsend.
+ *
+ * This file is part of PerspectiveDB.
+ *
+ * PerspectiveDB is free software: you can redistribute it and/or modify it under the
+ * terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later
+ * version.
+ *
+ * PerspectiveDB is distributed in the hope that it will be useful, but WITHOUT ANY
+ * WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+ * PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along
+ * with PerspectiveDB. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+var tmpdir = require('os').tmpdir;
+
+var should = require('should');
+var rimraf = require('rimraf');
+var level = require('../../../lib/level_backend')(process.env.PDB_BACKEND);
+
+var Tree = require('../../../lib/tree');
+var logger = require('../../../lib/logger');
+var upgrade = require('../../../lib/upgrade');
+
+var db, silence;
+var dbPath = tmpdir() + '/test_upgrade';
+
+// open database
+before(function(done) {
+  logger({ silence: true }, function(err, l) {
+    if (err) { throw err; }
+    silence = l;
+    // ensure a db at start
+    rimraf(dbPath, function(err) {
+      if (err) { throw err; }
+      db = level(dbPath, { keyEncoding: 'binary', valueEncoding: 'binary' });
+      done();
+    });
+  });
+});
+
+after(function(done) {
+  silence.close(function(err) {
+    if (err) { throw err; }
+    db.close(function(err) {
+      if (err) { throw err; }
+      rimraf(dbPath, done);
+    });
+  });
+});
+
+describe('upgrade', function() {
+  it('should require tree to be an object', function() {
+    (function() { upgrade(null); }).should.throw('tree must be an object');
+  });
+
+  it('should require cb to be a function', function() {
+    var t = new Tree(db, 'new', { log: silence });
+    (function() { upgrade(t); }).should.throw('cb must be a function');
+  });
+
+  it('should have ordered migrations up to the current revision', function() {
+    var revisions = upgrade.migrations.map(function(migration) {
+      return migration.revision;
+    });
+    should.deepEqual(revisions, revisions.slice().sort(function(a, b) { return a - b; }));
+    should.strictEqual(revisions[revisions.length - 1], upgrade.REVISION);
+  });
+
+  it('should record the revision and creation time of a new tree', function(done) {
+    var t = new Tree(db, 'new', { compression: 'deflate', log: silence });
+    upgrade(t, function(err, run) {
+      if (err) { throw err; }
+      should.strictEqual(run, 0);
+      t.getMeta(function(err, meta) {
+        if (err) { throw err; }
+        should.strictEqual(meta.keyspec, upgrade.REVISION);
+        should.strictEqual(meta.compression, 'deflate');
+        should.ok(Date.now() - new Date(meta.created).getTime() < 1000);
+        done();
+      });
+    });
+  });
+
+  it('should remove the compression if not configured anymore', function(done) {
+    var t = new Tree(db, 'new', { log: silence });
+    upgrade(t, function(err) {
+      if (err) { throw err; }
+      t.getMeta(function(err, meta) {
+        if (err) { throw err; }
+        should.strictEqual(meta.compression, undefined);
+        done();
+      });
+    });
+  });
+
+  it('needs a tree written by an older release', function(done) {
+    var t = new Tree(db, 'old', { vSize: 3, iSize: 2, log: silence });
+    t.end({ h: { id: 'XI', v: 'Aaaa', pa: [] }, b: { some: 'body' } }, done);
+  });
+
+  it('should run all migrations on a tree without revision', function(done) {
+    var t = new Tree(db, 'old', { vSize: 3, iSize: 2, log: silence });
+    upgrade(t, function(err, run) {
+      if (err) { throw err; }
+      should.strictEqual(run, upgrade.migrations.length);
+      t.getMeta(function(err, meta) {
+        if (err) { throw err; }
+        should.deepEqual(meta, { iSize: 2, keyspec: upgrade.REVISION, vSize: 3 });
+        done();
+      });
+    });
+  });
+
+  it('should not run any migrations if the tree is up to date', function(done) {
+    var t = new Tree(db, 'old', { vSize: 3, iSize: 2, log: silence });
+    upgrade(t, function(err, run) {
+      if (err) { throw err; }
+      should.strictEqual(run, 0);
+      done();
+    });
+  });
+
+  it('should err if the tree is written with a newer revision', function(done) {
+    var t = new Tree(db, 'old', { vSize: 3, iSize: 2, log: silence });
+    t.setMeta({ keyspec: upgrade.REVISION + 1 }, function(err) {
+      if (err) { throw err; }
+      upgrade(t, function(err) {
+        should.strictEqual(err.message, 'tree is written with a newer keyspec revision: ' + (upgrade.REVISION + 1));
+        done();
+      });
+    });
+  });
+});
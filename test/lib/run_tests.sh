@@ -4,7 +4,7 @@ dir=$(dirname $0)
 cd "$dir" || exit 1
 
 echo "\nTEST mocha $i"
-mocha mocha/
+mocha mocha/ || exit "$?"
 
 for i in `ls assert/*.js`; do
   echo "\nTEST node $i"